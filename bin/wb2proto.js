@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+// Command line builds: turns a folder of whiteboard photos into one prototype
+// each, through the same compression, prompt and output code as the app and
+// into the same history, so they show up on the History page. Settings come
+// from the app's .env and config file, like the server's.
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+const APP_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tif', '.tiff', '.avif'];
+
+const USAGE = `Usage: wb2proto build <folder or photos...> [options]
+
+Builds one prototype per photo and records each in the app's history.
+
+Options:
+  --prompt <text>         Build instructions for every photo
+  --prompt-file <path>    Read the build instructions from a file
+  --out <dir>             Also copy each prototype's folder here, named after its photo
+  --model <id>            Model to build with (default: the app's default model)
+  --theme <id>            Design theme (default: default)
+  --output-mode <mode>    single (default) or project
+  --target <target>       html (default) or react
+  --fix-accessibility     Send accessibility findings back to the model for one more pass
+  --concurrency <n>       Builds to run at once (default: MAX_CONCURRENT_JOBS)
+  --user <username>       Record the builds in this account's workspace (sign-in only)
+  --dry-run               Show the prompt and estimated cost without calling the model
+  --verbose               Print the app's log to stderr
+  -h, --help              Show this help
+`;
+
+const OPTIONS = {
+    prompt: { type: 'string' },
+    'prompt-file': { type: 'string' },
+    out: { type: 'string' },
+    model: { type: 'string' },
+    theme: { type: 'string' },
+    'output-mode': { type: 'string' },
+    target: { type: 'string' },
+    'fix-accessibility': { type: 'boolean' },
+    concurrency: { type: 'string' },
+    user: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function print(text = '') {
+    process.stdout.write(`${text}\n`);
+}
+
+function formatCost(cost) {
+    return `$${cost.toFixed(4)}`;
+}
+
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    return rows
+        .map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd())
+        .join('\n');
+}
+
+// Photos in the order given; a folder contributes its images sorted by name
+async function collectPhotos(paths) {
+    const photos = [];
+
+    for (const path of paths.map(entry => resolve(entry))) {
+        const stats = await fs.stat(path).catch(() => null);
+        if (!stats) {
+            throw new UsageError(`Not found: ${path}`);
+        }
+
+        if (stats.isDirectory()) {
+            const names = (await fs.readdir(path))
+                .filter(name => PHOTO_EXTENSIONS.includes(extname(name).toLowerCase()))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            photos.push(...names.map(name => join(path, name)));
+        } else {
+            photos.push(path);
+        }
+    }
+
+    if (photos.length === 0) {
+        throw new UsageError(`No photos found (looked for ${PHOTO_EXTENSIONS.join(', ')})`);
+    }
+    return photos;
+}
+
+// Folder names under --out: the photo's name, numbered when two photos share one
+function getOutputNames(photos) {
+    const used = new Map();
+
+    return photos.map(photo => {
+        const name = basename(photo, extname(photo)).replace(/[^A-Za-z0-9._-]+/g, '-') || 'prototype';
+        const count = (used.get(name) || 0) + 1;
+        used.set(name, count);
+        return count === 1 ? name : `${name}-${count}`;
+    });
+}
+
+async function readPrompt(values) {
+    if (values.prompt !== undefined && values['prompt-file'] !== undefined) {
+        throw new UsageError('Use --prompt or --prompt-file, not both');
+    }
+    return values['prompt-file'] !== undefined
+        ? fs.readFile(resolve(values['prompt-file']), 'utf-8')
+        : values.prompt || '';
+}
+
+function dryRun(app, photos, options) {
+    const { prompt, sketchAnalysis, estimatedCost } = app.previewHeadlessBuild(options);
+
+    print('Prompt sent with each photo:');
+    print('-'.repeat(70));
+    print(prompt);
+    print('-'.repeat(70));
+    if (sketchAnalysis) {
+        print('Each photo is first read into a sketch spec, which is added to this prompt (SKETCH_ANALYSIS=false skips it).');
+    }
+    print();
+    print(formatTable([
+        ['Photo', 'Estimated cost'],
+        ...photos.map(photo => [basename(photo), `up to ${formatCost(estimatedCost)}`])
+    ]));
+    print();
+    print(`${photos.length} build${photos.length === 1 ? '' : 's'} with ${options.model}: up to ${formatCost(estimatedCost * photos.length)} in total.`);
+    print('Estimates assume full-size images and a full MAX_TOKENS response, so they err high. Nothing was sent to the model.');
+}
+
+async function build(app, photos, options, { owner, outDir }) {
+    const { jobs, error } = await app.queueHeadlessBuilds(photos, options, { owner });
+    if (error) {
+        throw new UsageError(error);
+    }
+
+    const outputNames = getOutputNames(photos);
+    let finished = 0;
+    process.stderr.write(`Building ${jobs.length} prototype${jobs.length === 1 ? '' : 's'}, ${app.CONFIG.MAX_CONCURRENT_JOBS} at a time...\n`);
+
+    const results = await Promise.all(jobs.map(async (job, index) => {
+        await job.finished;
+        finished++;
+        process.stderr.write(`[${finished}/${jobs.length}] ${basename(photos[index])}: ${job.status}\n`);
+
+        if (job.status === 'succeeded' && outDir) {
+            await fs.cp(job.result.outputDir, join(outDir, outputNames[index]), { recursive: true });
+        }
+        return job;
+    }));
+
+    const succeeded = results.filter(job => job.status === 'succeeded');
+    const totalCost = succeeded.reduce((sum, job) => sum + job.result.cost, 0);
+
+    print(formatTable([
+        ['Photo', 'Status', 'Prototype', 'Accessibility', 'Cost', 'Duration'],
+        ...results.map((job, index) => [
+            basename(photos[index]),
+            job.status === 'succeeded' ? 'built' : `failed (${job.errorCategory})`,
+            job.status === 'succeeded' ? (outDir ? join(outDir, outputNames[index]) : job.result.prototypeId) : job.error,
+            job.status === 'succeeded' ? `${job.result.accessibility.score}/100` : '-',
+            job.status === 'succeeded' ? formatCost(job.result.cost) : '-',
+            job.status === 'succeeded' ? `${job.result.duration.toFixed(1)}s` : '-'
+        ])
+    ]));
+    print();
+    print(`${succeeded.length} of ${results.length} built for ${formatCost(totalCost)}. They are on the History page; failed builds can be retried there.`);
+
+    return succeeded.length === results.length ? 0 : 1;
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...paths] = positionals;
+
+    if (values.help || !command) {
+        print(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    if (command !== 'build') {
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    if (paths.length === 0) {
+        throw new UsageError('Give a folder of photos or the photos to build');
+    }
+
+    const concurrency = values.concurrency === undefined ? null : Number(values.concurrency);
+    if (concurrency !== null && (!Number.isInteger(concurrency) || concurrency < 1)) {
+        throw new UsageError('--concurrency must be a whole number, 1 or more');
+    }
+
+    const photos = await collectPhotos(paths);
+    const prompt = await readPrompt(values);
+
+    // The app's own .env wins over one in the current directory
+    dotenv.config({ path: join(APP_DIR, '.env') });
+    const app = await import('../server.js');
+    app.setLogWriter(values.verbose ? line => console.error(line) : () => {});
+
+    const { options, error } = await app.resolveBuildOptions({
+        prompt,
+        outputMode: values['output-mode'],
+        target: values.target,
+        accessibilityFix: values['fix-accessibility'],
+        theme: values.theme,
+        model: values.model
+    });
+    if (error) {
+        throw new UsageError(error);
+    }
+
+    if (values['dry-run']) {
+        dryRun(app, photos, options);
+        return 0;
+    }
+
+    const { owner, error: ownerError } = await app.resolveHeadlessOwner(values.user);
+    if (ownerError) {
+        throw new UsageError(ownerError);
+    }
+
+    await app.ensureDirectories();
+    if (concurrency) {
+        app.CONFIG.MAX_CONCURRENT_JOBS = concurrency;
+    }
+
+    const outDir = values.out ? resolve(values.out) : null;
+    if (outDir) {
+        await fs.mkdir(outDir, { recursive: true });
+    }
+
+    return build(app, photos, options, { owner, outDir });
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        process.stderr.write(`wb2proto: ${error.message}\n`);
+        process.exitCode = error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? 2 : 1;
+    });
@@ -0,0 +1,561 @@
+import { posix } from 'path';
+
+// Static accessibility and responsiveness checks of a generated prototype.
+// The HTML is parsed into a small element tree (no browser, no scripts run)
+// and its CSS into rules, so only what the markup and stylesheets say is
+// checked: alt text, labels, heading order, color contrast of rules that set
+// both colors, the viewport meta tag, explicit sizes of tap targets and click
+// handlers on elements a keyboard cannot reach. Elements the prototype's
+// scripts create are not seen.
+
+export const ACCESSIBILITY_RULES = {
+    'image-alt': { label: 'Images without alt text', severity: 'serious' },
+    'control-label': { label: 'Form controls and buttons without a label', severity: 'serious' },
+    'click-handler': { label: 'Click handlers on elements a keyboard cannot reach', severity: 'serious' },
+    'viewport': { label: 'Viewport not set up for phones', severity: 'serious' },
+    'color-contrast': { label: 'Text colors with too little contrast', severity: 'moderate' },
+    'heading-order': { label: 'Headings out of order', severity: 'moderate' },
+    'touch-target': { label: 'Tap targets smaller than 24px', severity: 'moderate' }
+};
+
+// Points taken off the score of 100 per finding, up to three findings per rule and file
+const SEVERITY_WEIGHTS = { serious: 10, moderate: 5 };
+const MAX_COUNTED_FINDINGS = 3;
+const MAX_EXAMPLES = 5;
+const MIN_TARGET_SIZE = 24;
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+// Opening one of these closes an open element of the same kind (<li> after <li>)
+const SELF_CLOSING_SIBLINGS = new Set(['li', 'p', 'option', 'tr', 'td', 'th', 'dt', 'dd']);
+const INTERACTIVE_ELEMENTS = new Set(['a', 'button', 'input', 'select', 'textarea', 'summary', 'label', 'option', 'details']);
+const INTERACTIVE_ROLES = new Set(['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'treeitem']);
+const UNLABELED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+const TARGET_SELECTOR_PATTERN = /(^|[\s>+~(,])(a|button|input|select|summary)(?=$|[.#:[\s>+~),])|\[role=["']?button|[.#][\w-]*(btn|button)[\w-]*/i;
+
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128],
+    silver: [192, 192, 192],
+    red: [255, 0, 0],
+    green: [0, 128, 0],
+    blue: [0, 0, 255],
+    yellow: [255, 255, 0],
+    orange: [255, 165, 0],
+    navy: [0, 0, 128]
+};
+
+// ----------------------------------------------------------------------------
+// Parsing
+// ----------------------------------------------------------------------------
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(source) {
+    const attributes = new Map();
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        if (!attributes.has(name)) {
+            attributes.set(name, decodeEntities(match[2] ?? match[3] ?? match[4] ?? ''));
+        }
+    }
+    return attributes;
+}
+
+function createElement(tag, attributes, parent, line) {
+    return { tag, attributes, parent, children: [], line };
+}
+
+// A forgiving parse into { tag, attributes, children, text } nodes: unclosed
+// elements are closed by their parent's end tag and stray end tags are ignored
+export function parseHtml(html) {
+    const root = createElement('#document', new Map(), null, 1);
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>?|<\/([a-zA-Z][\w:-]*)[^>]*>?|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    let current = root;
+    let lastIndex = 0;
+    let line = 1;
+    let counted = 0;
+
+    const lineAt = (index) => {
+        line += (html.slice(counted, index).match(/\n/g) || []).length;
+        counted = index;
+        return line;
+    };
+
+    const addText = (text) => {
+        if (text) {
+            current.children.push({ text: decodeEntities(text), parent: current });
+        }
+    };
+
+    let match;
+    while ((match = tagPattern.exec(html))) {
+        addText(html.slice(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+        const [, closingName, openingName, attributeSource] = match;
+
+        if (closingName) {
+            const name = closingName.toLowerCase();
+            let element = current;
+            while (element !== root && element.tag !== name) {
+                element = element.parent;
+            }
+            if (element !== root) {
+                current = element.parent;
+            }
+        } else if (openingName) {
+            const name = openingName.toLowerCase();
+            if (SELF_CLOSING_SIBLINGS.has(name) && current.tag === name) {
+                current = current.parent;
+            }
+
+            const element = createElement(name, parseAttributes(attributeSource), current, lineAt(match.index));
+            current.children.push(element);
+
+            if (RAW_TEXT_ELEMENTS.has(name)) {
+                const closeIndex = html.toLowerCase().indexOf(`</${name}`, tagPattern.lastIndex);
+                const contentEnd = closeIndex === -1 ? html.length : closeIndex;
+                element.children.push({ text: html.slice(tagPattern.lastIndex, contentEnd), parent: element });
+                const closeEnd = closeIndex === -1 ? -1 : html.indexOf('>', closeIndex);
+                tagPattern.lastIndex = closeEnd === -1 ? html.length : closeEnd + 1;
+                lastIndex = tagPattern.lastIndex;
+            } else if (!VOID_ELEMENTS.has(name) && !/\/\s*$/.test(attributeSource)) {
+                current = element;
+            }
+        }
+    }
+
+    addText(html.slice(lastIndex));
+    return root;
+}
+
+function* walk(node) {
+    for (const child of node.children || []) {
+        if (child.tag) {
+            yield child;
+            yield* walk(child);
+        }
+    }
+}
+
+// Text content, leaving out scripts and styles
+function getText(node) {
+    if (node.text !== undefined) {
+        return node.text;
+    }
+    return node.children
+        .map(child => (child.tag === 'script' || child.tag === 'style' ? '' : getText(child)))
+        .join('');
+}
+
+function describeElement(element) {
+    const id = element.attributes.get('id');
+    const className = element.attributes.get('class');
+    const name = `<${element.tag}${id ? `#${id}` : ''}${!id && className ? `.${className.trim().split(/\s+/)[0]}` : ''}>`;
+    return `${name} on line ${element.line}`;
+}
+
+// Rules of a stylesheet as { selector, declarations }, with @media and
+// @supports blocks flattened into the list and other at-rules dropped
+export function parseCss(css) {
+    const rules = [];
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    let index = 0;
+
+    while (index < source.length) {
+        const open = source.indexOf('{', index);
+        if (open === -1) {
+            break;
+        }
+
+        let depth = 1;
+        let close = open + 1;
+        while (close < source.length && depth > 0) {
+            if (source[close] === '{') {
+                depth++;
+            } else if (source[close] === '}') {
+                depth--;
+            }
+            close++;
+        }
+
+        const prelude = source.slice(index, open).replace(/^[\s\S]*;/, '').trim();
+        const body = source.slice(open + 1, close - 1);
+
+        if (/^@(media|supports)/i.test(prelude)) {
+            rules.push(...parseCss(body));
+        } else if (!prelude.startsWith('@')) {
+            const declarations = new Map();
+            for (const declaration of body.split(';')) {
+                const colon = declaration.indexOf(':');
+                if (colon !== -1) {
+                    declarations.set(
+                        declaration.slice(0, colon).trim().toLowerCase(),
+                        declaration.slice(colon + 1).replace(/!important/i, '').trim()
+                    );
+                }
+            }
+            rules.push({ selector: prelude, declarations });
+        }
+
+        index = close;
+    }
+
+    return rules;
+}
+
+// ----------------------------------------------------------------------------
+// Colors and sizes
+// ----------------------------------------------------------------------------
+
+function resolveVariables(value, variables, depth = 0) {
+    if (depth > 5) {
+        return value;
+    }
+    return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g, (_, name, fallback) => {
+        const resolved = variables.get(name) ?? fallback ?? '';
+        return resolveVariables(resolved.trim(), variables, depth + 1);
+    });
+}
+
+// [r, g, b, alpha] of a solid color, or null for gradients, images and keywords
+export function parseColor(value) {
+    const color = value.trim().toLowerCase();
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = [...digits].map(digit => digit + digit).join('');
+        }
+        if (digits.length !== 6 && digits.length !== 8) {
+            return null;
+        }
+        const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+        return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+    }
+
+    const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+    if (rgb) {
+        const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : Number(rgb[4]);
+        return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), alpha];
+    }
+
+    return NAMED_COLORS[color] ? [...NAMED_COLORS[color], 1] : null;
+}
+
+// The color of a `background` shorthand, when it is a plain color
+function getBackgroundColor(declarations, variables) {
+    const value = declarations.get('background-color') ?? declarations.get('background');
+    if (value === undefined) {
+        return undefined;
+    }
+    const resolved = resolveVariables(value, variables);
+    return parseColor(resolved) ?? parseColor(resolved.split(/\s+(?![^(]*\))/).at(-1) || '');
+}
+
+function blend([r, g, b, alpha], [br, bg, bb]) {
+    return [r * alpha + br * (1 - alpha), g * alpha + bg * (1 - alpha), b * alpha + bb * (1 - alpha)];
+}
+
+function luminance(color) {
+    const [r, g, b] = color.map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function getContrastRatio(foreground, background) {
+    const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// A CSS length in pixels, taking 1rem and 1em as 16px; null for anything relative
+function toPixels(value) {
+    const match = String(value).trim().match(/^(-?[\d.]+)(px|rem|em)?$/i);
+    if (!match) {
+        return null;
+    }
+    const number = Number(match[1]);
+    return !match[2] || match[2].toLowerCase() === 'px' ? number : number * 16;
+}
+
+function isLargeText(declarations, variables) {
+    const size = toPixels(resolveVariables(declarations.get('font-size') || '', variables));
+    const weight = resolveVariables(declarations.get('font-weight') || '', variables);
+    const bold = weight === 'bold' || weight === 'bolder' || Number(weight) >= 700;
+    return size !== null && (size >= 24 || (bold && size >= 18.66));
+}
+
+// ----------------------------------------------------------------------------
+// Checks
+// ----------------------------------------------------------------------------
+
+function checkImages(document) {
+    return [...walk(document)]
+        .filter(element => (element.tag === 'img' || (element.tag === 'input' && element.attributes.get('type')?.toLowerCase() === 'image'))
+            && !element.attributes.has('alt')
+            && !element.attributes.has('aria-label')
+            && !element.attributes.has('aria-labelledby')
+            && !['presentation', 'none'].includes(element.attributes.get('role'))
+            && element.attributes.get('aria-hidden') !== 'true')
+        .map(element => describeElement(element));
+}
+
+function hasAccessibleName(element) {
+    return ['aria-label', 'aria-labelledby', 'title'].some(name => element.attributes.get(name)?.trim());
+}
+
+function checkControlLabels(document) {
+    const elements = [...walk(document)];
+    const labelledIds = new Set(elements
+        .filter(element => element.tag === 'label' && element.attributes.get('for'))
+        .map(element => element.attributes.get('for')));
+    const examples = [];
+
+    for (const element of elements) {
+        const type = element.attributes.get('type')?.toLowerCase() || 'text';
+        const isControl = element.tag === 'select' || element.tag === 'textarea' || (element.tag === 'input' && !UNLABELED_INPUT_TYPES.has(type));
+
+        if (isControl) {
+            let ancestor = element.parent;
+            while (ancestor && ancestor.tag !== 'label') {
+                ancestor = ancestor.parent;
+            }
+            if (!ancestor && !hasAccessibleName(element) && !labelledIds.has(element.attributes.get('id'))) {
+                examples.push(`${describeElement(element)}${element.attributes.get('placeholder') ? ' (a placeholder is not a label)' : ''}`);
+            }
+        } else if (element.tag === 'button' || (element.tag === 'input' && ['submit', 'button', 'reset'].includes(type))) {
+            const text = element.tag === 'button' ? getText(element) : element.attributes.get('value') || (type === 'button' ? '' : type);
+            const imageAlt = [...walk(element)].some(child => child.tag === 'img' && child.attributes.get('alt')?.trim());
+            if (!text.trim() && !imageAlt && !hasAccessibleName(element)) {
+                examples.push(`${describeElement(element)} has no text`);
+            }
+        }
+    }
+
+    return examples;
+}
+
+function checkHeadingOrder(document) {
+    const headings = [...walk(document)]
+        .filter(element => /^h[1-6]$/.test(element.tag))
+        .map(element => ({ element, level: Number(element.tag[1]) }));
+    const examples = [];
+
+    if (headings.length > 0 && !headings.some(heading => heading.level === 1)) {
+        examples.push('The page has no <h1>');
+    }
+
+    headings.forEach((heading, index) => {
+        const previous = index === 0 ? 0 : headings[index - 1].level;
+        if (index > 0 && heading.level > previous + 1) {
+            examples.push(`${describeElement(heading.element)} follows an <h${previous}>`);
+        }
+    });
+
+    return examples;
+}
+
+// Elements with an onclick attribute, or found by id in a script and given a
+// click listener, that are neither interactive nor focusable with a role
+function checkClickHandlers(document, scripts) {
+    const clickedIds = new Set();
+    for (const script of scripts) {
+        const variables = new Map();
+        for (const match of script.matchAll(/(?:const|let|var)\s+(\w+)\s*=\s*document\.(?:getElementById\(\s*['"]([\w-]+)['"]|querySelector\(\s*['"]#([\w-]+)['"])\s*\)/g)) {
+            variables.set(match[1], match[2] || match[3]);
+        }
+        for (const match of script.matchAll(/document\.(?:getElementById\(\s*['"]([\w-]+)['"]|querySelector\(\s*['"]#([\w-]+)['"])\s*\)\s*\.(?:addEventListener\(\s*['"]click['"]|onclick\s*=)/g)) {
+            clickedIds.add(match[1] || match[2]);
+        }
+        for (const [name, id] of variables) {
+            if (new RegExp(`\\b${name}\\s*\\.\\s*(?:addEventListener\\(\\s*['"]click['"]|onclick\\s*=)`).test(script)) {
+                clickedIds.add(id);
+            }
+        }
+    }
+
+    const examples = [];
+    for (const element of walk(document)) {
+        const clickable = element.attributes.has('onclick') || clickedIds.has(element.attributes.get('id'));
+        if (!clickable || INTERACTIVE_ELEMENTS.has(element.tag) || ['body', 'html', 'form'].includes(element.tag)) {
+            continue;
+        }
+
+        const role = element.attributes.get('role');
+        if (!INTERACTIVE_ROLES.has(role)) {
+            examples.push(`${describeElement(element)} has no role`);
+        } else if (!element.attributes.has('tabindex')) {
+            examples.push(`${describeElement(element)} has role="${role}" but no tabindex`);
+        }
+    }
+
+    return examples;
+}
+
+function checkViewport(document) {
+    const meta = [...walk(document)].find(element => element.tag === 'meta' && element.attributes.get('name')?.toLowerCase() === 'viewport');
+    if (!meta) {
+        return ['No <meta name="viewport">, so phones show the desktop layout zoomed out'];
+    }
+
+    const content = (meta.attributes.get('content') || '').toLowerCase().replace(/\s+/g, '');
+    const examples = [];
+    if (!content.includes('width=device-width')) {
+        examples.push('The viewport meta tag does not set width=device-width');
+    }
+    const maximumScale = content.match(/maximum-scale=([\d.]+)/);
+    if (content.includes('user-scalable=no') || content.includes('user-scalable=0') || (maximumScale && Number(maximumScale[1]) < 2)) {
+        examples.push('The viewport meta tag stops people from zooming');
+    }
+    return examples;
+}
+
+function checkContrast(rules, variables) {
+    const page = rules.filter(rule => /(^|,)\s*(html|body|:root)\s*(,|$)/.test(rule.selector));
+    const pageBackground = page.map(rule => getBackgroundColor(rule.declarations, variables)).filter(Boolean).at(-1);
+    const canvas = pageBackground ? blend(pageBackground, [255, 255, 255]) : [255, 255, 255];
+    const examples = [];
+
+    for (const rule of rules) {
+        const colorValue = rule.declarations.get('color');
+        if (!colorValue) {
+            continue;
+        }
+
+        const color = parseColor(resolveVariables(colorValue, variables));
+        const background = getBackgroundColor(rule.declarations, variables);
+        // A background that is not a plain color (an image or gradient) cannot be judged
+        if (!color || background === null) {
+            continue;
+        }
+
+        const backdrop = background ? blend(background, canvas) : canvas;
+        const ratio = getContrastRatio(blend(color, backdrop), backdrop);
+        const required = isLargeText(rule.declarations, variables) ? 3 : 4.5;
+        if (ratio < required) {
+            examples.push(`${rule.selector}: ${ratio.toFixed(2)}:1, needs ${required}:1`);
+        }
+    }
+
+    return examples;
+}
+
+function getTargetSizeProblems(declarations, variables) {
+    return ['height', 'width']
+        .map(dimension => {
+            const size = toPixels(resolveVariables(declarations.get(dimension) || '', variables));
+            const minimum = toPixels(resolveVariables(declarations.get(`min-${dimension}`) || '', variables));
+            return size !== null && size > 0 && size < MIN_TARGET_SIZE && !(minimum >= MIN_TARGET_SIZE) ? `${dimension} ${size}px` : null;
+        })
+        .filter(Boolean);
+}
+
+// Explicit widths and heights under 24px (WCAG 2.5.8) on rules for links,
+// buttons and inputs, and in the inline styles of those elements
+function checkTouchTargets(document, rules, variables) {
+    const examples = [];
+
+    for (const rule of rules) {
+        if (!TARGET_SELECTOR_PATTERN.test(rule.selector) || /checkbox|radio|::?(before|after)/i.test(rule.selector)) {
+            continue;
+        }
+        const problems = getTargetSizeProblems(rule.declarations, variables);
+        if (problems.length > 0) {
+            examples.push(`${rule.selector}: ${problems.join(', ')}`);
+        }
+    }
+
+    for (const element of walk(document)) {
+        const style = element.attributes.get('style');
+        if (!style || !(['a', 'button', 'select'].includes(element.tag) || element.attributes.get('role') === 'button')) {
+            continue;
+        }
+        const problems = getTargetSizeProblems(parseCss(`x{${style}}`)[0].declarations, variables);
+        if (problems.length > 0) {
+            examples.push(`${describeElement(element)}: ${problems.join(', ')}`);
+        }
+    }
+
+    return examples;
+}
+
+// ----------------------------------------------------------------------------
+// Report
+// ----------------------------------------------------------------------------
+
+function getStylesheetPaths(document, htmlPath) {
+    return [...walk(document)]
+        .filter(element => element.tag === 'link' && /stylesheet/i.test(element.attributes.get('rel') || '') && element.attributes.get('href'))
+        .map(element => posix.normalize(posix.join(posix.dirname(htmlPath), element.attributes.get('href').split(/[?#]/)[0])));
+}
+
+export function auditHtml(html, { path = 'index.html', stylesheets = {} } = {}) {
+    const document = parseHtml(html);
+    const elements = [...walk(document)];
+    const scripts = elements.filter(element => element.tag === 'script').map(getText);
+    const css = [
+        ...getStylesheetPaths(document, path).map(stylesheet => stylesheets[stylesheet] || ''),
+        ...elements.filter(element => element.tag === 'style').map(getText)
+    ];
+    const rules = css.flatMap(parseCss);
+    const variables = new Map(rules.flatMap(rule => [...rule.declarations].filter(([name]) => name.startsWith('--'))));
+
+    const checks = {
+        'image-alt': checkImages(document),
+        'control-label': checkControlLabels(document),
+        'click-handler': checkClickHandlers(document, scripts),
+        'viewport': checkViewport(document),
+        'color-contrast': checkContrast(rules, variables),
+        'heading-order': checkHeadingOrder(document),
+        'touch-target': checkTouchTargets(document, rules, variables)
+    };
+
+    return Object.entries(checks)
+        .filter(([, examples]) => examples.length > 0)
+        .map(([rule, examples]) => ({
+            rule,
+            severity: ACCESSIBILITY_RULES[rule].severity,
+            file: path,
+            message: ACCESSIBILITY_RULES[rule].label,
+            count: examples.length,
+            examples: examples.slice(0, MAX_EXAMPLES)
+        }));
+}
+
+// Checks every HTML file of a prototype against the stylesheets it links.
+// The score starts at 100 and loses points per finding by severity.
+export function auditPrototype(files) {
+    const stylesheets = Object.fromEntries(files
+        .filter(file => posix.extname(file.path).toLowerCase() === '.css')
+        .map(file => [posix.normalize(file.path), file.content]));
+    const pages = files.filter(file => posix.extname(file.path).toLowerCase() === '.html');
+    const findings = pages.flatMap(file => auditHtml(file.content, { path: file.path, stylesheets }));
+    const penalty = findings.reduce(
+        (sum, finding) => sum + SEVERITY_WEIGHTS[finding.severity] * Math.min(finding.count, MAX_COUNTED_FINDINGS),
+        0
+    );
+
+    return {
+        score: Math.max(0, 100 - penalty),
+        findings,
+        pages: pages.map(file => file.path),
+        checkedAt: new Date().toISOString()
+    };
+}
@@ -0,0 +1,194 @@
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { createJsonStore } from './json-store.js';
+
+// API tokens and webhooks for /api/v1. Tokens act as the user who made them,
+// limited to their scopes, and are stored only as SHA-256 hashes, so the
+// token is shown once. Webhook secrets have to be kept as they are to sign
+// deliveries; the JSON store keeps the file readable by the app's user only.
+
+export const API_SCOPES = {
+    'builds:write': 'Start builds',
+    'builds:read': 'Read build status and progress',
+    'prototypes:read': 'List prototypes and download their files',
+    'webhooks:write': 'Manage webhooks'
+};
+
+export const WEBHOOK_EVENTS = ['build.succeeded', 'build.failed'];
+
+const TOKEN_PREFIX = 'wtp_';
+const MAX_NAME_LENGTH = 80;
+const MAX_WEBHOOK_URL_LENGTH = 2000;
+// lastUsedAt is written at most this often per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export class ApiStoreError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ApiStoreError';
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+// What the token list shows; never the hash
+export function toPublicToken(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        prefix: record.prefix,
+        scopes: record.scopes,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt,
+        lastUsedAt: record.lastUsedAt
+    };
+}
+
+// What the webhook list shows; the secret only comes back when it is made
+export function toPublicWebhook(webhook, deliveries = []) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        events: webhook.events,
+        createdAt: webhook.createdAt,
+        deliveries
+    };
+}
+
+function validateName(name) {
+    const text = typeof name === 'string' ? name.trim() : '';
+    if (!text || text.length > MAX_NAME_LENGTH) {
+        throw new ApiStoreError(`Name the token (up to ${MAX_NAME_LENGTH} characters) so you can tell it apart later`);
+    }
+    return text;
+}
+
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !Object.hasOwn(API_SCOPES, scope))) {
+        throw new ApiStoreError(`scopes must list one or more of ${Object.keys(API_SCOPES).join(', ')}`);
+    }
+    return [...new Set(scopes)];
+}
+
+function validateWebhookUrl(url) {
+    if (typeof url !== 'string' || url.length > MAX_WEBHOOK_URL_LENGTH || !URL.canParse(url)
+        || !['http:', 'https:'].includes(new URL(url).protocol)) {
+        throw new ApiStoreError('url must be an http(s) URL');
+    }
+    return url;
+}
+
+function validateEvents(events) {
+    if (events === undefined) {
+        return [...WEBHOOK_EVENTS];
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        throw new ApiStoreError(`events must list one or more of ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return [...new Set(events)];
+}
+
+export function createApiStore({ file }) {
+    const { load, change } = createJsonStore({ file, empty: () => ({ tokens: [], webhooks: [] }) });
+
+    return {
+        // Returns the record and the raw token; only its hash is stored
+        async createToken({ userId = null, name, scopes, expiresAt = null }) {
+            const token = `${TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+            const record = {
+                id: randomUUID(),
+                userId,
+                name: validateName(name),
+                prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+                tokenHash: hashToken(token),
+                scopes: validateScopes(scopes),
+                createdAt: new Date().toISOString(),
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                lastUsedAt: null
+            };
+
+            await change(store => {
+                store.tokens.push(record);
+            });
+            return { record, token };
+        },
+
+        async listTokens(userId = null) {
+            return (await load()).tokens.filter(record => record.userId === userId);
+        },
+
+        // The token's record, or null when it is unknown or expired
+        async verifyToken(token) {
+            if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+                return null;
+            }
+
+            const tokenHash = hashToken(token);
+            const record = (await load()).tokens.find(entry => entry.tokenHash === tokenHash);
+            if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) {
+                return null;
+            }
+
+            if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > TOUCH_INTERVAL_MS) {
+                await change(() => {
+                    record.lastUsedAt = new Date().toISOString();
+                });
+            }
+            return record;
+        },
+
+        async revokeToken(id, userId = null) {
+            return change(store => {
+                const record = store.tokens.find(entry => entry.id === id && entry.userId === userId);
+                if (!record) {
+                    throw new ApiStoreError('Token not found', 404);
+                }
+                store.tokens = store.tokens.filter(entry => entry !== record);
+                return record;
+            });
+        },
+
+        // Returns the webhook with its signing secret
+        async createWebhook({ userId = null, url, events }) {
+            const webhook = {
+                id: randomUUID(),
+                userId,
+                url: validateWebhookUrl(url),
+                events: validateEvents(events),
+                secret: `whsec_${randomBytes(24).toString('base64url')}`,
+                createdAt: new Date().toISOString()
+            };
+
+            await change(store => {
+                store.webhooks.push(webhook);
+            });
+            return webhook;
+        },
+
+        async listWebhooks(userId = null) {
+            return (await load()).webhooks.filter(webhook => webhook.userId === userId);
+        },
+
+        async getWebhook(id, userId = null) {
+            return (await load()).webhooks.find(webhook => webhook.id === id && webhook.userId === userId) || null;
+        },
+
+        // Webhooks of the user that asked for an event
+        async findWebhooks(userId, event) {
+            return (await load()).webhooks.filter(webhook => webhook.userId === userId && webhook.events.includes(event));
+        },
+
+        async removeWebhook(id, userId = null) {
+            return change(store => {
+                const webhook = store.webhooks.find(entry => entry.id === id && entry.userId === userId);
+                if (!webhook) {
+                    throw new ApiStoreError('Webhook not found', 404);
+                }
+                store.webhooks = store.webhooks.filter(entry => entry !== webhook);
+                return webhook;
+            });
+        }
+    };
+}
@@ -0,0 +1,59 @@
+// Why a model call or build failed, in the few categories that decide what
+// happens next: transient ones (rate limits, overload, timeouts, dropped
+// connections) are retried after a growing pause, the rest fail the build
+// straight away. Provider errors are classified by HTTP status, which the
+// Anthropic SDK and the OpenAI-compatible provider both set, or by the error
+// type in the message when the stream broke after the response had started.
+
+export const ERROR_CATEGORIES = ['auth', 'rate_limit', 'overloaded', 'invalid_output', 'timeout', 'connection', 'other'];
+
+const TRANSIENT_CATEGORIES = ['rate_limit', 'overloaded', 'timeout', 'connection'];
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Output that could not be used even after the repair rounds
+export class ModelOutputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModelOutputError';
+    }
+}
+
+export function classifyError(error) {
+    if (error instanceof ModelOutputError) {
+        return 'invalid_output';
+    }
+
+    const status = Number(error?.status);
+    const message = String(error?.message || '');
+    const name = error?.constructor?.name || error?.name || '';
+
+    if (status === 401 || status === 403 || /authentication_error|permission_error/.test(message)) {
+        return 'auth';
+    }
+    if (status === 429 || /rate_limit_error/.test(message)) {
+        return 'rate_limit';
+    }
+    if (status === 408 || name === 'APIConnectionTimeoutError' || name === 'TimeoutError') {
+        return 'timeout';
+    }
+    // 529 is Anthropic's "overloaded"; other server errors pass the same way
+    if (status >= 500 || /overloaded_error|api_error/.test(message)) {
+        return 'overloaded';
+    }
+    if (name === 'APIConnectionError' || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE'].includes(error?.code)) {
+        return 'connection';
+    }
+    return 'other';
+}
+
+export function isTransient(category) {
+    return TRANSIENT_CATEGORIES.includes(category);
+}
+
+// Doubles from `baseMs` with each attempt (1-based), or waits as long as the
+// provider's Retry-After asks when that is longer, up to a minute
+export function getRetryDelay(attempt, baseMs, error = null) {
+    const backoff = baseMs * 2 ** (attempt - 1);
+    const retryAfter = Number(error?.headers?.['retry-after']) * 1000;
+    return Math.min(MAX_RETRY_DELAY_MS, Math.max(backoff, Number.isFinite(retryAfter) ? retryAfter : 0));
+}
@@ -0,0 +1,472 @@
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+// Settings come from three layers, later ones winning:
+//   1. the defaults below
+//   2. an optional JSON config file (CONFIG_FILE, or whiteboard.config.json in the app folder)
+//   3. environment variables, which is how render.yaml configures the service
+// Everything is validated once at startup and every problem is reported together.
+
+export const DEFAULT_MODELS = {
+    'claude-opus-4-5-20251101': {
+        label: 'Claude Opus 4.5',
+        provider: 'anthropic',
+        aliases: ['claude-opus-4-5'],
+        inputCostPerMillion: 5,
+        outputCostPerMillion: 25
+    },
+    'claude-sonnet-4-5-20250929': {
+        label: 'Claude Sonnet 4.5',
+        provider: 'anthropic',
+        aliases: ['claude-sonnet-4-5'],
+        inputCostPerMillion: 3,
+        outputCostPerMillion: 15
+    },
+    'claude-haiku-4-5-20251001': {
+        label: 'Claude Haiku 4.5',
+        provider: 'anthropic',
+        aliases: ['claude-haiku-4-5'],
+        inputCostPerMillion: 1,
+        outputCostPerMillion: 5
+    },
+    mock: {
+        label: 'Mock (fixtures)',
+        provider: 'mock',
+        aliases: [],
+        inputCostPerMillion: 0,
+        outputCostPerMillion: 0
+    }
+};
+
+const DEFAULTS = {
+    dataRoot: '.',
+    provider: 'anthropic',
+    model: 'claude-opus-4-5-20251101',
+    maxTokens: 16384,
+    maxImageSize: 1024,
+    maxConcurrentJobs: 2,
+    jobRetentionMinutes: 60,
+    // Model calls that fail with a rate limit, overload, timeout or dropped
+    // connection are tried again this many times, waiting retryDelayMs and then
+    // twice as long each time
+    modelRetries: 3,
+    modelRetryDelayMs: 2000,
+    // Read each sketch into a structured spec before generating code from it
+    sketchAnalysis: true,
+    // Auto-crop and light correction for whiteboards sent without options of their own
+    imageEnhancement: true,
+    // Send the accessibility report's findings back to the model for one more
+    // pass, unless a build says otherwise
+    accessibilityFix: false,
+    // 0 keeps prototypes forever
+    retentionDays: 0,
+    retentionSweepMinutes: 60,
+    // Where generated prototypes are served from; blank means the app's own origin
+    previewOrigin: '',
+    // A second port that serves only prototypes; 0 turns it off
+    previewPort: 0,
+    auth: {
+        // none (anyone who can reach the app), local (accounts with passwords)
+        // or trusted-header (a sign-in proxy in front of the app names the user)
+        mode: 'none',
+        trustedHeader: 'x-forwarded-user',
+        sessionDays: 7,
+        allowSignup: false,
+        // Usernames that are always admins
+        admins: [],
+        // Whether accounts created by sign-up or the trusted header may use ANTHROPIC_API_KEY
+        serverKeyForNewUsers: false
+    },
+    // Spend limits on builds paid for with ANTHROPIC_API_KEY, in dollars per UTC
+    // day or month; 0 means no limit. "client" limits apply to each signed-in
+    // user, or to each IP address when sign-in is off.
+    budgets: {
+        dailyUsd: 0,
+        monthlyUsd: 0,
+        clientDailyUsd: 0,
+        clientMonthlyUsd: 0
+    },
+    // Reverse proxies in front of the app whose X-Forwarded-For is believed, so
+    // per-IP limits see the visitor's address rather than the proxy's
+    trustProxy: 0,
+    // Builds and refinements each client may start per window; 0 means no limit
+    rateLimit: {
+        builds: 0,
+        windowMinutes: 60
+    },
+    // Webhook deliveries that fail (a connection error, timeout, 429 or 5xx) are
+    // tried again this many times, waiting retryDelayMs and then twice as long.
+    // Receivers on loopback or a private network are refused unless
+    // allowPrivateAddresses is on (for a server that only its own team uses).
+    webhooks: {
+        retries: 3,
+        retryDelayMs: 2000,
+        timeoutMs: 10000,
+        allowPrivateAddresses: false
+    },
+    models: {},
+    openaiCompatible: {
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llava',
+        apiKey: ''
+    },
+    mock: {
+        fixturesDir: 'fixtures/mock',
+        delayMs: 0,
+        // Error categories the next model calls fail with, one per call (for trying out failures)
+        failures: []
+    }
+};
+
+// Environment variable -> [config path, type]
+const ENV_VARIABLES = {
+    DATA_ROOT: ['dataRoot', 'string'],
+    MODEL_PROVIDER: ['provider', 'string'],
+    ANTHROPIC_MODEL: ['model', 'string'],
+    MAX_TOKENS: ['maxTokens', 'integer'],
+    MAX_IMAGE_SIZE: ['maxImageSize', 'integer'],
+    MAX_CONCURRENT_JOBS: ['maxConcurrentJobs', 'integer'],
+    JOB_RETENTION_MINUTES: ['jobRetentionMinutes', 'integer'],
+    MODEL_RETRIES: ['modelRetries', 'integer'],
+    MODEL_RETRY_DELAY_MS: ['modelRetryDelayMs', 'integer'],
+    SKETCH_ANALYSIS: ['sketchAnalysis', 'boolean'],
+    IMAGE_ENHANCEMENT: ['imageEnhancement', 'boolean'],
+    ACCESSIBILITY_FIX: ['accessibilityFix', 'boolean'],
+    RETENTION_DAYS: ['retentionDays', 'integer'],
+    RETENTION_SWEEP_MINUTES: ['retentionSweepMinutes', 'integer'],
+    PREVIEW_ORIGIN: ['previewOrigin', 'string'],
+    PREVIEW_PORT: ['previewPort', 'integer'],
+    AUTH_MODE: ['auth.mode', 'string'],
+    AUTH_TRUSTED_HEADER: ['auth.trustedHeader', 'string'],
+    AUTH_SESSION_DAYS: ['auth.sessionDays', 'integer'],
+    AUTH_ALLOW_SIGNUP: ['auth.allowSignup', 'boolean'],
+    AUTH_ADMINS: ['auth.admins', 'list'],
+    AUTH_SERVER_KEY_FOR_NEW_USERS: ['auth.serverKeyForNewUsers', 'boolean'],
+    BUDGET_DAILY_USD: ['budgets.dailyUsd', 'number'],
+    BUDGET_MONTHLY_USD: ['budgets.monthlyUsd', 'number'],
+    BUDGET_CLIENT_DAILY_USD: ['budgets.clientDailyUsd', 'number'],
+    BUDGET_CLIENT_MONTHLY_USD: ['budgets.clientMonthlyUsd', 'number'],
+    TRUST_PROXY: ['trustProxy', 'integer'],
+    RATE_LIMIT_BUILDS: ['rateLimit.builds', 'integer'],
+    RATE_LIMIT_WINDOW_MINUTES: ['rateLimit.windowMinutes', 'integer'],
+    WEBHOOK_RETRIES: ['webhooks.retries', 'integer'],
+    WEBHOOK_RETRY_DELAY_MS: ['webhooks.retryDelayMs', 'integer'],
+    WEBHOOK_TIMEOUT_MS: ['webhooks.timeoutMs', 'integer'],
+    WEBHOOK_ALLOW_PRIVATE: ['webhooks.allowPrivateAddresses', 'boolean'],
+    OPENAI_COMPATIBLE_BASE_URL: ['openaiCompatible.baseUrl', 'string'],
+    OPENAI_COMPATIBLE_MODEL: ['openaiCompatible.model', 'string'],
+    OPENAI_COMPATIBLE_API_KEY: ['openaiCompatible.apiKey', 'string'],
+    MOCK_FIXTURES_DIR: ['mock.fixturesDir', 'string'],
+    MOCK_DELAY_MS: ['mock.delayMs', 'integer'],
+    MOCK_FAILURES: ['mock.failures', 'list']
+};
+
+const INTEGER_RANGES = {
+    maxTokens: [1, 128000],
+    maxImageSize: [64, 8192],
+    maxConcurrentJobs: [1, 32],
+    jobRetentionMinutes: [1, 7 * 24 * 60],
+    modelRetries: [0, 10],
+    modelRetryDelayMs: [0, 60000],
+    retentionDays: [0, 3650],
+    retentionSweepMinutes: [1, 24 * 60],
+    previewPort: [0, 65535],
+    'auth.sessionDays': [1, 365],
+    trustProxy: [0, 10],
+    'rateLimit.builds': [0, 10000],
+    'rateLimit.windowMinutes': [1, 24 * 60],
+    'webhooks.retries': [0, 10],
+    'webhooks.retryDelayMs': [0, 10 * 60 * 1000],
+    'webhooks.timeoutMs': [100, 60000],
+    'mock.delayMs': [0, 10000]
+};
+
+const AUTH_MODES = ['none', 'local', 'trusted-header'];
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((value, key) => {
+        value[key] = { ...value[key] };
+        return value[key];
+    }, object);
+    target[last] = value;
+}
+
+function readConfigFile(path, problems) {
+    try {
+        const file = JSON.parse(readFileSync(path, 'utf-8'));
+        if (!file || typeof file !== 'object' || Array.isArray(file)) {
+            problems.push(`${path} must contain a JSON object`);
+            return {};
+        }
+        return file;
+    } catch (error) {
+        problems.push(`${path} could not be read: ${error.message}`);
+        return {};
+    }
+}
+
+function mergeSettings(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+            ? { ...base[key], ...value }
+            : value;
+    }
+    return merged;
+}
+
+// An origin only (scheme, host and optional port), without a trailing slash
+function validateOrigin(name, value, problems) {
+    if (!value) {
+        return '';
+    }
+
+    try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol) || url.pathname !== '/' || url.search || url.hash) {
+            throw new Error('not an origin');
+        }
+        return url.origin;
+    } catch {
+        problems.push(`${name} must be an http(s) origin such as https://previews.example.com (got "${value}")`);
+        return '';
+    }
+}
+
+// Prompt cache prices, as multiples of the input price, for models that do
+// not set their own: writing to the cache costs a quarter more than plain
+// input and reading from it a tenth as much
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+function validateModels(models, problems) {
+    const validated = {};
+
+    for (const [id, model] of Object.entries(models)) {
+        if (!model || typeof model !== 'object') {
+            problems.push(`models.${id} must be an object`);
+            continue;
+        }
+
+        for (const field of ['inputCostPerMillion', 'outputCostPerMillion']) {
+            if (typeof model[field] !== 'number' || !Number.isFinite(model[field]) || model[field] < 0) {
+                problems.push(`models.${id}.${field} must be a number of dollars, 0 or more`);
+            }
+        }
+
+        for (const field of ['cacheWriteCostPerMillion', 'cacheReadCostPerMillion']) {
+            if (model[field] !== undefined && (typeof model[field] !== 'number' || !Number.isFinite(model[field]) || model[field] < 0)) {
+                problems.push(`models.${id}.${field} must be a number of dollars, 0 or more`);
+            }
+        }
+
+        validated[id] = {
+            label: typeof model.label === 'string' && model.label.trim() ? model.label.trim() : id,
+            provider: model.provider || 'anthropic',
+            aliases: Array.isArray(model.aliases) ? model.aliases : [],
+            inputCostPerMillion: model.inputCostPerMillion,
+            outputCostPerMillion: model.outputCostPerMillion,
+            cacheWriteCostPerMillion: model.cacheWriteCostPerMillion ?? model.inputCostPerMillion * CACHE_WRITE_MULTIPLIER,
+            cacheReadCostPerMillion: model.cacheReadCostPerMillion ?? model.inputCostPerMillion * CACHE_READ_MULTIPLIER
+        };
+    }
+
+    return validated;
+}
+
+export function findModel(models, idOrAlias) {
+    if (models[idOrAlias]) {
+        return { id: idOrAlias, ...models[idOrAlias] };
+    }
+
+    const match = Object.entries(models).find(([, model]) => model.aliases.includes(idOrAlias));
+    return match ? { id: match[0], ...match[1] } : null;
+}
+
+export function loadConfig({ rootDir, env = process.env, providers = [] }) {
+    const problems = [];
+
+    const configFile = env.CONFIG_FILE
+        ? resolve(rootDir, env.CONFIG_FILE)
+        : join(rootDir, 'whiteboard.config.json');
+    const fromFile = existsSync(configFile) || env.CONFIG_FILE ? readConfigFile(configFile, problems) : {};
+
+    let settings = mergeSettings(DEFAULTS, fromFile);
+
+    for (const [name, [path, type]] of Object.entries(ENV_VARIABLES)) {
+        const raw = env[name];
+        if (raw === undefined || raw.trim() === '') {
+            continue;
+        }
+
+        if (type === 'integer') {
+            if (!/^-?\d+$/.test(raw.trim())) {
+                problems.push(`${name} must be a whole number (got "${raw}")`);
+                continue;
+            }
+            setPath(settings, path, parseInt(raw, 10));
+        } else if (type === 'number') {
+            if (!/^\d+(\.\d+)?$/.test(raw.trim())) {
+                problems.push(`${name} must be a number (got "${raw}")`);
+                continue;
+            }
+            setPath(settings, path, parseFloat(raw));
+        } else if (type === 'boolean') {
+            if (!/^(true|false|1|0)$/i.test(raw.trim())) {
+                problems.push(`${name} must be true or false (got "${raw}")`);
+                continue;
+            }
+            setPath(settings, path, /^(true|1)$/i.test(raw.trim()));
+        } else if (type === 'list') {
+            setPath(settings, path, raw.split(',').map(item => item.trim()).filter(Boolean));
+        } else {
+            setPath(settings, path, raw.trim());
+        }
+    }
+
+    for (const [path, [min, max]] of Object.entries(INTEGER_RANGES)) {
+        const value = getPath(settings, path);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            problems.push(`${path} must be a whole number from ${min} to ${max} (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    for (const [name, value] of Object.entries(settings.budgets)) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            problems.push(`budgets.${name} must be a dollar amount, 0 or more (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    for (const key of ['sketchAnalysis', 'imageEnhancement', 'accessibilityFix']) {
+        if (typeof settings[key] !== 'boolean') {
+            problems.push(`${key} must be true or false`);
+        }
+    }
+
+    if (!Array.isArray(settings.mock.failures) || settings.mock.failures.some(failure => typeof failure !== 'string')) {
+        problems.push('mock.failures must be a list of error categories');
+    }
+
+    const previewOrigin = validateOrigin('previewOrigin', settings.previewOrigin, problems);
+
+    const { auth } = settings;
+    if (!AUTH_MODES.includes(auth.mode)) {
+        problems.push(`auth.mode must be one of ${AUTH_MODES.join(', ')} (got "${auth.mode}")`);
+    }
+    if (typeof auth.trustedHeader !== 'string' || !/^[A-Za-z0-9-]+$/.test(auth.trustedHeader)) {
+        problems.push(`auth.trustedHeader must be an HTTP header name (got ${JSON.stringify(auth.trustedHeader)})`);
+    }
+    if (!Array.isArray(auth.admins) || auth.admins.some(admin => typeof admin !== 'string')) {
+        problems.push('auth.admins must be a list of usernames');
+    }
+    for (const flag of ['allowSignup', 'serverKeyForNewUsers']) {
+        if (typeof auth[flag] !== 'boolean') {
+            problems.push(`auth.${flag} must be true or false`);
+        }
+    }
+    if (typeof settings.webhooks.allowPrivateAddresses !== 'boolean') {
+        problems.push('webhooks.allowPrivateAddresses must be true or false');
+    }
+
+    if (providers.length > 0 && !providers.includes(settings.provider)) {
+        problems.push(`provider must be one of ${providers.join(', ')} (got "${settings.provider}")`);
+    }
+
+    // Config file entries add models or override fields of the built-in ones
+    const models = validateModels(Object.fromEntries(
+        [...new Set([...Object.keys(DEFAULT_MODELS), ...Object.keys(settings.models)])]
+            .map(id => [id, { ...DEFAULT_MODELS[id], ...settings.models[id] }])
+    ), problems);
+
+    // The local endpoint's model is free unless the config file prices it
+    if (!models[settings.openaiCompatible.model]) {
+        models[settings.openaiCompatible.model] = {
+            label: settings.openaiCompatible.model,
+            provider: 'openai-compatible',
+            aliases: [],
+            inputCostPerMillion: 0,
+            outputCostPerMillion: 0,
+            cacheWriteCostPerMillion: 0,
+            cacheReadCostPerMillion: 0
+        };
+    }
+
+    const defaultModelId = {
+        mock: 'mock',
+        'openai-compatible': settings.openaiCompatible.model
+    }[settings.provider] || settings.model;
+    const defaultModel = findModel(models, defaultModelId);
+
+    if (!defaultModel) {
+        problems.push(`model "${defaultModelId}" has no pricing; add it under "models" in ${configFile}`);
+    } else if (defaultModel.provider !== settings.provider && providers.includes(settings.provider)) {
+        problems.push(`model "${defaultModelId}" belongs to the ${defaultModel.provider} provider, not ${settings.provider}`);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    const dataRoot = resolve(rootDir, settings.dataRoot);
+
+    return {
+        CONFIG_FILE: existsSync(configFile) ? configFile : null,
+        DATA_ROOT: dataRoot,
+        UPLOADS_DIR: join(dataRoot, 'uploads'),
+        OUTPUT_DIR: join(dataRoot, '__output__'),
+        HISTORY_FILE: join(dataRoot, 'history', 'sessions.jsonl'),
+        LEGACY_HISTORY_FILE: join(dataRoot, 'history', 'whiteboard-history.json'),
+        PROVIDER: settings.provider,
+        MODEL: defaultModel.id,
+        MODELS: models,
+        MAX_TOKENS: settings.maxTokens,
+        MAX_IMAGE_SIZE: settings.maxImageSize,
+        MAX_CONCURRENT_JOBS: settings.maxConcurrentJobs,
+        JOB_RETENTION_MS: settings.jobRetentionMinutes * 60 * 1000,
+        MODEL_RETRIES: settings.modelRetries,
+        MODEL_RETRY_DELAY_MS: settings.modelRetryDelayMs,
+        SKETCH_ANALYSIS: settings.sketchAnalysis,
+        IMAGE_ENHANCEMENT: settings.imageEnhancement,
+        ACCESSIBILITY_FIX: settings.accessibilityFix,
+        RETENTION_MS: settings.retentionDays * 24 * 60 * 60 * 1000,
+        RETENTION_SWEEP_MS: settings.retentionSweepMinutes * 60 * 1000,
+        PREVIEW_ORIGIN: previewOrigin,
+        PREVIEW_PORT: settings.previewPort,
+        USERS_FILE: join(dataRoot, 'users', 'users.json'),
+        REVIEWS_FILE: join(dataRoot, 'reviews', 'reviews.json'),
+        API_FILE: join(dataRoot, 'api', 'api.json'),
+        AUTH_MODE: auth.mode,
+        AUTH_TRUSTED_HEADER: auth.trustedHeader.toLowerCase(),
+        AUTH_SESSION_MS: auth.sessionDays * 24 * 60 * 60 * 1000,
+        AUTH_ALLOW_SIGNUP: auth.allowSignup,
+        AUTH_ADMINS: auth.admins.map(admin => admin.trim().toLowerCase()),
+        AUTH_SERVER_KEY_FOR_NEW_USERS: auth.serverKeyForNewUsers,
+        BUDGETS: { ...settings.budgets },
+        TRUST_PROXY: settings.trustProxy,
+        RATE_LIMIT_BUILDS: settings.rateLimit.builds,
+        RATE_LIMIT_WINDOW_MS: settings.rateLimit.windowMinutes * 60 * 1000,
+        WEBHOOK_RETRIES: settings.webhooks.retries,
+        WEBHOOK_RETRY_DELAY_MS: settings.webhooks.retryDelayMs,
+        WEBHOOK_TIMEOUT_MS: settings.webhooks.timeoutMs,
+        WEBHOOK_ALLOW_PRIVATE: settings.webhooks.allowPrivateAddresses,
+        OPENAI_COMPATIBLE_BASE_URL: settings.openaiCompatible.baseUrl,
+        OPENAI_COMPATIBLE_API_KEY: settings.openaiCompatible.apiKey,
+        MOCK_FIXTURES_DIR: resolve(rootDir, settings.mock.fixturesDir),
+        MOCK_DELAY_MS: settings.mock.delayMs,
+        MOCK_FAILURES: [...settings.mock.failures]
+    };
+}
@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+
+// Fingerprints that let a build be matched against earlier ones. A build's
+// fingerprint hashes the whiteboards exactly as uploaded with everything else
+// that shapes the output, so the same request can be answered with the
+// prototype it already made. A whiteboard's perceptual hash (a difference hash: 64 bits of
+// whether each pixel of a tiny greyscale copy is brighter than its right-hand
+// neighbour) survives re-taking the photo, so boards that were only nearly
+// the same can be pointed out too.
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Of the 64 bits, how many may differ for two boards to count as similar
+export const SIMILAR_DISTANCE = 10;
+
+export async function hashFile(path) {
+    return createHash('sha256').update(await fs.readFile(path)).digest('hex');
+}
+
+// 16 hex digits
+export async function perceptualHash(path) {
+    const pixels = await sharp(path)
+        .greyscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        let byte = 0;
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const index = y * HASH_WIDTH + x;
+            byte = (byte << 1) | (pixels[index] > pixels[index + 1] ? 1 : 0);
+        }
+        hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+}
+
+// How many bits two perceptual hashes differ in; Infinity when either is missing
+export function hammingDistance(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return Infinity;
+    }
+
+    let distance = 0;
+    for (let index = 0; index < a.length; index++) {
+        let bits = parseInt(a[index], 16) ^ parseInt(b[index], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Prompts that differ only in spacing ask for the same thing
+export function normalizePrompt(prompt) {
+    return typeof prompt === 'string' ? prompt.trim().replace(/\s+/g, ' ') : '';
+}
+
+// A SHA-256 over everything that decides what a build produces. images are
+// { contentHash, caption, enhancements } in order; the theme is hashed whole, so editing a
+// theme's colours makes a new fingerprint even though its ID stays the same.
+export function buildFingerprint({ images, prompt, model, theme = null, outputMode = 'single', target = null, accessibilityFix = false, spec = null, variant = null }) {
+    const parts = {
+        images: images.map(image => [image.contentHash, normalizePrompt(image.caption), image.enhancements ?? null]),
+        prompt: normalizePrompt(prompt),
+        model,
+        theme,
+        outputMode,
+        target: target || null,
+        accessibilityFix: Boolean(accessibilityFix),
+        spec,
+        variant: variant?.id || null
+    };
+    return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
@@ -0,0 +1,381 @@
+import fs from 'fs/promises';
+import { dirname } from 'path';
+
+// Build history as an append-only log: one JSON record per line, newest last.
+// Every write goes through a lock (a promise chain inside this process and a
+// lock file across processes) and appends whole lines, so two builds finishing
+// together both land. Readers pick up whatever other processes appended since
+// their last read. When superseded records pile up the log is rewritten to a
+// temp file and renamed into place, which is atomic.
+//
+// A damaged line (a crash mid-write) is skipped and logged; it never empties
+// the whole history the way a half-written JSON file did.
+
+const LOCK_RETRY_MS = 20;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function matchesText(session, text) {
+    return [session.title, session.customPrompt, session.instruction]
+        .some(value => typeof value === 'string' && value.toLowerCase().includes(text));
+}
+
+// A session's own run plus its sketch analysis and React conversion, which are
+// recorded on the version they belong to
+function getRuns(session) {
+    return [session, session.analysis, session.react].filter(Boolean);
+}
+
+function summarize(sessions) {
+    const runs = sessions.flatMap(getRuns);
+    return {
+        sessions: sessions.length,
+        cost: runs.reduce((sum, run) => sum + (run.cost || 0), 0),
+        inputTokens: runs.reduce((sum, run) => sum + (run.tokens?.input || 0), 0),
+        outputTokens: runs.reduce((sum, run) => sum + (run.tokens?.output || 0), 0),
+        duration: sessions.reduce((sum, session) => sum + (session.duration || 0), 0)
+    };
+}
+
+export function createHistoryStore({
+    file,
+    legacyFile = null,
+    lockTimeoutMs = 5000,
+    staleLockMs = 30000,
+    log = () => {}
+}) {
+    const lockFile = `${file}.lock`;
+
+    // Sessions keyed by ID in the order they were first recorded (oldest first)
+    let sessions = new Map();
+    let records = 0;
+    let offset = 0;
+    let inode = null;
+    let queue = Promise.resolve();
+    let syncing = Promise.resolve();
+    let opening = null;
+
+    function apply(record) {
+        if (record.op === 'put' && record.session?.sessionId) {
+            sessions.set(record.session.sessionId, record.session);
+        } else if (record.op === 'delete') {
+            sessions.delete(record.sessionId);
+        }
+        records++;
+    }
+
+    function reset() {
+        sessions = new Map();
+        records = 0;
+        offset = 0;
+    }
+
+    // Reads any complete lines appended since the last sync
+    async function readAppended() {
+        let stats;
+        try {
+            stats = await fs.stat(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            reset();
+            inode = null;
+            return;
+        }
+
+        if (stats.ino !== inode || stats.size < offset) {
+            reset();
+            inode = stats.ino;
+        }
+        if (stats.size === offset) {
+            return;
+        }
+
+        const start = offset;
+        const handle = await fs.open(file, 'r');
+        try {
+            const buffer = Buffer.alloc(stats.size - start);
+            await handle.read(buffer, 0, buffer.length, start);
+
+            const end = buffer.lastIndexOf(0x0a);
+            if (end === -1) {
+                return;
+            }
+
+            const lines = buffer.subarray(0, end).toString('utf-8').split('\n');
+            lines.forEach((line, index) => {
+                if (!line.trim()) {
+                    return;
+                }
+                try {
+                    apply(JSON.parse(line));
+                } catch (error) {
+                    log('Skipped a damaged history record', { file, line: index + 1, error: error.message });
+                }
+            });
+            offset = start + end + 1;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Reads run outside the lock, so syncs queue up here: two at once would
+    // both apply the same lines and move the offset past records neither read
+    function sync() {
+        const run = syncing.then(readAppended);
+        syncing = run.catch(() => {});
+        return run;
+    }
+
+    async function acquireLock() {
+        const deadline = Date.now() + lockTimeoutMs;
+
+        while (true) {
+            try {
+                const handle = await fs.open(lockFile, 'wx');
+                await handle.writeFile(JSON.stringify({ pid: process.pid, since: new Date().toISOString() }));
+                await handle.close();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            // A lock left behind by a process that died mid-write
+            const stats = await fs.stat(lockFile).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > staleLockMs) {
+                log('Removing stale history lock', { lockFile });
+                await fs.rm(lockFile, { force: true });
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the history lock at ${lockFile}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    function withLock(task) {
+        const run = queue.then(async () => {
+            await acquireLock();
+            try {
+                await sync();
+                return await task();
+            } finally {
+                await fs.rm(lockFile, { force: true });
+            }
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function writeAtomically(lines) {
+        const temp = `${file}.tmp-${process.pid}`;
+        const handle = await fs.open(temp, 'w');
+        try {
+            await handle.writeFile(lines.map(line => `${line}\n`).join(''));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(temp, file);
+    }
+
+    function snapshotLines() {
+        return Array.from(sessions.values()).map(session => JSON.stringify({ op: 'put', session }));
+    }
+
+    async function append(newRecords) {
+        const stats = await fs.stat(file).catch(() => null);
+        // A partial line left by a crash must not swallow the first new record
+        const prefix = stats && stats.size > offset ? '\n' : '';
+
+        const handle = await fs.open(file, 'a');
+        try {
+            await handle.writeFile(prefix + newRecords.map(record => `${JSON.stringify(record)}\n`).join(''));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await sync();
+
+        if (records > sessions.size * 2 + 50) {
+            await writeAtomically(snapshotLines());
+            await sync();
+            log('Compacted history log', { file, sessions: sessions.size });
+        }
+    }
+
+    // One-time import of the old whiteboard-history.json (newest first)
+    async function migrateLegacyFile() {
+        let legacy;
+        try {
+            legacy = JSON.parse(await fs.readFile(legacyFile, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Could not migrate ${legacyFile}: ${error.message}. Fix or move the file and restart.`);
+        }
+        if (!Array.isArray(legacy?.sessions)) {
+            throw new Error(`Could not migrate ${legacyFile}: it has no "sessions" list`);
+        }
+
+        const lines = [...legacy.sessions]
+            .reverse()
+            .filter(session => session?.sessionId)
+            .map(session => JSON.stringify({ op: 'put', session }));
+
+        await writeAtomically(lines);
+        await fs.rename(legacyFile, `${legacyFile}.migrated`);
+        await sync();
+        log('Migrated history file', { from: legacyFile, to: file, sessions: lines.length });
+    }
+
+    function open() {
+        opening ||= (async () => {
+            await fs.mkdir(dirname(file), { recursive: true });
+            await withLock(async () => {
+                const hasLog = await fs.stat(file).then(() => true, () => false);
+                const hasLegacy = legacyFile && await fs.stat(legacyFile).then(() => true, () => false);
+                if (!hasLog && hasLegacy) {
+                    await migrateLegacyFile();
+                }
+            });
+        })();
+        opening.catch(() => {
+            opening = null;
+        });
+        return opening;
+    }
+
+    async function read() {
+        await open();
+        await sync();
+        return Array.from(sessions.values()).reverse();
+    }
+
+    return {
+        open,
+
+        async add(session) {
+            await open();
+            return withLock(async () => {
+                await append([{ op: 'put', session }]);
+                return session;
+            });
+        },
+
+        // Applies `change` to the current copy of a session under the lock
+        async update(sessionId, change) {
+            await open();
+            return withLock(async () => {
+                const current = sessions.get(sessionId);
+                if (!current) {
+                    return null;
+                }
+                const updated = { ...change(current), sessionId };
+                await append([{ op: 'put', session: updated }]);
+                return updated;
+            });
+        },
+
+        // Applies `change` to every matching session in one locked write
+        async updateWhere(match, change) {
+            await open();
+            return withLock(async () => {
+                const updated = Array.from(sessions.values())
+                    .filter(match)
+                    .map(session => ({ ...change(session), sessionId: session.sessionId }));
+                if (updated.length > 0) {
+                    await append(updated.map(session => ({ op: 'put', session })));
+                }
+                return updated;
+            });
+        },
+
+        // Removes every matching session and returns what was removed
+        async removeWhere(match) {
+            await open();
+            return withLock(async () => {
+                const removed = Array.from(sessions.values()).filter(match);
+                if (removed.length > 0) {
+                    await append(removed.map(session => ({ op: 'delete', sessionId: session.sessionId })));
+                }
+                return removed;
+            });
+        },
+
+        async get(sessionId) {
+            await open();
+            await sync();
+            return sessions.get(sessionId) || null;
+        },
+
+        // Every session, newest first
+        all: read,
+
+        async count() {
+            await open();
+            await sync();
+            return sessions.size;
+        },
+
+        // Newest first. With `groupBy`, pages are counted in groups and every
+        // session of a group on the page is returned, not only the matches.
+        // `match` narrows everything, groups included (e.g. to one user's sessions).
+        async list({
+            from = null,
+            to = null,
+            model = null,
+            tag = null,
+            pinned = null,
+            text = '',
+            limit = 20,
+            offset: start = 0,
+            groupBy = null,
+            match = null
+        } = {}) {
+            const all = (await read()).filter(session => !match || match(session));
+            const search = text.trim().toLowerCase();
+
+            const matches = all.filter(session => {
+                const time = Date.parse(session.timestamp);
+                return (!from || time >= from.getTime())
+                    && (!to || time <= to.getTime())
+                    && (!model || session.model === model)
+                    && (!tag || (session.tags || []).includes(tag))
+                    && (pinned === null || Boolean(session.pinned) === pinned)
+                    && (!search || matchesText(session, search));
+            });
+
+            if (!groupBy) {
+                return {
+                    sessions: matches.slice(start, start + limit),
+                    total: matches.length,
+                    summary: summarize(matches)
+                };
+            }
+
+            const keys = [...new Set(matches.map(groupBy))];
+            const pageKeys = new Set(keys.slice(start, start + limit));
+            return {
+                sessions: all.filter(session => pageKeys.has(groupBy(session))),
+                total: keys.length,
+                summary: summarize(matches)
+            };
+        },
+
+        // Distinct models and tags across the history (or the sessions `match`
+        // accepts), for filter pickers
+        async facets(match = null) {
+            const all = (await read()).filter(session => !match || match(session));
+            return {
+                models: [...new Set(all.map(session => session.model).filter(Boolean))].sort(),
+                tags: [...new Set(all.flatMap(session => session.tags || []))].sort()
+            };
+        }
+    };
+}
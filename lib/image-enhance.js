@@ -0,0 +1,346 @@
+import sharp from 'sharp';
+
+// Clean-up of whiteboard photos before they are sent to the model. Phone
+// photos come in skewed, dim and with reflections; each step below is cheap and
+// can be turned off per image:
+//
+// - orientation: the EXIF rotation is applied (always)
+// - perspective: four user-placed corners are warped to a flat rectangle
+// - autoCrop: without corners, the photo is cropped to the bright board area
+// - normalize: uneven light and glare are divided out and the contrast stretched
+// - threshold: the board is reduced to black ink on white (off by default)
+//
+// The work happens on raw RGB pixels at WORK_SIZE at most, then the result is
+// scaled to the caller's maxSize and encoded as JPEG.
+
+const WORK_SIZE = 2048;
+const DETECT_SIZE = 200;
+const BACKGROUND_SIZE = 96;
+// Share of bright pixels that makes a row or column part of the board
+const BOARD_SHARE = 0.4;
+
+export const ENHANCEMENT_DEFAULTS = {
+    autoCrop: true,
+    normalize: true,
+    threshold: false
+};
+
+// Nothing but the orientation fix, as builds were before enhancements existed
+export const NO_ENHANCEMENTS = {
+    autoCrop: false,
+    normalize: false,
+    threshold: false
+};
+
+const OPTION_NAMES = Object.keys(ENHANCEMENT_DEFAULTS);
+
+// Options sent by a browser: booleans for each step and, optionally, the
+// board's corners as [x, y] fractions in the order top-left, top-right,
+// bottom-right, bottom-left. Throws on anything else.
+export function parseEnhancements(raw, defaults = ENHANCEMENT_DEFAULTS) {
+    if (raw === undefined || raw === null) {
+        return { ...defaults, corners: null };
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Enhancements must be an object');
+    }
+
+    const options = { ...defaults, corners: null };
+    for (const name of OPTION_NAMES) {
+        if (raw[name] !== undefined) {
+            if (typeof raw[name] !== 'boolean') {
+                throw new Error(`${name} must be true or false`);
+            }
+            options[name] = raw[name];
+        }
+    }
+
+    if (raw.corners !== undefined && raw.corners !== null) {
+        const valid = Array.isArray(raw.corners) && raw.corners.length === 4 && raw.corners.every(corner =>
+            Array.isArray(corner) && corner.length === 2
+            && corner.every(value => typeof value === 'number' && value >= 0 && value <= 1));
+        if (!valid) {
+            throw new Error('corners must be four [x, y] pairs between 0 and 1');
+        }
+        options.corners = raw.corners.map(([x, y]) => [x, y]);
+    }
+
+    return options;
+}
+
+function toGray(data, channels, index) {
+    return 0.299 * data[index * channels] + 0.587 * data[index * channels + 1] + 0.114 * data[index * channels + 2];
+}
+
+// Otsu's method: the grey level that best splits the histogram in two
+export function findThreshold(histogram) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    const weightedTotal = histogram.reduce((sum, count, level) => sum + level * count, 0);
+    let background = 0;
+    let weightedBackground = 0;
+    let best = { level: 128, variance: -1 };
+
+    for (let level = 0; level < 256; level++) {
+        background += histogram[level];
+        weightedBackground += level * histogram[level];
+        const foreground = total - background;
+        if (background === 0 || foreground === 0) {
+            continue;
+        }
+
+        const meanBackground = weightedBackground / background;
+        const meanForeground = (weightedTotal - weightedBackground) / foreground;
+        const variance = background * foreground * (meanBackground - meanForeground) ** 2;
+        if (variance > best.variance) {
+            best = { level, variance };
+        }
+    }
+
+    return best.level;
+}
+
+// The longest run of true flags, bridging gaps of up to maxGap (ink lines
+// crossing the board make single rows or columns look dark)
+function longestRun(flags, maxGap) {
+    let best = { start: 0, length: 0 };
+    let start = -1;
+    let lastTrue = -1;
+
+    flags.forEach((flag, index) => {
+        if (!flag) {
+            return;
+        }
+        if (start === -1 || index - lastTrue - 1 > maxGap) {
+            start = index;
+        }
+        lastTrue = index;
+        if (index - start + 1 > best.length) {
+            best = { start, length: index - start + 1 };
+        }
+    });
+
+    return best;
+}
+
+// The board as the largest band of mostly-bright rows and columns, in
+// fractions of the image; null when it covers nearly everything (already
+// cropped) or too little to trust
+export async function detectBoard(image) {
+    const { data, info } = await sharp(image.data, { raw: image.info })
+        .resize(DETECT_SIZE, DETECT_SIZE, { fit: 'inside' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const gray = Array.from({ length: width * height }, (_, index) => toGray(data, channels, index));
+    const histogram = new Array(256).fill(0);
+    gray.forEach(value => histogram[Math.round(value)]++);
+    const level = findThreshold(histogram);
+
+    const bright = gray.map(value => value > level);
+    const rowShare = Array.from({ length: height }, (_, y) =>
+        bright.slice(y * width, (y + 1) * width).filter(Boolean).length / width);
+    const rows = longestRun(rowShare.map(share => share > BOARD_SHARE), Math.ceil(height * 0.05));
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const columnShare = Array.from({ length: width }, (_, x) => {
+        let count = 0;
+        for (let y = rows.start; y < rows.start + rows.length; y++) {
+            count += bright[y * width + x] ? 1 : 0;
+        }
+        return count / rows.length;
+    });
+    const columns = longestRun(columnShare.map(share => share > BOARD_SHARE), Math.ceil(width * 0.05));
+
+    const box = {
+        x: columns.start / width,
+        y: rows.start / height,
+        width: columns.length / width,
+        height: rows.length / height
+    };
+    const area = box.width * box.height;
+    return area >= 0.2 && area <= 0.92 ? box : null;
+}
+
+// Solves the 8 unknowns of the homography taking `from` points to `to` points
+function solveHomography(from, to) {
+    const rows = [];
+    from.forEach(([x, y], index) => {
+        const [u, v] = to[index];
+        rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let column = 0; column < 8; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < 8; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+                pivot = row;
+            }
+        }
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+        if (Math.abs(rows[column][column]) < 1e-12) {
+            throw new Error('The corners do not describe a four-sided board');
+        }
+        for (let row = 0; row < 8; row++) {
+            if (row !== column) {
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k < 9; k++) {
+                    rows[row][k] -= factor * rows[column][k];
+                }
+            }
+        }
+    }
+
+    return [...rows.map((row, index) => row[8] / row[index]), 1];
+}
+
+function distance([x1, y1], [x2, y2]) {
+    return Math.hypot(x2 - x1, y2 - y1);
+}
+
+// Warps the quadrilateral at `corners` (fractions) to an upright rectangle
+function correctPerspective(image, corners) {
+    const { width, height, channels } = image.info;
+    const points = corners.map(([x, y]) => [x * (width - 1), y * (height - 1)]);
+    const [topLeft, topRight, bottomRight, bottomLeft] = points;
+    const outWidth = Math.max(2, Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight))));
+    const outHeight = Math.max(2, Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight))));
+
+    // Maps each output pixel back to where it comes from in the photo
+    const h = solveHomography([
+        [0, 0],
+        [outWidth - 1, 0],
+        [outWidth - 1, outHeight - 1],
+        [0, outHeight - 1]
+    ], points);
+
+    const output = Buffer.alloc(outWidth * outHeight * channels);
+    for (let v = 0; v < outHeight; v++) {
+        for (let u = 0; u < outWidth; u++) {
+            const w = h[6] * u + h[7] * v + h[8];
+            const x = Math.min(width - 1, Math.max(0, (h[0] * u + h[1] * v + h[2]) / w));
+            const y = Math.min(height - 1, Math.max(0, (h[3] * u + h[4] * v + h[5]) / w));
+            const x0 = Math.floor(x);
+            const y0 = Math.floor(y);
+            const x1 = Math.min(width - 1, x0 + 1);
+            const y1 = Math.min(height - 1, y0 + 1);
+            const fx = x - x0;
+            const fy = y - y0;
+
+            for (let c = 0; c < channels; c++) {
+                const top = image.data[(y0 * width + x0) * channels + c] * (1 - fx) + image.data[(y0 * width + x1) * channels + c] * fx;
+                const bottom = image.data[(y1 * width + x0) * channels + c] * (1 - fx) + image.data[(y1 * width + x1) * channels + c] * fx;
+                output[(v * outWidth + u) * channels + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+
+    return { data: output, info: { width: outWidth, height: outHeight, channels } };
+}
+
+// Divides every pixel by a blurred estimate of the bare board behind it, which
+// whitens the background and flattens shadows and reflections, then stretches
+// the contrast. Ink is thin, so a median of a small copy barely sees it.
+async function normalizeLighting(image) {
+    const { width, height, channels } = image.info;
+    // sharp resizes once per pipeline, so shrinking and growing back take two
+    const small = await sharp(image.data, { raw: image.info })
+        .resize(BACKGROUND_SIZE, BACKGROUND_SIZE, { fit: 'inside' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const background = await sharp(small.data, { raw: small.info })
+        .median(5)
+        .blur(2)
+        .resize(width, height, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    const divided = Buffer.alloc(image.data.length);
+    for (let index = 0; index < image.data.length; index++) {
+        divided[index] = Math.min(255, Math.round(image.data[index] * 255 / Math.max(background[index], 1)));
+    }
+
+    const { data, info } = await sharp(divided, { raw: { width, height, channels } })
+        .normalise({ lower: 1, upper: 99 })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { data, info };
+}
+
+async function thresholdInk(image) {
+    const { width, height, channels } = image.info;
+    const histogram = new Array(256).fill(0);
+    for (let index = 0; index < width * height; index++) {
+        histogram[Math.round(toGray(image.data, channels, index))]++;
+    }
+
+    const { data, info } = await sharp(image.data, { raw: image.info })
+        .threshold(findThreshold(histogram))
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { data, info };
+}
+
+// Runs the pipeline on a file path or buffer. Returns the JPEG and what was
+// applied: { orientation, perspective, autoCrop (the box or false), normalize, threshold }
+export async function enhanceWhiteboard(input, options = ENHANCEMENT_DEFAULTS, { maxSize = 1024, quality = 90 } = {}) {
+    const { orientation = 1 } = await sharp(input).metadata();
+    let image = await sharp(input)
+        .rotate()
+        .resize(WORK_SIZE, WORK_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const applied = {
+        orientation: orientation > 1,
+        perspective: false,
+        autoCrop: false,
+        normalize: false,
+        threshold: false
+    };
+
+    if (options.corners) {
+        image = correctPerspective(image, options.corners);
+        applied.perspective = true;
+    } else if (options.autoCrop) {
+        const box = await detectBoard(image);
+        if (box) {
+            const { width, height } = image.info;
+            const region = {
+                left: Math.round(box.x * width),
+                top: Math.round(box.y * height),
+                width: Math.max(1, Math.round(box.width * width)),
+                height: Math.max(1, Math.round(box.height * height))
+            };
+            image = await sharp(image.data, { raw: image.info })
+                .extract(region)
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+            applied.autoCrop = box;
+        }
+    }
+
+    if (options.normalize) {
+        image = await normalizeLighting(image);
+        applied.normalize = true;
+    }
+
+    if (options.threshold) {
+        image = await thresholdInk(image);
+        applied.threshold = true;
+    }
+
+    const { data, info } = await sharp(image.data, { raw: image.info })
+        .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality })
+        .toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, width: info.width, height: info.height, applied };
+}
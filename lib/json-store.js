@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import { dirname } from 'path';
+
+// A small JSON file kept in memory, for the user, review and API stores. It is
+// read once, and every change is a read-modify-write run one at a time and
+// saved through a temp file and a rename, so a crash mid-write leaves the old
+// file. The file is readable by the app's user only since it holds secrets.
+
+// `empty` makes the contents of a file that doesn't exist yet; `beforeSave`
+// can tidy the data (e.g. drop expired sessions) before each write.
+export function createJsonStore({ file, empty, beforeSave = null }) {
+    let data = null;
+    let queue = Promise.resolve();
+
+    async function load() {
+        if (data) {
+            return data;
+        }
+
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read ${file}: ${error.message}`);
+            }
+            data = empty();
+        }
+        return data;
+    }
+
+    async function save() {
+        beforeSave?.(data);
+
+        const temp = `${file}.tmp-${process.pid}`;
+        await fs.mkdir(dirname(file), { recursive: true });
+        await fs.writeFile(temp, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(temp, file);
+    }
+
+    function change(task) {
+        const run = queue.then(async () => {
+            await load();
+            const result = await task(data);
+            await save();
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return { load, change };
+}
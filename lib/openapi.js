@@ -0,0 +1,476 @@
+// The OpenAPI 3.1 description of /api/v1, served at /api/v1/openapi.json.
+// Written by hand next to the routes it describes, so a change to one of them
+// should come with a change here. Scopes, webhook events and the image limit
+// come from the running server, so the document matches its configuration.
+
+const error = { $ref: '#/components/responses/Error' };
+
+function jsonBody(schema, description = 'OK') {
+    return {
+        description,
+        content: { 'application/json': { schema } }
+    };
+}
+
+function secured(scope) {
+    return [{ bearerToken: [scope] }];
+}
+
+const idParameter = (name, description) => ({
+    name,
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'string' }
+});
+
+const versionParameter = {
+    name: 'version',
+    in: 'query',
+    description: 'Version number; the latest when left out',
+    schema: { type: 'integer', minimum: 1 }
+};
+
+export function buildOpenApiDocument({ serverUrl, scopes, webhookEvents, maxImages }) {
+    const buildFields = {
+        prompt: { type: 'string', description: 'Extra instructions for the model' },
+        outputMode: { type: 'string', enum: ['single', 'project'], default: 'single' },
+        target: { type: 'string', enum: ['html', 'react'], default: 'html' },
+        model: { type: 'string', description: 'A model ID this server offers; its default when left out' },
+        theme: { type: 'string', description: 'A design theme ID' },
+        accessibilityFix: { type: 'boolean', description: 'Send the accessibility findings back for one fix pass' },
+        variants: {
+            description: 'A number of layout variants, or variant direction IDs',
+            oneOf: [{ type: 'integer', minimum: 2 }, { type: 'array', items: { type: 'string' } }]
+        },
+        spec: { type: 'object', description: 'A reviewed sketch spec to build from' },
+        force: { type: 'boolean', description: 'Build even when the same request was already built or is building' }
+    };
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Whiteboard to Prototype API',
+            version: '1.0.0',
+            description: 'Start builds from whiteboard photos, follow them and fetch the generated prototypes. '
+                + 'Authenticate with an API token from the API access page as `Authorization: Bearer <token>`. '
+                + 'Builds use the Anthropic key in the `x-anthropic-api-key` header, or the server key when the token\'s user may use it. '
+                + 'Relative URLs in responses are relative to the server, not to /api/v1.'
+        },
+        servers: [{ url: serverUrl }],
+        security: [{ bearerToken: [] }],
+        paths: {
+            '/builds': {
+                post: {
+                    summary: 'Start a build',
+                    description: 'Send the whiteboards as multipart form data (like POST /upload, files in `whiteboard`) '
+                        + 'or as JSON with base64 images. Answers at once; follow the build at statusUrl or eventsUrl. '
+                        + 'A request made exactly like an earlier one of yours is answered with that build (`duplicate`) unless `force` is set.',
+                    security: secured('builds:write'),
+                    parameters: [{
+                        name: 'x-anthropic-api-key',
+                        in: 'header',
+                        schema: { type: 'string' }
+                    }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['images'],
+                                    properties: {
+                                        images: {
+                                            type: 'array',
+                                            minItems: 1,
+                                            maxItems: maxImages,
+                                            items: {
+                                                type: 'object',
+                                                required: ['data'],
+                                                properties: {
+                                                    data: { type: 'string', description: 'Base64 image, or a data: URL' },
+                                                    caption: { type: 'string', maxLength: 200 },
+                                                    enhancements: { type: 'object', description: 'Photo clean-up options' }
+                                                }
+                                            }
+                                        },
+                                        ...buildFields
+                                    }
+                                }
+                            },
+                            'multipart/form-data': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['whiteboard'],
+                                    properties: {
+                                        whiteboard: { type: 'array', maxItems: maxImages, items: { type: 'string', format: 'binary' } },
+                                        captions: { type: 'string', description: 'JSON array of strings' },
+                                        enhancements: { type: 'string', description: 'JSON array of objects' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: jsonBody({ $ref: '#/components/schemas/BuildReused' }, 'Already built: the existing prototype, at no cost'),
+                        202: jsonBody({ $ref: '#/components/schemas/BuildStarted' }, 'Build queued, or the same build already running'),
+                        400: error,
+                        401: error,
+                        402: error,
+                        403: error,
+                        429: error
+                    }
+                }
+            },
+            '/builds/{id}': {
+                get: {
+                    summary: 'Build status',
+                    description: 'Builds are kept for a while after they finish; the prototype stays.',
+                    security: secured('builds:read'),
+                    parameters: [idParameter('id', 'The jobId from POST /builds')],
+                    responses: {
+                        200: jsonBody({
+                            type: 'object',
+                            properties: { success: { type: 'boolean' }, job: { $ref: '#/components/schemas/Build' } }
+                        }),
+                        404: error
+                    }
+                }
+            },
+            '/builds/{id}/events': {
+                get: {
+                    summary: 'Build progress as Server-Sent Events',
+                    description: 'Events: stage, retry, output and snapshot, then done or failed. Send Last-Event-ID to resume.',
+                    security: secured('builds:read'),
+                    parameters: [idParameter('id', 'The jobId from POST /builds')],
+                    responses: {
+                        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                        404: error
+                    }
+                }
+            },
+            '/prototypes': {
+                get: {
+                    summary: 'List prototypes',
+                    description: 'Most recently changed first.',
+                    security: secured('prototypes:read'),
+                    parameters: [
+                        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+                        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+                    ],
+                    responses: {
+                        200: jsonBody({
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                total: { type: 'integer' },
+                                limit: { type: 'integer' },
+                                offset: { type: 'integer' },
+                                prototypes: { type: 'array', items: { $ref: '#/components/schemas/Prototype' } }
+                            }
+                        }),
+                        400: error
+                    }
+                }
+            },
+            '/prototypes/{id}': {
+                get: {
+                    summary: 'A prototype and its versions',
+                    security: secured('prototypes:read'),
+                    parameters: [idParameter('id', 'Prototype ID')],
+                    responses: {
+                        200: jsonBody({
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                prototype: { $ref: '#/components/schemas/Prototype' },
+                                versions: { type: 'array', items: { $ref: '#/components/schemas/Version' } }
+                            }
+                        }),
+                        404: error
+                    }
+                }
+            },
+            '/prototypes/{id}/files': {
+                get: {
+                    summary: 'The files of a version',
+                    security: secured('prototypes:read'),
+                    parameters: [idParameter('id', 'Prototype ID'), versionParameter],
+                    responses: {
+                        200: jsonBody({
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                prototypeId: { type: 'string' },
+                                version: { type: 'integer' },
+                                entry: { type: 'string' },
+                                files: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { path: { type: 'string' }, url: { type: 'string' } }
+                                    }
+                                }
+                            }
+                        }),
+                        404: error
+                    }
+                }
+            },
+            '/prototypes/{id}/files/{path}': {
+                get: {
+                    summary: 'Download one generated file',
+                    security: secured('prototypes:read'),
+                    parameters: [
+                        idParameter('id', 'Prototype ID'),
+                        idParameter('path', 'A path from the file list; may contain slashes'),
+                        versionParameter
+                    ],
+                    responses: {
+                        200: { description: 'The file as generated' },
+                        404: error
+                    }
+                }
+            },
+            '/webhooks': {
+                get: {
+                    summary: 'List webhooks with their recent deliveries',
+                    security: secured('webhooks:write'),
+                    responses: {
+                        200: jsonBody({
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                events: { type: 'array', items: { type: 'string' } },
+                                webhooks: { type: 'array', items: { $ref: '#/components/schemas/Webhook' } }
+                            }
+                        })
+                    }
+                },
+                post: {
+                    summary: 'Add a webhook',
+                    description: 'The signing secret is only returned here.',
+                    security: secured('webhooks:write'),
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['url'],
+                                    properties: {
+                                        url: { type: 'string', format: 'uri' },
+                                        events: { type: 'array', items: { type: 'string', enum: webhookEvents } }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: jsonBody({
+                            type: 'object',
+                            properties: {
+                                success: { type: 'boolean' },
+                                webhook: { $ref: '#/components/schemas/Webhook' },
+                                secret: { type: 'string' }
+                            }
+                        }, 'Created'),
+                        400: error
+                    }
+                }
+            },
+            '/webhooks/{id}': {
+                delete: {
+                    summary: 'Remove a webhook',
+                    security: secured('webhooks:write'),
+                    parameters: [idParameter('id', 'Webhook ID')],
+                    responses: { 200: jsonBody({ type: 'object', properties: { success: { type: 'boolean' } } }), 404: error }
+                }
+            },
+            '/webhooks/{id}/ping': {
+                post: {
+                    summary: 'Send a test "ping" delivery',
+                    security: secured('webhooks:write'),
+                    parameters: [idParameter('id', 'Webhook ID')],
+                    responses: {
+                        200: jsonBody({
+                            type: 'object',
+                            properties: { success: { type: 'boolean' }, delivery: { $ref: '#/components/schemas/Delivery' } }
+                        }),
+                        404: error
+                    }
+                }
+            }
+        },
+        webhooks: Object.fromEntries(webhookEvents.map(event => [event, {
+            post: {
+                summary: `Sent when a build or refinement ${event === 'build.succeeded' ? 'succeeds' : 'fails'}`,
+                description: 'Signed with the webhook secret: X-Webhook-Signature is sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>">. '
+                    + 'Answer with a 2xx status; other answers and timeouts are retried with a growing delay.',
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', description: 'Delivery ID, the same on every retry' },
+                                    event: { type: 'string', const: event },
+                                    createdAt: { type: 'string', format: 'date-time' },
+                                    data: { $ref: '#/components/schemas/BuildEvent' }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: { 200: { description: 'Received' } }
+            }
+        }])),
+        components: {
+            securitySchemes: {
+                bearerToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: `API token. Scopes: ${Object.entries(scopes).map(([scope, text]) => `${scope} (${text})`).join(', ')}.`
+                }
+            },
+            responses: {
+                Error: jsonBody({
+                    type: 'object',
+                    properties: { success: { type: 'boolean', const: false }, error: { type: 'string' } }
+                }, 'Error')
+            },
+            schemas: {
+                BuildStarted: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        jobId: { type: 'string' },
+                        sessionId: { type: 'string' },
+                        prototypeId: { type: 'string' },
+                        status: { type: 'string' },
+                        statusUrl: { type: 'string' },
+                        eventsUrl: { type: 'string' },
+                        buildGroup: { type: 'string', description: 'With variants: the group, and one entry per variant' },
+                        variants: { type: 'array', items: { type: 'object' } },
+                        duplicate: { type: 'string', const: 'running', description: 'Set when this is a build already running for the same request' }
+                    }
+                },
+                BuildReused: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        duplicate: { type: 'string', const: 'built' },
+                        sessionId: { type: 'string' },
+                        prototypeId: { type: 'string' },
+                        version: { type: 'integer' },
+                        result: { type: 'object', description: 'The result of the earlier build, as a finished build job has it' }
+                    }
+                },
+                Build: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        kind: { type: 'string' },
+                        prototypeId: { type: 'string' },
+                        status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+                        stage: { type: 'string' },
+                        similar: {
+                            type: 'array',
+                            description: 'Earlier prototypes with a whiteboard that looks like one of this build\'s, closest first; filled in once the whiteboards are compressed',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    prototypeId: { type: 'string' },
+                                    version: { type: 'integer' },
+                                    title: { type: ['string', 'null'] },
+                                    timestamp: { type: 'string', format: 'date-time' },
+                                    distance: { type: 'integer', description: 'Bits of the 64-bit perceptual hash that differ' },
+                                    previewUrl: { type: 'string' },
+                                    thumbnailUrl: { type: 'string' }
+                                }
+                            }
+                        },
+                        result: { type: ['object', 'null'] },
+                        error: { type: ['string', 'null'] },
+                        errorCategory: { type: ['string', 'null'] }
+                    }
+                },
+                Prototype: {
+                    type: 'object',
+                    properties: {
+                        prototypeId: { type: 'string' },
+                        title: { type: ['string', 'null'] },
+                        tags: { type: 'array', items: { type: 'string' } },
+                        latestVersion: { type: 'integer' },
+                        versions: { type: 'array', items: { type: 'integer' } },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                        entry: { type: 'string' },
+                        outputMode: { type: 'string' },
+                        model: { type: 'string' },
+                        accessibilityScore: { type: ['integer', 'null'] },
+                        filesUrl: { type: 'string' },
+                        previewUrl: { type: 'string' }
+                    }
+                },
+                Version: {
+                    type: 'object',
+                    properties: {
+                        version: { type: 'integer' },
+                        sessionId: { type: 'string' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        instruction: { type: ['string', 'null'] },
+                        entry: { type: 'string' },
+                        outputMode: { type: 'string' },
+                        model: { type: 'string' },
+                        cost: { type: 'object' },
+                        accessibilityScore: { type: ['integer', 'null'] },
+                        filesUrl: { type: 'string' },
+                        previewUrl: { type: 'string' }
+                    }
+                },
+                Webhook: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        url: { type: 'string' },
+                        events: { type: 'array', items: { type: 'string', enum: webhookEvents } },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        deliveries: { type: 'array', items: { $ref: '#/components/schemas/Delivery' } }
+                    }
+                },
+                Delivery: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        event: { type: 'string' },
+                        status: { type: 'string', enum: ['delivered', 'failed'] },
+                        responseStatus: { type: ['integer', 'null'] },
+                        error: { type: ['string', 'null'] },
+                        attempts: { type: 'integer' },
+                        at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                BuildEvent: {
+                    type: 'object',
+                    properties: {
+                        jobId: { type: 'string' },
+                        kind: { type: 'string', enum: ['build', 'refine'] },
+                        sessionId: { type: 'string' },
+                        prototypeId: { type: 'string' },
+                        status: { type: 'string', enum: ['succeeded', 'failed'] },
+                        version: { type: ['integer', 'null'] },
+                        error: { type: ['string', 'null'] },
+                        errorCategory: { type: ['string', 'null'] },
+                        cost: { type: ['object', 'null'] },
+                        tokens: { type: ['object', 'null'] },
+                        accessibilityScore: { type: ['integer', 'null'] },
+                        buildUrl: { type: 'string' },
+                        prototypeUrl: { type: ['string', 'null'] },
+                        previewUrl: { type: ['string', 'null'] }
+                    }
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,82 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+function toAnthropicContent(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    return content.map(block => block.type === 'image'
+        ? {
+            type: 'image',
+            source: {
+                type: 'base64',
+                media_type: block.mediaType,
+                data: block.data
+            }
+        }
+        : {
+            type: 'text',
+            text: block.text,
+            // Everything up to and including this block is cached for the next calls
+            ...(block.cache ? { cache_control: { type: 'ephemeral' } } : {})
+        });
+}
+
+// A leading system message becomes the system prompt, which comes before the
+// messages in the cached prefix
+function toAnthropicRequest(model, maxTokens, messages) {
+    const system = messages[0]?.role === 'system' ? messages[0] : null;
+
+    return {
+        model,
+        max_tokens: maxTokens,
+        ...(system ? {
+            system: [{ type: 'text', text: system.content }]
+        } : {}),
+        messages: messages.slice(system ? 1 : 0).map(message => ({
+            role: message.role,
+            content: toAnthropicContent(message.content)
+        }))
+    };
+}
+
+// Cache reads and writes are counted apart from input_tokens; they are only
+// included when the call used the cache
+function toUsage(usage) {
+    return {
+        input: usage.input_tokens,
+        output: usage.output_tokens,
+        ...(usage.cache_read_input_tokens ? { cacheRead: usage.cache_read_input_tokens } : {}),
+        ...(usage.cache_creation_input_tokens ? { cacheWrite: usage.cache_creation_input_tokens } : {})
+    };
+}
+
+export function createAnthropicProvider({ apiKey, model }) {
+    if (!apiKey) {
+        throw new Error('Add an Anthropic API key to run the prototype builder.');
+    }
+
+    // The build retries transient errors itself (MODEL_RETRIES), so they show in its timeline
+    const anthropic = new Anthropic({ apiKey, maxRetries: 0 });
+
+    return {
+        id: 'anthropic',
+        model,
+
+        async generate(messages, { maxTokens, onText = () => {} } = {}) {
+            const stream = anthropic.messages.stream(toAnthropicRequest(model, maxTokens, messages));
+
+            stream.on('text', delta => onText(delta));
+            const message = await stream.finalMessage();
+
+            return {
+                text: message.content
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join(''),
+                stopReason: message.stop_reason === 'max_tokens' ? 'max_tokens' : 'end_turn',
+                usage: toUsage(message.usage)
+            };
+        }
+    };
+}
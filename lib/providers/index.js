@@ -0,0 +1,43 @@
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+// Every provider is created with createProvider(name, options) and returns
+// { id, model, generate(messages, { maxTokens, outputMode, onText }) }.
+//
+// messages are [{ role: 'user' | 'assistant', content }] where content is a
+// string or a list of { type: 'text', text, cache } and
+// { type: 'image', mediaType, data } (base64) blocks. `cache` marks the end of
+// a prefix worth caching; providers without a prompt cache ignore it. They may
+// start with { role: 'system', content } holding the instructions as a string.
+//
+// generate() streams text deltas to onText and resolves with
+// { text, stopReason, usage: { input, output, cacheRead, cacheWrite } }.
+// cacheRead and cacheWrite are the prompt tokens read from and written to the
+// cache, left out when there were none. stopReason is 'max_tokens' when the
+// output was cut off and 'end_turn' otherwise.
+
+export const PROVIDERS = {
+    anthropic: {
+        requiresApiKey: true,
+        create: createAnthropicProvider
+    },
+    mock: {
+        requiresApiKey: false,
+        create: createMockProvider
+    },
+    'openai-compatible': {
+        requiresApiKey: false,
+        create: createOpenAICompatibleProvider
+    }
+};
+
+export function createProvider(name, options = {}) {
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown model provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return provider.create(options);
+}
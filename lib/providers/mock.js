@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+// Deterministic stand-in for a real model, for offline development and tests.
+// A new build (or sketch analysis, or React conversion) is answered with a fixture file for the
+// output mode; a follow-up (refinement or repair) gets the previous output back
+// with a marker comment derived from the request, so versions still differ and
+// can be diffed.
+//
+// `failures` is a list of error categories shared by every provider made from
+// it: each call takes the first one off and fails the way the Anthropic API
+// would (an auth, rate limit, overloaded or timeout error), or goes through for
+// `ok`, so failure handling can be tried without a real outage.
+
+const CHUNK_SIZE = 200;
+const IMAGE_TOKENS = 1500;
+const FIXTURES = {
+    single: 'single.html',
+    project: 'project.json',
+    react: 'react.json',
+    spec: 'spec.json'
+};
+
+const FAILURE_STATUSES = {
+    auth: 401,
+    rate_limit: 429,
+    overloaded: 529,
+    timeout: 408
+};
+
+function createFailure(category) {
+    const error = new Error(`Mock ${category} failure`);
+    error.status = FAILURE_STATUSES[category];
+    return error;
+}
+
+function toBlocks(content) {
+    return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function countInputTokens(messages) {
+    return messages
+        .flatMap(message => toBlocks(message.content))
+        .reduce((total, block) => total + (block.type === 'image' ? IMAGE_TOKENS : estimateTokens(block.text)), 0);
+}
+
+function addMarker(html, marker) {
+    return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${marker}\n</body>`) : `${html}\n${marker}`;
+}
+
+function reviseOutput(previous, outputMode, request) {
+    const marker = `<!-- mock revision ${createHash('sha1').update(request).digest('hex').slice(0, 8)} -->`;
+
+    if (outputMode === 'single') {
+        return addMarker(previous, marker);
+    }
+
+    try {
+        const manifest = JSON.parse(previous);
+        return JSON.stringify({
+            ...manifest,
+            files: manifest.files.map(file => file.path === manifest.entry
+                ? { ...file, content: addMarker(file.content, marker) }
+                : file)
+        });
+    } catch {
+        return previous;
+    }
+}
+
+export function createMockProvider({ fixturesDir, model = 'mock', delayMs = 0, failures = [] }) {
+    return {
+        id: 'mock',
+        model,
+
+        async generate(messages, { outputMode = 'single', onText = () => {} } = {}) {
+            const failure = failures.shift();
+            if (failure && failure !== 'ok') {
+                throw createFailure(failure);
+            }
+
+            const previous = messages.findLast(message => message.role === 'assistant');
+            const request = toBlocks(messages[messages.length - 1].content)
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('\n');
+
+            const text = previous
+                ? reviseOutput(toBlocks(previous.content).map(block => block.text).join(''), outputMode, request)
+                : await fs.readFile(join(fixturesDir, FIXTURES[outputMode] || FIXTURES.single), 'utf-8');
+
+            for (let index = 0; index < text.length; index += CHUNK_SIZE) {
+                if (delayMs > 0) {
+                    await new Promise(resolve => setTimeout(resolve, delayMs));
+                }
+                onText(text.slice(index, index + CHUNK_SIZE));
+            }
+
+            return {
+                text,
+                stopReason: 'end_turn',
+                usage: {
+                    input: countInputTokens(messages),
+                    output: estimateTokens(text)
+                }
+            };
+        }
+    };
+}
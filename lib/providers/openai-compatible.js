@@ -0,0 +1,107 @@
+// Talks to any server that implements the OpenAI chat completions API with
+// streaming, such as a local Ollama, LM Studio or vLLM instance.
+
+function toOpenAIContent(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    return content.map(block => block.type === 'image'
+        ? { type: 'image_url', image_url: { url: `data:${block.mediaType};base64,${block.data}` } }
+        : { type: 'text', text: block.text });
+}
+
+async function* readServerSentData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.startsWith('data:')) {
+                yield line.slice(5).trim();
+            }
+        }
+    }
+
+    if (buffer.startsWith('data:')) {
+        yield buffer.slice(5).trim();
+    }
+}
+
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, model }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        id: 'openai-compatible',
+        model,
+
+        async generate(messages, { maxTokens, onText = () => {} } = {}) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: maxTokens,
+                    stream: true,
+                    stream_options: { include_usage: true },
+                    messages: messages.map(message => ({
+                        role: message.role,
+                        content: toOpenAIContent(message.content)
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                const error = new Error(`Model endpoint ${endpoint} responded with ${response.status}: ${(await response.text()).slice(0, 500)}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            let text = '';
+            let finishReason = null;
+            let usage = null;
+
+            for await (const data of readServerSentData(response.body)) {
+                if (data === '[DONE]') {
+                    break;
+                }
+                // Some servers keep the connection open with empty data lines
+                if (!data) {
+                    continue;
+                }
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(data);
+                } catch {
+                    throw new Error(`Model endpoint ${endpoint} sent a stream chunk that is not JSON: ${data.slice(0, 200)}`);
+                }
+                const choice = chunk.choices?.[0];
+                const delta = choice?.delta?.content;
+
+                if (delta) {
+                    text += delta;
+                    onText(delta);
+                }
+                finishReason = choice?.finish_reason || finishReason;
+                usage = chunk.usage || usage;
+            }
+
+            return {
+                text,
+                stopReason: finishReason === 'length' ? 'max_tokens' : 'end_turn',
+                usage: {
+                    input: usage?.prompt_tokens ?? 0,
+                    output: usage?.completion_tokens ?? 0
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,197 @@
+import { posix } from 'path';
+
+// React + Vite export of a prototype. The model writes the application code
+// under src/ (App, one component per region of the sketch, CSS modules and
+// sample data); the server adds the fixed skeleton around it: package.json,
+// Vite config, index.html and the entry module. Nothing is installed or built
+// here. The checks below stand in for a build: they catch imports that would
+// not resolve and packages the skeleton does not provide.
+
+export const REACT_DIR = 'react';
+export const REACT_FILE_EXTENSIONS = ['.jsx', '.js', '.css', '.json', '.svg'];
+
+const DEPENDENCIES = {
+    react: '^19.3.0',
+    'react-dom': '^19.3.0'
+};
+const DEV_DEPENDENCIES = {
+    '@vitejs/plugin-react': '^6.1.1',
+    vite: '^8.3.2'
+};
+const ALLOWED_PACKAGES = ['react', 'react-dom', 'react-dom/client', 'react/jsx-runtime'];
+// Written by the server, so the model may not supply them
+export const SKELETON_FILES = ['package.json', 'vite.config.js', 'index.html', 'README.md', 'src/main.jsx'];
+
+const IMPORT_PATTERN = /(?:^|[\s;])import\s+(?:[\w$*{}\s,]+\s+from\s+)?['"]([^'"]+)['"]|\bimport\(\s*['"]([^'"]+)['"]\s*\)|\bexport\s+(?:\*|\{[^}]*\})\s*from\s+['"]([^'"]+)['"]/g;
+const RESOLVE_EXTENSIONS = ['', '.jsx', '.js', '/index.jsx', '/index.js'];
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// npm package names are lowercase, URL-safe and at most 214 characters
+export function toPackageName(title, fallback = 'prototype') {
+    const name = String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .replace(/-+$/, '');
+    return name || fallback;
+}
+
+// Component names taken from src/components/<Name>.jsx, in file order
+export function listComponents(files) {
+    return files
+        .map(file => file.path.match(/^src\/components\/(?:.+\/)?([A-Z][A-Za-z0-9]*)\.jsx$/)?.[1])
+        .filter(Boolean);
+}
+
+function findImports(code) {
+    return Array.from(code.matchAll(IMPORT_PATTERN), match => match[1] || match[2] || match[3]);
+}
+
+// Problems a `vite build` of the project would hit, as validation issues
+export function checkReactProject(files) {
+    const issues = [];
+    const paths = new Set(files.map(file => file.path));
+    const issue = (type, file, message) => issues.push({ type, file, message });
+
+    for (const path of SKELETON_FILES) {
+        if (paths.has(path)) {
+            issue('reserved-file', path, `${path} is generated by the server; leave it out`);
+        }
+    }
+
+    for (const file of files) {
+        if (!file.path.startsWith('src/')) {
+            issue('misplaced-file', file.path, 'Every file belongs under src/');
+        }
+        if (posix.extname(file.path) === '.css' && !file.path.endsWith('.module.css') && file.path !== 'src/index.css') {
+            issue('global-css', file.path, 'Use a CSS module (Name.module.css); only src/index.css may hold global styles');
+        }
+    }
+
+    if (!paths.has('src/App.jsx')) {
+        issue('missing-file', null, 'src/App.jsx is missing; it must default-export the App component');
+    } else if (!/export\s+default\b/.test(files.find(file => file.path === 'src/App.jsx').content)) {
+        issue('missing-export', 'src/App.jsx', 'src/App.jsx must default-export the App component');
+    }
+    if (listComponents(files).length === 0) {
+        issue('missing-file', null, 'Split the UI into components under src/components/ (for example src/components/Header.jsx)');
+    }
+    if (!files.some(file => file.path.endsWith('.module.css'))) {
+        issue('missing-file', null, 'Style components with CSS modules (for example src/components/Header.module.css)');
+    }
+    if (!files.some(file => /^src\/data\/[^/]+\.json$/.test(file.path))) {
+        issue('missing-file', null, 'Put the sample data in a JSON file under src/data/ and import it');
+    }
+
+    for (const file of files.filter(entry => /\.jsx?$/.test(entry.path))) {
+        for (const specifier of findImports(file.content)) {
+            if (specifier.startsWith('.')) {
+                const target = posix.normalize(posix.join(posix.dirname(file.path), specifier));
+                if (!RESOLVE_EXTENSIONS.some(extension => paths.has(target + extension))) {
+                    issue('unresolved-import', file.path, `Imports ${specifier}, which is not one of the files`);
+                }
+            } else if (!ALLOWED_PACKAGES.includes(specifier)) {
+                issue('unknown-package', file.path, `Imports ${specifier}; only react and react-dom are installed`);
+            }
+        }
+    }
+
+    return issues;
+}
+
+// The fixed files around the generated src/ folder
+export function createReactSkeleton({ name, title, files }) {
+    const hasGlobalCss = files.some(file => file.path === 'src/index.css');
+    const componentFiles = files
+        .map(file => file.path)
+        .filter(path => /^src\/components\/.+\.jsx$/.test(path));
+
+    const packageJson = {
+        name,
+        private: true,
+        version: '0.0.0',
+        type: 'module',
+        scripts: {
+            dev: 'vite',
+            build: 'vite build',
+            preview: 'vite preview'
+        },
+        dependencies: DEPENDENCIES,
+        devDependencies: DEV_DEPENDENCIES
+    };
+
+    return [
+        {
+            path: 'package.json',
+            content: `${JSON.stringify(packageJson, null, 2)}\n`
+        },
+        {
+            path: 'vite.config.js',
+            content: `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+    plugins: [react()]
+});
+`
+        },
+        {
+            path: 'index.html',
+            content: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+</head>
+<body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.jsx"></script>
+</body>
+</html>
+`
+        },
+        {
+            path: 'src/main.jsx',
+            content: `import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+${hasGlobalCss ? "import './index.css';\n" : ''}import App from './App.jsx';
+
+createRoot(document.getElementById('root')).render(
+    <StrictMode>
+        <App />
+    </StrictMode>
+);
+`
+        },
+        {
+            path: 'README.md',
+            content: `# ${title}
+
+React + Vite version of a prototype generated from a whiteboard sketch.
+
+\`\`\`sh
+npm install
+npm run dev
+\`\`\`
+
+\`npm run build\` writes a static build to \`dist/\`.
+
+## Layout
+
+- \`src/App.jsx\` puts the page together
+${componentFiles.map(path => `- \`${path}\``).join('\n')}
+- \`src/data/\` holds the sample data; replace it with real API calls
+- Styles are CSS modules next to each component
+`
+        }
+    ];
+}
@@ -0,0 +1,275 @@
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { createJsonStore } from './json-store.js';
+
+// Review links and the comments left through them. A share link carries an
+// unguessable token that lets anyone holding it see one prototype until the
+// link expires or is revoked; only the token's SHA-256 hash is stored, so the
+// link is shown once, when it is made.
+
+export const MAX_AUTHOR_LENGTH = 60;
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_COMMENTS_PER_SHARE = 500;
+
+export class ReviewError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReviewError';
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+// What owners see of a link; the token itself is never stored
+export function toPublicShare(share, now = Date.now()) {
+    return {
+        id: share.id,
+        prototypeId: share.prototypeId,
+        version: share.version,
+        createdBy: share.createdBy,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        expired: Date.parse(share.expiresAt) <= now
+    };
+}
+
+function validatePosition(position) {
+    if (position === undefined || position === null) {
+        return null;
+    }
+
+    const { x, y } = position;
+    if (![x, y].every(value => typeof value === 'number' && value >= 0 && value <= 1)) {
+        throw new ReviewError('position needs x and y between 0 and 1, as fractions of the page');
+    }
+    return { x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000 };
+}
+
+function validateText(value, name, maxLength) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+        throw new ReviewError(`Add ${name === 'author' ? 'your name' : 'a comment'} first`);
+    }
+    if (text.length > maxLength) {
+        throw new ReviewError(`${name} must be ${maxLength} characters or fewer`);
+    }
+    return text;
+}
+
+export function createReviewStore({ file }) {
+    const { load, change } = createJsonStore({ file, empty: () => ({ shares: [], comments: [] }) });
+
+    function isPrototype(record, prototypeId, workspace) {
+        return record.prototypeId === prototypeId && record.workspace === workspace;
+    }
+
+    return {
+        // Returns the share and the raw token for its link; only the hash is kept
+        async createShare({ prototypeId, workspace = '', version = null, expiresAt, createdBy = null }) {
+            const token = randomBytes(24).toString('base64url');
+            const share = {
+                id: randomUUID(),
+                tokenHash: hashToken(token),
+                prototypeId,
+                workspace,
+                version,
+                createdBy,
+                createdAt: new Date().toISOString(),
+                expiresAt: new Date(expiresAt).toISOString()
+            };
+
+            await change(store => {
+                store.shares.push(share);
+            });
+            return { share, token };
+        },
+
+        async listShares(prototypeId, workspace = '') {
+            return (await load()).shares.filter(share => isPrototype(share, prototypeId, workspace));
+        },
+
+        // Expired links are still found, so they can be told apart from wrong ones
+        async getShare(token) {
+            if (typeof token !== 'string' || !token) {
+                return null;
+            }
+            const tokenHash = hashToken(token);
+            return (await load()).shares.find(share => share.tokenHash === tokenHash) || null;
+        },
+
+        async revokeShare(id, prototypeId, workspace = '') {
+            return change(store => {
+                const share = store.shares.find(entry => entry.id === id && isPrototype(entry, prototypeId, workspace));
+                if (!share) {
+                    throw new ReviewError('Share link not found', 404);
+                }
+                store.shares = store.shares.filter(entry => entry !== share);
+                return share;
+            });
+        },
+
+        // Replies hang off the thread's first comment and take its page and version
+        async addComment(share, { author, authorId = null, body, version, page, position, parentId = null }) {
+            const name = validateText(author, 'author', MAX_AUTHOR_LENGTH);
+            const text = validateText(body, 'comment', MAX_COMMENT_LENGTH);
+            const pin = parentId ? null : validatePosition(position);
+
+            return change(store => {
+                if (store.comments.filter(comment => comment.shareId === share.id).length >= MAX_COMMENTS_PER_SHARE) {
+                    throw new ReviewError(`This link has reached its limit of ${MAX_COMMENTS_PER_SHARE} comments`, 409);
+                }
+
+                let parent = null;
+                if (parentId) {
+                    parent = store.comments.find(comment => comment.id === parentId && comment.shareId === share.id);
+                    if (!parent) {
+                        throw new ReviewError('The comment being replied to is gone', 404);
+                    }
+                    if (parent.parentId) {
+                        parent = store.comments.find(comment => comment.id === parent.parentId) || parent;
+                    }
+                }
+
+                const comment = {
+                    id: randomUUID(),
+                    shareId: share.id,
+                    prototypeId: share.prototypeId,
+                    workspace: share.workspace,
+                    parentId: parent?.id || null,
+                    version: parent ? parent.version : version,
+                    page: parent ? parent.page : page,
+                    position: parent ? null : pin,
+                    author: name,
+                    authorId,
+                    body: text,
+                    createdAt: new Date().toISOString()
+                };
+                store.comments.push(comment);
+                return comment;
+            });
+        },
+
+        // Oldest first; a shareId narrows them to one link's reviewers
+        async listComments(prototypeId, workspace = '', { shareId = null, version = null } = {}) {
+            return (await load()).comments
+                .filter(comment => isPrototype(comment, prototypeId, workspace))
+                .filter(comment => !shareId || comment.shareId === shareId)
+                .filter(comment => !version || comment.version === version)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        },
+
+        // Removing a thread's first comment removes its replies
+        async removeComment(id, prototypeId, workspace = '') {
+            return change(store => {
+                const comment = store.comments.find(entry => entry.id === id && isPrototype(entry, prototypeId, workspace));
+                if (!comment) {
+                    throw new ReviewError('Comment not found', 404);
+                }
+                store.comments = store.comments.filter(entry => entry.id !== id && entry.parentId !== id);
+                return comment;
+            });
+        },
+
+        // Called when the prototype itself is deleted
+        async removePrototype(prototypeId, workspace = '') {
+            return change(store => {
+                const before = store.shares.length + store.comments.length;
+                store.shares = store.shares.filter(share => !isPrototype(share, prototypeId, workspace));
+                store.comments = store.comments.filter(comment => !isPrototype(comment, prototypeId, workspace));
+                return before - store.shares.length - store.comments.length;
+            });
+        }
+    };
+}
+
+// Top-level comments with their replies, in the order they were made
+export function toThreads(comments) {
+    const threads = comments
+        .filter(comment => !comment.parentId)
+        .map(comment => ({ ...comment, replies: [] }));
+    const byId = new Map(threads.map(thread => [thread.id, thread]));
+
+    for (const comment of comments.filter(entry => entry.parentId)) {
+        byId.get(comment.parentId)?.replies.push(comment);
+    }
+    return threads;
+}
+
+function describePin(comment) {
+    const where = [`v${comment.version}`, comment.page];
+    if (comment.position) {
+        where.push(`${Math.round(comment.position.x * 100)}% across, ${Math.round(comment.position.y * 100)}% down`);
+    }
+    return where.join(', ');
+}
+
+// Names and comments come from anyone with the link. A spreadsheet would run
+// text starting with = + - @, a tab or a carriage return as a formula, so
+// such text is kept as text with a leading quote.
+function toCsvField(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function formatCommentsCsv(comments) {
+    const rows = [['id', 'thread', 'version', 'page', 'x', 'y', 'author', 'comment', 'createdAt']];
+
+    for (const comment of comments) {
+        rows.push([
+            comment.id,
+            comment.parentId || comment.id,
+            comment.version,
+            comment.page,
+            comment.position?.x ?? '',
+            comment.position?.y ?? '',
+            comment.author,
+            comment.body,
+            comment.createdAt
+        ]);
+    }
+    return `${rows.map(row => row.map(toCsvField).join(',')).join('\n')}\n`;
+}
+
+export function formatCommentsMarkdown(comments, { title }) {
+    const threads = toThreads(comments);
+    const lines = [`# Review comments: ${title}`, ''];
+
+    if (threads.length === 0) {
+        lines.push('No comments yet.');
+    }
+
+    for (const [index, thread] of threads.entries()) {
+        lines.push(`## ${index + 1}. ${describePin(thread)}`, '');
+        lines.push(`**${thread.author}** (${thread.createdAt}): ${thread.body}`);
+        for (const reply of thread.replies) {
+            lines.push(`- **${reply.author}** (${reply.createdAt}): ${reply.body}`);
+        }
+        lines.push('');
+    }
+    return `${lines.join('\n').trimEnd()}\n`;
+}
+
+// Turns the threads into a refinement instruction; the pin position tells the
+// model roughly where on the page each one is about
+export function formatCommentsInstruction(comments) {
+    const threads = toThreads(comments);
+
+    if (threads.length === 0) {
+        return '';
+    }
+
+    return [
+        'Address this reviewer feedback. Each item says where on the prototype it was pinned; replies add to the first comment.',
+        '',
+        ...threads.map((thread, index) => [
+            `${index + 1}. (${describePin(thread)}) ${thread.body}`,
+            ...thread.replies.map(reply => `   - ${reply.body}`)
+        ].join('\n'))
+    ].join('\n');
+}
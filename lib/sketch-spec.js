@@ -0,0 +1,107 @@
+// The structured reading of a sketch that a build starts from: its screens,
+// the components on each (with where they sit on the photo), text labels,
+// interactions and data entities. The model writes it in a first pass, users
+// may correct it, and the generation prompt is built on it. Anything coming in
+// (from the model or a browser) goes through normalizeSketchSpec, which keeps
+// the known fields, trims text and caps list sizes, so a stored spec is always
+// the same shape.
+
+export const MAX_SPEC_SCREENS = 20;
+const MAX_COMPONENTS = 80;
+const MAX_INTERACTIONS = 120;
+const MAX_ENTITIES = 30;
+const MAX_FIELDS = 40;
+const MAX_NOTES = 20;
+const MAX_TEXT_LENGTH = 300;
+
+function toText(value, maxLength = MAX_TEXT_LENGTH) {
+    return typeof value === 'string' || typeof value === 'number'
+        ? String(value).trim().slice(0, maxLength)
+        : '';
+}
+
+function toList(value, max) {
+    return Array.isArray(value) ? value.slice(0, max) : [];
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, Math.round(value * 1000) / 1000));
+}
+
+// Bounding boxes are fractions of the photo's width and height, so they
+// survive resizing; anything unusable becomes null rather than failing
+function toBounds(bounds) {
+    if (!bounds || typeof bounds !== 'object') {
+        return null;
+    }
+
+    const values = ['x', 'y', 'width', 'height'].map(key => Number(bounds[key]));
+    if (values.some(value => !Number.isFinite(value))) {
+        return null;
+    }
+
+    const [x, y] = values.map(clamp);
+    const width = clamp(Math.min(values[2], 1 - x));
+    const height = clamp(Math.min(values[3], 1 - y));
+    return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
+
+function toComponent(component) {
+    return {
+        type: toText(component?.type, 40) || 'element',
+        label: toText(component?.label),
+        bounds: toBounds(component?.bounds),
+        notes: toText(component?.notes)
+    };
+}
+
+export function normalizeSketchSpec(raw, { images = MAX_SPEC_SCREENS } = {}) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('The sketch spec must be a JSON object');
+    }
+    if (!Array.isArray(raw.screens) || raw.screens.length === 0) {
+        throw new Error('The sketch spec must list at least one screen');
+    }
+    if (raw.screens.length > MAX_SPEC_SCREENS) {
+        throw new Error(`The sketch spec may list at most ${MAX_SPEC_SCREENS} screens`);
+    }
+
+    const screens = raw.screens.map((screen, index) => {
+        const image = Number(screen?.image);
+        return {
+            name: toText(screen?.name, 80) || `Screen ${index + 1}`,
+            // 1-based position of the whiteboard the screen was read from
+            image: Number.isInteger(image) && image >= 1 && image <= images ? image : null,
+            purpose: toText(screen?.purpose),
+            components: toList(screen?.components, MAX_COMPONENTS).map(toComponent)
+        };
+    });
+
+    return {
+        screens,
+        interactions: toList(raw.interactions, MAX_INTERACTIONS)
+            .map(interaction => ({
+                screen: toText(interaction?.screen, 80),
+                trigger: toText(interaction?.trigger),
+                action: toText(interaction?.action)
+            }))
+            .filter(interaction => interaction.trigger || interaction.action),
+        entities: toList(raw.entities, MAX_ENTITIES)
+            .map(entity => ({
+                name: toText(entity?.name, 80),
+                fields: toList(entity?.fields, MAX_FIELDS).map(field => toText(field, 80)).filter(Boolean)
+            }))
+            .filter(entity => entity.name),
+        notes: toList(raw.notes, MAX_NOTES).map(note => toText(note)).filter(Boolean)
+    };
+}
+
+// A readable summary for logs and history cards
+export function summarizeSketchSpec(spec) {
+    return {
+        screens: spec.screens.length,
+        components: spec.screens.reduce((total, screen) => total + screen.components.length, 0),
+        interactions: spec.interactions.length,
+        entities: spec.entities.length
+    };
+}
@@ -0,0 +1,131 @@
+// Spend accounting for budgets, rate limits and the usage dashboard. Spend is
+// read back from history (each session records its cost and whose key paid),
+// so it survives restarts without a second ledger. Periods are UTC days and
+// months. The rate limiter is in memory and per process: a restart forgives.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function startOfDay(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+export function startOfMonth(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+export function startOfNextMonth(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+// Each paid model run a history session records: the build, its sketch
+// analysis, and its React conversion if it has one (which may have been paid
+// for later, by someone else)
+export function getSpendRecords(sessions) {
+    return sessions.flatMap(session => [
+        session,
+        ...[session.analysis, session.react]
+            .filter(record => record?.cost)
+            .map(record => ({ ...record, ownerId: session.ownerId }))
+    ]);
+}
+
+// Dollars spent since `since` by records `match` accepts
+export function sumSpend(records, since, match = () => true) {
+    return records
+        .filter(record => Date.parse(record.timestamp) >= since && match(record))
+        .reduce((sum, record) => sum + (record.cost || 0), 0);
+}
+
+// Spend per UTC day (oldest first, days without builds included) and per model
+export function summarizeUsage(records, { days, now = Date.now() }) {
+    const firstDay = startOfDay(now) - (days - 1) * DAY_MS;
+    const daily = Array.from({ length: days }, (_, index) => ({
+        date: new Date(firstDay + index * DAY_MS).toISOString().slice(0, 10),
+        builds: 0,
+        cost: 0,
+        models: {}
+    }));
+    const models = new Map();
+
+    for (const record of records) {
+        const time = Date.parse(record.timestamp);
+        if (!(time >= firstDay)) {
+            continue;
+        }
+
+        const cost = record.cost || 0;
+        const model = record.model || 'unknown';
+        const day = daily[Math.floor((time - firstDay) / DAY_MS)];
+        if (day) {
+            day.builds++;
+            day.cost += cost;
+            day.models[model] = (day.models[model] || 0) + cost;
+        }
+
+        const totals = models.get(model) || { model, builds: 0, cost: 0, inputTokens: 0, outputTokens: 0 };
+        totals.builds++;
+        totals.cost += cost;
+        totals.inputTokens += record.tokens?.input || 0;
+        totals.outputTokens += record.tokens?.output || 0;
+        models.set(model, totals);
+    }
+
+    const byModel = Array.from(models.values()).sort((a, b) => b.cost - a.cost);
+    return {
+        daily,
+        models: byModel,
+        total: {
+            builds: byModel.reduce((sum, entry) => sum + entry.builds, 0),
+            cost: byModel.reduce((sum, entry) => sum + entry.cost, 0)
+        }
+    };
+}
+
+// At most `limit` hits per client in any `windowMs`; a limit of 0 allows everything
+export function createRateLimiter({ limit, windowMs }) {
+    const hits = new Map();
+
+    function prune(clientId, now) {
+        const recent = (hits.get(clientId) || []).filter(time => time > now - windowMs);
+        if (recent.length > 0) {
+            hits.set(clientId, recent);
+        } else {
+            hits.delete(clientId);
+        }
+        return recent;
+    }
+
+    return {
+        // Records a hit if the client has room left
+        take(clientId, now = Date.now()) {
+            if (!limit) {
+                return { allowed: true, remaining: null, retryAfterMs: 0 };
+            }
+
+            const recent = prune(clientId, now);
+            if (recent.length >= limit) {
+                return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - now };
+            }
+
+            recent.push(now);
+            hits.set(clientId, recent);
+            return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+        },
+
+        // Gives back the client's latest hit, for a request that turned out to cost nothing
+        release(clientId) {
+            const recent = hits.get(clientId);
+            recent?.pop();
+            if (recent?.length === 0) {
+                hits.delete(clientId);
+            }
+        },
+
+        remaining(clientId, now = Date.now()) {
+            return limit ? Math.max(0, limit - prune(clientId, now).length) : null;
+        }
+    };
+}
@@ -0,0 +1,214 @@
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { createJsonStore } from './json-store.js';
+
+// Accounts and sign-in sessions for AUTH_MODE=local (and the users a trusted
+// proxy signs in), kept in a JSON store. Passwords are stored as salted scrypt
+// hashes and session cookies only as SHA-256 hashes, so the file alone can't
+// be used to sign in.
+
+const scryptAsync = promisify(scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._@-]{1,63}$/;
+export const MIN_PASSWORD_LENGTH = 8;
+
+export class UserError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UserError';
+        this.status = status;
+    }
+}
+
+export async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+export function normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+// What routes and pages may see of a user
+export function toPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        canUseServerKey: user.canUseServerKey,
+        hasPassword: Boolean(user.passwordHash),
+        createdAt: user.createdAt
+    };
+}
+
+export function createUserStore({ file, sessionTtlMs }) {
+    const { load, change } = createJsonStore({
+        file,
+        empty: () => ({ users: [], sessions: [] }),
+        // Expired sign-ins are dropped whenever the file is written
+        beforeSave: data => {
+            const now = Date.now();
+            data.sessions = data.sessions.filter(session => session.expiresAt > now);
+        }
+    });
+
+    function validateUsername(username) {
+        if (!USERNAME_PATTERN.test(username)) {
+            throw new UserError('Usernames are 2-64 letters, numbers, dots, dashes, underscores or @');
+        }
+    }
+
+    function validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new UserError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    async function findByUsername(username) {
+        const name = normalizeUsername(username);
+        return (await load()).users.find(user => user.username === name) || null;
+    }
+
+    return {
+        async count() {
+            return (await load()).users.length;
+        },
+
+        async list() {
+            return [...(await load()).users].sort((a, b) => a.username.localeCompare(b.username));
+        },
+
+        async get(id) {
+            return (await load()).users.find(user => user.id === id) || null;
+        },
+
+        findByUsername,
+
+        // A null password creates an account that can only arrive through the trusted header
+        async create({ username, password = null, role = 'member', canUseServerKey = false }) {
+            const name = normalizeUsername(username);
+            validateUsername(name);
+            if (password !== null) {
+                validatePassword(password);
+            }
+            const passwordHash = password === null ? null : await hashPassword(password);
+
+            return change(store => {
+                if (store.users.some(user => user.username === name)) {
+                    throw new UserError(`The username ${name} is taken`, 409);
+                }
+
+                const user = {
+                    id: randomUUID(),
+                    username: name,
+                    passwordHash,
+                    role: role === 'admin' ? 'admin' : 'member',
+                    canUseServerKey: Boolean(canUseServerKey),
+                    // Output directory name; unguessable, since prototype URLs are not access-checked
+                    workspace: randomBytes(12).toString('hex'),
+                    createdAt: new Date().toISOString()
+                };
+                store.users.push(user);
+                return user;
+            });
+        },
+
+        async update(id, { role, canUseServerKey, password }) {
+            if (password !== undefined) {
+                validatePassword(password);
+            }
+            const passwordHash = password === undefined ? undefined : await hashPassword(password);
+
+            return change(store => {
+                const user = store.users.find(entry => entry.id === id);
+                if (!user) {
+                    throw new UserError('User not found', 404);
+                }
+
+                if (role !== undefined) {
+                    user.role = role === 'admin' ? 'admin' : 'member';
+                }
+                if (canUseServerKey !== undefined) {
+                    user.canUseServerKey = Boolean(canUseServerKey);
+                }
+                if (passwordHash !== undefined) {
+                    user.passwordHash = passwordHash;
+                    // A new password signs the user out everywhere
+                    store.sessions = store.sessions.filter(session => session.userId !== id);
+                }
+                return user;
+            });
+        },
+
+        async remove(id) {
+            return change(store => {
+                const user = store.users.find(entry => entry.id === id);
+                if (!user) {
+                    throw new UserError('User not found', 404);
+                }
+                store.users = store.users.filter(entry => entry.id !== id);
+                store.sessions = store.sessions.filter(session => session.userId !== id);
+                return user;
+            });
+        },
+
+        async authenticate(username, password) {
+            const user = await findByUsername(username);
+            if (!user || !user.passwordHash || typeof password !== 'string') {
+                return null;
+            }
+            return await verifyPassword(password, user.passwordHash) ? user : null;
+        },
+
+        // Returns the raw token for the cookie; only its hash is stored
+        async createSession(userId) {
+            const token = randomBytes(32).toString('base64url');
+            await change(store => {
+                store.sessions.push({
+                    tokenHash: hashToken(token),
+                    userId,
+                    expiresAt: Date.now() + sessionTtlMs
+                });
+            });
+            return token;
+        },
+
+        async getSessionUser(token) {
+            if (!token) {
+                return null;
+            }
+
+            const store = await load();
+            const tokenHash = hashToken(token);
+            const session = store.sessions.find(entry => entry.tokenHash === tokenHash);
+            if (!session || session.expiresAt <= Date.now()) {
+                return null;
+            }
+            return store.users.find(user => user.id === session.userId) || null;
+        },
+
+        async deleteSession(token) {
+            const tokenHash = hashToken(token);
+            await change(store => {
+                store.sessions = store.sessions.filter(session => session.tokenHash !== tokenHash);
+            });
+        }
+    };
+}
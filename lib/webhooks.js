@@ -0,0 +1,176 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+// Outbound webhooks. Each delivery is a JSON POST signed with the webhook's
+// secret: the signature is an HMAC-SHA256 of "<timestamp>.<body>", sent as
+// X-Webhook-Signature: sha256=<hex> with the timestamp in X-Webhook-Timestamp,
+// so a receiver can check both where the payload came from and how old it is.
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers (and the tests): true when the signature matches and the
+// timestamp is within toleranceSeconds of now
+export function verifySignature(secret, { signature, timestamp, body, toleranceSeconds = 300, now = Date.now() }) {
+    if (typeof signature !== 'string' || !/^\d+$/.test(String(timestamp))) {
+        return false;
+    }
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Addresses a receiver may not be on. Anyone who can add a webhook chooses
+// where the server posts to, so loopback, private networks, link-local
+// (including the cloud metadata service at 169.254.169.254) and other
+// non-public ranges would let them reach what only the server can. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function getHost(url) {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+function describeBlocked(host, addresses) {
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked ? `${host} is a private or local address (${blocked.address}); webhooks can only post to public addresses` : null;
+}
+
+// Looks up the URL's host and resolves with why it may not be posted to, or
+// null when every address it has is public. Throws when the lookup fails.
+export async function findBlockedAddress(url, { lookup = dns.lookup } = {}) {
+    const host = getHost(url);
+    return describeBlocked(host, await lookup(host, { all: true, verbatim: true }));
+}
+
+// A connection pool that dials only the addresses already checked, so the
+// name cannot be pointed somewhere else between the check and the request.
+// The URL keeps its host name, which still goes out as the Host header and TLS SNI.
+function createPinnedAgent(addresses, allowPrivate) {
+    return new Agent({
+        connect: {
+            lookup(hostname, options, callback) {
+                const usable = addresses.filter(({ address, family }) =>
+                    (!options.family || family === options.family) && (allowPrivate || !isBlockedAddress(address)));
+
+                if (usable.length === 0) {
+                    return callback(Object.assign(new Error(`No public address to connect to for ${hostname}`), { code: 'ENOTFOUND' }));
+                }
+                if (options.all) {
+                    return callback(null, usable);
+                }
+                callback(null, usable[0].address, usable[0].family);
+            }
+        }
+    });
+}
+
+// Worth another try: the receiver was unreachable, slow, overloaded or asked us to back off
+function isRetryable(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Posts one event to one webhook, retrying failures with a doubling delay.
+// The host is looked up again before each attempt, since where a name points
+// can change after the webhook was added, and the request connects to the
+// addresses that lookup checked. Never throws; resolves with what happened
+// for the delivery log.
+export async function deliverWebhook(webhook, event, payload, { retries = 3, retryDelayMs = 2000, timeoutMs = 10000, allowPrivate = false, lookup = dns.lookup, fetchImpl = fetch } = {}) {
+    const id = randomUUID();
+    const body = JSON.stringify({ id, event, createdAt: new Date().toISOString(), data: payload });
+    let attempts = 0;
+    let status = null;
+    let error = null;
+
+    while (attempts <= retries) {
+        if (attempts > 0) {
+            await wait(retryDelayMs * 2 ** (attempts - 1));
+        }
+        attempts++;
+
+        // Signed per attempt, so a retry's timestamp is fresh
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        let dispatcher = null;
+        try {
+            const host = getHost(webhook.url);
+            const addresses = await lookup(host, { all: true, verbatim: true });
+            const blocked = allowPrivate ? null : describeBlocked(host, addresses);
+            if (blocked) {
+                status = null;
+                error = blocked;
+                break;
+            }
+
+            dispatcher = createPinnedAgent(addresses, allowPrivate);
+            const response = await fetchImpl(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'whiteboard-to-prototype-webhooks',
+                    'X-Webhook-Id': id,
+                    'X-Webhook-Event': event,
+                    [TIMESTAMP_HEADER]: timestamp,
+                    [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs),
+                dispatcher
+            });
+            status = response.status;
+            error = response.ok ? null : `HTTP ${response.status}`;
+            // Let the connection go; the receiver's answer is not used
+            await response.body?.cancel().catch(() => {});
+        } catch (fetchError) {
+            status = null;
+            error = fetchError.name === 'TimeoutError' ? `No answer within ${timeoutMs}ms` : fetchError.cause?.message || fetchError.message;
+        } finally {
+            dispatcher?.destroy().catch(() => {});
+        }
+
+        if (!error || !isRetryable(status)) {
+            break;
+        }
+    }
+
+    return {
+        id,
+        webhookId: webhook.id,
+        event,
+        status: error ? 'failed' : 'delivered',
+        responseStatus: status,
+        error,
+        attempts,
+        at: new Date().toISOString()
+    };
+}
@@ -0,0 +1,94 @@
+// Shared by every page: finds out who is signed in, sends signed-out visitors
+// to the sign-in page and shows the account bar. Pages wait on
+// window.accountReady for { authMode, allowSignup, user }.
+(function () {
+    const SIGNED_OUT = { authMode: 'none', allowSignup: false, user: null };
+    const onLoginPage = location.pathname === '/login.html';
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function renderAccountBar(account) {
+        const style = document.createElement('style');
+        style.textContent = `
+            .account-bar {
+                position: fixed;
+                top: 12px;
+                right: 12px;
+                z-index: 900;
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                background: white;
+                border: 1px solid #e5e7eb;
+                border-radius: 999px;
+                padding: 6px 8px 6px 14px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                color: #333;
+                box-shadow: 0 4px 16px rgba(0,0,0,0.08);
+            }
+
+            .account-bar a,
+            .account-bar button {
+                border: none;
+                background: #f0f0f0;
+                color: #000;
+                border-radius: 999px;
+                padding: 5px 12px;
+                font: inherit;
+                font-weight: 600;
+                text-decoration: none;
+                cursor: pointer;
+            }
+
+            .account-bar a:hover,
+            .account-bar button:hover {
+                background: #e0e0e0;
+            }
+        `;
+        document.head.appendChild(style);
+
+        const bar = document.createElement('div');
+        bar.className = 'account-bar';
+        bar.innerHTML = `
+            <span>Signed in as <strong>${escapeHtml(account.user.username)}</strong></span>
+            <a href="/api.html">API</a>
+            ${account.user.role === 'admin' ? '<a href="/admin.html">Users</a>' : ''}
+            ${account.authMode === 'local' ? '<button type="button">Sign out</button>' : ''}
+        `;
+        bar.querySelector('button')?.addEventListener('click', async () => {
+            await fetch('/auth/logout', { method: 'POST' });
+            location.href = '/login.html';
+        });
+        document.body.appendChild(bar);
+    }
+
+    window.accountReady = fetch('/auth/me')
+        .then(response => response.json())
+        .then(data => (data.success ? data : SIGNED_OUT))
+        .catch(() => SIGNED_OUT);
+
+    window.accountReady.then(account => {
+        if (account.authMode === 'none' || onLoginPage) {
+            return;
+        }
+
+        if (!account.user) {
+            location.href = `/login.html?next=${encodeURIComponent(location.pathname + location.search)}`;
+            return;
+        }
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => renderAccountBar(account));
+        } else {
+            renderAccountBar(account);
+        }
+    });
+})();
@@ -0,0 +1,322 @@
+// Shared by the builder and history pages: shows a sketch spec as an outline
+// (screens with their components boxed on the photo, interactions, data
+// entities and notes). Editable outlines change the spec in place; read() hands
+// back a copy to send to the server, which normalizes it again.
+(function () {
+    const STYLE = `
+        .spec-outline {
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+            font-size: 14px;
+            color: #333;
+        }
+
+        .spec-screen,
+        .spec-group {
+            border: 1px solid #e5e7eb;
+            border-radius: 12px;
+            padding: 14px;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+
+        .spec-heading {
+            font-size: 12px;
+            font-weight: 700;
+            text-transform: uppercase;
+            letter-spacing: 0.04em;
+            color: #666;
+        }
+
+        .spec-row {
+            display: flex;
+            gap: 6px;
+            align-items: center;
+        }
+
+        .spec-row input,
+        .spec-outline textarea {
+            flex: 1;
+            min-width: 0;
+            padding: 6px 8px;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            font: inherit;
+            background: white;
+        }
+
+        .spec-row input.spec-type {
+            flex: 0 0 90px;
+            color: #4facfe;
+            font-weight: 600;
+        }
+
+        .spec-row input[readonly],
+        .spec-outline textarea[readonly] {
+            border-color: transparent;
+            background: #f9fafb;
+        }
+
+        .spec-row.highlight input {
+            border-color: #4facfe;
+        }
+
+        .spec-row button,
+        .spec-add {
+            border: none;
+            background: #f0f0f0;
+            border-radius: 8px;
+            padding: 6px 10px;
+            font: inherit;
+            cursor: pointer;
+        }
+
+        .spec-add {
+            align-self: flex-start;
+            font-weight: 600;
+        }
+
+        .spec-photo {
+            position: relative;
+            align-self: flex-start;
+            max-width: 100%;
+        }
+
+        .spec-photo img {
+            display: block;
+            max-width: 100%;
+            max-height: 260px;
+            border-radius: 8px;
+        }
+
+        .spec-box {
+            position: absolute;
+            border: 2px solid rgba(79, 172, 254, 0.8);
+            border-radius: 4px;
+            background: rgba(79, 172, 254, 0.08);
+            font-size: 10px;
+            font-weight: 700;
+            color: #1d6fb8;
+            padding: 1px 3px;
+            overflow: hidden;
+            white-space: nowrap;
+        }
+
+        .spec-box.highlight {
+            border-color: #f97316;
+            background: rgba(249, 115, 22, 0.15);
+            color: #c2410c;
+        }
+    `;
+
+    function ensureStyle() {
+        if (document.getElementById('spec-outline-style')) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = 'spec-outline-style';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+    }
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    // `imageUrls[n]` is the photo for screens with image n + 1
+    function render(container, spec, { imageUrls = [], editable = true } = {}) {
+        ensureStyle();
+        const state = JSON.parse(JSON.stringify(spec));
+
+        function input(value, placeholder, onInput, className = '') {
+            const field = createElement('input', className);
+            field.value = value;
+            field.placeholder = placeholder;
+            field.readOnly = !editable;
+            field.addEventListener('input', () => onInput(field.value));
+            return field;
+        }
+
+        function removeButton(list, index) {
+            const button = createElement('button', '', '✕');
+            button.type = 'button';
+            button.title = 'Remove';
+            button.addEventListener('click', () => {
+                list.splice(index, 1);
+                draw();
+            });
+            return button;
+        }
+
+        function addButton(label, onClick) {
+            const button = createElement('button', 'spec-add', label);
+            button.type = 'button';
+            button.addEventListener('click', () => {
+                onClick();
+                draw();
+            });
+            return button;
+        }
+
+        function group(title) {
+            const element = createElement('div', 'spec-group');
+            element.appendChild(createElement('div', 'spec-heading', title));
+            return element;
+        }
+
+        function drawScreen(screen, screenIndex) {
+            const card = createElement('div', 'spec-screen');
+            card.appendChild(createElement('div', 'spec-heading', `Screen ${screenIndex + 1}${screen.image ? ` · photo ${screen.image}` : ''}`));
+
+            const nameRow = createElement('div', 'spec-row');
+            nameRow.appendChild(input(screen.name, 'Screen name', value => { screen.name = value; }));
+            if (editable && state.screens.length > 1) {
+                nameRow.appendChild(removeButton(state.screens, screenIndex));
+            }
+            card.appendChild(nameRow);
+
+            const purposeRow = createElement('div', 'spec-row');
+            purposeRow.appendChild(input(screen.purpose, 'What the screen is for', value => { screen.purpose = value; }));
+            card.appendChild(purposeRow);
+
+            const boxes = [];
+            const imageUrl = screen.image ? imageUrls[screen.image - 1] : null;
+            if (imageUrl) {
+                const photo = createElement('div', 'spec-photo');
+                const image = createElement('img');
+                image.src = imageUrl;
+                image.alt = `Whiteboard for ${screen.name}`;
+                photo.appendChild(image);
+                screen.components.forEach((component, index) => {
+                    if (!component.bounds) {
+                        return;
+                    }
+                    const box = createElement('div', 'spec-box', component.label || component.type);
+                    box.style.left = `${component.bounds.x * 100}%`;
+                    box.style.top = `${component.bounds.y * 100}%`;
+                    box.style.width = `${component.bounds.width * 100}%`;
+                    box.style.height = `${component.bounds.height * 100}%`;
+                    boxes[index] = box;
+                    photo.appendChild(box);
+                });
+                card.appendChild(photo);
+            }
+
+            screen.components.forEach((component, index) => {
+                const row = createElement('div', 'spec-row');
+                row.append(
+                    input(component.type, 'type', value => { component.type = value; }, 'spec-type'),
+                    input(component.label, 'Label', value => { component.label = value; }),
+                    input(component.notes, 'Notes', value => { component.notes = value; })
+                );
+                if (editable) {
+                    row.appendChild(removeButton(screen.components, index));
+                }
+                // Pointing at a row picks out its box on the photo
+                row.addEventListener('mouseenter', () => {
+                    row.classList.add('highlight');
+                    boxes[index]?.classList.add('highlight');
+                });
+                row.addEventListener('mouseleave', () => {
+                    row.classList.remove('highlight');
+                    boxes[index]?.classList.remove('highlight');
+                });
+                card.appendChild(row);
+            });
+
+            if (editable) {
+                card.appendChild(addButton('+ Component', () => {
+                    screen.components.push({ type: 'element', label: '', bounds: null, notes: '' });
+                }));
+            }
+            return card;
+        }
+
+        function draw() {
+            container.innerHTML = '';
+            const outline = createElement('div', 'spec-outline');
+
+            state.screens.forEach((screen, index) => outline.appendChild(drawScreen(screen, index)));
+            if (editable) {
+                outline.appendChild(addButton('+ Screen', () => {
+                    state.screens.push({ name: `Screen ${state.screens.length + 1}`, image: null, purpose: '', components: [] });
+                }));
+            }
+
+            const interactions = group('Interactions');
+            state.interactions.forEach((interaction, index) => {
+                const row = createElement('div', 'spec-row');
+                row.append(
+                    input(interaction.screen, 'Screen', value => { interaction.screen = value; }, 'spec-type'),
+                    input(interaction.trigger, 'When…', value => { interaction.trigger = value; }),
+                    input(interaction.action, 'Then…', value => { interaction.action = value; })
+                );
+                if (editable) {
+                    row.appendChild(removeButton(state.interactions, index));
+                }
+                interactions.appendChild(row);
+            });
+            if (editable) {
+                interactions.appendChild(addButton('+ Interaction', () => {
+                    state.interactions.push({ screen: state.screens[0]?.name || '', trigger: '', action: '' });
+                }));
+            }
+            outline.appendChild(interactions);
+
+            const entities = group('Data');
+            state.entities.forEach((entity, index) => {
+                const row = createElement('div', 'spec-row');
+                row.append(
+                    input(entity.name, 'Entity', value => { entity.name = value; }, 'spec-type'),
+                    input(entity.fields.join(', '), 'Fields, comma separated', value => {
+                        entity.fields = value.split(',').map(field => field.trim()).filter(Boolean);
+                    })
+                );
+                if (editable) {
+                    row.appendChild(removeButton(state.entities, index));
+                }
+                entities.appendChild(row);
+            });
+            if (editable) {
+                entities.appendChild(addButton('+ Entity', () => {
+                    state.entities.push({ name: '', fields: [] });
+                }));
+            }
+            outline.appendChild(entities);
+
+            if (editable || state.notes.length > 0) {
+                const notes = group('Notes');
+                const textarea = createElement('textarea');
+                textarea.rows = 3;
+                textarea.placeholder = 'Anything the sketch leaves unclear, one note per line';
+                textarea.value = state.notes.join('\n');
+                textarea.readOnly = !editable;
+                textarea.addEventListener('input', () => {
+                    state.notes = textarea.value.split('\n').map(note => note.trim()).filter(Boolean);
+                });
+                notes.appendChild(textarea);
+                outline.appendChild(notes);
+            }
+
+            container.appendChild(outline);
+        }
+
+        draw();
+        return {
+            read() {
+                return JSON.parse(JSON.stringify(state));
+            }
+        };
+    }
+
+    window.SpecOutline = { render };
+})();
@@ -1,13 +1,29 @@
 import express from 'express';
 import multer from 'multer';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, extname, join, posix, resolve, sep } from 'path';
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
+import vm from 'vm';
+import zlib from 'zlib';
 import sharp from 'sharp';
 import dotenv from 'dotenv';
-import Anthropic from '@anthropic-ai/sdk';
 import { v4 as uuidv4 } from 'uuid';
+import { createProvider, PROVIDERS } from './lib/providers/index.js';
+import { ConfigError, findModel, loadConfig } from './lib/config.js';
+import { createHistoryStore } from './lib/history-store.js';
+import { createUserStore, normalizeUsername, toPublicUser, UserError } from './lib/users.js';
+import { createRateLimiter, getSpendRecords, startOfDay, startOfMonth, startOfNextMonth, summarizeUsage, sumSpend } from './lib/usage.js';
+import { checkReactProject, createReactSkeleton, listComponents, REACT_DIR, REACT_FILE_EXTENSIONS, toPackageName } from './lib/react-project.js';
+import { normalizeSketchSpec, summarizeSketchSpec } from './lib/sketch-spec.js';
+import { enhanceWhiteboard, ENHANCEMENT_DEFAULTS, NO_ENHANCEMENTS, parseEnhancements } from './lib/image-enhance.js';
+import { classifyError, getRetryDelay, isTransient, ModelOutputError } from './lib/build-errors.js';
+import { auditPrototype } from './lib/accessibility.js';
+import { API_SCOPES, ApiStoreError, createApiStore, toPublicToken, toPublicWebhook, WEBHOOK_EVENTS } from './lib/api-store.js';
+import { deliverWebhook, findBlockedAddress } from './lib/webhooks.js';
+import { buildFingerprint, hammingDistance, hashFile, perceptualHash, SIMILAR_DISTANCE } from './lib/fingerprint.js';
+import { buildOpenApiDocument } from './lib/openapi.js';
+import { createReviewStore, formatCommentsCsv, formatCommentsInstruction, formatCommentsMarkdown, ReviewError, toPublicShare, toThreads } from './lib/reviews.js';
 
 dotenv.config();
 
@@ -21,15 +37,28 @@ const PORT = process.env.PORT || 3000;
 // CONFIGURATION
 // ============================================================================
 
+function readConfig() {
+    try {
+        return loadConfig({ rootDir: __dirname, providers: Object.keys(PROVIDERS) });
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
+    }
+}
+
+// Deployment settings come from lib/config.js; the rest are fixed limits
 const CONFIG = {
-    UPLOADS_DIR: join(__dirname, 'uploads'),
-    OUTPUT_DIR: join(__dirname, '__output__'),
-    HISTORY_FILE: join(__dirname, 'history', 'whiteboard-history.json'),
-    MAX_IMAGE_SIZE: 1024,
-    MODEL: 'claude-opus-4-5-20251101',
-    MAX_TOKENS: 16384,
-    COST_PER_MILLION_INPUT: 15,
-    COST_PER_MILLION_OUTPUT: 75
+    ...readConfig(),
+    THEMES_DIR: join(__dirname, 'themes'),
+    DEFAULT_THEME: 'default',
+    SSE_KEEPALIVE_MS: 15000,
+    MAX_DIFF_CELLS: 25000000,
+    MAX_PROJECT_FILES: 40,
+    MAX_WHITEBOARD_IMAGES: 8,
+    MAX_REPAIR_ATTEMPTS: 2
 };
 
 // ============================================================================
@@ -42,16 +71,24 @@ const LOG_PREFIX = {
     CLAUDE: '[CLAUDE]',
     BUILD: '[BUILD]',
     HISTORY: '[HISTORY]',
+    JOBS: '[JOBS]',
     ERROR: '[ERROR]',
     SUCCESS: '[SUCCESS]',
     INFO: '[INFO]'
 };
 
+// Where log lines go; the CLI swaps this so the log doesn't drown out its summary
+let writeLog = line => console.log(line);
+
+function setLogWriter(writer) {
+    writeLog = writer;
+}
+
 function log(prefix, message, data = null) {
     const timestamp = new Date().toISOString();
-    console.log(`${timestamp} ${prefix} ${message}`);
+    writeLog(`${timestamp} ${prefix} ${message}`);
     if (data) {
-        console.log(`${timestamp} ${prefix} ${JSON.stringify(data, null, 2)}`);
+        writeLog(`${timestamp} ${prefix} ${JSON.stringify(data, null, 2)}`);
     }
 }
 
@@ -63,7 +100,8 @@ async function ensureDirectories() {
     const dirs = [
         CONFIG.UPLOADS_DIR,
         CONFIG.OUTPUT_DIR,
-        join(__dirname, 'history')
+        CONFIG.THEMES_DIR,
+        dirname(CONFIG.HISTORY_FILE)
     ];
 
     for (const dir of dirs) {
@@ -74,48 +112,306 @@ async function ensureDirectories() {
     }
 }
 
-async function loadHistory() {
-    try {
-        if (existsSync(CONFIG.HISTORY_FILE)) {
-            const data = await fs.readFile(CONFIG.HISTORY_FILE, 'utf-8');
-            return JSON.parse(data);
+const historyStore = createHistoryStore({
+    file: CONFIG.HISTORY_FILE,
+    legacyFile: CONFIG.LEGACY_HISTORY_FILE,
+    log: (message, data) => log(LOG_PREFIX.HISTORY, message, data)
+});
+
+async function addToHistory(session) {
+    // Refinements carry over the prototype's current title, tags, pin, star and build group
+    const parent = session.parentSessionId ? await historyStore.get(session.parentSessionId) : null;
+    await historyStore.add(parent ? { ...session, ...getPrototypeDetails(parent) } : session);
+    log(LOG_PREFIX.HISTORY, 'Session recorded', { sessionId: session.sessionId });
+
+    // Link refinements back to the version they were made from
+    if (session.parentSessionId) {
+        await historyStore.update(session.parentSessionId, parent => ({
+            ...parent,
+            childSessionIds: [...(parent.childSessionIds || []), session.sessionId]
+        }));
+    }
+}
+
+const PROTOTYPE_ID_PATTERN = /^prototype-[A-Za-z0-9-]+$/;
+const BUILD_GROUP_PATTERN = /^group-[a-f0-9-]+$/;
+
+function createPrototypeId() {
+    return `prototype-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+}
+
+function getPrototypeId(session) {
+    return session.prototypeId || session.outputDir.split('/').pop();
+}
+
+// Where a prototype lives under OUTPUT_DIR (and /demos): inside its owner's
+// workspace when sign-in is on, at the top level otherwise
+function getPrototypePath(session) {
+    return session.workspace ? `${session.workspace}/${getPrototypeId(session)}` : getPrototypeId(session);
+}
+
+function getPrototypeDir(session) {
+    return join(CONFIG.OUTPUT_DIR, getPrototypePath(session));
+}
+
+function getVersionDir(prototypeDir, version) {
+    return version > 1 ? join(prototypeDir, `v${version}`) : prototypeDir;
+}
+
+function toImageRecord(prototypePath, screen) {
+    return {
+        caption: screen.caption,
+        originalFilename: screen.originalFilename,
+        whiteboard: screen.whiteboard,
+        thumbnail: screen.thumbnail,
+        enhancements: screen.enhancements || null,
+        perceptualHash: screen.perceptualHash || null,
+        whiteboardUrl: `/demos/${prototypePath}/${screen.whiteboard}`,
+        thumbnailUrl: `/demos/${prototypePath}/${screen.thumbnail}`
+    };
+}
+
+function getSessionImages(session) {
+    // Single-image builds from before multi-image support only kept whiteboard.jpg
+    return session.images || [toImageRecord(getPrototypePath(session), {
+        caption: '',
+        originalFilename: session.originalFilename,
+        whiteboard: 'whiteboard.jpg',
+        thumbnail: 'thumbnail.jpg'
+    })];
+}
+
+// Versions the user may see; without a user, every version. With
+// includeFailed, failed build attempts of the prototype come too.
+async function getPrototypeVersions(prototypeId, user = null, { includeFailed = false } = {}) {
+    const sessions = await historyStore.all();
+
+    return sessions
+        .filter(session => (session.success || includeFailed) && getPrototypeId(session) === prototypeId)
+        .filter(session => !user || canAccess(user, session))
+        .sort((a, b) => (a.version || 1) - (b.version || 1));
+}
+
+const HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const MAX_USAGE_DAYS = 366;
+
+// Turns GET /history query parameters into store filters, or an error message
+function parseHistoryQuery(query, user) {
+    const filters = {
+        limit: HISTORY_PAGE_SIZE,
+        offset: 0,
+        text: typeof query.q === 'string' ? query.q : '',
+        model: null,
+        tag: null,
+        pinned: null,
+        from: null,
+        to: null,
+        groupBy: null,
+        match: null
+    };
+
+    for (const name of ['limit', 'offset']) {
+        if (query[name] === undefined) {
+            continue;
         }
-    } catch (error) {
-        log(LOG_PREFIX.ERROR, 'Failed to load history', { error: error.message });
+        const value = Number(query[name]);
+        const min = name === 'limit' ? 1 : 0;
+        if (!Number.isInteger(value) || value < min || (name === 'limit' && value > MAX_HISTORY_PAGE_SIZE)) {
+            return { error: name === 'limit'
+                ? `limit must be a whole number from 1 to ${MAX_HISTORY_PAGE_SIZE}`
+                : 'offset must be a whole number, 0 or more' };
+        }
+        filters[name] = value;
+    }
+
+    for (const name of ['from', 'to']) {
+        if (query[name]) {
+            const date = new Date(query[name]);
+            if (Number.isNaN(date.getTime())) {
+                return { error: `${name} must be a date` };
+            }
+            // A bare end date includes that whole day
+            if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+                date.setUTCDate(date.getUTCDate() + 1);
+                date.setUTCMilliseconds(-1);
+            }
+            filters[name] = date;
+        }
+    }
+
+    if (query.model) {
+        // Aliases match the full model ID that history records
+        filters.model = findModel(CONFIG.MODELS, query.model)?.id || query.model;
     }
-    return { sessions: [] };
+
+    if (typeof query.tag === 'string' && query.tag.trim()) {
+        filters.tag = query.tag.trim().toLowerCase();
+    }
+
+    if (query.pinned === 'true' || query.pinned === 'false') {
+        filters.pinned = query.pinned === 'true';
+    } else if (query.pinned !== undefined) {
+        return { error: 'pinned must be true or false' };
+    }
+
+    if (query.groupBy === 'prototype') {
+        filters.groupBy = getPrototypeId;
+    } else if (query.groupBy) {
+        return { error: 'groupBy must be "prototype"' };
+    }
+
+    // Everyone sees their own builds; admins can pick another user or everyone
+    if (CONFIG.AUTH_MODE !== 'none') {
+        const owner = user.role === 'admin' && typeof query.owner === 'string' && query.owner
+            ? query.owner
+            : user.id;
+        filters.match = owner === 'all' ? null : session => session.ownerId === owner;
+    } else if (query.owner) {
+        return { error: 'owner needs sign-in to be turned on' };
+    }
+
+    return { filters };
 }
 
-async function saveHistory(history) {
-    try {
-        await fs.writeFile(
-            CONFIG.HISTORY_FILE,
-            JSON.stringify(history, null, 2),
-            'utf-8'
-        );
-        log(LOG_PREFIX.HISTORY, 'History saved successfully');
-    } catch (error) {
-        log(LOG_PREFIX.ERROR, 'Failed to save history', { error: error.message });
+// ============================================================================
+// DESIGN THEMES
+// ============================================================================
+
+const THEME_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,47}$/;
+const MAX_THEME_TEXT_LENGTH = 4000;
+
+function validateTheme(input, id) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Theme must be a JSON object');
     }
+    if (!THEME_ID_PATTERN.test(id)) {
+        throw new Error('Theme id must be lowercase letters, numbers and dashes');
+    }
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+        throw new Error('Theme needs a name');
+    }
+    if (!input.tokens || typeof input.tokens !== 'object' || Array.isArray(input.tokens)) {
+        throw new Error('Theme needs a "tokens" object');
+    }
+
+    // Tokens are groups of flat name/value pairs, e.g. { color: { primary: "#4facfe" } }
+    const tokens = {};
+    for (const [group, values] of Object.entries(input.tokens)) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new Error(`Token group "${group}" must be an object of name/value pairs`);
+        }
+
+        tokens[group] = {};
+        for (const [name, value] of Object.entries(values)) {
+            const isText = typeof value === 'string' && value.length <= 200 && !/[\r\n]/.test(value);
+            if (!isText && typeof value !== 'number') {
+                throw new Error(`Token ${group}.${name} must be a short single-line string or a number`);
+            }
+            tokens[group][name] = value;
+        }
+    }
+
+    const guidelines = typeof input.guidelines === 'string' ? input.guidelines.trim() : '';
+    if (guidelines.length > MAX_THEME_TEXT_LENGTH) {
+        throw new Error(`Theme guidelines must be under ${MAX_THEME_TEXT_LENGTH} characters`);
+    }
+
+    return {
+        id,
+        name: input.name.trim(),
+        description: typeof input.description === 'string' ? input.description.trim() : '',
+        tokens,
+        guidelines
+    };
 }
 
-async function addToHistory(session) {
-    const history = await loadHistory();
-    history.sessions.unshift(session);
+function getThemePath(id) {
+    return join(CONFIG.THEMES_DIR, `${id}.json`);
+}
+
+async function loadTheme(id) {
+    if (!THEME_ID_PATTERN.test(id) || !existsSync(getThemePath(id))) {
+        return null;
+    }
+
+    const data = await fs.readFile(getThemePath(id), 'utf-8');
+    return validateTheme(JSON.parse(data), id);
+}
+
+async function listThemes() {
+    const filenames = (await fs.readdir(CONFIG.THEMES_DIR)).filter(name => name.endsWith('.json'));
+    const themes = [];
+
+    for (const filename of filenames) {
+        try {
+            const theme = await loadTheme(filename.slice(0, -'.json'.length));
+            if (theme) {
+                themes.push(theme);
+            }
+        } catch (error) {
+            log(LOG_PREFIX.ERROR, 'Skipping invalid theme file', { filename, error: error.message });
+        }
+    }
+
+    // Default theme first, the rest alphabetically
+    return themes.sort((a, b) => (
+        (b.id === CONFIG.DEFAULT_THEME) - (a.id === CONFIG.DEFAULT_THEME) || a.name.localeCompare(b.name)
+    ));
+}
+
+async function saveTheme(theme) {
+    const tempPath = `${getThemePath(theme.id)}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(theme, null, 2) + '\n', 'utf-8');
+    await fs.rename(tempPath, getThemePath(theme.id));
+    log(LOG_PREFIX.INFO, 'Theme saved', { id: theme.id });
+}
+
+// A theme file (or the themes folder) that went missing after the route
+// checked for it is a 404; anything else is a 500
+function sendThemeError(res, error, action) {
+    if (error.code === 'ENOENT') {
+        return res.status(404).json({
+            success: false,
+            error: 'Theme not found'
+        });
+    }
 
-    // Keep only last 100 sessions
-    if (history.sessions.length > 100) {
-        history.sessions = history.sessions.slice(0, 100);
+    log(LOG_PREFIX.ERROR, `Failed to ${action} theme`, { error: error.message });
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action} theme`
+    });
+}
+
+function formatThemeForPrompt(theme) {
+    if (!theme) {
+        return 'DESIGN SYSTEM: No theme selected. Choose a clean, modern, accessible visual style.';
+    }
+
+    const lines = [
+        `MANDATORY DESIGN SYSTEM (unless user explicitly overrides): "${theme.name}"`,
+        'Apply these design tokens exactly. Declare them as CSS custom properties on :root',
+        '(named --<group>-<token>, e.g. --color-primary) and use the variables throughout instead of literal values.',
+        '',
+        'DESIGN TOKENS (JSON):',
+        JSON.stringify(theme.tokens, null, 2)
+    ];
+
+    if (theme.guidelines) {
+        lines.push('', 'THEME GUIDELINES:', theme.guidelines);
     }
 
-    await saveHistory(history);
+    return lines.join('\n');
 }
 
 // ============================================================================
 // IMAGE PROCESSING
 // ============================================================================
 
-async function compressImage(inputPath, outputPath) {
+// Enhances a whiteboard photo (see lib/image-enhance.js) and scales it to fit
+// MAX_IMAGE_SIZE as JPEG. Returns the output path and the enhancements applied.
+async function compressImage(inputPath, outputPath, enhancements = NO_ENHANCEMENTS) {
     log(LOG_PREFIX.INFO, 'Compressing image', { inputPath, outputPath });
 
     try {
@@ -123,25 +419,23 @@ async function compressImage(inputPath, outputPath) {
         log(LOG_PREFIX.INFO, 'Original image metadata', {
             width: metadata.width,
             height: metadata.height,
-            format: metadata.format
+            format: metadata.format,
+            orientation: metadata.orientation || 1
         });
 
-        await sharp(inputPath)
-            .resize(CONFIG.MAX_IMAGE_SIZE, CONFIG.MAX_IMAGE_SIZE, {
-                fit: 'inside',
-                withoutEnlargement: true
-            })
-            .jpeg({ quality: 90 })
-            .toFile(outputPath);
+        const { buffer, width, height, applied } = await enhanceWhiteboard(inputPath, enhancements, {
+            maxSize: CONFIG.MAX_IMAGE_SIZE
+        });
+        await fs.writeFile(outputPath, buffer);
 
-        const compressedMetadata = await sharp(outputPath).metadata();
         log(LOG_PREFIX.SUCCESS, 'Image compressed successfully', {
-            width: compressedMetadata.width,
-            height: compressedMetadata.height,
-            size: compressedMetadata.size
+            width,
+            height,
+            size: buffer.length,
+            enhancements: applied
         });
 
-        return outputPath;
+        return { path: outputPath, enhancements: applied };
     } catch (error) {
         log(LOG_PREFIX.ERROR, 'Image compression failed', { error: error.message });
         throw error;
@@ -151,6 +445,7 @@ async function compressImage(inputPath, outputPath) {
 async function createThumbnail(imagePath, thumbnailPath) {
     try {
         await sharp(imagePath)
+            .rotate()
             .resize(200, 200, { fit: 'cover' })
             .jpeg({ quality: 80 })
             .toFile(thumbnailPath);
@@ -178,7 +473,7 @@ const storage = multer.diskStorage({
     },
     filename: (req, file, cb) => {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        cb(null, `whiteboard-${timestamp}.jpg`);
+        cb(null, `whiteboard-${timestamp}-${uuidv4().slice(0, 8)}.jpg`);
     }
 });
 
@@ -189,7 +484,9 @@ const upload = multer({
         if (file.mimetype.startsWith('image/')) {
             cb(null, true);
         } else {
-            cb(new Error('Only image files are allowed'));
+            const error = new Error('Only image files are allowed');
+            error.status = 400;
+            cb(error);
         }
     }
 });
@@ -198,380 +495,5795 @@ const upload = multer({
 // COST CALCULATION
 // ============================================================================
 
-function calculateCost(inputTokens, outputTokens) {
-    const inputCost = (inputTokens / 1000000) * CONFIG.COST_PER_MILLION_INPUT;
-    const outputCost = (outputTokens / 1000000) * CONFIG.COST_PER_MILLION_OUTPUT;
-    const totalCost = inputCost + outputCost;
+// Prompt cache reads and writes are reported apart from the other input
+// tokens and billed at their own rates, so they are priced on top of them.
+// Their costs are only listed when a call used the cache.
+function calculateCost(inputTokens, outputTokens, model = CONFIG.MODEL, { cacheRead = 0, cacheWrite = 0 } = {}) {
+    const pricing = findModel(CONFIG.MODELS, model);
 
-    return {
+    if (!pricing) {
+        throw new Error(`No pricing is configured for model ${model}`);
+    }
+
+    const inputCost = (inputTokens / 1000000) * pricing.inputCostPerMillion;
+    const outputCost = (outputTokens / 1000000) * pricing.outputCostPerMillion;
+    const costs = {
         inputCost: inputCost.toFixed(6),
-        outputCost: outputCost.toFixed(6),
-        totalCost: totalCost.toFixed(6)
+        outputCost: outputCost.toFixed(6)
     };
+    let totalCost = inputCost + outputCost;
+
+    if (cacheRead > 0 || cacheWrite > 0) {
+        const cacheReadCost = (cacheRead / 1000000) * pricing.cacheReadCostPerMillion;
+        const cacheWriteCost = (cacheWrite / 1000000) * pricing.cacheWriteCostPerMillion;
+        costs.cacheReadCost = cacheReadCost.toFixed(6);
+        costs.cacheWriteCost = cacheWriteCost.toFixed(6);
+        totalCost += cacheReadCost + cacheWriteCost;
+    }
+
+    costs.totalCost = totalCost.toFixed(6);
+    return costs;
 }
 
-// ============================================================================
-// CLAUDE AGENT SDK - AUTONOMOUS PROTOTYPE BUILDER
-// ============================================================================
+// Adds one model call's token counts to a running total. Cache reads and
+// writes are only kept when there were some, so builds on providers
+// without a prompt cache record just { input, output }.
+function addTokens(total, usage) {
+    const sum = {
+        input: total.input + usage.input,
+        output: total.output + usage.output
+    };
 
-async function buildPrototypeWithClaudeAgent(imagePath, customPrompt, sessionId, apiKey) {
-    if (!apiKey) {
-        throw new Error('Add an Anthropic API key to run the prototype builder.');
+    for (const field of ['cacheRead', 'cacheWrite']) {
+        const count = (total[field] || 0) + (usage[field] || 0);
+        if (count > 0) {
+            sum[field] = count;
+        }
     }
+    return sum;
+}
 
-    const anthropic = new Anthropic({ apiKey });
-    log(LOG_PREFIX.CLAUDE, 'Starting Claude Agent SDK session', { sessionId });
+// What history records cost together, with their sketch analyses and React
+// conversions: tokens are added up per model and priced with calculateCost.
+// A model whose pricing has since been removed keeps the costs it recorded.
+function calculateTotalCost(sessions) {
+    const records = sessions.flatMap(session => [session, session.analysis, session.react]).filter(record => record?.tokens);
+    const tokensByModel = new Map();
+    let tokens = { input: 0, output: 0 };
+    const totals = { inputCost: 0, outputCost: 0, cacheReadCost: 0, cacheWriteCost: 0 };
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const outputDir = join(CONFIG.OUTPUT_DIR, `prototype-${timestamp}`);
+    for (const record of records) {
+        const model = findModel(CONFIG.MODELS, record.model)?.id || null;
+        tokens = addTokens(tokens, record.tokens);
 
-    try {
-        // Create output directory
-        await fs.mkdir(outputDir, { recursive: true });
-        log(LOG_PREFIX.BUILD, 'Created output directory', { outputDir });
+        if (!model) {
+            for (const field of Object.keys(totals)) {
+                totals[field] += parseFloat(record.costs?.[field] || 0);
+            }
+            continue;
+        }
+        tokensByModel.set(model, addTokens(tokensByModel.get(model) || { input: 0, output: 0 }, record.tokens));
+    }
 
-        // Compress and encode image
-        const compressedPath = join(
-            CONFIG.UPLOADS_DIR,
-            'compressed-' + imagePath.split('/').pop()
-        );
-        await compressImage(imagePath, compressedPath);
+    for (const [model, modelTokens] of tokensByModel) {
+        const costs = calculateCost(modelTokens.input, modelTokens.output, model, modelTokens);
+        for (const field of Object.keys(totals)) {
+            totals[field] += parseFloat(costs[field] || 0);
+        }
+    }
 
-        const imageBase64 = await imageToBase64(compressedPath);
-        log(LOG_PREFIX.CLAUDE, 'Image processed and encoded', {
-            originalPath: imagePath,
-            compressedPath,
-            base64Length: imageBase64.length
-        });
+    const totalCost = totals.inputCost + totals.outputCost + totals.cacheReadCost + totals.cacheWriteCost;
+    const costs = {
+        inputCost: totals.inputCost.toFixed(6),
+        outputCost: totals.outputCost.toFixed(6)
+    };
+    if (tokens.cacheRead || tokens.cacheWrite) {
+        costs.cacheReadCost = totals.cacheReadCost.toFixed(6);
+        costs.cacheWriteCost = totals.cacheWriteCost.toFixed(6);
+    }
+    costs.totalCost = totalCost.toFixed(6);
 
-        // Build the system prompt
-        const systemPrompt = `You are an expert web developer and prototype builder. Your job is to create a FULLY FUNCTIONAL, production-ready prototype from whiteboard sketches.
+    return {
+        tokens,
+        cost: parseFloat(costs.totalCost),
+        costs
+    };
+}
 
-TASK: Analyze the whiteboard sketch and build a complete, working HTML prototype that matches this exact design specification.
+// ============================================================================
+// VERSION DIFFS
+// ============================================================================
 
-MANDATORY DESIGN SPECIFICATIONS (unless user explicitly overrides):
-- Background: White (#ffffff)
-- Primary accent color: #4facfe (bright blue)
-- Secondary accent color: #5eb3d6 (softer blue)
-- Text colors: #030203 (headings), #666 (body text), #999 (hints)
-- Buttons: Black (#030203) with white text, 50px border-radius, hover effects with lift
-- Inputs/textareas: 1px solid rgba(79, 172, 254, 0.2) borders, 15px border-radius
-- Cards/sections: White background, subtle blue borders rgba(79, 172, 254, 0.15), soft shadows
-- Font: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif
-- Animations: Smooth transitions with cubic-bezier(0.23, 1, 0.320, 1)
+function diffLines(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
 
-FUNCTIONALITY REQUIREMENTS:
-1. Make it FULLY FUNCTIONAL - all buttons, forms, and interactive elements must work
-2. If the sketch shows a form, implement proper form validation and submission handling
-3. If the sketch shows navigation, implement working navigation
-4. If the sketch shows data/content, include realistic sample data
-5. If the sketch shows animations or transitions, implement them smoothly
-6. All user interactions should provide clear feedback (hover states, click effects, etc.)
-7. Handle edge cases (empty states, loading states, error states)
-8. Make it mobile-responsive with proper touch targets
+    // Only the region between the shared prefix and suffix needs the LCS table
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (
+        suffix < oldLines.length - prefix &&
+        suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
 
-TECHNICAL REQUIREMENTS:
-1. Single self-contained HTML file with embedded CSS and JavaScript
-2. Use semantic HTML5 elements
-3. Modern JavaScript (ES6+) with proper event handling
-4. Clean, organized code structure
-5. Include meaningful placeholder content
-6. Add smooth animations and transitions
-7. Implement proper accessibility (ARIA labels where needed)
+    const a = oldLines.slice(prefix, oldLines.length - suffix);
+    const b = newLines.slice(prefix, newLines.length - suffix);
 
-WHITEBOARD INTERPRETATION:
-1. Study the sketch carefully - understand the concept, layout, and intended functionality
-2. Identify all UI components, interactions, and user flows
-3. Infer reasonable functionality even if not explicitly shown
-4. Create a polished, professional version of the concept
+    if (a.length * b.length > CONFIG.MAX_DIFF_CELLS) {
+        throw new Error('These versions differ too much to compare line by line.');
+    }
 
-${customPrompt ? `\n=== USER-SPECIFIED OVERRIDES ===\n${customPrompt}\n(These instructions override the default design specifications above)\n` : ''}
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
 
-CRITICAL OUTPUT REQUIREMENTS:
-- Return ONLY the complete HTML code
-- No explanations, no markdown code blocks, no wrapper text
-- Start directly with <!DOCTYPE html>
-- Make it production-ready and fully functional
-- The user should be able to actually use this prototype, not just view a static mockup`;
+    const lines = oldLines.slice(0, prefix).map((text, index) => ({
+        type: 'same',
+        text,
+        oldLine: index + 1,
+        newLine: index + 1
+    }));
 
-        log(LOG_PREFIX.CLAUDE, 'Sending request to Claude Opus 4.5', {
-            model: CONFIG.MODEL,
-            maxTokens: CONFIG.MAX_TOKENS,
-            customPrompt: customPrompt || 'None'
-        });
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i], oldLine: prefix + i + 1, newLine: prefix + j + 1 });
+            i++;
+            j++;
+        } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({ type: 'remove', text: a[i], oldLine: prefix + i + 1 });
+            i++;
+        } else {
+            lines.push({ type: 'add', text: b[j], newLine: prefix + j + 1 });
+            j++;
+        }
+    }
 
-        // Call Claude API
-        const startTime = Date.now();
-        const message = await anthropic.messages.create({
-            model: CONFIG.MODEL,
-            max_tokens: CONFIG.MAX_TOKENS,
-            messages: [{
-                role: 'user',
-                content: [
-                    {
-                        type: 'image',
-                        source: {
-                            type: 'base64',
-                            media_type: 'image/jpeg',
-                            data: imageBase64
-                        }
-                    },
-                    {
-                        type: 'text',
-                        text: systemPrompt
-                    }
-                ]
-            }]
+    oldLines.slice(oldLines.length - suffix).forEach((text, index) => {
+        lines.push({
+            type: 'same',
+            text,
+            oldLine: oldLines.length - suffix + index + 1,
+            newLine: newLines.length - suffix + index + 1
         });
+    });
 
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-
-        log(LOG_PREFIX.SUCCESS, 'Claude responded successfully', {
-            duration: `${duration}s`,
-            inputTokens: message.usage.input_tokens,
-            outputTokens: message.usage.output_tokens,
-            stopReason: message.stop_reason
-        });
+    return lines;
+}
 
-        // Extract and clean HTML
-        let htmlContent = message.content[0].text;
+function groupDiffHunks(lines, context = 3) {
+    const hunks = [];
+    let current = null;
+    let lastChange = -Infinity;
 
-        // Remove any markdown code blocks
-        htmlContent = htmlContent.replace(/```html\n?/g, '').replace(/```\n?/g, '').trim();
+    lines.forEach((line, index) => {
+        if (line.type === 'same') {
+            return;
+        }
 
-        // Ensure DOCTYPE
-        if (!htmlContent.startsWith('<!DOCTYPE') && !htmlContent.startsWith('<html')) {
-            htmlContent = '<!DOCTYPE html>\n' + htmlContent;
+        const start = Math.max(0, index - context);
+        if (current && start <= lastChange + context + 1) {
+            current.end = index;
+        } else {
+            current = { start, end: index };
+            hunks.push(current);
         }
+        lastChange = index;
+    });
 
-        // Save the prototype
-        const indexPath = join(outputDir, 'index.html');
-        await fs.writeFile(indexPath, htmlContent, 'utf-8');
+    return hunks.map(hunk => lines.slice(hunk.start, Math.min(lines.length, hunk.end + context + 1)));
+}
 
-        log(LOG_PREFIX.SUCCESS, 'Prototype file created', {
-            path: indexPath,
-            size: htmlContent.length
-        });
+// ============================================================================
+// ZIP EXPORT
+// ============================================================================
 
-        // Calculate costs
-        const costs = calculateCost(message.usage.input_tokens, message.usage.output_tokens);
+const CRC32_TABLE = new Uint32Array(256).map((_, index) => {
+    let value = index;
+    for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    return value >>> 0;
+});
 
-        log(LOG_PREFIX.INFO, 'Session cost calculated', costs);
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
 
-        // Create thumbnail
-        const thumbnailPath = join(outputDir, 'thumbnail.jpg');
-        await createThumbnail(compressedPath, thumbnailPath);
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
 
-        return {
-            success: true,
-            sessionId,
-            outputDir,
-            prototypeUrl: `/demos/${outputDir.split('/').pop()}/index.html`,
-            thumbnailUrl: `/demos/${outputDir.split('/').pop()}/thumbnail.jpg`,
-            tokens: {
-                input: message.usage.input_tokens,
-                output: message.usage.output_tokens
-            },
-            cost: parseFloat(costs.totalCost),
-            costs,
-            duration: parseFloat(duration),
-            files: ['index.html'],
-            timestamp: new Date().toISOString(),
-            model: CONFIG.MODEL
-        };
+function createZip(entries, modified = new Date()) {
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
 
-    } catch (error) {
-        log(LOG_PREFIX.ERROR, 'Claude Agent SDK build failed', {
-            sessionId,
-            error: error.message,
-            stack: error.stack
-        });
-        throw error;
-    }
-}
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf-8');
+        const deflated = zlib.deflateRawSync(entry.data);
+        // Already-compressed data such as JPEGs is stored as-is
+        const useDeflate = deflated.length < entry.data.length;
+        const body = useDeflate ? deflated : entry.data;
+        const checksum = crc32(entry.data);
 
-function getAnthropicApiKey(req) {
-    const headerValue = req.get('x-anthropic-api-key');
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(entry.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
 
-    if (typeof headerValue === 'string' && headerValue.trim()) {
-        return headerValue.trim();
-    }
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(entry.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
 
-    if (typeof process.env.ANTHROPIC_API_KEY === 'string' && process.env.ANTHROPIC_API_KEY.trim()) {
-        return process.env.ANTHROPIC_API_KEY.trim();
+        localParts.push(local, name, body);
+        centralParts.push(central, name);
+        offset += local.length + name.length + body.length;
     }
 
-    return '';
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
 }
 
-async function safeUnlink(filePath) {
-    if (!filePath) {
-        return;
+async function buildPrototypeExport(session, { includeWhiteboard = true } = {}) {
+    const prototypeId = getPrototypeId(session);
+    const version = session.version || 1;
+    const prototypeDir = getPrototypeDir(session);
+    const versionDir = getVersionDir(prototypeDir, version);
+    const folder = `${prototypeId}-v${version}`;
+    const entries = [];
+
+    for (const file of session.files || ['index.html']) {
+        entries.push({
+            name: `${folder}/site/${file}`,
+            data: await fs.readFile(join(versionDir, file))
+        });
     }
 
-    try {
-        await fs.unlink(filePath);
-    } catch (error) {
-        if (error.code !== 'ENOENT') {
-            log(LOG_PREFIX.ERROR, 'Failed to remove file', {
-                filePath,
-                error: error.message
-            });
+    const extras = [
+        { name: 'prompt.txt', path: join(versionDir, 'prompt.txt') },
+        { name: 'spec.json', path: join(versionDir, 'spec.json') },
+        { name: 'accessibility.json', path: join(versionDir, 'accessibility.json') }
+    ];
+    for (const image of getSessionImages(session)) {
+        extras.push({ name: image.thumbnail, path: join(prototypeDir, image.thumbnail) });
+        if (includeWhiteboard) {
+            extras.push({ name: image.whiteboard, path: join(prototypeDir, image.whiteboard) });
+        }
+    }
+
+    const included = [];
+    for (const extra of extras) {
+        if (existsSync(extra.path)) {
+            entries.push({ name: `${folder}/${extra.name}`, data: await fs.readFile(extra.path) });
+            included.push(extra.name);
         }
     }
+
+    const manifest = {
+        prototypeId,
+        version,
+        sessionId: session.sessionId,
+        parentSessionId: session.parentSessionId || null,
+        createdAt: session.timestamp,
+        exportedAt: new Date().toISOString(),
+        model: session.model,
+        outputMode: session.outputMode || 'single',
+        theme: session.theme || null,
+        entry: `site/${session.entry || 'index.html'}`,
+        files: (session.files || ['index.html']).map(file => `site/${file}`),
+        assets: included,
+        images: getSessionImages(session).map(image => ({
+            caption: image.caption,
+            whiteboard: includeWhiteboard ? image.whiteboard : null,
+            thumbnail: image.thumbnail
+        })),
+        customPrompt: session.customPrompt || '',
+        instruction: session.instruction || null,
+        tokens: session.tokens,
+        cost: session.cost,
+        costs: session.costs,
+        duration: session.duration,
+        validation: session.validation || null,
+        accessibilityScore: session.accessibility?.score ?? null
+    };
+    entries.push({
+        name: `${folder}/manifest.json`,
+        data: Buffer.from(JSON.stringify(manifest, null, 2), 'utf-8')
+    });
+
+    return { filename: `${folder}.zip`, buffer: createZip(entries) };
+}
+
+// The React project as it would be checked into a repository, in one top-level folder
+async function buildReactExport(session) {
+    const version = session.version || 1;
+    const reactDir = join(getVersionDir(getPrototypeDir(session), version), REACT_DIR);
+    const folder = `${getPrototypeId(session)}-v${version}-react`;
+
+    const entries = await Promise.all(session.react.files.map(async file => ({
+        name: `${folder}/${file}`,
+        data: await fs.readFile(join(reactDir, file))
+    })));
+
+    return { filename: `${folder}.zip`, buffer: createZip(entries) };
 }
 
 // ============================================================================
-// EXPRESS MIDDLEWARE
+// OUTPUT VALIDATION
 // ============================================================================
 
-app.use(express.json());
-app.use(express.static('public'));
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+// End tags the HTML parser lets authors leave out; </html> is checked on its own
+const OPTIONAL_END_ELEMENTS = new Set([
+    'html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup',
+    'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'colgroup', 'caption', 'rp', 'rt'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const JAVASCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+const RESOURCE_ATTRIBUTES = {
+    script: 'src',
+    link: 'href',
+    img: 'src',
+    iframe: 'src',
+    source: 'src',
+    video: 'src',
+    audio: 'src',
+    embed: 'src',
+    object: 'data'
+};
+const TAG_PATTERN = /<!--[\s\S]*?(-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)(>?)/g;
+const EXTERNAL_URL_PATTERN = /^(?:https?:)?\/\//i;
+const CSS_URL_PATTERN = /url\(\s*['"]?([^'")\s]+)|@import\s+['"]([^'"]+)/gi;
+
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+function getLineNumber(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function findExternalCssUrls(css) {
+    return Array.from(css.matchAll(CSS_URL_PATTERN), match => match[1] || match[2])
+        .filter(url => EXTERNAL_URL_PATTERN.test(url));
+}
+
+// Rewrites module syntax so vm.Script can parse a module, keeping line numbers intact
+function toClassicScript(code) {
+    const blank = match => match.replace(/[^\n]/g, ' ');
+
+    return code
+        .replace(/^\s*import\s+(?:[\w$*{}\s,]+\s+from\s+)?['"][^'"]+['"]\s*;?/gm, blank)
+        .replace(/^\s*export\s+(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*(?:from\s+['"][^'"]+['"])?\s*;?/gm, blank)
+        .replace(/^(\s*)export\s+default\s+/gm, '$1void ')
+        .replace(/^(\s*)export\s+/gm, '$1')
+        .replace(/\bimport\.meta\b/g, '({})');
+}
+
+function checkScriptSyntax(code, { module = false, lineOffset = 0 } = {}) {
+    // Modules may use top-level await, so they are compiled inside an async function
+    const source = module ? `(async () => {${toClassicScript(code)}\n})` : code;
+
+    try {
+        // Compiles without running anything
+        new vm.Script(source, { filename: 'script', lineOffset });
+        return null;
+    } catch (error) {
+        const line = error.stack?.match(/^script:(\d+)/)?.[1];
+        return line ? `${error.message} (line ${line})` : error.message;
+    }
+}
+
+function scanHtml(html) {
+    const stack = [];
+    const scripts = [];
+    const styles = [];
+    const resources = [];
+    let unterminated = null;
+
+    TAG_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TAG_PATTERN.exec(html)) !== null) {
+        const [raw, commentEnd, closing, rawName, attributes, tagEnd] = match;
+
+        if (raw.startsWith('<!--')) {
+            if (!commentEnd) {
+                unterminated = 'An HTML comment is never closed';
+                break;
+            }
+            continue;
+        }
+
+        if (!tagEnd) {
+            unterminated = `The document ends inside a <${rawName}> tag`;
+            break;
+        }
+
+        const name = rawName.toLowerCase();
+
+        if (closing) {
+            const openIndex = stack.lastIndexOf(name);
+            if (openIndex !== -1) {
+                stack.length = openIndex;
+            }
+            continue;
+        }
+
+        const resourceAttribute = RESOURCE_ATTRIBUTES[name];
+        const resource = resourceAttribute && getAttribute(attributes, resourceAttribute);
+        const rel = (getAttribute(attributes, 'rel') || '').toLowerCase();
+        if (resource && EXTERNAL_URL_PATTERN.test(resource) && !/preconnect|dns-prefetch|canonical|alternate/.test(rel)) {
+            resources.push(resource);
+        }
+        const inlineStyle = getAttribute(attributes, 'style');
+        if (inlineStyle) {
+            resources.push(...findExternalCssUrls(inlineStyle));
+        }
+
+        if (VOID_ELEMENTS.has(name) || /\/\s*$/.test(attributes)) {
+            continue;
+        }
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const contentStart = TAG_PATTERN.lastIndex;
+            const closeIndex = html.toLowerCase().indexOf(`</${name}`, contentStart);
+            const closeEnd = closeIndex === -1 ? -1 : html.indexOf('>', closeIndex);
+
+            if (closeEnd === -1) {
+                unterminated = `<${name}> starting on line ${getLineNumber(html, match.index)} is never closed`;
+                break;
+            }
+
+            const content = html.slice(contentStart, closeIndex);
+            if (name === 'script') {
+                scripts.push({
+                    type: (getAttribute(attributes, 'type') || '').trim().toLowerCase(),
+                    external: getAttribute(attributes, 'src') !== null,
+                    line: getLineNumber(html, contentStart),
+                    content
+                });
+            } else if (name === 'style') {
+                styles.push(content);
+            }
+
+            TAG_PATTERN.lastIndex = closeEnd + 1;
+            continue;
+        }
+
+        stack.push(name);
+    }
+
+    return {
+        unclosed: stack.filter(name => !OPTIONAL_END_ELEMENTS.has(name)),
+        unterminated,
+        scripts,
+        styles,
+        resources
+    };
+}
+
+function validateHtmlFile(html) {
+    const issues = [];
+    const scan = scanHtml(html);
+
+    if (scan.unterminated) {
+        issues.push({ type: 'unterminated-markup', message: scan.unterminated });
+    }
+
+    if (!/<\/html\s*>/i.test(html)) {
+        issues.push({ type: 'missing-html-close', message: 'The document has no closing </html> tag' });
+    }
+
+    if (scan.unclosed.length > 0) {
+        const tags = [...new Set(scan.unclosed)].map(name => `<${name}>`).join(', ');
+        issues.push({ type: 'unclosed-tags', message: `These tags are never closed: ${tags}` });
+    }
+
+    scan.scripts.forEach((script, index) => {
+        if (script.external || !JAVASCRIPT_TYPES.includes(script.type)) {
+            return;
+        }
+
+        const error = checkScriptSyntax(script.content, {
+            module: script.type === 'module',
+            lineOffset: script.line - 1
+        });
+        if (error) {
+            issues.push({
+                type: 'script-syntax',
+                message: `Inline script ${index + 1} has a syntax error: ${error}`
+            });
+        }
+    });
+
+    const external = [...new Set([...scan.resources, ...scan.styles.flatMap(findExternalCssUrls)])];
+    if (external.length > 0) {
+        issues.push({
+            type: 'external-resource',
+            message: `These external resources will not load offline: ${external.slice(0, 10).join(', ')}${external.length > 10 ? ` and ${external.length - 10} more` : ''}`
+        });
+    }
+
+    return issues;
+}
+
+function validateOutputFile(file) {
+    const extension = posix.extname(file.path).toLowerCase();
+    let issues = [];
+
+    if (extension === '.html') {
+        issues = validateHtmlFile(file.content);
+    } else if (extension === '.js') {
+        const error = checkScriptSyntax(file.content, { module: true });
+        if (error) {
+            issues.push({ type: 'script-syntax', message: `Syntax error: ${error}` });
+        }
+    } else if (extension === '.json') {
+        try {
+            JSON.parse(file.content);
+        } catch (error) {
+            issues.push({ type: 'invalid-json', message: `Invalid JSON: ${error.message}` });
+        }
+    } else if (extension === '.css') {
+        const external = [...new Set(findExternalCssUrls(file.content))];
+        if (external.length > 0) {
+            issues.push({
+                type: 'external-resource',
+                message: `These external resources will not load offline: ${external.join(', ')}`
+            });
+        }
+    }
+
+    return issues.map(issue => ({ type: issue.type, file: file.path, message: issue.message }));
+}
+
+function validatePrototypeOutput(text, outputMode, stopReason) {
+    const issues = [];
+
+    if (stopReason === 'max_tokens') {
+        issues.push({
+            type: 'truncated',
+            file: null,
+            message: `The output was cut off at the ${CONFIG.MAX_TOKENS} token limit`
+        });
+    }
+
+    let output = null;
+    try {
+        if (outputMode === 'project') {
+            output = extractProjectManifest(text);
+        } else if (outputMode === 'react') {
+            output = extractReactManifest(text);
+        } else if (outputMode === 'spec') {
+            output = { spec: normalizeSketchSpec(parseManifestJson(text)) };
+        } else {
+            output = { entry: 'index.html', files: [{ path: 'index.html', content: extractHtml(text) }] };
+        }
+    } catch (error) {
+        issues.push({ type: 'invalid-manifest', file: null, message: error.message });
+    }
+
+    for (const file of output?.files || []) {
+        issues.push(...validateOutputFile(file));
+    }
+
+    if (output && outputMode === 'react') {
+        issues.push(...checkReactProject(output.files));
+    }
+
+    return { valid: issues.length === 0, issues, output };
+}
+
+function formatIssuesForPrompt(issues) {
+    return issues
+        .map(issue => `- ${issue.file ? `${issue.file}: ` : ''}${issue.message}`)
+        .join('\n');
+}
+
+// ============================================================================
+// CLAUDE AGENT SDK - AUTONOMOUS PROTOTYPE BUILDER
+// ============================================================================
+
+// What a build hands over: the HTML prototype alone, or also a React + Vite project made from it
+const BUILD_TARGETS = ['html', 'react'];
+
+// Layout directions a build can be split into, one prototype per direction, so
+// several readings of the same sketch can be compared before picking one
+const VARIANT_DIRECTIONS = {
+    dense: {
+        label: 'Dense dashboard',
+        prompt: 'Lay it out as a dense dashboard for people who use it all day: show as much of the data and as many actions as fit at once, in compact panels, tables and toolbars, with little scrolling.'
+    },
+    minimal: {
+        label: 'Minimal',
+        prompt: 'Keep it minimal: only the elements the sketch needs, generous whitespace, one clear primary action per screen and secondary actions tucked into menus.'
+    },
+    mobile: {
+        label: 'Mobile-first',
+        prompt: 'Design it mobile-first for a phone held in one hand: a single column, bottom navigation, large touch targets, and sheets or full-screen views instead of side panels. Wider screens may add columns.'
+    },
+    guided: {
+        label: 'Guided',
+        prompt: 'Walk the user through it: break the main task into clear steps (a wizard, stepper or checklist), explain each step in plain words and show how far along they are.'
+    }
+};
+const MAX_VARIANTS = Object.keys(VARIANT_DIRECTIONS).length;
+
+const OUTPUT_MODES = {
+    single: {
+        technicalRequirement: '1. Single self-contained HTML file with embedded CSS and JavaScript',
+        outputRequirements: `CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY the complete HTML code
+- No explanations, no markdown code blocks, no wrapper text
+- Start directly with <!DOCTYPE html>
+- Do not load anything from external URLs (CDN scripts, web fonts, remote images); the prototype must work offline
+- Make it production-ready and fully functional
+- The user should be able to actually use this prototype, not just view a static mockup`
+    },
+    project: {
+        technicalRequirement: '1. A small multi-file project: one or more HTML pages, separate CSS and JavaScript files, and JSON files for sample data, linked with relative paths',
+        outputRequirements: `CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY a JSON object, no explanations, no markdown code blocks, no wrapper text
+- The JSON object must have exactly this shape:
+  {"entry": "index.html", "files": [{"path": "index.html", "content": "<!DOCTYPE html>..."}, {"path": "css/styles.css", "content": "..."}]}
+- "entry" is the path of the page that opens first and must be one of the files
+- Every "path" is relative (no leading slash, no "..") and uses forward slashes
+- Allowed file types: .html, .css, .js, .json, .svg, .md, .txt
+- Load sample data with fetch() from the JSON files using relative URLs
+- Do not load anything from external URLs (CDN scripts, web fonts, remote images); the prototype must work offline
+- Make it production-ready and fully functional
+- The user should be able to actually use this prototype, not just view a static mockup`
+    }
+};
+
+// The full build prompt, as kept in prompt.txt
+function buildSystemPrompt(customPrompt, outputMode = 'single', theme = null, screens = [], spec = null, variant = null) {
+    return `${buildStaticPrompt(outputMode, theme)}
+
+${buildRequestPrompt(customPrompt, outputMode, screens, spec, variant)}`;
+}
+
+// The part of the build prompt that only depends on the output mode and the
+// theme, so it is the same for every build made with them
+function buildStaticPrompt(outputMode = 'single', theme = null) {
+    const mode = OUTPUT_MODES[outputMode];
+
+    return `You are an expert web developer and prototype builder. Your job is to create a FULLY FUNCTIONAL, production-ready prototype from whiteboard sketches.
+
+TASK: Analyze the whiteboard sketch and build a complete, working HTML prototype that matches this exact design specification.
+
+${formatThemeForPrompt(theme)}
+
+FUNCTIONALITY REQUIREMENTS:
+1. Make it FULLY FUNCTIONAL - all buttons, forms, and interactive elements must work
+2. If the sketch shows a form, implement proper form validation and submission handling
+3. If the sketch shows navigation, implement working navigation
+4. If the sketch shows data/content, include realistic sample data
+5. If the sketch shows animations or transitions, implement them smoothly
+6. All user interactions should provide clear feedback (hover states, click effects, etc.)
+7. Handle edge cases (empty states, loading states, error states)
+8. Make it mobile-responsive with proper touch targets
+
+TECHNICAL REQUIREMENTS:
+${mode.technicalRequirement}
+2. Use semantic HTML5 elements
+3. Modern JavaScript (ES6+) with proper event handling
+4. Clean, organized code structure
+5. Include meaningful placeholder content
+6. Add smooth animations and transitions
+7. Implement proper accessibility (ARIA labels where needed)
+
+WHITEBOARD INTERPRETATION:
+1. Study the sketch carefully - understand the concept, layout, and intended functionality
+2. Identify all UI components, interactions, and user flows
+3. Infer reasonable functionality even if not explicitly shown
+4. Create a polished, professional version of the concept`;
+}
+
+// The part of the build prompt that is particular to one build
+function buildRequestPrompt(customPrompt, outputMode = 'single', screens = [], spec = null, variant = null) {
+    return `${formatScreensForPrompt(screens)}${formatSpecForPrompt(spec)}${formatVariantForPrompt(variant)}${customPrompt ? `\n=== USER-SPECIFIED OVERRIDES ===\n${customPrompt}\n(These instructions override the design system above)\n` : ''}
+
+${OUTPUT_MODES[outputMode].outputRequirements}`;
+}
+
+// The messages a prototype is built from: the static instructions as the
+// system prompt, then the whiteboards and what is particular to the build.
+// Repair rounds, the accessibility fix pass and refinements all resend this
+// opening word for word, so its last block marks the end of the prefix the
+// provider's prompt cache keeps; the whiteboards alone make it long enough.
+function buildPrototypeMessages(screens, imagesBase64, { customPrompt, outputMode, theme, spec, variant }) {
+    return [
+        {
+            role: 'system',
+            content: buildStaticPrompt(outputMode, theme)
+        },
+        {
+            role: 'user',
+            content: [
+                ...buildWhiteboardContent(screens, imagesBase64),
+                { type: 'text', text: buildRequestPrompt(customPrompt, outputMode, screens, spec, variant), cache: true }
+            ]
+        }
+    ];
+}
+
+function formatScreensForPrompt(screens) {
+    if (screens.length < 2) {
+        return '';
+    }
+
+    const list = screens
+        .map((screen, index) => `${index + 1}. ${screen.caption || `Screen ${index + 1}`}`)
+        .join('\n');
+
+    return `MULTI-SCREEN FLOW:
+You were given ${screens.length} whiteboard images, in order, each labelled before it appears. Each one is a screen (or a diagram of how screens connect):
+${list}
+Build ONE prototype that implements every screen and lets the user move between them following the flow on the boards (for example through the buttons and links drawn on them, or a shared navigation bar). Keep state consistent across screens where it makes sense.
+`;
+}
+
+function formatSpecForPrompt(spec) {
+    if (!spec) {
+        return '';
+    }
+
+    return `SKETCH SPEC:
+A structured reading of the whiteboard${spec.screens.length > 1 ? 's' : ''}, made first and possibly corrected by the user. Build exactly these screens, components, labels, interactions and data entities. Where the spec and your own reading of the sketch disagree, the spec wins. Bounds are fractions of the photo's width and height.
+${JSON.stringify(spec, null, 2)}
+`;
+}
+
+function formatVariantForPrompt(variant) {
+    const direction = variant ? VARIANT_DIRECTIONS[variant.id] : null;
+    if (!direction) {
+        return '';
+    }
+
+    return `LAYOUT DIRECTION: ${direction.label.toUpperCase()}
+This build is one of several variants of the same sketch that will be compared side by side. Keep every screen, component and interaction, but commit fully to this direction:
+${direction.prompt}
+`;
+}
+
+// Whether a build or refinement gets the accessibility fix pass: a form field
+// or JSON boolean, ACCESSIBILITY_FIX when left out, null when it is neither
+function parseAccessibilityFix(value) {
+    if (value === undefined || value === null || value === '') {
+        return CONFIG.ACCESSIBILITY_FIX;
+    }
+    if (value === true || value === 'true') {
+        return true;
+    }
+    return value === false || value === 'false' ? false : null;
+}
+
+// `variants` from POST /upload: a count (the first directions) or direction IDs
+// separated by commas. Fewer than two means a normal build. Returns
+// { variants } with each variant's { id, label }, or { error }.
+function parseVariants(value) {
+    const raw = typeof value === 'string' ? value.trim() : '';
+    if (!raw || raw === '1') {
+        return { variants: [] };
+    }
+
+    const ids = /^\d+$/.test(raw)
+        ? Object.keys(VARIANT_DIRECTIONS).slice(0, Number(raw))
+        : [...new Set(raw.split(',').map(id => id.trim().toLowerCase()).filter(Boolean))];
+    const unknown = ids.find(id => !VARIANT_DIRECTIONS[id]);
+
+    if (unknown) {
+        return { error: `Unknown variant direction: ${unknown}. Use ${Object.keys(VARIANT_DIRECTIONS).join(', ')}` };
+    }
+    if (ids.length < 2 || (/^\d+$/.test(raw) && Number(raw) > MAX_VARIANTS)) {
+        return { error: `variants must be 2 to ${MAX_VARIANTS}, or at least two of: ${Object.keys(VARIANT_DIRECTIONS).join(', ')}` };
+    }
+
+    return { variants: ids.map(id => ({ id, label: VARIANT_DIRECTIONS[id].label })) };
+}
+
+function buildAnalysisPrompt(screens) {
+    return `You are an expert UX analyst. Read the whiteboard sketch${screens.length > 1 ? 'es' : ''} above and describe the interface ${screens.length > 1 ? 'they show' : 'it shows'} as structured data. Do not write any code; a developer will build the prototype from your description.
+
+${screens.length > 1 ? `The whiteboards, in order: ${screens.map((screen, index) => `${index + 1}. ${screen.caption || `Screen ${index + 1}`}`).join('; ')}. A board may also be a diagram of how screens connect.\n\n` : ''}WHAT TO CAPTURE:
+1. Every screen, with a short name and its purpose. "image" is the number of the whiteboard it is drawn on (1 for the first)
+2. Every component on each screen, top to bottom: its type (header, nav, button, input, list, card, table, chart, image, text, ...), the text label exactly as written, and its bounds on the photo as fractions of the photo's width and height (x and y of the top-left corner, width, height, each from 0 to 1)
+3. Interactions: what the user does (trigger), on which screen, and what happens (action), including navigation between screens
+4. Data entities the interface shows or edits, with their fields as "name: type"
+5. Notes on anything ambiguous or hard to read, and how you interpreted it
+
+CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY a JSON object, no explanations, no markdown code blocks, no wrapper text
+- The JSON object must have exactly this shape:
+  {"screens": [{"name": "...", "image": 1, "purpose": "...", "components": [{"type": "button", "label": "...", "bounds": {"x": 0.1, "y": 0.2, "width": 0.3, "height": 0.05}, "notes": ""}]}], "interactions": [{"screen": "...", "trigger": "...", "action": "..."}], "entities": [{"name": "...", "fields": ["title: text"]}], "notes": ["..."]}`;
+}
+
+function buildWhiteboardContent(screens, imagesBase64) {
+    // A lone unlabelled board is sent exactly as single-image builds always were
+    if (screens.length === 1 && !screens[0].caption) {
+        return [imageBlock(imagesBase64[0])];
+    }
+
+    return screens.flatMap((screen, index) => [
+        {
+            type: 'text',
+            text: `Whiteboard ${index + 1} of ${screens.length}${screen.caption ? `: ${screen.caption}` : ''}`
+        },
+        imageBlock(imagesBase64[index])
+    ]);
+}
+
+function buildFollowUpRequirements(outputMode = 'single') {
+    if (outputMode === 'spec') {
+        return `CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY the complete, corrected sketch spec as the same JSON object shape
+- No explanations, no markdown code blocks, no wrapper text`;
+    }
+
+    if (outputMode === 'project' || outputMode === 'react') {
+        const shape = outputMode === 'react'
+            ? '{"files": [{"path": "src/...", "content": "..."}]}'
+            : '{"entry": "...", "files": [{"path": "...", "content": "..."}]}';
+
+        return `CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY the complete, updated project as the same JSON object shape: ${shape}
+- Include every file, changed or not
+- No explanations, no markdown code blocks, no wrapper text`;
+    }
+
+    return `CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY the complete, updated HTML document
+- No explanations, no markdown code blocks, no wrapper text
+- Start directly with <!DOCTYPE html>`;
+}
+
+// The prototype's files as one text block, for prompts that rework them
+function formatPrototypeSource({ entry, files }) {
+    return `PROTOTYPE SOURCE (opens at ${entry}):
+
+${files.map(file => `=== ${file.path} ===\n${file.content}`).join('\n\n')}`;
+}
+
+function buildReactConversionPrompt(screens = []) {
+    const sketch = screens.length > 0
+        ? `the whiteboard sketch${screens.length > 1 ? 'es' : ''} and `
+        : '';
+    const flow = screens.length > 1
+        ? `\n8. The prototype has ${screens.length} screens (${screens.map((screen, index) => screen.caption || `Screen ${index + 1}`).join(', ')}); keep the navigation between them with state in App, without a router package`
+        : '';
+
+    return `You are an expert React developer. Above are ${sketch}the source of a working HTML prototype. Rewrite the prototype as a React application in a Vite project, for front-end engineers to continue from.
+
+THE PROJECT AROUND YOUR CODE (already written; do not include these files):
+- package.json with react and react-dom as the only dependencies, plus Vite and @vitejs/plugin-react
+- index.html with <div id="root"></div>
+- src/main.jsx, which renders the default export of src/App.jsx and imports src/index.css if you provide it
+
+STRUCTURE:
+1. Identify the regions of the UI${sketch ? ' in the sketch' : ''} (for example header, navigation, sidebar, list, detail panel, form, footer) and write one component per region in src/components/, named after what it shows (Header.jsx, TaskList.jsx). Split large regions further where it helps
+2. src/App.jsx lays out the regions and owns the state several of them share
+3. Style each component with a CSS module next to it (Header.module.css, imported as styles); resets and CSS variables may go in src/index.css
+4. Move all sample data into JSON files under src/data/ and import them (import tasks from '../data/tasks.json')
+5. Keep every behavior of the prototype: interactions, form validation, empty and error states, animations
+6. Function components and hooks only; import only from react, react-dom and your own files
+7. Do not load anything from external URLs (CDN scripts, web fonts, remote images)${flow}
+
+CRITICAL OUTPUT REQUIREMENTS:
+- Return ONLY a JSON object, no explanations, no markdown code blocks, no wrapper text
+- The JSON object must have exactly this shape:
+  {"files": [{"path": "src/App.jsx", "content": "..."}, {"path": "src/components/Header.jsx", "content": "..."}, {"path": "src/components/Header.module.css", "content": "..."}, {"path": "src/data/items.json", "content": "..."}]}
+- Every path starts with src/ and uses forward slashes
+- Allowed file types: .jsx, .js, .css, .json, .svg
+- JSX goes in .jsx files only`;
+}
+
+function buildRefinementPrompt(instruction, outputMode = 'single') {
+    return `Update the prototype above with this change:
+
+${instruction}
+
+Keep every other part of the prototype working exactly as before unless the change requires otherwise.
+
+${buildFollowUpRequirements(outputMode)}`;
+}
+
+function buildRepairPrompt(issues, outputMode = 'single') {
+    return `The prototype above failed automatic validation:
+
+${formatIssuesForPrompt(issues)}
+
+Fix these problems and keep everything else exactly as it is.
+
+${buildFollowUpRequirements(outputMode)}`;
+}
+
+function buildAccessibilityFixPrompt(findings, outputMode = 'single') {
+    const problems = findings
+        .map(finding => `- ${finding.file}: ${finding.message}\n${finding.examples.map(example => `  - ${example}`).join('\n')}`)
+        .join('\n');
+
+    return `An accessibility check of the prototype above found these problems:
+
+${problems}
+
+Fix them: give every image alt text, every form control and icon button a label, keep headings in order, make text contrast at least 4.5:1 (3:1 for large text), keep the viewport meta tag with width=device-width and zooming allowed, make tap targets at least 24px, and use buttons or links for anything clickable. Keep everything else exactly as it is.
+
+${buildFollowUpRequirements(outputMode)}`;
+}
+
+const CONTINUATION_PROMPT = 'Your previous response was cut off at the output limit. Continue exactly where it stopped: output only the remaining text, without repeating anything already written and without explanations or markdown code blocks.';
+
+function createModelProvider(apiKey, model = CONFIG.MODEL) {
+    return createProvider(CONFIG.PROVIDER, {
+        // The Anthropic key from the browser is never sent to any other endpoint
+        apiKey: CONFIG.PROVIDER === 'anthropic' ? apiKey : CONFIG.OPENAI_COMPATIBLE_API_KEY,
+        model,
+        baseUrl: CONFIG.OPENAI_COMPATIBLE_BASE_URL,
+        fixturesDir: CONFIG.MOCK_FIXTURES_DIR,
+        delayMs: CONFIG.MOCK_DELAY_MS,
+        failures: CONFIG.MOCK_FAILURES
+    });
+}
+
+// Models the active provider can build with, as shown in the builder's model picker
+function getAvailableModels() {
+    return Object.entries(CONFIG.MODELS)
+        .filter(([, model]) => model.provider === CONFIG.PROVIDER)
+        .map(([id, model]) => ({
+            id,
+            label: model.label,
+            inputCostPerMillion: model.inputCostPerMillion,
+            outputCostPerMillion: model.outputCostPerMillion
+        }));
+}
+
+// Accepts a model id or alias from a request; null when the active provider cannot use it
+function resolveRequestModel(requested) {
+    if (!requested) {
+        return CONFIG.MODEL;
+    }
+
+    const model = findModel(CONFIG.MODELS, requested);
+    return model && model.provider === CONFIG.PROVIDER ? model.id : null;
+}
+
+function providerRequiresApiKey() {
+    return PROVIDERS[CONFIG.PROVIDER]?.requiresApiKey ?? true;
+}
+
+// Rate limits, overload, timeouts and dropped connections usually pass, so
+// those calls are made again after a pause that doubles each time. Text the
+// failed call streamed is taken back through onRetry; every finished call's
+// tokens are reported through onUsage, so a build that fails later still
+// knows what it spent.
+async function streamModelMessage(provider, messages, outputMode, hooks = {}) {
+    const onStage = hooks.onStage || (() => {});
+    const onText = hooks.onText || (() => {});
+    const onRetry = hooks.onRetry || (() => {});
+    const onUsage = hooks.onUsage || (() => {});
+
+    for (let attempt = 1; ; attempt++) {
+        onStage('sending', { model: provider.model });
+        const startTime = Date.now();
+
+        let receivedChars = 0;
+        let response;
+        try {
+            response = await provider.generate(messages, {
+                maxTokens: CONFIG.MAX_TOKENS,
+                outputMode,
+                onText: (delta) => {
+                    if (receivedChars === 0) {
+                        onStage('receiving');
+                    }
+                    receivedChars += delta.length;
+                    onText(delta, receivedChars);
+                }
+            });
+        } catch (error) {
+            const category = classifyError(error);
+            error.attempts = attempt;
+
+            if (!isTransient(category) || attempt > CONFIG.MODEL_RETRIES) {
+                throw error;
+            }
+
+            const delayMs = getRetryDelay(attempt, CONFIG.MODEL_RETRY_DELAY_MS, error);
+            log(LOG_PREFIX.INFO, 'Model call failed, retrying', {
+                provider: provider.id,
+                category,
+                error: error.message,
+                attempt,
+                delayMs
+            });
+            onRetry({ attempt, maxAttempts: CONFIG.MODEL_RETRIES, category, delayMs, discardChars: receivedChars });
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            continue;
+        }
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+        log(LOG_PREFIX.SUCCESS, 'Model responded successfully', {
+            provider: provider.id,
+            duration: `${duration}s`,
+            inputTokens: response.usage.input,
+            outputTokens: response.usage.output,
+            stopReason: response.stopReason
+        });
+        onUsage(response.usage);
+
+        return { response, duration: parseFloat(duration) };
+    }
+}
+
+async function generateValidatedOutput(provider, messages, outputMode, hooks = {}) {
+    const onStage = hooks.onStage || (() => {});
+    const { response, duration } = await streamModelMessage(provider, messages, outputMode, hooks);
+    let tokens = { ...response.usage };
+    const rounds = [];
+    let text = response.text;
+    let stopReason = response.stopReason;
+    let totalDuration = duration;
+
+    while (true) {
+        onStage('validating', { round: rounds.length });
+        const report = validatePrototypeOutput(text, outputMode, stopReason);
+
+        log(report.valid ? LOG_PREFIX.SUCCESS : LOG_PREFIX.INFO, 'Output validated', {
+            round: rounds.length,
+            valid: report.valid,
+            issues: report.issues
+        });
+
+        if (report.valid || rounds.length >= CONFIG.MAX_REPAIR_ATTEMPTS) {
+            if (!report.output) {
+                throw new ModelOutputError(report.issues.find(issue => issue.type === 'invalid-manifest').message);
+            }
+
+            return {
+                output: report.output,
+                tokens,
+                duration: parseFloat(totalDuration.toFixed(2)),
+                validation: { valid: report.valid, issues: report.issues, rounds }
+            };
+        }
+
+        // Truncated output is continued; anything else is sent back whole to be fixed
+        const action = stopReason === 'max_tokens' && text.trim() ? 'continue' : 'repair';
+        onStage('repairing', {
+            attempt: rounds.length + 1,
+            maxAttempts: CONFIG.MAX_REPAIR_ATTEMPTS,
+            action,
+            issues: report.issues.length
+        });
+
+        const followUp = text.trim()
+            ? [
+                ...messages,
+                { role: 'assistant', content: text },
+                { role: 'user', content: action === 'continue' ? CONTINUATION_PROMPT : buildRepairPrompt(report.issues, outputMode) }
+            ]
+            : messages;
+        // Keep the timeline on the repair step while the follow-up streams
+        const round = await streamModelMessage(provider, followUp, outputMode, { ...hooks, onStage: () => {} });
+
+        text = action === 'continue' ? text + round.response.text : round.response.text;
+        stopReason = round.response.stopReason;
+        tokens = addTokens(tokens, round.response.usage);
+        totalDuration += round.duration;
+
+        rounds.push({
+            attempt: rounds.length + 1,
+            action,
+            issues: report.issues,
+            stopReason,
+            tokens: { ...round.response.usage },
+            duration: round.duration
+        });
+    }
+}
+
+// Checks the pages of a generated prototype for accessibility problems and,
+// when `fix` is set, sends the findings back once. The fixed output is only
+// kept if it validates and scores higher; its tokens count either way.
+async function auditGeneratedOutput(provider, messages, generated, outputMode, fix, hooks = {}) {
+    const onStage = hooks.onStage || (() => {});
+    onStage('auditing');
+    const report = auditPrototype(generated.output.files);
+
+    log(report.findings.length === 0 ? LOG_PREFIX.SUCCESS : LOG_PREFIX.INFO, 'Accessibility checked', {
+        score: report.score,
+        findings: report.findings.map(finding => `${finding.file}: ${finding.rule} (${finding.count})`)
+    });
+
+    if (!fix || report.findings.length === 0) {
+        return { ...generated, accessibility: { ...report, fix: null } };
+    }
+
+    onStage('fixing', { findings: report.findings.length });
+    const previousOutput = outputMode === 'project' ? JSON.stringify(generated.output) : generated.output.files[0].content;
+    const fixed = await generateValidatedOutput(provider, [
+        ...messages,
+        { role: 'assistant', content: previousOutput },
+        { role: 'user', content: buildAccessibilityFixPrompt(report.findings, outputMode) }
+    ], outputMode, { ...hooks, onStage: () => {} });
+    const fixedReport = auditPrototype(fixed.output.files);
+    const applied = (fixed.validation.valid || !generated.validation.valid) && fixedReport.score > report.score;
+
+    log(LOG_PREFIX.INFO, 'Accessibility fix pass finished', {
+        applied,
+        scoreBefore: report.score,
+        scoreAfter: fixedReport.score
+    });
+
+    const chosen = applied ? fixed : generated;
+    return {
+        output: chosen.output,
+        validation: chosen.validation,
+        tokens: addTokens(generated.tokens, fixed.tokens),
+        duration: parseFloat((generated.duration + fixed.duration).toFixed(2)),
+        accessibility: {
+            ...(applied ? fixedReport : report),
+            fix: {
+                applied,
+                scoreBefore: report.score,
+                scoreAfter: fixedReport.score,
+                tokens: fixed.tokens
+            }
+        }
+    };
+}
+
+function extractHtml(text) {
+    let htmlContent = text;
+
+    // Remove any markdown code blocks
+    htmlContent = htmlContent.replace(/```html\n?/g, '').replace(/```\n?/g, '').trim();
+
+    // Ensure DOCTYPE
+    if (!htmlContent.startsWith('<!DOCTYPE') && !htmlContent.startsWith('<html')) {
+        htmlContent = '<!DOCTYPE html>\n' + htmlContent;
+    }
+
+    return htmlContent;
+}
+
+const PROJECT_FILE_EXTENSIONS = ['.html', '.css', '.js', '.json', '.svg', '.md', '.txt'];
+const RESERVED_OUTPUT_NAMES = ['prompt.txt', 'spec.json'];
+const WHITEBOARD_ASSET_PATTERN = /^(whiteboard|thumbnail)(-\d+)?\.jpg$/;
+
+function normalizeProjectPath(rawPath, extensions = PROJECT_FILE_EXTENSIONS) {
+    if (typeof rawPath !== 'string' || !rawPath.trim()) {
+        throw new Error('Project manifest contains a file without a path');
+    }
+
+    const path = posix.normalize(rawPath.trim().replace(/^\.\//, ''));
+    const segments = path.split('/');
+
+    if (
+        path.startsWith('/') ||
+        path.includes('\\') ||
+        path.includes('\0') ||
+        /^[a-zA-Z]:/.test(path) ||
+        segments.some(segment => segment === '..' || segment.startsWith('.'))
+    ) {
+        throw new Error(`Project file path is not allowed: ${rawPath}`);
+    }
+
+    // Version folders, the React export and the kept images live next to the generated files
+    if (
+        RESERVED_OUTPUT_NAMES.includes(path) ||
+        WHITEBOARD_ASSET_PATTERN.test(path) ||
+        /^v\d+$/.test(segments[0]) ||
+        segments[0] === REACT_DIR
+    ) {
+        throw new Error(`Project file path is reserved: ${rawPath}`);
+    }
+
+    if (!extensions.includes(posix.extname(path).toLowerCase())) {
+        throw new Error(`Project file type is not allowed: ${rawPath}`);
+    }
+
+    return path;
+}
+
+function validateManifestFiles(manifest, extensions) {
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.files)) {
+        throw new Error('Project manifest must be an object with a "files" array');
+    }
+
+    if (manifest.files.length === 0 || manifest.files.length > CONFIG.MAX_PROJECT_FILES) {
+        throw new Error(`Project manifest must contain between 1 and ${CONFIG.MAX_PROJECT_FILES} files`);
+    }
+
+    const files = [];
+    const seen = new Set();
+
+    for (const file of manifest.files) {
+        const path = normalizeProjectPath(file?.path, extensions);
+
+        if (seen.has(path)) {
+            throw new Error(`Project manifest lists ${path} more than once`);
+        }
+        if (typeof file.content !== 'string') {
+            throw new Error(`Project file ${path} has no text content`);
+        }
+
+        seen.add(path);
+        files.push({ path, content: file.content });
+    }
+
+    return files;
+}
+
+function validateProjectManifest(manifest) {
+    const files = validateManifestFiles(manifest, PROJECT_FILE_EXTENSIONS);
+
+    const entry = normalizeProjectPath(manifest.entry || 'index.html');
+    if (!files.some(file => file.path === entry) || posix.extname(entry) !== '.html') {
+        throw new Error(`Project entry page ${entry} must be one of the HTML files`);
+    }
+
+    return { entry, files };
+}
+
+function parseManifestJson(rawText) {
+    const text = rawText
+        .trim()
+        .replace(/^```(?:json)?\s*/, '')
+        .replace(/```\s*$/, '')
+        .trim();
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Claude returned an invalid project manifest: ${error.message}`);
+    }
+}
+
+function extractProjectManifest(rawText) {
+    return validateProjectManifest(parseManifestJson(rawText));
+}
+
+// The React export has no entry page of its own; App.jsx is where it starts
+function extractReactManifest(rawText) {
+    return {
+        entry: 'src/App.jsx',
+        files: validateManifestFiles(parseManifestJson(rawText), REACT_FILE_EXTENSIONS)
+    };
+}
+
+async function writePrototypeOutput({ entry, files }, outputDir) {
+    const root = resolve(outputDir);
+    for (const file of files) {
+        const filePath = resolve(root, file.path);
+
+        if (!filePath.startsWith(root + sep)) {
+            throw new Error(`Project file path escapes the output directory: ${file.path}`);
+        }
+
+        await fs.mkdir(dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.content, 'utf-8');
+    }
+
+    log(LOG_PREFIX.SUCCESS, 'Prototype files created', {
+        outputDir,
+        entry,
+        files: files.map(file => file.path),
+        size: files.reduce((total, file) => total + file.content.length, 0)
+    });
+
+    return { entry, files: files.map(file => file.path) };
+}
+
+async function readProjectManifest(session) {
+    const versionDir = getVersionDir(getPrototypeDir(session), session.version || 1);
+    const files = await Promise.all((session.files || ['index.html']).map(async path => ({
+        path,
+        content: await fs.readFile(join(versionDir, path), 'utf-8')
+    })));
+
+    return { entry: session.entry || 'index.html', files };
+}
+
+function imageBlock(imageBase64) {
+    return {
+        type: 'image',
+        mediaType: 'image/jpeg',
+        data: imageBase64
+    };
+}
+
+// What a whiteboard gets when the browser sends no enhancement options for it
+function getDefaultEnhancements() {
+    return CONFIG.IMAGE_ENHANCEMENT ? ENHANCEMENT_DEFAULTS : NO_ENHANCEMENTS;
+}
+
+function getCompressedPath(imagePath) {
+    return join(CONFIG.UPLOADS_DIR, 'compressed-' + imagePath.split('/').pop());
+}
+
+// A SHA-256 of what decides a build's output (see lib/fingerprint.js). The
+// whiteboards are hashed as uploaded, with how each is to be cleaned up, so a
+// request can be matched before anything is compressed.
+async function fingerprintBuild(images, { customPrompt, model, theme, outputMode, target, accessibilityFix, spec, variant = null }) {
+    const hashed = [];
+    for (const image of images) {
+        hashed.push({
+            contentHash: await hashFile(image.path),
+            caption: image.caption,
+            enhancements: image.enhancements || getDefaultEnhancements()
+        });
+    }
+
+    return buildFingerprint({ images: hashed, prompt: customPrompt, model, theme, outputMode, target, accessibilityFix, spec, variant });
+}
+
+// Enhances, compresses and encodes each uploaded whiteboard, in the order the
+// user arranged them, with a perceptual hash of each to spot similar boards
+async function prepareWhiteboards(images, onStage) {
+    const screens = [];
+    const imagesBase64 = [];
+
+    for (const [index, image] of images.entries()) {
+        onStage('compressing', { image: index + 1, total: images.length });
+        const compressedPath = getCompressedPath(image.path);
+        const { enhancements } = await compressImage(image.path, compressedPath, image.enhancements || getDefaultEnhancements());
+
+        const suffix = index === 0 ? '' : `-${index + 1}`;
+        const screen = {
+            caption: image.caption || '',
+            originalFilename: image.originalFilename,
+            whiteboard: `whiteboard${suffix}.jpg`,
+            thumbnail: `thumbnail${suffix}.jpg`,
+            enhancements,
+            perceptualHash: await perceptualHash(compressedPath),
+            compressedPath
+        };
+
+        const imageBase64 = await imageToBase64(compressedPath);
+        log(LOG_PREFIX.CLAUDE, 'Image processed and encoded', {
+            originalPath: image.path,
+            compressedPath,
+            base64Length: imageBase64.length
+        });
+
+        screens.push(screen);
+        imagesBase64.push(imageBase64);
+    }
+
+    return { screens, imagesBase64 };
+}
+
+// First pass: reads the whiteboards into a sketch spec without writing any code
+async function analyzeSketch(provider, screens, imagesBase64, hooks = {}) {
+    const { output, tokens, duration, validation } = await generateValidatedOutput(provider, [{
+        role: 'user',
+        content: [
+            ...buildWhiteboardContent(screens, imagesBase64),
+            {
+                type: 'text',
+                text: buildAnalysisPrompt(screens)
+            }
+        ]
+    }], 'spec', hooks);
+
+    let spec;
+    try {
+        spec = normalizeSketchSpec(output.spec, { images: screens.length });
+    } catch (error) {
+        throw new ModelOutputError(`The sketch could not be read: ${error.message}`);
+    }
+    const costs = calculateCost(tokens.input, tokens.output, provider.model, tokens);
+    log(LOG_PREFIX.CLAUDE, 'Sketch analyzed', { ...summarizeSketchSpec(spec), cost: costs.totalCost });
+
+    return {
+        spec,
+        analysis: {
+            tokens,
+            cost: parseFloat(costs.totalCost),
+            costs,
+            duration,
+            validation,
+            provider: provider.id,
+            model: provider.model,
+            edited: false,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+async function buildPrototypeWithClaudeAgent(images, customPrompt, sessionId, apiKey, options = {}, hooks = {}) {
+    const onStage = hooks.onStage || (() => {});
+    const outputMode = options.outputMode || 'single';
+    const theme = options.theme || null;
+    const workspace = options.workspace || '';
+
+    const provider = createModelProvider(apiKey, options.model);
+    log(LOG_PREFIX.CLAUDE, 'Starting Claude Agent SDK session', {
+        sessionId,
+        provider: provider.id,
+        outputMode,
+        images: images.length
+    });
+
+    const prototypeId = options.prototypeId || createPrototypeId();
+    const prototypePath = getPrototypePath({ prototypeId, workspace });
+    const outputDir = join(CONFIG.OUTPUT_DIR, prototypePath);
+
+    try {
+        // Create output directory
+        await fs.mkdir(outputDir, { recursive: true });
+        log(LOG_PREFIX.BUILD, 'Created output directory', { outputDir });
+
+        // Recorded so the same request can be answered with this build later
+        const fingerprint = options.fingerprint || await fingerprintBuild(images, {
+            customPrompt,
+            model: provider.model,
+            theme,
+            outputMode,
+            target: options.target,
+            accessibilityFix: options.accessibilityFix ?? CONFIG.ACCESSIBILITY_FIX,
+            spec: options.spec || null,
+            variant: options.variant
+        });
+        const { screens, imagesBase64 } = await prepareWhiteboards(images, onStage);
+        await hooks.onPrepared?.(screens);
+
+        // Keep the compressed whiteboards so the prototype can be refined later
+        for (const screen of screens) {
+            await fs.copyFile(screen.compressedPath, join(outputDir, screen.whiteboard));
+        }
+
+        // Read the sketch into a spec first, unless the user already checked one
+        let spec = options.spec || null;
+        let analysis = options.analysis || null;
+        if (!spec && CONFIG.SKETCH_ANALYSIS) {
+            onStage('analyzing');
+            ({ spec, analysis } = await analyzeSketch(provider, screens, imagesBase64, { ...hooks, onStage: () => {} }));
+        }
+        if (spec) {
+            await fs.writeFile(join(outputDir, 'spec.json'), JSON.stringify(spec, null, 2), 'utf-8');
+        }
+
+        log(LOG_PREFIX.CLAUDE, 'Sending request to model', {
+            provider: provider.id,
+            model: provider.model,
+            maxTokens: CONFIG.MAX_TOKENS,
+            customPrompt: customPrompt || 'None'
+        });
+
+        // Keep the exact prompt so the build can be reproduced from an export
+        const systemPrompt = buildSystemPrompt(customPrompt, outputMode, theme, screens, spec, options.variant);
+        await fs.writeFile(join(outputDir, 'prompt.txt'), systemPrompt, 'utf-8');
+
+        // Call Claude API, streaming tokens back as they arrive, then validate and repair
+        const messages = buildPrototypeMessages(screens, imagesBase64, {
+            customPrompt,
+            outputMode,
+            theme,
+            spec,
+            variant: options.variant
+        });
+        const generated = await generateValidatedOutput(provider, messages, outputMode, hooks);
+        const { output, tokens, duration, validation, accessibility } = await auditGeneratedOutput(
+            provider, messages, generated, outputMode, options.accessibilityFix ?? CONFIG.ACCESSIBILITY_FIX, hooks
+        );
+
+        // Save the prototype and its accessibility report next to it
+        onStage('writing');
+        const { entry, files } = await writePrototypeOutput(output, outputDir);
+        await fs.writeFile(join(outputDir, 'accessibility.json'), JSON.stringify(accessibility, null, 2), 'utf-8');
+
+        // Calculate costs across the build and any repair rounds
+        const costs = calculateCost(tokens.input, tokens.output, provider.model, tokens);
+
+        log(LOG_PREFIX.INFO, 'Session cost calculated', costs);
+
+        // Create a thumbnail per whiteboard
+        onStage('thumbnail');
+        for (const screen of screens) {
+            await createThumbnail(screen.compressedPath, join(outputDir, screen.thumbnail));
+        }
+
+        const imageRecords = screens.map(screen => toImageRecord(prototypePath, screen));
+
+        // The React export is made from the finished prototype, which stays the
+        // preview. If it fails the prototype is still kept and can be converted later.
+        let react = null;
+        if (options.target === 'react') {
+            onStage('converting', { target: 'react' });
+            try {
+                react = await convertPrototypeToReact(
+                    { prototypeId, workspace, version: 1, entry, files, images: imageRecords },
+                    apiKey,
+                    { model: provider.model },
+                    { ...hooks, onStage: () => {} }
+                );
+            } catch (error) {
+                react = { error: error.message, timestamp: new Date().toISOString() };
+            }
+        }
+
+        return {
+            success: true,
+            sessionId,
+            prototypeId,
+            version: 1,
+            outputMode,
+            theme,
+            entry,
+            outputDir,
+            prototypeUrl: `/demos/${prototypePath}/${entry}`,
+            thumbnailUrl: `/demos/${prototypePath}/thumbnail.jpg`,
+            whiteboardUrl: `/demos/${prototypePath}/whiteboard.jpg`,
+            images: imageRecords,
+            tokens,
+            cost: parseFloat(costs.totalCost),
+            costs,
+            duration,
+            files,
+            validation,
+            accessibility,
+            spec,
+            analysis,
+            react,
+            variant: options.variant || null,
+            fingerprint,
+            timestamp: new Date().toISOString(),
+            provider: provider.id,
+            model: provider.model
+        };
+
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Claude Agent SDK build failed', {
+            sessionId,
+            error: error.message,
+            stack: error.stack
+        });
+        throw error;
+    }
+}
+
+// A new version of a prototype: the parent with `instruction` applied or, when
+// options.spec is given, a fresh build from the whiteboards and that spec
+async function refinePrototypeWithClaudeAgent(parentSession, instruction, sessionId, apiKey, options = {}, hooks = {}) {
+    const onStage = hooks.onStage || (() => {});
+    const outputMode = parentSession.outputMode || 'single';
+    const spec = options.spec || parentSession.spec || null;
+    // Builds from before themes existed used what is now the default theme
+    const theme = parentSession.theme || await loadTheme(CONFIG.DEFAULT_THEME);
+    const prototypeId = getPrototypeId(parentSession);
+    const prototypePath = getPrototypePath(parentSession);
+    const prototypeDir = getPrototypeDir(parentSession);
+    const screens = getSessionImages(parentSession);
+
+    if (screens.some(screen => !existsSync(join(prototypeDir, screen.whiteboard)))) {
+        throw new Error('The original whiteboard for this prototype was not kept, so it cannot be refined.');
+    }
+
+    const provider = createModelProvider(apiKey, options.model);
+    log(LOG_PREFIX.CLAUDE, 'Starting Claude refinement session', {
+        sessionId,
+        provider: provider.id,
+        prototypeId,
+        parentVersion: parentSession.version || 1
+    });
+
+    try {
+        const previousOutput = outputMode === 'project'
+            ? JSON.stringify(await readProjectManifest(parentSession))
+            : await fs.readFile(join(getVersionDir(prototypeDir, parentSession.version || 1), 'index.html'), 'utf-8');
+        const imagesBase64 = await Promise.all(
+            screens.map(screen => imageToBase64(join(prototypeDir, screen.whiteboard)))
+        );
+        const buildMessages = buildPrototypeMessages(screens, imagesBase64, {
+            customPrompt: parentSession.customPrompt,
+            outputMode,
+            theme,
+            spec,
+            variant: parentSession.variant
+        });
+        const refinementPrompt = options.spec
+            ? buildSystemPrompt(parentSession.customPrompt, outputMode, theme, screens, spec, parentSession.variant)
+            : buildRefinementPrompt(instruction, outputMode);
+
+        // Replay the original build as a conversation, then ask for the change;
+        // a corrected spec starts over instead, since the old code follows the old reading
+        const messages = options.spec ? buildMessages : [
+            ...buildMessages,
+            {
+                role: 'assistant',
+                content: previousOutput
+            },
+            {
+                role: 'user',
+                content: refinementPrompt
+            }
+        ];
+        const generated = await generateValidatedOutput(provider, messages, outputMode, hooks);
+        const { output, tokens, duration, validation, accessibility } = await auditGeneratedOutput(
+            provider, messages, generated, outputMode, options.accessibilityFix ?? CONFIG.ACCESSIBILITY_FIX, hooks
+        );
+
+        // Claim the next free version directory under the same prototype
+        onStage('writing');
+        let version = (await getPrototypeVersions(prototypeId))
+            .reduce((max, session) => Math.max(max, session.version || 1), 1) + 1;
+        while (true) {
+            try {
+                await fs.mkdir(getVersionDir(prototypeDir, version));
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                version++;
+            }
+        }
+
+        const outputDir = getVersionDir(prototypeDir, version);
+        const { entry, files } = await writePrototypeOutput(output, outputDir);
+        await fs.writeFile(join(outputDir, 'prompt.txt'), refinementPrompt, 'utf-8');
+        await fs.writeFile(join(outputDir, 'accessibility.json'), JSON.stringify(accessibility, null, 2), 'utf-8');
+        if (spec) {
+            await fs.writeFile(join(outputDir, 'spec.json'), JSON.stringify(spec, null, 2), 'utf-8');
+        }
+
+        log(LOG_PREFIX.SUCCESS, 'Prototype version created', { prototypeId, version });
+
+        const costs = calculateCost(tokens.input, tokens.output, provider.model, tokens);
+        log(LOG_PREFIX.INFO, 'Session cost calculated', costs);
+
+        return {
+            success: true,
+            sessionId,
+            prototypeId,
+            version,
+            outputMode,
+            theme,
+            entry,
+            outputDir,
+            prototypeUrl: `/demos/${prototypePath}/v${version}/${entry}`,
+            thumbnailUrl: `/demos/${prototypePath}/thumbnail.jpg`,
+            whiteboardUrl: `/demos/${prototypePath}/whiteboard.jpg`,
+            images: screens,
+            tokens,
+            cost: parseFloat(costs.totalCost),
+            costs,
+            duration,
+            files,
+            validation,
+            accessibility,
+            spec,
+            analysis: null,
+            timestamp: new Date().toISOString(),
+            provider: provider.id,
+            model: provider.model
+        };
+
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Claude refinement failed', {
+            sessionId,
+            prototypeId,
+            error: error.message,
+            stack: error.stack
+        });
+        throw error;
+    }
+}
+
+// Rewrites a finished version as a React + Vite project in its react/ folder
+async function convertPrototypeToReact(session, apiKey, options = {}, hooks = {}) {
+    const onStage = hooks.onStage || (() => {});
+    const prototypeId = getPrototypeId(session);
+    const version = session.version || 1;
+    const prototypeDir = getPrototypeDir(session);
+    const reactDir = join(getVersionDir(prototypeDir, version), REACT_DIR);
+    // The sketch helps name the regions, but the source alone is enough to convert
+    const screens = getSessionImages(session)
+        .filter(screen => existsSync(join(prototypeDir, screen.whiteboard)));
+
+    const provider = createModelProvider(apiKey, options.model);
+    log(LOG_PREFIX.CLAUDE, 'Starting React conversion', {
+        prototypeId,
+        version,
+        provider: provider.id,
+        images: screens.length
+    });
+
+    // Written beside the previous export and swapped in, so a failure leaves it intact
+    const tempDir = `${reactDir}.tmp-${uuidv4()}`;
+
+    try {
+        const source = await readProjectManifest(session);
+        const imagesBase64 = await Promise.all(
+            screens.map(screen => imageToBase64(join(prototypeDir, screen.whiteboard)))
+        );
+
+        const { output, tokens, duration, validation } = await generateValidatedOutput(provider, [{
+            role: 'user',
+            content: [
+                ...(screens.length > 0 ? buildWhiteboardContent(screens, imagesBase64) : []),
+                { type: 'text', text: formatPrototypeSource(source) },
+                { type: 'text', text: buildReactConversionPrompt(screens) }
+            ]
+        }], 'react', hooks);
+
+        onStage('writing');
+        const skeleton = createReactSkeleton({
+            name: toPackageName(session.title || prototypeId),
+            title: session.title || 'Prototype',
+            files: output.files
+        });
+        const { files } = await writePrototypeOutput({ entry: output.entry, files: [...skeleton, ...output.files] }, tempDir);
+        await fs.rm(reactDir, { recursive: true, force: true });
+        await fs.rename(tempDir, reactDir);
+
+        log(LOG_PREFIX.SUCCESS, 'React project created', { prototypeId, version, reactDir });
+
+        const costs = calculateCost(tokens.input, tokens.output, provider.model, tokens);
+        log(LOG_PREFIX.INFO, 'Session cost calculated', costs);
+
+        return {
+            files,
+            components: listComponents(output.files),
+            tokens,
+            cost: parseFloat(costs.totalCost),
+            costs,
+            duration,
+            validation,
+            provider: provider.id,
+            model: provider.model,
+            timestamp: new Date().toISOString()
+        };
+
+    } catch (error) {
+        await fs.rm(tempDir, { recursive: true, force: true });
+        log(LOG_PREFIX.ERROR, 'React conversion failed', {
+            prototypeId,
+            version,
+            error: error.message,
+            stack: error.stack
+        });
+        throw error;
+    }
+}
+
+function getAnthropicApiKey(req) {
+    const headerValue = req.get('x-anthropic-api-key');
+
+    if (typeof headerValue === 'string' && headerValue.trim()) {
+        return headerValue.trim();
+    }
+
+    // The server's key is only shared with users an admin has allowed to spend it
+    if (!req.user?.canUseServerKey) {
+        return '';
+    }
+
+    if (typeof process.env.ANTHROPIC_API_KEY === 'string' && process.env.ANTHROPIC_API_KEY.trim()) {
+        return process.env.ANTHROPIC_API_KEY.trim();
+    }
+
+    return '';
+}
+
+// Who pays for a build: the user's own key, the server's key, or nobody (keyless providers)
+function getKeySource(req, apiKey) {
+    if (req.get('x-anthropic-api-key')?.trim()) {
+        return 'user';
+    }
+    return apiKey && providerRequiresApiKey() ? 'server' : 'none';
+}
+
+async function safeUnlink(filePath) {
+    if (!filePath) {
+        return;
+    }
+
+    try {
+        await fs.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log(LOG_PREFIX.ERROR, 'Failed to remove file', {
+                filePath,
+                error: error.message
+            });
+        }
+    }
+}
+
+// ============================================================================
+// BUILD JOB QUEUE
+// ============================================================================
+
+const jobs = new Map();
+const pendingJobs = [];
+let runningJobs = 0;
+
+function isJobFinished(job) {
+    return job.status === 'succeeded' || job.status === 'failed';
+}
+
+function serializeJob(job) {
+    return {
+        id: job.id,
+        kind: job.kind,
+        sessionId: job.sessionId,
+        prototypeId: job.prototypeId,
+        buildGroup: job.buildGroup,
+        variant: job.variant,
+        status: job.status,
+        stage: job.stage,
+        customPrompt: job.customPrompt,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        outputChars: job.partialOutput.length,
+        stages: job.events
+            .filter(event => event.type === 'stage')
+            .map(event => event.data),
+        retries: job.events
+            .filter(event => event.type === 'retry')
+            .map(event => event.data),
+        similar: job.similar || [],
+        result: job.result,
+        error: job.error,
+        errorCategory: job.errorCategory
+    };
+}
+
+function writeSseEvent(res, type, data, id = null) {
+    if (id !== null) {
+        res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastJobEvent(job, type, data, { persist = true } = {}) {
+    let id = null;
+
+    // Partial output is too chatty to keep; clients catch up via a snapshot instead
+    if (persist) {
+        id = job.events.length + 1;
+        job.events.push({ id, type, data });
+    }
+
+    for (const res of job.listeners) {
+        writeSseEvent(res, type, data, id);
+    }
+}
+
+function setJobStage(job, stage, detail = {}) {
+    job.stage = stage;
+    job.updatedAt = new Date().toISOString();
+    broadcastJobEvent(job, 'stage', { stage, at: job.updatedAt, ...detail });
+}
+
+function finishJob(job, type, data) {
+    job.updatedAt = new Date().toISOString();
+    broadcastJobEvent(job, type, data);
+
+    for (const res of job.listeners) {
+        res.end();
+    }
+    job.listeners.clear();
+
+    // Drop everything the runner no longer needs, including the API key
+    job.apiKey = null;
+    job.partialOutput = '';
+    setTimeout(() => jobs.delete(job.id), CONFIG.JOB_RETENTION_MS).unref();
+    notifyWebhooks(job);
+    job.settle(job);
+}
+
+function createJob({
+    sessionId,
+    kind,
+    customPrompt,
+    apiKey,
+    ownerId = null,
+    clientId = null,
+    keySource = 'none',
+    reservedCost = 0,
+    prototypeId = null,
+    buildGroup = null,
+    variant = null,
+    fingerprint = null,
+    cleanupPaths = []
+}, execute) {
+    const now = new Date().toISOString();
+    const job = {
+        id: uuidv4(),
+        sessionId,
+        kind,
+        ownerId,
+        clientId,
+        keySource,
+        reservedCost,
+        prototypeId,
+        buildGroup,
+        variant,
+        // What the build was asked for, so the same request made while it runs can follow it
+        fingerprint,
+        customPrompt,
+        apiKey,
+        execute,
+        cleanupPaths,
+        status: 'queued',
+        stage: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        partialOutput: '',
+        // Tokens of every model call that finished, kept for a failure record
+        usage: { input: 0, output: 0 },
+        startedAt: null,
+        events: [],
+        listeners: new Set(),
+        result: null,
+        error: null,
+        errorCategory: null
+    };
+    // Settles once the job has finished either way, for callers without an event stream
+    job.finished = new Promise(resolve => {
+        job.settle = resolve;
+    });
+
+    jobs.set(job.id, job);
+    pendingJobs.push(job);
+    setJobStage(job, 'queued', { position: pendingJobs.length });
+
+    log(LOG_PREFIX.JOBS, 'Build job queued', {
+        jobId: job.id,
+        kind,
+        sessionId,
+        position: pendingJobs.length
+    });
+
+    processJobQueue();
+    return job;
+}
+
+function processJobQueue() {
+    while (runningJobs < CONFIG.MAX_CONCURRENT_JOBS && pendingJobs.length > 0) {
+        const job = pendingJobs.shift();
+        runningJobs++;
+
+        runJob(job).finally(() => {
+            runningJobs--;
+            processJobQueue();
+        });
+    }
+}
+
+async function runJob(job) {
+    const { sessionId } = job;
+
+    job.status = 'running';
+    job.startedAt = Date.now();
+    log(LOG_PREFIX.JOBS, 'Build job started', { jobId: job.id, kind: job.kind, sessionId });
+
+    try {
+        const result = await job.execute(job, {
+            onStage: (stage, detail) => setJobStage(job, stage, detail),
+            onText: (delta, totalChars) => {
+                job.partialOutput += delta;
+                broadcastJobEvent(job, 'output', { delta, totalChars }, { persist: false });
+            },
+            // Clients drop the failed call's text too, then wait for the next attempt
+            onRetry: (retry) => {
+                job.partialOutput = job.partialOutput.slice(0, Math.max(0, job.partialOutput.length - retry.discardChars));
+                job.updatedAt = new Date().toISOString();
+                broadcastJobEvent(job, 'retry', { ...retry, at: job.updatedAt });
+            },
+            onUsage: (usage) => {
+                job.usage = addTokens(job.usage, usage);
+            }
+        });
+
+        log(LOG_PREFIX.SUCCESS, 'Build job finished', {
+            jobId: job.id,
+            sessionId,
+            cost: `$${result.cost}`,
+            duration: `${result.duration}s`
+        });
+
+        job.status = 'succeeded';
+        job.stage = 'complete';
+        job.result = result;
+        finishJob(job, 'done', job.result);
+
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Build job failed', {
+            jobId: job.id,
+            sessionId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        job.status = 'failed';
+        job.error = error.message || 'Failed to generate prototype';
+        job.errorCategory = classifyError(error);
+        finishJob(job, 'failed', { error: job.error, category: job.errorCategory, prototypeId: job.prototypeId });
+    } finally {
+        for (const filePath of job.cleanupPaths) {
+            await safeUnlink(filePath);
+        }
+    }
+}
+
+// Pairs each uploaded file with its caption and enhancement options, which
+// arrive as JSON arrays in the same order as the files. Returns { images } or
+// { error } when either field is malformed.
+function toWhiteboardImages(uploadedFiles, imagePaths, body) {
+    let captions;
+    let enhancements;
+    try {
+        captions = body.captions ? JSON.parse(body.captions) : [];
+    } catch (error) {
+        captions = null;
+    }
+
+    if (!Array.isArray(captions)) {
+        return { error: 'Captions must be a JSON array of strings' };
+    }
+
+    try {
+        enhancements = body.enhancements ? JSON.parse(body.enhancements) : [];
+        if (!Array.isArray(enhancements)) {
+            throw new Error('send a JSON array with one entry per whiteboard');
+        }
+        enhancements = uploadedFiles.map((file, index) => parseEnhancements(enhancements[index], getDefaultEnhancements()));
+    } catch (error) {
+        return { error: `Invalid enhancements: ${error.message}` };
+    }
+
+    return {
+        images: uploadedFiles.map((file, index) => ({
+            path: imagePaths[index],
+            originalFilename: file.filename,
+            caption: typeof captions[index] === 'string' ? captions[index].trim().slice(0, 200) : '',
+            enhancements: enhancements[index]
+        }))
+    };
+}
+
+function toHistoryEntry(result, details) {
+    return {
+        sessionId: result.sessionId,
+        prototypeId: result.prototypeId,
+        version: result.version,
+        outputMode: result.outputMode,
+        theme: result.theme,
+        entry: result.entry,
+        parentSessionId: details.parentSessionId || null,
+        timestamp: result.timestamp,
+        originalFilename: details.originalFilename,
+        customPrompt: details.customPrompt,
+        instruction: details.instruction || null,
+        outputDir: result.outputDir,
+        prototypeUrl: result.prototypeUrl,
+        thumbnailUrl: result.thumbnailUrl,
+        whiteboardUrl: result.whiteboardUrl,
+        images: result.images,
+        tokens: result.tokens,
+        cost: result.cost,
+        costs: result.costs,
+        duration: result.duration,
+        provider: result.provider,
+        model: result.model,
+        files: result.files,
+        validation: result.validation,
+        accessibility: result.accessibility || null,
+        spec: result.spec || null,
+        analysis: result.analysis ? { ...result.analysis, ...details.billing } : null,
+        react: result.react ? { ...result.react, ...details.billing } : null,
+        ownerId: details.owner.ownerId,
+        ownerName: details.owner.ownerName,
+        workspace: details.owner.workspace,
+        clientId: details.billing.clientId,
+        keySource: details.billing.keySource,
+        title: null,
+        tags: [],
+        pinned: false,
+        buildGroup: details.buildGroup || null,
+        variant: details.variant || null,
+        fingerprint: result.fingerprint || null,
+        starred: false,
+        status: 'succeeded',
+        retryOf: details.retryOf || null,
+        success: true
+    };
+}
+
+function toJobResult(result, message) {
+    return {
+        sessionId: result.sessionId,
+        message,
+        prototypeId: result.prototypeId,
+        version: result.version,
+        outputMode: result.outputMode,
+        entry: result.entry,
+        demoUrl: result.prototypeUrl,
+        previewPageUrl: getPreviewPageUrl(result.prototypeId, result.version),
+        thumbnailUrl: result.thumbnailUrl,
+        images: result.images,
+        outputDir: result.outputDir,
+        tokens: result.tokens,
+        cost: result.cost,
+        costs: result.costs,
+        duration: result.duration,
+        files: result.files,
+        validation: result.validation,
+        accessibility: result.accessibility || null,
+        spec: result.spec || null,
+        analysis: result.analysis || null,
+        react: result.react || null,
+        reactDownloadUrl: result.react?.files ? getReactDownloadUrl(result.prototypeId, result.version) : null,
+        variant: result.variant || null,
+        model: result.model
+    };
+}
+
+function getReactDownloadUrl(prototypeId, version) {
+    return `/prototypes/${prototypeId}/export.zip?version=${version}&target=react`;
+}
+
+// Ceiling on what a build may cost: the generation, the sketch analysis unless
+// a spec was given, the accessibility fix pass and the React conversion if
+// they were asked for
+function estimateFullBuildCost({ model, images, spec, target, accessibilityFix = false }) {
+    return estimateBuildCost({ model, images })
+        + (!spec && CONFIG.SKETCH_ANALYSIS ? estimateBuildCost({ model, images }) : 0)
+        + (accessibilityFix ? estimateBuildCost({ model, images, refine: true }) : 0)
+        + (target === 'react' ? estimateBuildCost({ model, images, refine: true }) : 0);
+}
+
+// What a build paid for with the server key holds against the budgets while it runs
+function estimateBuildReservation(billing, build) {
+    return billing.keySource === 'server' ? estimateFullBuildCost(build) : 0;
+}
+
+// Keeps what a failed build was given (the uploaded photos, their captions and
+// clean-up options, and the build options) in its prototype directory and
+// records the attempt in history: why it failed, at which stage, the tokens
+// it had already used and the text it streamed. History shows it next to the
+// successful builds and POST /prototypes/:id/retry runs it again.
+async function recordFailedBuild(job, error, build) {
+    const { sessionId, prototypeId, images, customPrompt, outputMode, target, accessibilityFix, theme, model, spec, owner, billing, buildGroup, variant, retryOf } = build;
+    const prototypePath = getPrototypePath({ prototypeId, workspace: owner.workspace });
+    const outputDir = join(CONFIG.OUTPUT_DIR, prototypePath);
+
+    try {
+        await fs.mkdir(outputDir, { recursive: true });
+
+        const kept = [];
+        for (const [index, image] of images.entries()) {
+            const suffix = index === 0 ? '' : `-${index + 1}`;
+            const input = `input${suffix}${extname(image.originalFilename).toLowerCase() || '.jpg'}`;
+            await fs.copyFile(image.path, join(outputDir, input));
+            await createThumbnail(join(outputDir, input), join(outputDir, `thumbnail${suffix}.jpg`));
+            kept.push({ ...image, input, thumbnail: `thumbnail${suffix}.jpg` });
+        }
+
+        const partialOutput = job.partialOutput.trim() ? 'partial-output.txt' : null;
+        if (partialOutput) {
+            await fs.writeFile(join(outputDir, partialOutput), job.partialOutput, 'utf-8');
+        }
+
+        const costs = calculateCost(job.usage.input, job.usage.output, model, job.usage);
+        const category = classifyError(error);
+
+        await addToHistory({
+            sessionId,
+            prototypeId,
+            version: 1,
+            outputMode,
+            theme,
+            entry: null,
+            parentSessionId: null,
+            timestamp: new Date().toISOString(),
+            originalFilename: images[0].originalFilename,
+            customPrompt,
+            instruction: null,
+            outputDir,
+            prototypeUrl: null,
+            thumbnailUrl: `/demos/${prototypePath}/thumbnail.jpg`,
+            whiteboardUrl: `/demos/${prototypePath}/${kept[0].input}`,
+            images: kept.map(image => toImageRecord(prototypePath, {
+                caption: image.caption,
+                originalFilename: image.originalFilename,
+                whiteboard: image.input,
+                thumbnail: image.thumbnail
+            })),
+            tokens: { ...job.usage },
+            cost: parseFloat(costs.totalCost),
+            costs,
+            duration: parseFloat(((Date.now() - job.startedAt) / 1000).toFixed(2)),
+            provider: CONFIG.PROVIDER,
+            model,
+            files: [],
+            validation: null,
+            accessibility: null,
+            spec: spec || null,
+            analysis: null,
+            react: null,
+            error: {
+                category,
+                message: error.message || 'Failed to generate prototype',
+                status: Number.isInteger(error.status) ? error.status : null,
+                stage: job.stage,
+                attempts: error.attempts || 1
+            },
+            partialOutput,
+            partialOutputUrl: partialOutput ? `/demos/${prototypePath}/${partialOutput}` : null,
+            // What a retry sends again
+            request: {
+                target,
+                accessibilityFix,
+                images: kept.map(image => ({
+                    input: image.input,
+                    caption: image.caption,
+                    enhancements: image.enhancements || null
+                }))
+            },
+            retryOf: retryOf || null,
+            buildGroup: buildGroup || null,
+            variant: variant || null,
+            starred: false,
+            ownerId: owner.ownerId,
+            ownerName: owner.ownerName,
+            workspace: owner.workspace,
+            clientId: billing.clientId,
+            keySource: billing.keySource,
+            title: null,
+            tags: [],
+            pinned: false,
+            status: 'failed',
+            success: false
+        });
+        log(LOG_PREFIX.HISTORY, 'Failed build recorded', { sessionId, prototypeId, category });
+    } catch (recordError) {
+        log(LOG_PREFIX.ERROR, 'Failed to record failed build', {
+            sessionId,
+            prototypeId,
+            error: recordError.message
+        });
+    }
+}
+
+// Queues a build into a new prototype, or into a failed build's prototype
+// when it is retried, and records the outcome in history either way
+function startBuildJob(build) {
+    const { sessionId, prototypeId, images, customPrompt, outputMode, target, accessibilityFix, theme, model, spec, analysis, analysisJob, apiKey, owner, billing, reservedCost, buildGroup, variant, fingerprint, retryOf } = build;
+
+    return createJob({
+        sessionId,
+        kind: 'build',
+        customPrompt,
+        apiKey,
+        ownerId: owner.ownerId,
+        ...billing,
+        reservedCost,
+        prototypeId,
+        buildGroup,
+        variant,
+        fingerprint,
+        cleanupPaths: images.flatMap(image => [
+            image.path,
+            getCompressedPath(image.path)
+        ])
+    }, async (job, hooks) => {
+        let result;
+        try {
+            result = await buildPrototypeWithClaudeAgent(
+                images,
+                customPrompt,
+                sessionId,
+                job.apiKey,
+                { prototypeId, outputMode, target, accessibilityFix, theme, model, spec, analysis, variant, fingerprint, workspace: owner.workspace },
+                {
+                    ...hooks,
+                    // Variants are meant to look alike, so only other builds are pointed out
+                    onPrepared: variant ? null : screens => reportSimilarBuilds(job, screens, owner.ownerId)
+                }
+            );
+        } catch (error) {
+            await recordFailedBuild(job, error, build);
+            throw error;
+        }
+
+        await addToHistory(toHistoryEntry(result, {
+            originalFilename: images[0].originalFilename,
+            customPrompt,
+            owner,
+            billing,
+            buildGroup,
+            variant,
+            retryOf
+        }));
+        // From here the analysis is paid for in history rather than by the job
+        if (analysisJob) {
+            analysisJob.claimed = true;
+        }
+        return toJobResult(result, 'Prototype generated successfully!');
+    });
+}
+
+// Queues one build per variant direction, each into its own prototype under a
+// shared build group. Every variant gets its own copy of the uploads, since a
+// job removes its files when it finishes. Without a reviewed spec each variant
+// reads the sketch itself; a reviewed one is shared, and the /analyze job it
+// came from is billed to the first variant.
+async function startVariantBuilds(build, variants) {
+    const buildGroup = `group-${uuidv4()}`;
+    const basePrototypeId = createPrototypeId();
+    const builds = [];
+    const copies = [];
+
+    for (const [index, variant] of variants.entries()) {
+        const images = [];
+        for (const image of build.images) {
+            if (index === 0) {
+                images.push(image);
+                continue;
+            }
+            // Only the file on disk is a copy; history keeps the uploaded name
+            const copyPath = join(CONFIG.UPLOADS_DIR, `${uuidv4()}${extname(image.path)}`);
+            try {
+                await fs.copyFile(image.path, copyPath);
+            } catch (error) {
+                for (const path of [...copies, copyPath]) {
+                    await safeUnlink(path);
+                }
+                throw error;
+            }
+            copies.push(copyPath);
+            images.push({ ...image, path: copyPath });
+        }
+
+        builds.push({
+            ...build,
+            sessionId: index === 0 ? build.sessionId : uuidv4(),
+            prototypeId: `${basePrototypeId}-${variant.id}`,
+            images,
+            analysis: index === 0 ? build.analysis : null,
+            analysisJob: index === 0 ? build.analysisJob : null,
+            buildGroup,
+            variant
+        });
+    }
+
+    log(LOG_PREFIX.JOBS, 'Queueing build variants', {
+        buildGroup,
+        variants: variants.map(variant => variant.id)
+    });
+
+    return {
+        buildGroup,
+        jobs: builds.map(variantBuild => startBuildJob(variantBuild))
+    };
+}
+
+// ============================================================================
+// PROTOTYPE MANAGEMENT
+// ============================================================================
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+
+// Title, tags, pin and build group are kept on every version so any of them describes the prototype
+function getPrototypeDetails(session) {
+    return {
+        title: session.title || null,
+        tags: session.tags || [],
+        pinned: Boolean(session.pinned),
+        buildGroup: session.buildGroup || null,
+        variant: session.variant || null,
+        starred: Boolean(session.starred)
+    };
+}
+
+// Validates a PATCH body; only the fields sent are changed
+function validatePrototypeUpdate(body) {
+    const update = {};
+
+    if (body?.title !== undefined) {
+        if (body.title !== null && typeof body.title !== 'string') {
+            return { error: 'title must be a string' };
+        }
+        const title = (body.title || '').trim();
+        if (title.length > MAX_TITLE_LENGTH) {
+            return { error: `title must be ${MAX_TITLE_LENGTH} characters or fewer` };
+        }
+        update.title = title || null;
+    }
+
+    if (body?.tags !== undefined) {
+        if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+            return { error: 'tags must be a list of strings' };
+        }
+        const tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            return { error: `Use up to ${MAX_TAGS} tags of ${MAX_TAG_LENGTH} characters or fewer` };
+        }
+        update.tags = tags;
+    }
+
+    if (body?.pinned !== undefined) {
+        if (typeof body.pinned !== 'boolean') {
+            return { error: 'pinned must be true or false' };
+        }
+        update.pinned = body.pinned;
+    }
+
+    if (Object.keys(update).length === 0) {
+        return { error: 'Send a title, tags or pinned to update' };
+    }
+
+    return { update };
+}
+
+// A refinement still running would write into the directory being removed
+function isPrototypeBusy(prototypeId) {
+    return Array.from(jobs.values()).some(job => job.prototypeId === prototypeId && !isJobFinished(job));
+}
+
+async function deletePrototype(prototypeId, workspace = '') {
+    const removed = await historyStore.removeWhere(session => (
+        getPrototypeId(session) === prototypeId && (session.workspace || '') === workspace
+    ));
+    await fs.rm(join(CONFIG.OUTPUT_DIR, getPrototypePath({ prototypeId, workspace })), { recursive: true, force: true });
+    await reviewStore.removePrototype(prototypeId, workspace);
+
+    log(LOG_PREFIX.HISTORY, 'Prototype deleted', {
+        prototypeId,
+        workspace: workspace || null,
+        versions: removed.length
+    });
+    return removed;
+}
+
+// Top-level prototype directories plus those inside each user's workspace
+async function listPrototypeDirs() {
+    const found = [];
+    const entries = await fs.readdir(CONFIG.OUTPUT_DIR, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries.filter(item => item.isDirectory())) {
+        if (PROTOTYPE_ID_PATTERN.test(entry.name)) {
+            found.push({ prototypeId: entry.name, workspace: '' });
+        } else if (WORKSPACE_PATTERN.test(entry.name)) {
+            const inner = await fs.readdir(join(CONFIG.OUTPUT_DIR, entry.name), { withFileTypes: true });
+            found.push(...inner
+                .filter(item => item.isDirectory() && PROTOTYPE_ID_PATTERN.test(item.name))
+                .map(item => ({ prototypeId: item.name, workspace: entry.name })));
+        }
+    }
+    return found;
+}
+
+// Deletes unpinned prototypes untouched for longer than the retention age, and
+// output directories no history record points at (left by the old 100-entry cap)
+async function runRetentionSweep(now = Date.now()) {
+    const swept = { prototypes: [], orphans: [] };
+
+    if (!CONFIG.RETENTION_MS) {
+        return swept;
+    }
+
+    const cutoff = now - CONFIG.RETENTION_MS;
+    // Keyed by prototype path, so the same ID in two workspaces stays apart
+    const prototypes = new Map();
+
+    for (const session of await historyStore.all()) {
+        const path = getPrototypePath(session);
+        const time = Date.parse(session.timestamp) || 0;
+        const current = prototypes.get(path) || {
+            prototypeId: getPrototypeId(session),
+            workspace: session.workspace || '',
+            lastActivity: 0,
+            pinned: false
+        };
+        current.lastActivity = Math.max(current.lastActivity, time);
+        current.pinned ||= Boolean(session.pinned);
+        prototypes.set(path, current);
+    }
+
+    for (const [path, prototype] of prototypes) {
+        if (prototype.lastActivity < cutoff && !prototype.pinned && !isPrototypeBusy(prototype.prototypeId)) {
+            await deletePrototype(prototype.prototypeId, prototype.workspace);
+            swept.prototypes.push(path);
+        }
+    }
+
+    for (const entry of await listPrototypeDirs()) {
+        const path = getPrototypePath(entry);
+        if (prototypes.has(path)) {
+            continue;
+        }
+
+        const dir = join(CONFIG.OUTPUT_DIR, path);
+        const stats = await fs.stat(dir);
+        if (stats.mtimeMs < cutoff && !isPrototypeBusy(entry.prototypeId)) {
+            await fs.rm(dir, { recursive: true, force: true });
+            swept.orphans.push(path);
+        }
+    }
+
+    if (swept.prototypes.length > 0 || swept.orphans.length > 0) {
+        log(LOG_PREFIX.HISTORY, 'Retention sweep finished', {
+            prototypes: swept.prototypes.length,
+            orphans: swept.orphans.length
+        });
+    }
+    return swept;
+}
+
+// ============================================================================
+// PROTOTYPE PREVIEWS
+// ============================================================================
+
+// Prototypes are untrusted model output. The CSP sandbox gives every page an
+// opaque origin, so its scripts can't read the app's sessionStorage (where a
+// user's Anthropic key lives) or call the app's routes as the user, even when
+// served from the app's own origin. allow-same-origin is deliberately absent.
+const PREVIEW_SANDBOX = 'allow-scripts allow-forms allow-popups allow-modals';
+
+const PREVIEW_CSP = [
+    `sandbox ${PREVIEW_SANDBOX}`,
+    "default-src 'self' data: blob:",
+    "script-src 'self' 'unsafe-inline'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob:",
+    "font-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'"
+].join('; ');
+
+function sendPreviewHeaders(req, res, next) {
+    res.set({
+        'Content-Security-Policy': PREVIEW_CSP,
+        'X-Content-Type-Options': 'nosniff',
+        'Referrer-Policy': 'no-referrer',
+        // Sandboxed pages fetch their own files (JSON data, module scripts) as origin "null"
+        'Access-Control-Allow-Origin': '*'
+    });
+    next();
+}
+
+function serveDemos() {
+    return [sendPreviewHeaders, express.static(CONFIG.OUTPUT_DIR)];
+}
+
+// Where the preview page loads prototypes from: the configured origin, the
+// preview port on the host the app was reached at, or the app itself
+function getPreviewOrigin(req) {
+    if (CONFIG.PREVIEW_ORIGIN) {
+        return CONFIG.PREVIEW_ORIGIN;
+    }
+    if (CONFIG.PREVIEW_PORT) {
+        return `${req.protocol}://${req.hostname}:${CONFIG.PREVIEW_PORT}`;
+    }
+    return '';
+}
+
+function getComparePageUrl(buildGroup) {
+    return `/compare.html?group=${encodeURIComponent(buildGroup)}`;
+}
+
+function getPreviewPageUrl(prototypeId, version) {
+    return `/preview.html?prototype=${encodeURIComponent(prototypeId)}&version=${version || 1}`;
+}
+
+// Serves nothing but prototype files, for PREVIEW_PORT
+const previewApp = express();
+previewApp.disable('x-powered-by');
+previewApp.use('/demos', ...serveDemos());
+previewApp.use('/shares/:token/site', ...serveSharedPrototype());
+previewApp.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        error: 'Not found'
+    });
+});
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+const SESSION_COOKIE = 'wtp_session';
+const WORKSPACE_PATTERN = /^[a-f0-9]{24}$/;
+
+// Who requests act as when sign-in is off: one shared workspace at the top of OUTPUT_DIR
+const ANONYMOUS_USER = {
+    id: null,
+    username: null,
+    role: 'admin',
+    canUseServerKey: true,
+    workspace: ''
+};
+
+const userStore = createUserStore({
+    file: CONFIG.USERS_FILE,
+    sessionTtlMs: CONFIG.AUTH_SESSION_MS
+});
+
+function readCookie(req, name) {
+    for (const part of (req.get('cookie') || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: '/',
+        maxAge: CONFIG.AUTH_SESSION_MS
+    });
+}
+
+// AUTH_ADMINS are admins whatever their stored role says
+function toRequestUser(user) {
+    return CONFIG.AUTH_ADMINS.includes(user.username) ? { ...user, role: 'admin' } : user;
+}
+
+async function resolveUser(req) {
+    if (CONFIG.AUTH_MODE === 'none') {
+        return ANONYMOUS_USER;
+    }
+
+    if (CONFIG.AUTH_MODE === 'local') {
+        return userStore.getSessionUser(readCookie(req, SESSION_COOKIE));
+    }
+
+    // trusted-header: the proxy has signed the user in; first visits create the account
+    const username = normalizeUsername(req.get(CONFIG.AUTH_TRUSTED_HEADER));
+    if (!username) {
+        return null;
+    }
+
+    const existing = await userStore.findByUsername(username);
+    if (existing) {
+        return existing;
+    }
+
+    try {
+        const user = await userStore.create({
+            username,
+            canUseServerKey: CONFIG.AUTH_SERVER_KEY_FOR_NEW_USERS
+        });
+        log(LOG_PREFIX.SERVER, 'User created from trusted header', { username });
+        return user;
+    } catch (error) {
+        // Two first requests at once: the other one created the account
+        if (error instanceof UserError && error.status === 409) {
+            return userStore.findByUsername(username);
+        }
+        throw error;
+    }
+}
+
+function authenticate(req, res, next) {
+    resolveUser(req)
+        .then(user => {
+            req.user = user ? toRequestUser(user) : null;
+            next();
+        })
+        .catch(next);
+}
+
+// Everything except sign-in itself, the health check and review links needs a user
+function requireUser(req, res, next) {
+    if (req.user || req.path.startsWith('/auth/') || req.path === '/health' || req.path.startsWith('/shares/')) {
+        return next();
+    }
+
+    res.status(401).json({
+        success: false,
+        error: 'Sign in to continue'
+    });
+}
+
+function requireAdmin(req, res, next) {
+    // The admin pages only exist when there are accounts to manage
+    if (CONFIG.AUTH_MODE === 'none') {
+        return res.status(404).json({
+            success: false,
+            error: 'Not found'
+        });
+    }
+
+    requireAdminRole(req, res, next);
+}
+
+// For settings every workspace shares. With sign-in off everyone acts as an admin.
+function requireAdminRole(req, res, next) {
+    if (req.user?.role !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            error: 'Only admins can do that'
+        });
+    }
+    next();
+}
+
+// Cookies ride along on cross-site form posts; writes must come from this app's pages
+function rejectCrossSiteWrites(req, res, next) {
+    const origin = req.get('origin');
+
+    if (CONFIG.AUTH_MODE === 'none' || ['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !origin) {
+        return next();
+    }
+
+    if (URL.canParse(origin) ? new URL(origin).host !== req.get('host') : true) {
+        return res.status(403).json({
+            success: false,
+            error: 'Cross-site request refused'
+        });
+    }
+    next();
+}
+
+// Sessions, jobs and prototypes are visible to their owner and to admins
+function canAccess(user, record) {
+    return CONFIG.AUTH_MODE === 'none' || user.role === 'admin' || record.ownerId === user.id;
+}
+
+function getOwnerFields(user) {
+    return {
+        ownerId: user.id,
+        ownerName: user.username,
+        workspace: user.workspace
+    };
+}
+
+// First start with AUTH_MODE=local: ADMIN_USERNAME and ADMIN_PASSWORD create the first admin
+async function ensureAdminUser() {
+    if (CONFIG.AUTH_MODE !== 'local' || await userStore.count() > 0) {
+        return;
+    }
+
+    const username = process.env.ADMIN_USERNAME?.trim();
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !password) {
+        log(LOG_PREFIX.SERVER, 'No accounts yet: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+        return;
+    }
+
+    await userStore.create({ username, password, role: 'admin', canUseServerKey: true });
+    log(LOG_PREFIX.SUCCESS, 'Created the first admin account', { username: normalizeUsername(username) });
+}
+
+// Validates an admin's changes to an account; only the fields sent are changed
+function validateUserUpdate(body) {
+    const update = {};
+
+    if (body?.role !== undefined) {
+        if (body.role !== 'admin' && body.role !== 'member') {
+            return { error: 'role must be "admin" or "member"' };
+        }
+        update.role = body.role;
+    }
+
+    if (body?.canUseServerKey !== undefined) {
+        if (typeof body.canUseServerKey !== 'boolean') {
+            return { error: 'canUseServerKey must be true or false' };
+        }
+        update.canUseServerKey = body.canUseServerKey;
+    }
+
+    if (body?.password !== undefined) {
+        if (typeof body.password !== 'string') {
+            return { error: 'password must be a string' };
+        }
+        update.password = body.password;
+    }
+
+    if (Object.keys(update).length === 0) {
+        return { error: 'Send a role, canUseServerKey or password to update' };
+    }
+
+    return { update };
+}
+
+// Anything but a UserError is the store failing (a bad or unwritable file)
+function sendUserError(res, error) {
+    if (!(error instanceof UserError)) {
+        log(LOG_PREFIX.ERROR, 'Account request failed', { error: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to read or save accounts'
+        });
+    }
+
+    res.status(error.status).json({
+        success: false,
+        error: error.message
+    });
+}
+
+// ============================================================================
+// REVIEW LINKS
+// ============================================================================
+
+// A review link shows one prototype to people without an account: the demo,
+// its whiteboards and a comment thread pinned to spots on the page. Links
+// expire after SHARE_DEFAULT_DAYS unless asked for longer, up to SHARE_MAX_DAYS.
+const SHARE_DEFAULT_DAYS = 7;
+const SHARE_MAX_DAYS = 90;
+const SHARED_SITE_PATTERN = /^\/shares\/[A-Za-z0-9_-]+\/site\//;
+const COMMENT_EXPORT_FORMATS = {
+    json: { extension: 'json', type: 'application/json' },
+    csv: { extension: 'csv', type: 'text/csv' },
+    markdown: { extension: 'md', type: 'text/markdown' }
+};
+
+const reviewStore = createReviewStore({ file: CONFIG.REVIEWS_FILE });
+
+// The link and the prototype version it shows, or why it can't be used
+async function resolveShare(token) {
+    const share = await reviewStore.getShare(token);
+
+    if (!share) {
+        return { status: 404, error: 'This review link is not valid or has been revoked' };
+    }
+    if (Date.parse(share.expiresAt) <= Date.now()) {
+        return { status: 410, error: 'This review link has expired' };
+    }
+
+    const versions = (await getPrototypeVersions(share.prototypeId))
+        .filter(session => (session.workspace || '') === share.workspace);
+    const session = share.version
+        ? versions.find(entry => (entry.version || 1) === share.version)
+        : versions[versions.length - 1];
+
+    if (!session) {
+        return { status: 404, error: 'The shared prototype has been deleted' };
+    }
+    return { share, session };
+}
+
+// The versions of a prototype the signed-in user owns, for the owner routes
+async function resolveReviewedPrototype(req) {
+    const prototypeId = req.params.id;
+
+    if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+        return { status: 400, error: 'Invalid prototype id' };
+    }
+
+    const versions = await getPrototypeVersions(prototypeId, req.user);
+    if (versions.length === 0) {
+        return { status: 404, error: 'Prototype not found' };
+    }
+    return { prototypeId, versions, workspace: versions[0].workspace || '' };
+}
+
+function getSharePages(session) {
+    return (session.files || [session.entry || 'index.html']).filter(file => /\.html?$/i.test(file));
+}
+
+// Reviewers see names and text, not which account or link a comment came from
+function toSharedComment(comment) {
+    return {
+        id: comment.id,
+        parentId: comment.parentId,
+        version: comment.version,
+        page: comment.page,
+        position: comment.position,
+        author: comment.author,
+        body: comment.body,
+        createdAt: comment.createdAt
+    };
+}
+
+// Anything but a ReviewError is the store or history failing
+function sendReviewError(res, error) {
+    if (!(error instanceof ReviewError)) {
+        log(LOG_PREFIX.ERROR, 'Review request failed', { error: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to read or save reviews'
+        });
+    }
+
+    res.status(error.status).json({
+        success: false,
+        error: error.message
+    });
+}
+
+// The shared version's files, sandboxed like /demos. They stop being served
+// when the link expires or is revoked.
+function serveSharedPrototype() {
+    return [sendPreviewHeaders, (req, res, next) => {
+        resolveShare(req.params.token)
+            .then(({ session, status, error }) => {
+                if (error) {
+                    return res.status(status).json({
+                        success: false,
+                        error
+                    });
+                }
+                express.static(getVersionDir(getPrototypeDir(session), session.version || 1))(req, res, next);
+            })
+            .catch(next);
+    }];
+}
+
+// ============================================================================
+// PUBLIC API (/api/v1)
+// ============================================================================
+
+// Other tools call the app through /api/v1 with a token from the API access
+// page instead of a sign-in cookie. A token acts as the user who made it, within
+// its scopes. Builds still need an Anthropic key: the user's x-anthropic-api-key
+// header, or the server's key if that user may use it.
+const apiStore = createApiStore({ file: CONFIG.API_FILE });
+const apiV1 = express.Router();
+
+const MAX_TOKEN_DAYS = 365;
+// Base64 adds a third, so this fits the largest upload /upload accepts
+const API_JSON_LIMIT = '70mb';
+const MAX_API_IMAGE_BYTES = 50 * 1024 * 1024;
+const API_BUILD_TEXT_FIELDS = ['prompt', 'outputMode', 'target', 'model', 'theme', 'analysisJobId'];
+const MAX_PROTOTYPES_PAGE = 100;
+// Recent deliveries per webhook, newest first, for the API access page. Kept
+// in memory, so the list starts empty after a restart.
+const MAX_WEBHOOK_DELIVERIES = 20;
+const webhookDeliveries = new Map();
+
+// Tokens made while sign-in was off act as the shared workspace, and only then
+async function getTokenUser(record) {
+    if (CONFIG.AUTH_MODE === 'none') {
+        return ANONYMOUS_USER;
+    }
+    return record.userId ? userStore.get(record.userId) : null;
+}
+
+function authenticateApiToken(req, res, next) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+
+    (scheme === 'Bearer' ? apiStore.verifyToken(token) : Promise.resolve(null))
+        .then(async record => {
+            const user = record ? await getTokenUser(record) : null;
+
+            if (!user) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({
+                    success: false,
+                    error: 'Send a valid API token as Authorization: Bearer <token>'
+                });
+            }
+
+            req.user = toRequestUser(user);
+            req.apiToken = record;
+            log(LOG_PREFIX.SERVER, `API ${req.method} ${req.originalUrl}`, { tokenId: record.id, ip: req.ip });
+            next();
+        })
+        .catch(next);
+}
+
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `This token does not have the ${scope} scope`
+            });
+        }
+        next();
+    };
+}
+
+// API clients follow the versioned routes; the app's pages use /jobs
+function getJobLinks(req, jobId) {
+    const base = req.apiToken ? `/api/v1/builds/${jobId}` : `/jobs/${jobId}`;
+    return { statusUrl: base, eventsUrl: `${base}/events` };
+}
+
+function decodeApiImage(image, index) {
+    const data = typeof image?.data === 'string' ? image.data.trim() : '';
+    const dataUrl = /^data:([^;,]+);base64,/.exec(data);
+
+    if (dataUrl && !dataUrl[1].startsWith('image/')) {
+        throw new Error(`images[${index}] is ${dataUrl[1]}, not an image`);
+    }
+
+    const buffer = Buffer.from(dataUrl ? data.slice(dataUrl[0].length) : data, 'base64');
+    if (buffer.length === 0) {
+        throw new Error(`images[${index}].data must be a base64 image or an image data URL`);
+    }
+    if (buffer.length > MAX_API_IMAGE_BYTES) {
+        throw new Error(`images[${index}] is larger than ${MAX_API_IMAGE_BYTES / 1024 / 1024} MB`);
+    }
+    return buffer;
+}
+
+// POST /api/v1/builds takes the /upload form as multipart, or JSON with the
+// images as base64. JSON images are written to uploads and the other fields
+// put in the form's shape, so one handler serves both.
+function readApiBuildBody(req, res, next) {
+    if (req.is('multipart/form-data')) {
+        return upload.array('whiteboard', CONFIG.MAX_WHITEBOARD_IMAGES)(req, res, next);
+    }
+
+    express.json({ limit: API_JSON_LIMIT })(req, res, async (parseError) => {
+        if (parseError) {
+            return next(parseError);
+        }
+
+        const body = req.body || {};
+        const images = Array.isArray(body.images) ? body.images : [];
+        const wrongField = API_BUILD_TEXT_FIELDS.find(name => body[name] !== undefined && typeof body[name] !== 'string');
+
+        if (wrongField) {
+            return res.status(400).json({
+                success: false,
+                error: `${wrongField} must be a string`
+            });
+        }
+
+        if (images.length > CONFIG.MAX_WHITEBOARD_IMAGES) {
+            return res.status(400).json({
+                success: false,
+                error: `Send up to ${CONFIG.MAX_WHITEBOARD_IMAGES} images`
+            });
+        }
+
+        let buffers;
+        try {
+            buffers = images.map(decodeApiImage);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        try {
+            req.files = [];
+            for (const buffer of buffers) {
+                const filename = `whiteboard-${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4().slice(0, 8)}.jpg`;
+                await fs.writeFile(join(CONFIG.UPLOADS_DIR, filename), buffer);
+                req.files.push({ filename, size: buffer.length });
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        req.body = {
+            ...body,
+            captions: JSON.stringify(images.map(image => image?.caption ?? '')),
+            enhancements: JSON.stringify(images.map(image => image?.enhancements ?? null)),
+            spec: body.spec && typeof body.spec !== 'string' ? JSON.stringify(body.spec) : body.spec,
+            variants: Array.isArray(body.variants) ? body.variants.join(',') : body.variants === undefined ? undefined : String(body.variants)
+        };
+        next();
+    });
+}
+
+// Prototypes the user may see, newest activity first, one entry each
+async function listApiPrototypes(user) {
+    const prototypes = new Map();
+
+    for (const session of await historyStore.all()) {
+        if (!session.success || !canAccess(user, session)) {
+            continue;
+        }
+        const prototypeId = getPrototypeId(session);
+        const versions = [...(prototypes.get(prototypeId) || []), session];
+        prototypes.set(prototypeId, versions.sort((a, b) => (a.version || 1) - (b.version || 1)));
+    }
+
+    return [...prototypes.entries()]
+        .map(([prototypeId, versions]) => toApiPrototype(prototypeId, versions))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function toApiPrototype(prototypeId, versions) {
+    const latest = versions[versions.length - 1];
+
+    return {
+        prototypeId,
+        ...getPrototypeDetails(latest),
+        latestVersion: latest.version || 1,
+        versions: versions.map(session => session.version || 1),
+        createdAt: versions[0].timestamp,
+        updatedAt: latest.timestamp,
+        entry: latest.entry || 'index.html',
+        outputMode: latest.outputMode || 'single',
+        model: latest.model,
+        accessibilityScore: latest.accessibility?.score ?? null,
+        filesUrl: `/api/v1/prototypes/${prototypeId}/files?version=${latest.version || 1}`,
+        previewUrl: getPreviewPageUrl(prototypeId, latest.version)
+    };
+}
+
+function toApiVersion(prototypeId, session) {
+    const version = session.version || 1;
+
+    return {
+        version,
+        sessionId: session.sessionId,
+        createdAt: session.timestamp,
+        instruction: session.instruction || null,
+        entry: session.entry || 'index.html',
+        outputMode: session.outputMode || 'single',
+        model: session.model,
+        cost: session.cost,
+        accessibilityScore: session.accessibility?.score ?? null,
+        filesUrl: `/api/v1/prototypes/${prototypeId}/files?version=${version}`,
+        previewUrl: getPreviewPageUrl(prototypeId, version)
+    };
+}
+
+// Older builds did not record their file list; they only had index.html
+function getApiFiles(session) {
+    return session.files || [session.entry || 'index.html'];
+}
+
+// The version named by ?version=, or the latest. Returns { session } or { status, error }.
+async function findApiVersion(req) {
+    const versions = PROTOTYPE_ID_PATTERN.test(req.params.id) ? await getPrototypeVersions(req.params.id, req.user) : [];
+
+    if (versions.length === 0) {
+        return { status: 404, error: 'Prototype not found' };
+    }
+
+    if (req.query.version === undefined) {
+        return { session: versions[versions.length - 1] };
+    }
+
+    const session = versions.find(entry => (entry.version || 1) === Number(req.query.version));
+    return session ? { session } : { status: 404, error: 'Prototype version not found' };
+}
+
+// What a webhook receives about a finished build or refinement
+function toWebhookPayload(job) {
+    const result = job.result || {};
+
+    return {
+        jobId: job.id,
+        kind: job.kind,
+        sessionId: job.sessionId,
+        prototypeId: job.prototypeId,
+        status: job.status,
+        version: result.version ?? null,
+        error: job.error,
+        errorCategory: job.errorCategory,
+        cost: result.cost ?? null,
+        tokens: result.tokens ?? null,
+        accessibilityScore: result.accessibility?.score ?? null,
+        buildUrl: `/api/v1/builds/${job.id}`,
+        prototypeUrl: job.status === 'succeeded' ? `/api/v1/prototypes/${job.prototypeId}` : null,
+        previewUrl: job.status === 'succeeded' ? getPreviewPageUrl(job.prototypeId, result.version) : null
+    };
+}
+
+async function sendWebhook(webhook, event, payload, { retries = CONFIG.WEBHOOK_RETRIES } = {}) {
+    const delivery = await deliverWebhook(webhook, event, payload, {
+        retries,
+        retryDelayMs: CONFIG.WEBHOOK_RETRY_DELAY_MS,
+        timeoutMs: CONFIG.WEBHOOK_TIMEOUT_MS,
+        allowPrivate: CONFIG.WEBHOOK_ALLOW_PRIVATE
+    });
+
+    webhookDeliveries.set(webhook.id, [delivery, ...(webhookDeliveries.get(webhook.id) || [])].slice(0, MAX_WEBHOOK_DELIVERIES));
+    log(delivery.status === 'delivered' ? LOG_PREFIX.JOBS : LOG_PREFIX.ERROR, `Webhook ${delivery.status}`, {
+        webhookId: webhook.id,
+        event,
+        attempts: delivery.attempts,
+        error: delivery.error
+    });
+    return delivery;
+}
+
+// Runs in the background once a build or refinement finishes; the job's
+// owner's webhooks for that outcome each get one delivery (with retries)
+function notifyWebhooks(job) {
+    if (!['build', 'refine'].includes(job.kind)) {
+        return;
+    }
+
+    const event = job.status === 'succeeded' ? 'build.succeeded' : 'build.failed';
+    apiStore.findWebhooks(job.ownerId, event)
+        .then(webhooks => Promise.all(webhooks.map(webhook => sendWebhook(webhook, event, toWebhookPayload(job)))))
+        .catch(error => log(LOG_PREFIX.ERROR, 'Webhook notification failed', { jobId: job.id, error: error.message }));
+}
+
+// Refuses receivers on loopback or a private network before a webhook is
+// saved; deliveries check again. Malformed URLs are left for the store to report.
+async function checkWebhookHost(url) {
+    if (CONFIG.WEBHOOK_ALLOW_PRIVATE || typeof url !== 'string' || !URL.canParse(url)
+        || !['http:', 'https:'].includes(new URL(url).protocol)) {
+        return;
+    }
+
+    let blocked;
+    try {
+        blocked = await findBlockedAddress(url);
+    } catch (error) {
+        throw new ApiStoreError(`Could not look up ${new URL(url).hostname}: ${error.code || error.message}`);
+    }
+    if (blocked) {
+        throw new ApiStoreError(blocked);
+    }
+}
+
+// Anything but an ApiStoreError is the store failing; the API still answers
+// with its usual JSON error
+function sendApiStoreError(res, error) {
+    if (!(error instanceof ApiStoreError)) {
+        log(LOG_PREFIX.ERROR, 'API token or webhook request failed', { error: error.message });
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to read or save API tokens and webhooks'
+        });
+    }
+
+    res.status(error.status).json({
+        success: false,
+        error: error.message
+    });
+}
+
+// ============================================================================
+// SPEND LIMITS
+// ============================================================================
+
+// Rough input size of a build, for estimating its cost before it runs: each
+// image is at most MAX_IMAGE_SIZE square (about w*h/750 tokens), plus the
+// prompt and theme. A refinement also resends the previous output.
+const ESTIMATED_PROMPT_TOKENS = 3000;
+
+const buildRateLimiter = createRateLimiter({
+    limit: CONFIG.RATE_LIMIT_BUILDS,
+    windowMs: CONFIG.RATE_LIMIT_WINDOW_MS
+});
+
+// Budgets and rate limits count per signed-in user, or per IP address without sign-in
+function getClientId(req) {
+    return CONFIG.AUTH_MODE === 'none' ? `ip:${req.ip}` : req.user.id;
+}
+
+// Assumes a full-length response, so the estimate errs high
+function estimateBuildCost({ model, images = 1, refine = false }) {
+    const imageTokens = Math.ceil((CONFIG.MAX_IMAGE_SIZE * CONFIG.MAX_IMAGE_SIZE) / 750);
+    const inputTokens = images * imageTokens + ESTIMATED_PROMPT_TOKENS + (refine ? CONFIG.MAX_TOKENS : 0);
+    return parseFloat(calculateCost(inputTokens, CONFIG.MAX_TOKENS, model).totalCost);
+}
+
+// Spent and reserved dollars against every configured budget. Spend comes from
+// history; builds still queued or running hold their estimate until they land.
+async function getBudgetStatus(clientId, now = Date.now()) {
+    const budgets = [
+        { scope: 'global', period: 'day', limitUsd: CONFIG.BUDGETS.dailyUsd },
+        { scope: 'global', period: 'month', limitUsd: CONFIG.BUDGETS.monthlyUsd },
+        { scope: 'client', period: 'day', limitUsd: CONFIG.BUDGETS.clientDailyUsd },
+        { scope: 'client', period: 'month', limitUsd: CONFIG.BUDGETS.clientMonthlyUsd }
+    ].filter(budget => budget.limitUsd > 0);
+
+    if (budgets.length === 0) {
+        return [];
+    }
+
+    const records = getSpendRecords(await historyStore.all());
+    // Queued and running jobs hold their estimate; a finished analysis holds its
+    // actual cost until a build claims it into history (or the job expires)
+    const pending = Array.from(jobs.values())
+        .filter(job => job.keySource === 'server')
+        .map(job => isJobFinished(job)
+            ? { ...job, reservedCost: job.kind === 'analyze' && !job.claimed ? job.result?.cost || 0 : 0 }
+            : job)
+        .filter(job => job.reservedCost > 0);
+
+    return budgets.map(budget => {
+        const since = budget.period === 'day' ? startOfDay(now) : startOfMonth(now);
+        const counts = record => record.keySource === 'server' && (budget.scope === 'global' || record.clientId === clientId);
+
+        return {
+            ...budget,
+            spentUsd: sumSpend(records, since, counts),
+            reservedUsd: pending.filter(counts).reduce((sum, job) => sum + job.reservedCost, 0),
+            resetsAt: new Date(budget.period === 'day' ? since + 24 * 60 * 60 * 1000 : startOfNextMonth(now)).toISOString()
+        };
+    });
+}
+
+// The first budget this build would take over its limit, or null
+async function findExceededBudget(clientId, estimatedUsd) {
+    const status = await getBudgetStatus(clientId);
+    const exceeded = status.find(budget => budget.spentUsd + budget.reservedUsd + estimatedUsd > budget.limitUsd);
+    return exceeded ? { ...exceeded, estimatedUsd } : null;
+}
+
+function describeBudget(budget) {
+    const period = budget.period === 'day' ? 'daily' : 'monthly';
+    const owner = budget.scope === 'global' ? 'The shared' : 'Your';
+    return `${owner} ${period} budget for the server's Anthropic key ($${budget.limitUsd.toFixed(2)}) `
+        + `would be exceeded: $${(budget.spentUsd + budget.reservedUsd).toFixed(2)} is spent or in progress `
+        + `and this build could cost up to $${budget.estimatedUsd.toFixed(2)}. It resets at ${budget.resetsAt}. `
+        + 'Add your own API key to keep building.';
+}
+
+// Applied before the upload is read, so rejected requests cost nothing
+function limitBuildRate(req, res, next) {
+    const { allowed, retryAfterMs } = buildRateLimiter.take(getClientId(req));
+
+    if (allowed) {
+        return next();
+    }
+
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    log(LOG_PREFIX.JOBS, 'Build rate limit reached', { clientId: getClientId(req), retryAfter });
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        error: `Too many builds: the limit is ${CONFIG.RATE_LIMIT_BUILDS} every ${CONFIG.RATE_LIMIT_WINDOW_MS / 60000} minutes. Try again in ${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}.`,
+        code: 'rate_limited',
+        retryAfter
+    });
+}
+
+// ============================================================================
+// EXPRESS MIDDLEWARE
+// ============================================================================
+
+// Behind a proxy, req.ip and req.secure come from its forwarded headers
+if (CONFIG.TRUST_PROXY) {
+    app.set('trust proxy', CONFIG.TRUST_PROXY);
+}
+
+// When the preview host points at this app too, it only serves prototypes
+app.use((req, res, next) => {
+    if (CONFIG.PREVIEW_ORIGIN && req.get('host') === new URL(CONFIG.PREVIEW_ORIGIN).host
+        && !req.path.startsWith('/demos/') && !SHARED_SITE_PATTERN.test(req.path)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Not found'
+        });
+    }
+    next();
+});
+
+// API clients send a token, not cookies, and their own body sizes: see PUBLIC API
+app.use('/api/v1', apiV1);
+app.use(express.json());
+app.use(express.static('public'));
+// Prototypes are not behind sign-in: the sandbox keeps them away from cookies,
+// and workspace directory names are unguessable
+app.use('/demos', ...serveDemos());
+// Review links carry their own access: the token in the path
+app.use('/shares/:token/site', ...serveSharedPrototype());
+// Request logging middleware
+app.use((req, res, next) => {
+    log(LOG_PREFIX.SERVER, `${req.method} ${req.url}`, {
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+    });
+    next();
+});
+
+app.use(authenticate);
+app.use(requireUser);
+app.use(rejectCrossSiteWrites);
 app.use('/uploads', express.static(CONFIG.UPLOADS_DIR));
-app.use('/demos', express.static(CONFIG.OUTPUT_DIR));
 
-// Request logging middleware
-app.use((req, res, next) => {
-    log(LOG_PREFIX.SERVER, `${req.method} ${req.url}`, {
-        ip: req.ip,
-        userAgent: req.get('user-agent')
-    });
-    next();
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+// Main page
+app.get('/', (req, res) => {
+    res.sendFile(join(__dirname, 'public', 'index.html'));
+});
+
+// Before/after preview of one whiteboard with the given enhancement options; nothing is kept
+app.post('/whiteboards/preview', upload.single('whiteboard'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            error: 'No file uploaded'
+        });
+    }
+
+    const imagePath = join(CONFIG.UPLOADS_DIR, req.file.filename);
+
+    try {
+        let enhancements;
+        try {
+            enhancements = parseEnhancements(req.body.enhancements ? JSON.parse(req.body.enhancements) : null, getDefaultEnhancements());
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid enhancements: ${error.message}`
+            });
+        }
+
+        const { buffer, width, height, applied } = await enhanceWhiteboard(imagePath, enhancements, {
+            maxSize: CONFIG.MAX_IMAGE_SIZE
+        });
+
+        res.json({
+            success: true,
+            image: `data:image/jpeg;base64,${buffer.toString('base64')}`,
+            width,
+            height,
+            enhancements: applied
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Whiteboard preview failed', { error: error.message });
+        res.status(400).json({
+            success: false,
+            error: 'Could not read that image'
+        });
+    } finally {
+        await safeUnlink(imagePath);
+    }
+});
+
+// Read one or more whiteboards into a sketch spec for the user to review before building
+app.post('/analyze', limitBuildRate, upload.array('whiteboard', CONFIG.MAX_WHITEBOARD_IMAGES), async (req, res) => {
+    const sessionId = uuidv4();
+    const uploadedFiles = req.files || [];
+    const imagePaths = uploadedFiles.map(file => join(CONFIG.UPLOADS_DIR, file.filename));
+
+    const reject = async (status, error, details = {}) => {
+        for (const imagePath of imagePaths) {
+            await safeUnlink(imagePath);
+        }
+        return res.status(status).json({
+            success: false,
+            error,
+            ...details
+        });
+    };
+
+    if (uploadedFiles.length === 0) {
+        return reject(400, 'No file uploaded');
+    }
+
+    const apiKey = getAnthropicApiKey(req);
+    const model = resolveRequestModel(req.body.model);
+
+    if (!apiKey && providerRequiresApiKey()) {
+        return reject(400, 'Add an Anthropic API key to run the prototype builder.');
+    }
+
+    if (!model) {
+        return reject(400, `Unknown model: ${req.body.model}`);
+    }
+
+    const { images, error: imagesError } = toWhiteboardImages(uploadedFiles, imagePaths, req.body);
+
+    if (imagesError) {
+        return reject(400, imagesError);
+    }
+
+    const billing = { clientId: getClientId(req), keySource: getKeySource(req, apiKey) };
+    const reservedCost = billing.keySource === 'server' ? estimateBuildCost({ model, images: images.length }) : 0;
+    const exceeded = reservedCost > 0 ? await findExceededBudget(billing.clientId, reservedCost) : null;
+
+    if (exceeded) {
+        log(LOG_PREFIX.JOBS, 'Analysis refused by budget', { sessionId, ...exceeded });
+        return reject(402, describeBudget(exceeded), { code: 'budget_exceeded', budget: exceeded });
+    }
+
+    log(LOG_PREFIX.INFO, 'Analyzing upload', { sessionId, images: images.length });
+
+    const job = createJob({
+        sessionId,
+        kind: 'analyze',
+        customPrompt: '',
+        apiKey,
+        ownerId: getOwnerFields(req.user).ownerId,
+        ...billing,
+        reservedCost,
+        cleanupPaths: images.flatMap(image => [
+            image.path,
+            getCompressedPath(image.path)
+        ])
+    }, async (job, hooks) => {
+        const provider = createModelProvider(job.apiKey, model);
+        const { screens, imagesBase64 } = await prepareWhiteboards(images, hooks.onStage);
+
+        hooks.onStage('analyzing');
+        const { spec, analysis } = await analyzeSketch(provider, screens, imagesBase64, { ...hooks, onStage: () => {} });
+
+        return {
+            sessionId,
+            message: 'Sketch analyzed',
+            spec,
+            summary: summarizeSketchSpec(spec),
+            analysis,
+            cost: analysis.cost,
+            duration: analysis.duration,
+            model: analysis.model
+        };
+    });
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        sessionId,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`
+    });
+});
+
+// Most boards listed as looking like a new upload
+const MAX_SIMILAR_BUILDS = 5;
+
+// A build of the owner's that was asked for exactly the same way: one still
+// queued or running, or else the newest finished one whose files are still there
+async function findDuplicateBuild(fingerprint, ownerId) {
+    const job = [...jobs.values()].find(entry => entry.kind === 'build' && entry.fingerprint === fingerprint
+        && entry.ownerId === ownerId && (entry.status === 'queued' || entry.status === 'running'));
+    if (job) {
+        return { job };
+    }
+
+    const session = (await historyStore.all())
+        .filter(entry => entry.success && entry.fingerprint === fingerprint && (entry.ownerId ?? null) === ownerId)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .find(entry => existsSync(getPrototypeDir(entry)));
+    return session ? { session } : null;
+}
+
+// Lists the owner's earlier prototypes whose boards look like this build's
+// on its job, once the whiteboards are compressed and hashed, and tells the
+// clients following it. The build goes ahead either way.
+async function reportSimilarBuilds(job, screens, ownerId) {
+    try {
+        job.similar = await findSimilarBuilds(screens.map(screen => screen.perceptualHash), ownerId);
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Could not look for similar builds', { jobId: job.id, error: error.message });
+        return;
+    }
+
+    if (job.similar.length > 0) {
+        broadcastJobEvent(job, 'similar', { similar: job.similar });
+    }
+}
+
+// The owner's earlier prototypes with a whiteboard that looks like one of
+// these (perceptual hashes within SIMILAR_DISTANCE bits), closest first
+async function findSimilarBuilds(hashes, ownerId) {
+    const matches = new Map();
+
+    for (const session of await historyStore.all()) {
+        if (!session.success || (session.ownerId ?? null) !== ownerId) {
+            continue;
+        }
+        const distance = Math.min(...getSessionImages(session).flatMap(image => hashes.map(hash => hammingDistance(hash, image.perceptualHash))));
+        const match = matches.get(getPrototypeId(session));
+        // Versions share their whiteboards; the latest one is shown
+        if (distance <= SIMILAR_DISTANCE && (!match || (session.version || 1) > (match.session.version || 1))) {
+            matches.set(getPrototypeId(session), { session, distance });
+        }
+    }
+
+    return [...matches.entries()]
+        .sort(([, a], [, b]) => a.distance - b.distance)
+        .slice(0, MAX_SIMILAR_BUILDS)
+        .map(([prototypeId, { session, distance }]) => ({
+            prototypeId,
+            version: session.version || 1,
+            title: session.title || null,
+            timestamp: session.timestamp,
+            distance,
+            previewUrl: getPreviewPageUrl(prototypeId, session.version),
+            thumbnailUrl: session.thumbnailUrl
+        }));
+}
+
+// Upload one or more whiteboards and queue a build job. Also POST /api/v1/builds,
+// which hands over JSON images as if they had been uploaded.
+async function handleBuildUpload(req, res) {
+    const sessionId = uuidv4();
+    const uploadedFiles = req.files || [];
+    const imagePaths = uploadedFiles.map(file => join(CONFIG.UPLOADS_DIR, file.filename));
+
+    log(LOG_PREFIX.UPLOAD, 'New upload session started', {
+        sessionId,
+        filenames: uploadedFiles.map(file => file.filename)
+    });
+
+    const removeUploads = async () => {
+        for (const imagePath of imagePaths) {
+            await safeUnlink(imagePath);
+        }
+    };
+
+    const reject = async (status, error, details = {}) => {
+        await removeUploads();
+        return res.status(status).json({
+            success: false,
+            sessionId,
+            error,
+            ...details
+        });
+    };
+
+    if (uploadedFiles.length === 0) {
+        log(LOG_PREFIX.ERROR, 'No file uploaded', { sessionId });
+        return res.status(400).json({
+            success: false,
+            error: 'No file uploaded'
+        });
+    }
+
+    const apiKey = getAnthropicApiKey(req);
+
+    if (!apiKey && providerRequiresApiKey()) {
+        return reject(400, 'Add an Anthropic API key to run the prototype builder.');
+    }
+
+    const customPrompt = req.body.prompt || '';
+    const outputMode = req.body.outputMode || 'single';
+    const target = req.body.target || 'html';
+    const model = resolveRequestModel(req.body.model);
+    const accessibilityFix = parseAccessibilityFix(req.body.accessibilityFix);
+
+    if (!OUTPUT_MODES[outputMode]) {
+        return reject(400, `Unknown output mode: ${outputMode}`);
+    }
+
+    if (!BUILD_TARGETS.includes(target)) {
+        return reject(400, `Unknown output target: ${target}`);
+    }
+
+    if (accessibilityFix === null) {
+        return reject(400, 'accessibilityFix must be true or false');
+    }
+
+    if (!model) {
+        return reject(400, `Unknown model: ${req.body.model}`);
+    }
+
+    const { variants, error: variantsError } = parseVariants(req.body.variants);
+
+    if (variantsError) {
+        return reject(400, variantsError);
+    }
+
+    const { images, error: imagesError } = toWhiteboardImages(uploadedFiles, imagePaths, req.body);
+
+    if (imagesError) {
+        return reject(400, imagesError);
+    }
+
+    // A spec the user reviewed in the builder, usually from a POST /analyze job
+    let spec = null;
+    if (req.body.spec) {
+        try {
+            spec = normalizeSketchSpec(JSON.parse(req.body.spec), { images: images.length });
+        } catch (error) {
+            return reject(400, `Invalid sketch spec: ${error.message}`);
+        }
+    }
+
+    const analysisJob = req.body.analysisJobId ? jobs.get(req.body.analysisJobId) : null;
+
+    if (req.body.analysisJobId && (!analysisJob || analysisJob.kind !== 'analyze' || analysisJob.status !== 'succeeded'
+        || analysisJob.claimed || !canAccess(req.user, analysisJob))) {
+        return reject(400, 'That sketch analysis is not available; analyze the whiteboards again');
+    }
+
+    spec = spec || analysisJob?.result.spec || null;
+    const analysis = analysisJob ? {
+        ...analysisJob.result.analysis,
+        edited: JSON.stringify(spec) !== JSON.stringify(analysisJob.result.spec)
+    } : null;
+
+    let theme;
+    try {
+        theme = await loadTheme(req.body.theme || CONFIG.DEFAULT_THEME);
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to load theme', { theme: req.body.theme, error: error.message });
+    }
+
+    if (!theme) {
+        return reject(400, `Unknown theme: ${req.body.theme || CONFIG.DEFAULT_THEME}`);
+    }
+
+    // A request made exactly like an earlier build is answered with that build
+    // and costs nothing, unless `force` asks for a new one. Variants always
+    // build, since each is meant to be a fresh take.
+    const owner = getOwnerFields(req.user);
+    const force = req.body.force === true || req.body.force === 'true';
+    let fingerprint = null;
+
+    if (variants.length === 0) {
+        fingerprint = await fingerprintBuild(images, {
+            customPrompt,
+            model,
+            theme,
+            outputMode,
+            target,
+            accessibilityFix,
+            spec
+        });
+        const duplicate = force ? null : await findDuplicateBuild(fingerprint, owner.ownerId);
+
+        if (duplicate) {
+            buildRateLimiter.release(getClientId(req));
+            await removeUploads();
+            log(LOG_PREFIX.JOBS, 'Duplicate build request answered', {
+                sessionId,
+                jobId: duplicate.job?.id,
+                prototypeId: duplicate.job?.prototypeId || getPrototypeId(duplicate.session)
+            });
+        }
+
+        if (duplicate?.job) {
+            return res.status(202).json({
+                success: true,
+                duplicate: 'running',
+                jobId: duplicate.job.id,
+                sessionId: duplicate.job.sessionId,
+                prototypeId: duplicate.job.prototypeId,
+                status: duplicate.job.status,
+                ...getJobLinks(req, duplicate.job.id)
+            });
+        }
+
+        if (duplicate?.session) {
+            return res.json({
+                success: true,
+                duplicate: 'built',
+                sessionId: duplicate.session.sessionId,
+                prototypeId: getPrototypeId(duplicate.session),
+                version: duplicate.session.version || 1,
+                result: toJobResult(duplicate.session, 'This whiteboard was already built with the same settings')
+            });
+        }
+    }
+
+    const billing = { clientId: getClientId(req), keySource: getKeySource(req, apiKey) };
+    const reservedCost = estimateBuildReservation(billing, { model, images: images.length, spec, target, accessibilityFix });
+    // Variants are only started together, so all of them have to fit
+    const exceeded = reservedCost > 0 ? await findExceededBudget(billing.clientId, reservedCost * Math.max(1, variants.length)) : null;
+
+    if (exceeded) {
+        log(LOG_PREFIX.JOBS, 'Build refused by budget', { sessionId, ...exceeded });
+        return reject(402, describeBudget(exceeded), { code: 'budget_exceeded', budget: exceeded });
+    }
+
+    log(LOG_PREFIX.INFO, 'Processing upload', {
+        sessionId,
+        images: images.map(image => ({ filename: image.originalFilename, caption: image.caption || 'None' })),
+        size: uploadedFiles.reduce((total, file) => total + file.size, 0),
+        customPrompt: customPrompt || 'None',
+        outputMode,
+        target,
+        accessibilityFix,
+        theme: theme.id,
+        spec: spec ? summarizeSketchSpec(spec) : 'None',
+        variants: variants.length > 0 ? variants.map(variant => variant.id) : 'None'
+    });
+
+    const build = {
+        sessionId,
+        prototypeId: createPrototypeId(),
+        images,
+        customPrompt,
+        outputMode,
+        target,
+        accessibilityFix,
+        theme,
+        model,
+        spec,
+        analysis,
+        analysisJob,
+        apiKey,
+        owner,
+        billing,
+        reservedCost,
+        buildGroup: null,
+        variant: null,
+        fingerprint,
+        retryOf: null
+    };
+
+    if (variants.length > 0) {
+        let started;
+        try {
+            started = await startVariantBuilds(build, variants);
+        } catch (error) {
+            log(LOG_PREFIX.ERROR, 'Failed to start build variants', { sessionId, error: error.message });
+            return reject(500, 'Failed to start the variants');
+        }
+
+        return res.status(202).json({
+            success: true,
+            sessionId,
+            buildGroup: started.buildGroup,
+            groupUrl: `/groups/${started.buildGroup}`,
+            compareUrl: getComparePageUrl(started.buildGroup),
+            variants: started.jobs.map(job => ({
+                variant: job.variant,
+                prototypeId: job.prototypeId,
+                jobId: job.id,
+                sessionId: job.sessionId,
+                status: job.status,
+                ...getJobLinks(req, job.id)
+            }))
+        });
+    }
+
+    const job = startBuildJob(build);
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        sessionId,
+        prototypeId: job.prototypeId,
+        status: job.status,
+        ...getJobLinks(req, job.id)
+    });
+}
+
+app.post('/upload', limitBuildRate, upload.array('whiteboard', CONFIG.MAX_WHITEBOARD_IMAGES), handleBuildUpload);
+
+// Job status snapshot
+function sendJobStatus(req, res) {
+    const job = jobs.get(req.params.id);
+
+    if (!job || !canAccess(req.user, job)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        job: serializeJob(job)
+    });
+}
+
+app.get('/jobs/:id', sendJobStatus);
+
+// Live job progress as Server-Sent Events
+function streamJobEvents(req, res) {
+    const job = jobs.get(req.params.id);
+
+    if (!job || !canAccess(req.user, job)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Replay stage history after the last event this client saw
+    const lastEventId = Number(req.get('last-event-id')) || 0;
+    for (const event of job.events) {
+        if (event.id > lastEventId) {
+            writeSseEvent(res, event.type, event.data, event.id);
+        }
+    }
+
+    if (isJobFinished(job)) {
+        res.end();
+        return;
+    }
+
+    // Catch up on output streamed before this client connected
+    if (job.partialOutput) {
+        writeSseEvent(res, 'snapshot', { text: job.partialOutput });
+    }
+
+    job.listeners.add(res);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), CONFIG.SSE_KEEPALIVE_MS);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        job.listeners.delete(res);
+    });
+}
+
+app.get('/jobs/:id/events', streamJobEvents);
+
+// All versions of a prototype, oldest first
+app.get('/prototypes/:id', async (req, res) => {
+    try {
+        const prototypeId = req.params.id;
+
+        if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid prototype id'
+            });
+        }
+
+        const versions = await getPrototypeVersions(prototypeId, req.user);
+
+        if (versions.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prototype not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            prototypeId,
+            previewOrigin: getPreviewOrigin(req),
+            versions
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to load prototype', {
+            prototypeId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load prototype'
+        });
+    }
+});
+
+// Rename, tag or pin a prototype
+app.patch('/prototypes/:id', async (req, res) => {
+    try {
+        const prototypeId = req.params.id;
+
+        if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid prototype id'
+            });
+        }
+
+        const { update, error } = validatePrototypeUpdate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const updated = await historyStore.updateWhere(
+            session => getPrototypeId(session) === prototypeId && canAccess(req.user, session),
+            session => ({ ...session, ...update })
+        );
+
+        if (updated.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prototype not found'
+            });
+        }
+
+        log(LOG_PREFIX.HISTORY, 'Prototype updated', { prototypeId, ...update });
+
+        res.json({
+            success: true,
+            prototypeId,
+            ...getPrototypeDetails(updated[0]),
+            versions: updated.length
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to update prototype', {
+            prototypeId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update prototype'
+        });
+    }
+});
+
+// Delete a prototype's output files and every history record of it
+app.delete('/prototypes/:id', async (req, res) => {
+    try {
+        const prototypeId = req.params.id;
+
+        if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid prototype id'
+            });
+        }
+
+        if (isPrototypeBusy(prototypeId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'A refinement of this prototype is still running'
+            });
+        }
+
+        const versions = await getPrototypeVersions(prototypeId, req.user, { includeFailed: true });
+
+        // Output left without history can still be removed from the user's own workspace
+        const workspace = versions.length > 0 ? versions[0].workspace || '' : req.user.workspace;
+
+        if (versions.length === 0 && !existsSync(join(CONFIG.OUTPUT_DIR, getPrototypePath({ prototypeId, workspace })))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prototype not found'
+            });
+        }
+
+        const removed = await deletePrototype(prototypeId, workspace);
+
+        res.json({
+            success: true,
+            prototypeId,
+            deletedVersions: removed.length
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to delete prototype', {
+            prototypeId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete prototype'
+        });
+    }
+});
+
+// Run a failed build again from the whiteboards and options it kept. The new
+// attempt builds into the same prototype ID, so a success takes the failed
+// card's place in history.
+app.post('/prototypes/:id/retry', limitBuildRate, async (req, res) => {
+    // The whiteboards copied back for the new attempt, removed if it can't start
+    const images = [];
+    try {
+        const prototypeId = req.params.id;
+
+        if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid prototype id'
+            });
+        }
+
+        const attempts = await getPrototypeVersions(prototypeId, req.user, { includeFailed: true });
+
+        if (attempts.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prototype not found'
+            });
+        }
+
+        if (attempts.some(session => session.success)) {
+            return res.status(409).json({
+                success: false,
+                error: 'This prototype was built; refine it instead'
+            });
+        }
+
+        if (isPrototypeBusy(prototypeId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'This build is already being retried'
+            });
+        }
+
+        const failed = attempts.reduce((latest, session) => (
+            Date.parse(session.timestamp) > Date.parse(latest.timestamp) ? session : latest
+        ));
+        const prototypeDir = getPrototypeDir(failed);
+
+        if (!failed.request || failed.request.images.some(image => !existsSync(join(prototypeDir, image.input)))) {
+            return res.status(410).json({
+                success: false,
+                error: 'The whiteboards of this build are no longer kept; upload them again'
+            });
+        }
+
+        const apiKey = getAnthropicApiKey(req);
+
+        if (!apiKey && providerRequiresApiKey()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Add an Anthropic API key to run the prototype builder.'
+            });
+        }
+
+        const model = resolveRequestModel(req.body?.model || failed.model);
+
+        if (!model) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown model: ${req.body?.model || failed.model}`
+            });
+        }
+
+        const { target } = failed.request;
+        const accessibilityFix = failed.request.accessibilityFix ?? CONFIG.ACCESSIBILITY_FIX;
+        const billing = { clientId: getClientId(req), keySource: getKeySource(req, apiKey) };
+        const reservedCost = estimateBuildReservation(billing, { model, images: failed.request.images.length, spec: failed.spec, target, accessibilityFix });
+        const exceeded = reservedCost > 0 ? await findExceededBudget(billing.clientId, reservedCost) : null;
+
+        if (exceeded) {
+            log(LOG_PREFIX.JOBS, 'Retry refused by budget', { prototypeId, ...exceeded });
+            return res.status(402).json({
+                success: false,
+                error: describeBudget(exceeded),
+                code: 'budget_exceeded',
+                budget: exceeded
+            });
+        }
+
+        // Copied back into uploads so the build treats them like a fresh upload
+        for (const image of failed.request.images) {
+            const filename = `${uuidv4()}${extname(image.input)}`;
+            await fs.copyFile(join(prototypeDir, image.input), join(CONFIG.UPLOADS_DIR, filename));
+            images.push({
+                path: join(CONFIG.UPLOADS_DIR, filename),
+                originalFilename: filename,
+                caption: image.caption,
+                enhancements: image.enhancements ? parseEnhancements(image.enhancements, getDefaultEnhancements()) : null
+            });
+        }
+
+        const sessionId = uuidv4();
+        log(LOG_PREFIX.INFO, 'Retrying failed build', {
+            sessionId,
+            prototypeId,
+            retryOf: failed.sessionId,
+            category: failed.error?.category,
+            model
+        });
+
+        const job = startBuildJob({
+            sessionId,
+            prototypeId,
+            images,
+            customPrompt: failed.customPrompt,
+            outputMode: failed.outputMode,
+            target,
+            accessibilityFix,
+            theme: failed.theme,
+            model,
+            spec: failed.spec,
+            analysis: null,
+            analysisJob: null,
+            apiKey,
+            // The retry belongs to the build's owner, whoever asked for it
+            owner: {
+                ownerId: failed.ownerId || null,
+                ownerName: failed.ownerName || null,
+                workspace: failed.workspace || ''
+            },
+            billing,
+            reservedCost,
+            buildGroup: failed.buildGroup || null,
+            variant: failed.variant || null,
+            retryOf: failed.sessionId
+        });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            sessionId,
+            prototypeId,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`,
+            eventsUrl: `/jobs/${job.id}/events`
+        });
+    } catch (error) {
+        // The build never started, so it doesn't count against the limit
+        buildRateLimiter.release(getClientId(req));
+        await Promise.all(images.map(image => fs.unlink(image.path).catch(() => {})));
+
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({
+                success: false,
+                error: 'A whiteboard of this build could not be found; upload them again'
+            });
+        }
+
+        log(LOG_PREFIX.ERROR, 'Failed to retry build', {
+            prototypeId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry build'
+        });
+    }
+});
+
+// Refine an existing prototype with a follow-up instruction
+app.post('/prototypes/:id/refine', limitBuildRate, async (req, res) => {
+    const prototypeId = req.params.id;
+    // With a spec instead of an instruction, the version is rebuilt from the
+    // kept whiteboards and that (corrected) spec
+    const regenerate = req.body?.spec !== undefined;
+    const instruction = regenerate
+        ? 'Regenerated from the edited sketch spec'
+        : typeof req.body?.instruction === 'string' ? req.body.instruction.trim() : '';
+
+    if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid prototype id'
+        });
+    }
+
+    if (!instruction) {
+        return res.status(400).json({
+            success: false,
+            error: 'Describe the change you want to make'
+        });
+    }
+
+    const versions = await getPrototypeVersions(prototypeId, req.user);
+    const requestedVersion = Number(req.body.version) || null;
+    const parentSession = requestedVersion
+        ? versions.find(session => (session.version || 1) === requestedVersion)
+        : versions[versions.length - 1];
+
+    if (!parentSession) {
+        return res.status(404).json({
+            success: false,
+            error: 'Prototype version not found'
+        });
+    }
+
+    let spec = null;
+    if (regenerate) {
+        try {
+            spec = normalizeSketchSpec(req.body.spec, { images: getSessionImages(parentSession).length });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid sketch spec: ${error.message}`
+            });
+        }
+    }
+
+    const apiKey = getAnthropicApiKey(req);
+
+    if (!apiKey && providerRequiresApiKey()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Add an Anthropic API key to run the prototype builder.'
+        });
+    }
+
+    // Refinements stay on the parent's model unless another one is asked for
+    const model = req.body.model
+        ? resolveRequestModel(req.body.model)
+        : resolveRequestModel(parentSession.model) || CONFIG.MODEL;
+
+    if (!model) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown model: ${req.body.model}`
+        });
+    }
+
+    const accessibilityFix = parseAccessibilityFix(req.body.accessibilityFix);
+
+    if (accessibilityFix === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'accessibilityFix must be true or false'
+        });
+    }
+
+    const billing = { clientId: getClientId(req), keySource: getKeySource(req, apiKey) };
+    const images = getSessionImages(parentSession).length;
+    const reservedCost = billing.keySource === 'server'
+        ? estimateBuildCost({ model, images, refine: !regenerate }) + (accessibilityFix ? estimateBuildCost({ model, images, refine: true }) : 0)
+        : 0;
+    const exceeded = reservedCost > 0 ? await findExceededBudget(billing.clientId, reservedCost) : null;
+
+    if (exceeded) {
+        log(LOG_PREFIX.JOBS, 'Refinement refused by budget', { prototypeId, ...exceeded });
+        return res.status(402).json({
+            success: false,
+            error: describeBudget(exceeded),
+            code: 'budget_exceeded',
+            budget: exceeded
+        });
+    }
+
+    const sessionId = uuidv4();
+
+    log(LOG_PREFIX.UPLOAD, 'Refinement requested', {
+        sessionId,
+        prototypeId,
+        parentVersion: parentSession.version || 1,
+        instruction
+    });
+
+    const job = createJob({
+        sessionId,
+        kind: 'refine',
+        customPrompt: parentSession.customPrompt,
+        apiKey,
+        ownerId: req.user.id,
+        ...billing,
+        reservedCost,
+        prototypeId
+    }, async (job, hooks) => {
+        const result = await refinePrototypeWithClaudeAgent(
+            parentSession,
+            instruction,
+            sessionId,
+            job.apiKey,
+            { model, spec, accessibilityFix },
+            hooks
+        );
+
+        await addToHistory(toHistoryEntry(result, {
+            originalFilename: parentSession.originalFilename,
+            customPrompt: parentSession.customPrompt,
+            parentSessionId: parentSession.sessionId,
+            instruction,
+            billing,
+            // New versions belong to the prototype's owner, whoever asked for them
+            owner: {
+                ownerId: parentSession.ownerId || null,
+                ownerName: parentSession.ownerName || null,
+                workspace: parentSession.workspace || ''
+            }
+        }));
+        return toJobResult(result, `Version ${result.version} generated successfully!`);
+    });
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        sessionId,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`
+    });
+});
+
+// Convert an existing version into another output target (React + Vite)
+app.post('/prototypes/:id/convert', limitBuildRate, async (req, res) => {
+    const prototypeId = req.params.id;
+    const target = req.body?.target || 'react';
+
+    if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid prototype id'
+        });
+    }
+
+    if (target !== 'react') {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown conversion target: ${target}`
+        });
+    }
+
+    const versions = await getPrototypeVersions(prototypeId, req.user);
+    const requestedVersion = Number(req.body.version) || null;
+    const session = requestedVersion
+        ? versions.find(entry => (entry.version || 1) === requestedVersion)
+        : versions[versions.length - 1];
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'Prototype version not found'
+        });
+    }
+
+    // One conversion per prototype at a time, so two can't write the same folder
+    if (Array.from(jobs.values()).some(job => job.kind === 'convert' && job.prototypeId === prototypeId && !isJobFinished(job))) {
+        return res.status(409).json({
+            success: false,
+            error: 'This prototype is already being converted'
+        });
+    }
+
+    const apiKey = getAnthropicApiKey(req);
+
+    if (!apiKey && providerRequiresApiKey()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Add an Anthropic API key to run the prototype builder.'
+        });
+    }
+
+    // Conversions run on the version's model unless another one is asked for
+    const model = req.body.model
+        ? resolveRequestModel(req.body.model)
+        : resolveRequestModel(session.model) || CONFIG.MODEL;
+
+    if (!model) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown model: ${req.body.model}`
+        });
+    }
+
+    const billing = { clientId: getClientId(req), keySource: getKeySource(req, apiKey) };
+    const reservedCost = billing.keySource === 'server'
+        ? estimateBuildCost({ model, images: getSessionImages(session).length, refine: true })
+        : 0;
+    const exceeded = reservedCost > 0 ? await findExceededBudget(billing.clientId, reservedCost) : null;
+
+    if (exceeded) {
+        log(LOG_PREFIX.JOBS, 'Conversion refused by budget', { prototypeId, ...exceeded });
+        return res.status(402).json({
+            success: false,
+            error: describeBudget(exceeded),
+            code: 'budget_exceeded',
+            budget: exceeded
+        });
+    }
+
+    const version = session.version || 1;
+    log(LOG_PREFIX.UPLOAD, 'Conversion requested', { prototypeId, version, target });
+
+    const job = createJob({
+        sessionId: session.sessionId,
+        kind: 'convert',
+        customPrompt: session.customPrompt,
+        apiKey,
+        ownerId: req.user.id,
+        ...billing,
+        reservedCost,
+        prototypeId
+    }, async (job, hooks) => {
+        const react = await convertPrototypeToReact(session, job.apiKey, { model }, hooks);
+
+        await historyStore.update(session.sessionId, current => ({
+            ...current,
+            react: { ...react, ...billing }
+        }));
+        return {
+            sessionId: session.sessionId,
+            message: `Version ${version} converted to React`,
+            prototypeId,
+            version,
+            react,
+            reactDownloadUrl: getReactDownloadUrl(prototypeId, version),
+            cost: react.cost,
+            duration: react.duration
+        };
+    });
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        sessionId: session.sessionId,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`
+    });
+});
+
+// Download a prototype version as a zip bundle
+app.get('/prototypes/:id/export.zip', async (req, res) => {
+    const prototypeId = req.params.id;
+
+    if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid prototype id'
+        });
+    }
+
+    const versions = await getPrototypeVersions(prototypeId, req.user);
+    const requestedVersion = Number(req.query.version) || null;
+    const session = requestedVersion
+        ? versions.find(entry => (entry.version || 1) === requestedVersion)
+        : versions[versions.length - 1];
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: 'Prototype version not found'
+        });
+    }
+
+    const target = req.query.target || 'html';
+
+    if (!BUILD_TARGETS.includes(target)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown export target: ${target}`
+        });
+    }
+
+    if (target === 'react' && !session.react?.files) {
+        return res.status(404).json({
+            success: false,
+            error: 'This version has not been converted to React yet'
+        });
+    }
+
+    try {
+        const { filename, buffer } = target === 'react'
+            ? await buildReactExport(session)
+            : await buildPrototypeExport(session, {
+                includeWhiteboard: req.query.includeWhiteboard !== 'false'
+            });
+
+        log(LOG_PREFIX.INFO, 'Prototype exported', {
+            prototypeId,
+            version: session.version || 1,
+            target,
+            size: buffer.length
+        });
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Content-Length': buffer.length
+        });
+        res.send(buffer);
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to export prototype', {
+            prototypeId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export prototype'
+        });
+    }
+});
+
+// Line diff between two versions of a prototype
+app.get('/prototypes/:id/diff', async (req, res) => {
+    const prototypeId = req.params.id;
+
+    if (!PROTOTYPE_ID_PATTERN.test(prototypeId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid prototype id'
+        });
+    }
+
+    const versions = await getPrototypeVersions(prototypeId, req.user);
+    const toVersion = Number(req.query.to) || (versions[versions.length - 1]?.version || 1);
+    const toSession = versions.find(session => (session.version || 1) === toVersion);
+    const fromVersion = Number(req.query.from) || (
+        versions.find(session => session.sessionId === toSession?.parentSessionId)?.version || 1
+    );
+    const fromSession = versions.find(session => (session.version || 1) === fromVersion);
+
+    if (!fromSession || !toSession) {
+        return res.status(404).json({
+            success: false,
+            error: 'Prototype version not found'
+        });
+    }
+
+    // Only paths recorded in history are readable, which keeps the lookup inside the output directory
+    const files = [...new Set([...(fromSession.files || ['index.html']), ...(toSession.files || ['index.html'])])];
+    const file = req.query.file || toSession.entry || 'index.html';
+
+    if (!files.includes(file)) {
+        return res.status(404).json({
+            success: false,
+            error: 'File not found in these versions'
+        });
+    }
+
+    const readVersionFile = async (session, version) => (
+        (session.files || ['index.html']).includes(file)
+            ? fs.readFile(join(getVersionDir(getPrototypeDir(session), version), file), 'utf-8')
+            : ''
+    );
+
+    try {
+        const [oldContent, newContent] = await Promise.all([
+            readVersionFile(fromSession, fromVersion),
+            readVersionFile(toSession, toVersion)
+        ]);
+        const lines = diffLines(oldContent, newContent);
+
+        res.json({
+            success: true,
+            prototypeId,
+            from: fromVersion,
+            to: toVersion,
+            file,
+            files,
+            instruction: toSession.instruction,
+            stats: {
+                added: lines.filter(line => line.type === 'add').length,
+                removed: lines.filter(line => line.type === 'remove').length
+            },
+            hunks: groupDiffHunks(lines)
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to diff prototype versions', {
+            prototypeId,
+            fromVersion,
+            toVersion,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to compare versions'
+        });
+    }
+});
+
+// Make a review link. Without a version the link follows the latest one.
+app.post('/prototypes/:id/shares', async (req, res) => {
+    try {
+        const found = await resolveReviewedPrototype(req);
+
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error
+            });
+        }
+
+        const days = req.body?.expiresInDays === undefined ? SHARE_DEFAULT_DAYS : Number(req.body.expiresInDays);
+
+        if (!Number.isInteger(days) || days < 1 || days > SHARE_MAX_DAYS) {
+            return res.status(400).json({
+                success: false,
+                error: `expiresInDays must be a whole number from 1 to ${SHARE_MAX_DAYS}`
+            });
+        }
+
+        const version = req.body?.version ? Number(req.body.version) : null;
+
+        if (version !== null && !found.versions.some(session => (session.version || 1) === version)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prototype version not found'
+            });
+        }
+
+        const { share, token } = await reviewStore.createShare({
+            prototypeId: found.prototypeId,
+            workspace: found.workspace,
+            version,
+            expiresAt: Date.now() + days * 24 * 60 * 60 * 1000,
+            createdBy: req.user.username
+        });
+
+        log(LOG_PREFIX.HISTORY, 'Review link created', {
+            prototypeId: found.prototypeId,
+            shareId: share.id,
+            version,
+            expiresAt: share.expiresAt
+        });
+
+        // The token is only ever sent here; the store keeps its hash
+        res.status(201).json({
+            success: true,
+            share: toPublicShare(share),
+            url: `${req.protocol}://${req.get('host')}/review.html?token=${token}`
+        });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+app.get('/prototypes/:id/shares', async (req, res) => {
+    try {
+        const found = await resolveReviewedPrototype(req);
+
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error
+            });
+        }
+
+        const shares = await reviewStore.listShares(found.prototypeId, found.workspace);
+
+        res.json({
+            success: true,
+            shares: shares.map(share => toPublicShare(share))
+        });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+app.delete('/prototypes/:id/shares/:shareId', async (req, res) => {
+    try {
+        const found = await resolveReviewedPrototype(req);
+
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error
+            });
+        }
+
+        await reviewStore.revokeShare(req.params.shareId, found.prototypeId, found.workspace);
+
+        log(LOG_PREFIX.HISTORY, 'Review link revoked', { prototypeId: found.prototypeId, shareId: req.params.shareId });
+        res.json({ success: true });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+// Every link's comments as threads, plus the same feedback written up as a
+// refinement instruction. ?version= narrows both to one version.
+app.get('/prototypes/:id/comments', async (req, res) => {
+    try {
+        const found = await resolveReviewedPrototype(req);
+
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error
+            });
+        }
+
+        const comments = await reviewStore.listComments(found.prototypeId, found.workspace, {
+            version: Number(req.query.version) || null
+        });
+
+        res.json({
+            success: true,
+            comments: toThreads(comments.map(comment => ({ ...toSharedComment(comment), shareId: comment.shareId }))),
+            instruction: formatCommentsInstruction(comments)
+        });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+app.get('/prototypes/:id/comments/export', async (req, res) => {
+    try {
+        const found = await resolveReviewedPrototype(req);
+
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error
+            });
+        }
+
+        const formatName = req.query.format || 'json';
+
+        if (!Object.hasOwn(COMMENT_EXPORT_FORMATS, formatName)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of ${Object.keys(COMMENT_EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        const comments = (await reviewStore.listComments(found.prototypeId, found.workspace, {
+            version: Number(req.query.version) || null
+        })).map(toSharedComment);
+        const latest = found.versions[found.versions.length - 1];
+        const format = COMMENT_EXPORT_FORMATS[formatName];
+
+        let body;
+        if (formatName === 'csv') {
+            body = formatCommentsCsv(comments);
+        } else if (formatName === 'markdown') {
+            body = formatCommentsMarkdown(comments, { title: latest.title || found.prototypeId });
+        } else {
+            body = JSON.stringify({ prototypeId: found.prototypeId, title: latest.title || null, comments: toThreads(comments) }, null, 2);
+        }
+
+        res.set({
+            'Content-Type': `${format.type}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="${found.prototypeId}-comments.${format.extension}"`
+        });
+        res.send(body);
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+app.delete('/prototypes/:id/comments/:commentId', async (req, res) => {
+    try {
+        const found = await resolveReviewedPrototype(req);
+
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error
+            });
+        }
+
+        await reviewStore.removeComment(req.params.commentId, found.prototypeId, found.workspace);
+
+        res.json({ success: true });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+// What a review link shows: no sign-in needed, only the token
+app.get('/shares/:token', async (req, res) => {
+    try {
+        const { share, session, status, error } = await resolveShare(req.params.token);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        const base = `/shares/${encodeURIComponent(req.params.token)}`;
+        const comments = await reviewStore.listComments(share.prototypeId, share.workspace, { shareId: share.id });
+
+        res.json({
+            success: true,
+            title: session.title || null,
+            version: session.version || 1,
+            expiresAt: share.expiresAt,
+            entry: session.entry || 'index.html',
+            pages: getSharePages(session),
+            siteUrl: `${getPreviewOrigin(req)}${base}/site/`,
+            images: getSessionImages(session).map(image => ({
+                caption: image.caption,
+                whiteboardUrl: `${base}/images/${image.whiteboard}`,
+                thumbnailUrl: `${base}/images/${image.thumbnail}`
+            })),
+            reviewer: req.user?.username || null,
+            comments: toThreads(comments.map(toSharedComment))
+        });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+app.get('/shares/:token/images/:name', async (req, res) => {
+    try {
+        const { session, status, error } = await resolveShare(req.params.token);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        // Only the build's own whiteboards and thumbnails, never other files in the folder
+        const names = getSessionImages(session).flatMap(image => [image.whiteboard, image.thumbnail]);
+
+        if (!names.includes(req.params.name)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Image not found'
+            });
+        }
+
+        res.sendFile(join(getPrototypeDir(session), req.params.name));
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+// Comment on the shared version, pinned to a page and a spot on it, or reply to a thread
+app.post('/shares/:token/comments', async (req, res) => {
+    try {
+        const { share, session, status, error } = await resolveShare(req.params.token);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        const page = req.body?.page || session.entry || 'index.html';
+
+        if (!req.body?.parentId && !getSharePages(session).includes(page)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown page: ${page}`
+            });
+        }
+
+        const comment = await reviewStore.addComment(share, {
+            author: req.body?.author || req.user?.username,
+            authorId: req.user?.id || null,
+            body: req.body?.body,
+            version: session.version || 1,
+            page,
+            position: req.body?.position,
+            parentId: req.body?.parentId || null
+        });
+
+        log(LOG_PREFIX.HISTORY, 'Review comment added', {
+            prototypeId: share.prototypeId,
+            shareId: share.id,
+            commentId: comment.id
+        });
+
+        res.status(201).json({
+            success: true,
+            comment: toSharedComment(comment)
+        });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+// API tokens, for the signed-in user's own scripts. Managed from the app's
+// pages only: a token cannot make or list tokens.
+app.get('/api-tokens', async (req, res) => {
+    let tokens;
+    try {
+        tokens = await apiStore.listTokens(req.user.id);
+    } catch (error) {
+        return sendApiStoreError(res, error);
+    }
+
+    res.json({
+        success: true,
+        scopes: API_SCOPES,
+        tokens: tokens.map(toPublicToken)
+    });
+});
+
+app.post('/api-tokens', async (req, res) => {
+    const days = req.body?.expiresInDays === undefined || req.body.expiresInDays === null ? null : Number(req.body.expiresInDays);
+
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_DAYS)) {
+        return res.status(400).json({
+            success: false,
+            error: `expiresInDays must be a whole number from 1 to ${MAX_TOKEN_DAYS}, or left out for a token that does not expire`
+        });
+    }
+
+    let created;
+    try {
+        created = await apiStore.createToken({
+            userId: req.user.id,
+            name: req.body?.name,
+            scopes: req.body?.scopes,
+            expiresAt: days ? Date.now() + days * 24 * 60 * 60 * 1000 : null
+        });
+    } catch (error) {
+        return sendApiStoreError(res, error);
+    }
+
+    log(LOG_PREFIX.SERVER, 'API token created', { tokenId: created.record.id, scopes: created.record.scopes });
+
+    // The token is only ever sent here; the store keeps its hash
+    res.status(201).json({
+        success: true,
+        token: toPublicToken(created.record),
+        secret: created.token
+    });
+});
+
+app.delete('/api-tokens/:id', async (req, res) => {
+    try {
+        await apiStore.revokeToken(req.params.id, req.user.id);
+    } catch (error) {
+        return sendApiStoreError(res, error);
+    }
+
+    log(LOG_PREFIX.SERVER, 'API token revoked', { tokenId: req.params.id });
+    res.json({ success: true });
+});
+
+// Webhooks: here for the API access page, and under /api/v1 for tokens with
+// the webhooks:write scope
+async function handleListWebhooks(req, res) {
+    let webhooks;
+    try {
+        webhooks = await apiStore.listWebhooks(req.user.id);
+    } catch (error) {
+        return sendApiStoreError(res, error);
+    }
+
+    res.json({
+        success: true,
+        events: WEBHOOK_EVENTS,
+        webhooks: webhooks.map(webhook => toPublicWebhook(webhook, webhookDeliveries.get(webhook.id)))
+    });
+}
+
+async function handleCreateWebhook(req, res) {
+    let webhook;
+    try {
+        await checkWebhookHost(req.body?.url);
+        webhook = await apiStore.createWebhook({
+            userId: req.user.id,
+            url: req.body?.url,
+            events: req.body?.events
+        });
+    } catch (error) {
+        return sendApiStoreError(res, error);
+    }
+
+    log(LOG_PREFIX.SERVER, 'Webhook created', { webhookId: webhook.id, url: webhook.url, events: webhook.events });
+
+    // Like a token, the signing secret is only shown once
+    res.status(201).json({
+        success: true,
+        webhook: toPublicWebhook(webhook),
+        secret: webhook.secret
+    });
+}
+
+async function handleDeleteWebhook(req, res) {
+    try {
+        await apiStore.removeWebhook(req.params.id, req.user.id);
+    } catch (error) {
+        return sendApiStoreError(res, error);
+    }
+
+    webhookDeliveries.delete(req.params.id);
+    log(LOG_PREFIX.SERVER, 'Webhook removed', { webhookId: req.params.id });
+    res.json({ success: true });
+}
+
+// Sends a signed "ping" event once, without retries, and answers with how it went
+async function handlePingWebhook(req, res) {
+    try {
+        const webhook = await apiStore.getWebhook(req.params.id, req.user.id);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+
+        const delivery = await sendWebhook(webhook, 'ping', { webhookId: webhook.id }, { retries: 0 });
+
+        res.json({
+            success: true,
+            delivery
+        });
+    } catch (error) {
+        sendApiStoreError(res, error);
+    }
+}
+
+app.get('/webhooks', handleListWebhooks);
+app.post('/webhooks', handleCreateWebhook);
+app.delete('/webhooks/:id', handleDeleteWebhook);
+app.post('/webhooks/:id/ping', handlePingWebhook);
+
+// ----------------------------------------------------------------------------
+// /api/v1, mounted ahead of the cookie middleware and the JSON parser, so
+// routes parse their own bodies
+// ----------------------------------------------------------------------------
+
+// The OpenAPI description needs no token
+apiV1.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument({
+        serverUrl: `${req.protocol}://${req.get('host')}/api/v1`,
+        scopes: API_SCOPES,
+        webhookEvents: WEBHOOK_EVENTS,
+        maxImages: CONFIG.MAX_WHITEBOARD_IMAGES
+    }));
+});
+
+apiV1.use(authenticateApiToken);
+
+apiV1.post('/builds', requireScope('builds:write'), limitBuildRate, readApiBuildBody, handleBuildUpload);
+apiV1.get('/builds/:id', requireScope('builds:read'), sendJobStatus);
+apiV1.get('/builds/:id/events', requireScope('builds:read'), streamJobEvents);
+
+// The user's prototypes, most recently changed first, a page at a time
+apiV1.get('/prototypes', requireScope('prototypes:read'), async (req, res) => {
+    const limit = req.query.limit === undefined ? HISTORY_PAGE_SIZE : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PROTOTYPES_PAGE || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({
+            success: false,
+            error: `limit must be a whole number from 1 to ${MAX_PROTOTYPES_PAGE} and offset 0 or more`
+        });
+    }
+
+    const prototypes = await listApiPrototypes(req.user);
+
+    res.json({
+        success: true,
+        total: prototypes.length,
+        limit,
+        offset,
+        prototypes: prototypes.slice(offset, offset + limit)
+    });
+});
+
+apiV1.get('/prototypes/:id', requireScope('prototypes:read'), async (req, res) => {
+    const prototypeId = req.params.id;
+    const versions = PROTOTYPE_ID_PATTERN.test(prototypeId) ? await getPrototypeVersions(prototypeId, req.user) : [];
+
+    if (versions.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: 'Prototype not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        prototype: toApiPrototype(prototypeId, versions),
+        versions: versions.map(session => toApiVersion(prototypeId, session))
+    });
+});
+
+// The files of one version (the latest without ?version=)
+apiV1.get('/prototypes/:id/files', requireScope('prototypes:read'), async (req, res) => {
+    const found = await findApiVersion(req);
+
+    if (found.error) {
+        return res.status(found.status).json({
+            success: false,
+            error: found.error
+        });
+    }
+
+    const version = found.session.version || 1;
+
+    res.json({
+        success: true,
+        prototypeId: req.params.id,
+        version,
+        entry: found.session.entry || 'index.html',
+        files: getApiFiles(found.session).map(path => ({
+            path,
+            url: `/api/v1/prototypes/${req.params.id}/files/${path}?version=${version}`
+        }))
+    });
+});
+
+// One file as it was generated, sandboxed like /demos if it is opened directly
+apiV1.get('/prototypes/:id/files/*', requireScope('prototypes:read'), sendPreviewHeaders, async (req, res, next) => {
+    const found = await findApiVersion(req);
+    const path = req.params[0];
+
+    if (found.error || !getApiFiles(found.session).includes(path)) {
+        return res.status(found.status || 404).json({
+            success: false,
+            error: found.error || 'File not found'
+        });
+    }
+
+    const versionDir = getVersionDir(getPrototypeDir(found.session), found.session.version || 1);
+    res.sendFile(join(versionDir, path), error => {
+        if (error && !res.headersSent) {
+            next(error.code === 'ENOENT' ? Object.assign(new Error('File not found'), { status: 404 }) : error);
+        }
+    });
+});
+
+apiV1.get('/webhooks', requireScope('webhooks:write'), handleListWebhooks);
+apiV1.post('/webhooks', requireScope('webhooks:write'), express.json(), handleCreateWebhook);
+apiV1.delete('/webhooks/:id', requireScope('webhooks:write'), handleDeleteWebhook);
+apiV1.post('/webhooks/:id/ping', requireScope('webhooks:write'), handlePingWebhook);
+
+apiV1.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        error: `No API route for ${req.method} ${req.baseUrl}${req.path}`
+    });
+});
+
+// The variants of a build group side by side: each one's status (live while
+// its job runs), latest built version and cost, plus the group's total cost
+app.get('/groups/:id', async (req, res) => {
+    try {
+        const buildGroup = req.params.id;
+
+        if (!BUILD_GROUP_PATTERN.test(buildGroup)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid build group id'
+            });
+        }
+
+        const sessions = (await historyStore.all())
+            .filter(session => session.buildGroup === buildGroup && canAccess(req.user, session));
+        const groupJobs = Array.from(jobs.values())
+            .filter(job => job.buildGroup === buildGroup && canAccess(req.user, job));
+
+        if (sessions.length === 0 && groupJobs.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Build group not found'
+            });
+        }
+
+        const prototypeIds = [...new Set([
+            ...groupJobs.map(job => job.prototypeId),
+            ...sessions.map(getPrototypeId)
+        ])];
+        const directionOrder = Object.keys(VARIANT_DIRECTIONS);
+
+        const variants = prototypeIds.map(prototypeId => {
+            const records = sessions
+                .filter(session => getPrototypeId(session) === prototypeId)
+                .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+            const built = records.filter(session => session.success).sort((a, b) => (a.version || 1) - (b.version || 1));
+            const job = groupJobs
+                .filter(candidate => candidate.prototypeId === prototypeId)
+                .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))[0];
+            const running = job && !isJobFinished(job);
+            const latest = built.at(-1) || null;
+            const failed = built.length === 0 ? records.at(-1) || null : null;
+
+            return {
+                prototypeId,
+                variant: latest?.variant || failed?.variant || job?.variant || null,
+                status: running ? job.status : built.length > 0 ? 'succeeded' : 'failed',
+                jobId: running ? job.id : null,
+                stage: running ? job.stage : null,
+                starred: Boolean(latest?.starred),
+                latest,
+                error: running ? null : failed?.error || (job?.error ? { category: job.errorCategory, message: job.error } : null),
+                previewPageUrl: latest ? getPreviewPageUrl(prototypeId, latest.version) : null,
+                ...calculateTotalCost(records)
+            };
+        }).sort((a, b) => directionOrder.indexOf(a.variant?.id) - directionOrder.indexOf(b.variant?.id));
+
+        res.json({
+            success: true,
+            buildGroup,
+            previewOrigin: getPreviewOrigin(req),
+            starred: variants.find(variant => variant.starred)?.prototypeId || null,
+            variants,
+            ...calculateTotalCost(sessions)
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to load build group', {
+            buildGroup: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load build group'
+        });
+    }
+});
+
+// Star one variant of a build group as its canonical result (null clears it)
+app.post('/groups/:id/star', async (req, res) => {
+    try {
+        const buildGroup = req.params.id;
+        const prototypeId = req.body?.prototypeId ?? null;
+
+        if (!BUILD_GROUP_PATTERN.test(buildGroup)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid build group id'
+            });
+        }
+
+        const sessions = (await historyStore.all())
+            .filter(session => session.buildGroup === buildGroup && canAccess(req.user, session));
+
+        if (sessions.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Build group not found'
+            });
+        }
+
+        if (prototypeId !== null && !sessions.some(session => session.success && getPrototypeId(session) === prototypeId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Star a variant of this group that was built'
+            });
+        }
+
+        const updated = await historyStore.updateWhere(
+            session => session.buildGroup === buildGroup && canAccess(req.user, session),
+            session => ({ ...session, starred: getPrototypeId(session) === prototypeId })
+        );
+
+        log(LOG_PREFIX.HISTORY, 'Variant starred', { buildGroup, prototypeId, records: updated.length });
+
+        res.json({
+            success: true,
+            buildGroup,
+            starred: prototypeId
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to star variant', {
+            buildGroup: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to star variant'
+        });
+    }
+});
+
+// List design themes
+app.get('/themes', async (req, res) => {
+    try {
+        const themes = await listThemes();
+
+        res.json({
+            success: true,
+            defaultTheme: CONFIG.DEFAULT_THEME,
+            themes
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to list themes', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list themes'
+        });
+    }
+});
+
+// Get one design theme
+app.get('/themes/:id', async (req, res) => {
+    try {
+        const theme = await loadTheme(req.params.id);
+
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                error: 'Theme not found'
+            });
+        }
+
+        res.json({ success: true, theme });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: `Theme file is invalid: ${error.message}`
+        });
+    }
+});
+
+// Create a design theme
+app.post('/themes', requireAdminRole, async (req, res) => {
+    const id = req.body?.id || String(req.body?.name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    let theme;
+    try {
+        theme = validateTheme(req.body, id);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (existsSync(getThemePath(id))) {
+        return res.status(409).json({
+            success: false,
+            error: `A theme with id "${id}" already exists`
+        });
+    }
+
+    try {
+        await saveTheme(theme);
+    } catch (error) {
+        return sendThemeError(res, error, 'save');
+    }
+    res.status(201).json({ success: true, theme });
 });
 
-// ============================================================================
-// ROUTES
-// ============================================================================
+// Replace a design theme
+app.put('/themes/:id', requireAdminRole, async (req, res) => {
+    const id = req.params.id;
 
-// Main page
-app.get('/', (req, res) => {
-    res.sendFile(join(__dirname, 'public', 'index.html'));
+    if (!THEME_ID_PATTERN.test(id) || !existsSync(getThemePath(id))) {
+        return res.status(404).json({
+            success: false,
+            error: 'Theme not found'
+        });
+    }
+
+    let theme;
+    try {
+        theme = validateTheme(req.body, id);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    try {
+        await saveTheme(theme);
+    } catch (error) {
+        return sendThemeError(res, error, 'save');
+    }
+    res.json({ success: true, theme });
 });
 
-// Upload and process whiteboard
-app.post('/upload', upload.single('whiteboard'), async (req, res) => {
-    const sessionId = uuidv4();
-    let imagePath = '';
-    let compressedPath = '';
+// Delete a design theme
+app.delete('/themes/:id', requireAdminRole, async (req, res) => {
+    const id = req.params.id;
 
-    log(LOG_PREFIX.UPLOAD, 'New upload session started', {
-        sessionId,
-        filename: req.file?.filename
+    if (id === CONFIG.DEFAULT_THEME) {
+        return res.status(400).json({
+            success: false,
+            error: 'The default theme cannot be deleted'
+        });
+    }
+
+    if (!THEME_ID_PATTERN.test(id) || !existsSync(getThemePath(id))) {
+        return res.status(404).json({
+            success: false,
+            error: 'Theme not found'
+        });
+    }
+
+    try {
+        await fs.unlink(getThemePath(id));
+    } catch (error) {
+        return sendThemeError(res, error, 'delete');
+    }
+    log(LOG_PREFIX.INFO, 'Theme deleted', { id });
+    res.json({ success: true, id });
+});
+
+// Get history, a page at a time, newest first
+app.get('/history', async (req, res) => {
+    const { filters, error } = parseHistoryQuery(req.query, req.user);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
+        });
+    }
+
+    try {
+        const [page, facets] = await Promise.all([
+            historyStore.list(filters),
+            historyStore.facets(filters.match)
+        ]);
+
+        log(LOG_PREFIX.HISTORY, 'History retrieved', {
+            returned: page.sessions.length,
+            total: page.total
+        });
+
+        res.json({
+            success: true,
+            sessions: page.sessions,
+            total: page.total,
+            limit: filters.limit,
+            offset: filters.offset,
+            summary: page.summary,
+            models: facets.models,
+            tags: facets.tags
+        });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to retrieve history', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve history'
+        });
+    }
+});
+
+// Who is signed in, and how sign-in works here
+app.get('/auth/me', (req, res) => {
+    res.json({
+        success: true,
+        authMode: CONFIG.AUTH_MODE,
+        allowSignup: CONFIG.AUTH_MODE === 'local' && CONFIG.AUTH_ALLOW_SIGNUP,
+        user: req.user && CONFIG.AUTH_MODE !== 'none' ? toPublicUser(req.user) : null
     });
+});
+
+// Sign in with a local account
+app.post('/auth/login', async (req, res) => {
+    if (CONFIG.AUTH_MODE !== 'local') {
+        return res.status(400).json({
+            success: false,
+            error: 'This server does not use local accounts'
+        });
+    }
 
     try {
-        if (!req.file) {
-            log(LOG_PREFIX.ERROR, 'No file uploaded', { sessionId });
-            return res.status(400).json({
+        const user = await userStore.authenticate(req.body?.username, req.body?.password);
+
+        if (!user) {
+            log(LOG_PREFIX.SERVER, 'Failed sign-in', { username: normalizeUsername(req.body?.username) });
+            return res.status(401).json({
                 success: false,
-                error: 'No file uploaded'
+                error: 'Wrong username or password'
             });
         }
 
-        const customPrompt = req.body.prompt || '';
-        const apiKey = getAnthropicApiKey(req);
-        imagePath = join(CONFIG.UPLOADS_DIR, req.file.filename);
-        compressedPath = join(CONFIG.UPLOADS_DIR, 'compressed-' + req.file.filename);
+        setSessionCookie(req, res, await userStore.createSession(user.id));
+        log(LOG_PREFIX.SERVER, 'User signed in', { username: user.username });
 
-        log(LOG_PREFIX.INFO, 'Processing upload', {
-            sessionId,
-            filename: req.file.filename,
-            size: req.file.size,
-            customPrompt: customPrompt || 'None'
+        res.json({
+            success: true,
+            user: toPublicUser(toRequestUser(user))
         });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
 
-        // Build prototype using Claude Agent SDK
-        const result = await buildPrototypeWithClaudeAgent(
-            imagePath,
-            customPrompt,
-            sessionId,
-            apiKey
-        );
+// Create a member account, when AUTH_ALLOW_SIGNUP is on
+app.post('/auth/signup', async (req, res) => {
+    if (CONFIG.AUTH_MODE !== 'local' || !CONFIG.AUTH_ALLOW_SIGNUP) {
+        return res.status(403).json({
+            success: false,
+            error: 'Sign-up is turned off; ask an admin for an account'
+        });
+    }
 
-        // Add to history
-        const historyEntry = {
-            sessionId,
-            timestamp: result.timestamp,
-            originalFilename: req.file.filename,
-            customPrompt,
-            outputDir: result.outputDir,
-            prototypeUrl: result.prototypeUrl,
-            thumbnailUrl: result.thumbnailUrl,
-            tokens: result.tokens,
-            cost: result.cost,
-            costs: result.costs,
-            duration: result.duration,
-            model: result.model,
-            files: result.files,
-            success: true
-        };
+    try {
+        const user = await userStore.create({
+            username: req.body?.username,
+            password: typeof req.body?.password === 'string' ? req.body.password : '',
+            canUseServerKey: CONFIG.AUTH_SERVER_KEY_FOR_NEW_USERS
+        });
+        setSessionCookie(req, res, await userStore.createSession(user.id));
+        log(LOG_PREFIX.SERVER, 'User signed up', { username: user.username });
+
+        res.status(201).json({
+            success: true,
+            user: toPublicUser(toRequestUser(user))
+        });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
 
-        await addToHistory(historyEntry);
+app.post('/auth/logout', async (req, res) => {
+    const token = readCookie(req, SESSION_COOKIE);
 
-        log(LOG_PREFIX.SUCCESS, 'Upload processed successfully', {
-            sessionId,
-            cost: `$${result.cost}`,
-            duration: `${result.duration}s`
+    try {
+        if (token) {
+            await userStore.deleteSession(token);
+        }
+    } catch (error) {
+        return sendUserError(res, error);
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+});
+
+// Accounts, for admins
+app.get('/admin/users', requireAdmin, async (req, res) => {
+    let users;
+    try {
+        users = await userStore.list();
+    } catch (error) {
+        return sendUserError(res, error);
+    }
+
+    res.json({
+        success: true,
+        authMode: CONFIG.AUTH_MODE,
+        users: users.map(user => toPublicUser(toRequestUser(user)))
+    });
+});
+
+app.post('/admin/users', requireAdmin, async (req, res) => {
+    const role = req.body?.role === 'admin' ? 'admin' : 'member';
+    // Trusted-header accounts sign in through the proxy and have no password
+    const password = CONFIG.AUTH_MODE === 'local'
+        ? (typeof req.body?.password === 'string' ? req.body.password : '')
+        : null;
+
+    try {
+        const user = await userStore.create({
+            username: req.body?.username,
+            password,
+            role,
+            canUseServerKey: req.body?.canUseServerKey === true
         });
+        log(LOG_PREFIX.SERVER, 'User created', { username: user.username, role, by: req.user.username });
 
-        res.json({
+        res.status(201).json({
             success: true,
-            sessionId,
-            message: 'Prototype generated successfully!',
-            demoUrl: result.prototypeUrl,
-            thumbnailUrl: result.thumbnailUrl,
-            outputDir: result.outputDir,
-            tokens: result.tokens,
-            cost: result.cost,
-            costs: result.costs,
-            duration: result.duration,
-            files: result.files
+            user: toPublicUser(toRequestUser(user))
         });
-
     } catch (error) {
-        log(LOG_PREFIX.ERROR, 'Upload processing failed', {
-            sessionId,
-            error: error.message,
-            stack: error.stack
+        sendUserError(res, error);
+    }
+});
+
+app.patch('/admin/users/:id', requireAdmin, async (req, res) => {
+    const { update, error } = validateUserUpdate(req.body);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
         });
+    }
 
-        res.status(500).json({
+    if (req.params.id === req.user.id && update.role === 'member') {
+        return res.status(400).json({
             success: false,
-            sessionId,
-            error: error.message || 'Failed to generate prototype'
+            error: 'You cannot remove your own admin role'
         });
-    } finally {
-        await safeUnlink(imagePath);
-        await safeUnlink(compressedPath);
     }
-});
 
-// Get history
-app.get('/history', async (req, res) => {
     try {
-        const history = await loadHistory();
+        const user = await userStore.update(req.params.id, update);
+        log(LOG_PREFIX.SERVER, 'User updated', {
+            username: user.username,
+            role: update.role,
+            canUseServerKey: update.canUseServerKey,
+            passwordChanged: update.password !== undefined,
+            by: req.user.username
+        });
 
-        log(LOG_PREFIX.HISTORY, 'History retrieved', {
-            totalSessions: history.sessions.length
+        res.json({
+            success: true,
+            user: toPublicUser(toRequestUser(user))
+        });
+    } catch (error) {
+        sendUserError(res, error);
+    }
+});
+
+// Removes the account and its sign-ins; its prototypes and history stay for admins
+app.delete('/admin/users/:id', requireAdmin, async (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({
+            success: false,
+            error: 'You cannot delete your own account'
         });
+    }
+
+    try {
+        const user = await userStore.remove(req.params.id);
+        log(LOG_PREFIX.SERVER, 'User deleted', { username: user.username, by: req.user.username });
 
         res.json({
             success: true,
-            sessions: history.sessions,
-            total: history.sessions.length
+            id: user.id
         });
     } catch (error) {
-        log(LOG_PREFIX.ERROR, 'Failed to retrieve history', {
-            error: error.message
+        sendUserError(res, error);
+    }
+});
+
+// Spend over time by model, budgets and rate limit headroom. Members see what
+// they started; admins (and everyone, without sign-in) see the whole server.
+app.get('/usage', async (req, res) => {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_USAGE_DAYS) {
+        return res.status(400).json({
+            success: false,
+            error: `days must be a whole number from 1 to ${MAX_USAGE_DAYS}`
+        });
+    }
+
+    try {
+        const clientId = getClientId(req);
+        const everyone = req.user.role === 'admin';
+        const records = getSpendRecords(await historyStore.all())
+            .filter(record => everyone || (record.clientId ?? record.ownerId) === clientId);
+
+        res.json({
+            success: true,
+            scope: everyone ? 'all' : 'own',
+            days,
+            ...summarizeUsage(records, { days }),
+            budgets: await getBudgetStatus(clientId),
+            rateLimit: CONFIG.RATE_LIMIT_BUILDS ? {
+                builds: CONFIG.RATE_LIMIT_BUILDS,
+                windowMinutes: CONFIG.RATE_LIMIT_WINDOW_MS / 60000,
+                remaining: buildRateLimiter.remaining(clientId)
+            } : null
         });
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to summarize usage', { error: error.message });
 
         res.status(500).json({
             success: false,
-            error: 'Failed to retrieve history'
+            error: 'Failed to summarize usage'
         });
     }
 });
 
+// Models the active provider can build with, for the builder's model picker
+app.get('/models', (req, res) => {
+    res.json({
+        success: true,
+        provider: CONFIG.PROVIDER,
+        defaultModel: CONFIG.MODEL,
+        models: getAvailableModels()
+    });
+});
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({
@@ -579,14 +6291,153 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         config: {
+            provider: CONFIG.PROVIDER,
+            providerRequiresApiKey: providerRequiresApiKey(),
             model: CONFIG.MODEL,
             maxTokens: CONFIG.MAX_TOKENS,
             maxImageSize: CONFIG.MAX_IMAGE_SIZE,
+            dataRoot: CONFIG.DATA_ROOT,
+            authMode: CONFIG.AUTH_MODE,
+            sketchAnalysis: CONFIG.SKETCH_ANALYSIS,
+            imageEnhancement: CONFIG.IMAGE_ENHANCEMENT,
+            accessibilityFix: CONFIG.ACCESSIBILITY_FIX,
+            modelRetries: CONFIG.MODEL_RETRIES,
+            variantDirections: Object.entries(VARIANT_DIRECTIONS).map(([id, direction]) => ({ id, label: direction.label })),
             defaultAnthropicKeyConfigured: Boolean(process.env.ANTHROPIC_API_KEY?.trim())
         }
     });
 });
 
+// Errors passed to next(), including multer rejections, are answered as JSON
+app.use((error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const status = error instanceof multer.MulterError ? 400 : error.status || 500;
+    log(LOG_PREFIX.ERROR, 'Request failed', {
+        method: req.method,
+        path: req.path,
+        status,
+        error: error.message
+    });
+
+    res.status(status).json({
+        success: false,
+        error: status === 500 ? 'Internal server error' : error.message
+    });
+});
+
+// ============================================================================
+// HEADLESS BUILDS (bin/wb2proto.js)
+// ============================================================================
+
+// Checks build options the way POST /upload does. Returns { options } or { error }.
+async function resolveBuildOptions({ prompt = '', outputMode = 'single', target = 'html', accessibilityFix = CONFIG.ACCESSIBILITY_FIX, theme: themeId = CONFIG.DEFAULT_THEME, model: requestedModel = null }) {
+    if (!OUTPUT_MODES[outputMode]) {
+        return { error: `Unknown output mode: ${outputMode}` };
+    }
+
+    if (!BUILD_TARGETS.includes(target)) {
+        return { error: `Unknown output target: ${target}` };
+    }
+
+    const model = resolveRequestModel(requestedModel);
+    if (!model) {
+        return { error: `Unknown model: ${requestedModel}` };
+    }
+
+    let theme;
+    try {
+        theme = await loadTheme(themeId);
+    } catch (error) {
+        log(LOG_PREFIX.ERROR, 'Failed to load theme', { theme: themeId, error: error.message });
+    }
+
+    if (!theme) {
+        return { error: `Unknown theme: ${themeId}` };
+    }
+
+    return { options: { customPrompt: prompt.trim(), outputMode, target, accessibilityFix, theme, model } };
+}
+
+// Headless builds belong to nobody without sign-in, or to the named account
+async function resolveHeadlessOwner(username) {
+    if (!username) {
+        return { owner: getOwnerFields(ANONYMOUS_USER) };
+    }
+
+    if (CONFIG.AUTH_MODE === 'none') {
+        return { error: 'A user needs sign-in to be turned on' };
+    }
+
+    const user = (await userStore.list()).find(candidate => candidate.username === normalizeUsername(username));
+    return user ? { owner: getOwnerFields(user) } : { error: `No account named ${username}` };
+}
+
+// The prompt a one-photo build sends and the most it may cost. The sketch spec
+// the analysis adds to the prompt is only known once the model has read the sketch.
+function previewHeadlessBuild(options) {
+    return {
+        prompt: buildSystemPrompt(options.customPrompt, options.outputMode, options.theme, [{ caption: '' }]),
+        sketchAnalysis: CONFIG.SKETCH_ANALYSIS,
+        estimatedCost: estimateFullBuildCost({ model: options.model, images: 1, spec: null, target: options.target, accessibilityFix: options.accessibilityFix })
+    };
+}
+
+// Queues one build per photo on disk through the same job queue as uploads, so
+// they run MAX_CONCURRENT_JOBS at a time and land in the shared history. The
+// photos are copied into uploads first, since a job removes its inputs. The
+// whole batch has to fit the budgets before any of it starts.
+async function queueHeadlessBuilds(photoPaths, options, { owner, apiKey = process.env.ANTHROPIC_API_KEY?.trim() || '' }) {
+    if (!apiKey && providerRequiresApiKey()) {
+        return { error: 'Set ANTHROPIC_API_KEY to build with the Anthropic provider' };
+    }
+
+    const billing = {
+        clientId: owner.ownerId || 'cli',
+        keySource: apiKey && providerRequiresApiKey() ? 'server' : 'none'
+    };
+    const reservedCost = estimateBuildReservation(billing, { model: options.model, images: 1, spec: null, target: options.target, accessibilityFix: options.accessibilityFix });
+    const exceeded = reservedCost > 0 ? await findExceededBudget(billing.clientId, reservedCost * photoPaths.length) : null;
+
+    if (exceeded) {
+        return { error: describeBudget(exceeded) };
+    }
+
+    const basePrototypeId = createPrototypeId();
+    const jobs = [];
+    for (const [index, photoPath] of photoPaths.entries()) {
+        const filename = `${uuidv4()}${extname(photoPath).toLowerCase()}`;
+        await fs.copyFile(photoPath, join(CONFIG.UPLOADS_DIR, filename));
+
+        jobs.push(startBuildJob({
+            ...options,
+            sessionId: uuidv4(),
+            prototypeId: `${basePrototypeId}-${index + 1}`,
+            images: [{
+                path: join(CONFIG.UPLOADS_DIR, filename),
+                originalFilename: filename,
+                caption: '',
+                enhancements: null
+            }],
+            spec: null,
+            analysis: null,
+            analysisJob: null,
+            apiKey,
+            owner,
+            billing,
+            reservedCost,
+            buildGroup: null,
+            variant: null,
+            retryOf: null
+        }));
+    }
+
+    log(LOG_PREFIX.JOBS, 'Headless builds queued', { builds: jobs.length, concurrency: CONFIG.MAX_CONCURRENT_JOBS });
+    return { jobs };
+}
+
 // ============================================================================
 // SERVER STARTUP
 // ============================================================================
@@ -596,6 +6447,27 @@ async function startServer() {
         // Ensure directories exist
         await ensureDirectories();
 
+        // Opens the history log, migrating whiteboard-history.json on first run
+        await historyStore.open();
+        await ensureAdminUser();
+
+        if (CONFIG.RETENTION_MS) {
+            const sweep = () => runRetentionSweep().catch(error => {
+                log(LOG_PREFIX.ERROR, 'Retention sweep failed', { error: error.message });
+            });
+            sweep();
+            setInterval(sweep, CONFIG.RETENTION_SWEEP_MS).unref();
+        }
+
+        if (CONFIG.PREVIEW_PORT) {
+            if (String(CONFIG.PREVIEW_PORT) === String(PORT)) {
+                throw new Error('PREVIEW_PORT must differ from PORT, or previews share the app origin');
+            }
+            previewApp.listen(CONFIG.PREVIEW_PORT, () => {
+                log(LOG_PREFIX.SERVER, 'Preview server started', { port: CONFIG.PREVIEW_PORT });
+            });
+        }
+
         // Start server
         app.listen(PORT, () => {
             console.log('\n' + '='.repeat(70));
@@ -605,11 +6477,20 @@ async function startServer() {
             console.log(`💻 Desktop:  http://localhost:${PORT}`);
             console.log(`📊 History:  http://localhost:${PORT}/history`);
             console.log(`🏥 Health:   http://localhost:${PORT}/health`);
+            console.log(`🖼️  Previews: ${CONFIG.PREVIEW_ORIGIN || (CONFIG.PREVIEW_PORT ? `http://localhost:${CONFIG.PREVIEW_PORT}` : 'same origin (sandboxed)')}`);
             console.log('='.repeat(70));
+            console.log(`🤖 Provider: ${CONFIG.PROVIDER}`);
             console.log(`🤖 Model:    ${CONFIG.MODEL}`);
+            console.log(`⚙️  Config:   ${CONFIG.CONFIG_FILE || 'environment and defaults'}`);
+            console.log(`💾 Data:     ${CONFIG.DATA_ROOT}`);
             console.log(`📁 Uploads:  ${CONFIG.UPLOADS_DIR}`);
             console.log(`📦 Output:   ${CONFIG.OUTPUT_DIR}`);
+            console.log(`📚 History:  ${CONFIG.HISTORY_FILE}`);
+            console.log(`🧹 Retention: ${CONFIG.RETENTION_MS ? `${CONFIG.RETENTION_MS / 86400000} days (pinned prototypes kept)` : 'keep everything'}`);
+            console.log(`🔐 Sign-in:  ${CONFIG.AUTH_MODE === 'none' ? 'off (everyone shares one workspace)' : CONFIG.AUTH_MODE}`);
             console.log(`🔑 Default key: ${process.env.ANTHROPIC_API_KEY ? 'configured' : 'not configured'}`);
+            console.log(`💰 Budgets:  ${Object.values(CONFIG.BUDGETS).some(Boolean) ? Object.entries(CONFIG.BUDGETS).filter(([, limit]) => limit).map(([name, limit]) => `${name} $${limit}`).join(', ') : 'none'}`);
+            console.log(`⏱️  Rate limit: ${CONFIG.RATE_LIMIT_BUILDS ? `${CONFIG.RATE_LIMIT_BUILDS} builds per ${CONFIG.RATE_LIMIT_WINDOW_MS / 60000} minutes` : 'none'}`);
             console.log('='.repeat(70) + '\n');
 
             log(LOG_PREFIX.SERVER, 'Server started successfully', {
@@ -633,23 +6514,53 @@ async function startServer() {
 // ERROR HANDLERS
 // ============================================================================
 
-process.on('uncaughtException', (error) => {
-    log(LOG_PREFIX.ERROR, 'Uncaught exception', {
-        error: error.message,
-        stack: error.stack
+// Only when run directly; importing the app (as the tests do) has no side effects
+const isMainModule = Boolean(process.argv[1]) && resolve(process.argv[1]) === __filename;
+
+if (isMainModule) {
+    process.on('uncaughtException', (error) => {
+        log(LOG_PREFIX.ERROR, 'Uncaught exception', {
+            error: error.message,
+            stack: error.stack
+        });
+        process.exit(1);
     });
-    process.exit(1);
-});
 
-process.on('unhandledRejection', (reason, promise) => {
-    log(LOG_PREFIX.ERROR, 'Unhandled rejection', {
-        reason,
-        promise
+    process.on('unhandledRejection', (reason, promise) => {
+        log(LOG_PREFIX.ERROR, 'Unhandled rejection', {
+            reason,
+            promise
+        });
     });
-});
+}
 
 // ============================================================================
 // START
 // ============================================================================
 
-startServer();
+if (isMainModule) {
+    startServer();
+}
+
+export {
+    app,
+    previewApp,
+    CONFIG,
+    setLogWriter,
+    startServer,
+    ensureDirectories,
+    historyStore,
+    userStore,
+    reviewStore,
+    apiStore,
+    addToHistory,
+    runRetentionSweep,
+    compressImage,
+    createThumbnail,
+    calculateCost,
+    calculateTotalCost,
+    resolveBuildOptions,
+    resolveHeadlessOwner,
+    previewHeadlessBuild,
+    queueHeadlessBuilds
+};
@@ -0,0 +1,143 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { auditHtml, auditPrototype, getContrastRatio, parseColor } from '../lib/accessibility.js';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ MODEL_PROVIDER: 'mock' });
+    image = await createTestImage();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function upload(fields = {}) {
+    const form = new FormData();
+    form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+function findRule(findings, rule) {
+    return findings.find(finding => finding.rule === rule);
+}
+
+test('the markup is checked for alt text, labels, headings, click handlers and the viewport', () => {
+    const findings = auditHtml(`<!DOCTYPE html>
+<html>
+<head><meta name="viewport" content="width=device-width, maximum-scale=1"></head>
+<body>
+    <h2>Tasks</h2>
+    <h4>Today</h4>
+    <img src="chart.png">
+    <img src="divider.png" alt="">
+    <input id="search" placeholder="Search">
+    <label for="name">Name</label><input id="name">
+    <label>Email <input type="email"></label>
+    <button type="button"><svg></svg></button>
+    <button type="button" aria-label="Close"><svg></svg></button>
+    <div class="card" onclick="open()">Open</div>
+    <span role="button" tabindex="0" onclick="open()">Open</span>
+    <li id="row">Row</li>
+    <script>
+        const row = document.getElementById('row');
+        row.addEventListener('click', () => {});
+    </script>
+</body>
+</html>`);
+
+    assert.deepEqual(findRule(findings, 'image-alt').examples, ['<img> on line 7']);
+    assert.deepEqual(findRule(findings, 'control-label').examples, [
+        '<input#search> on line 9 (a placeholder is not a label)',
+        '<button> on line 12 has no text'
+    ]);
+    assert.deepEqual(findRule(findings, 'heading-order').examples, ['The page has no <h1>', '<h4> on line 6 follows an <h2>']);
+    assert.deepEqual(findRule(findings, 'click-handler').examples, ['<div.card> on line 14 has no role', '<li#row> on line 16 has no role']);
+    assert.deepEqual(findRule(findings, 'viewport').examples, ['The viewport meta tag stops people from zooming']);
+    assert.equal(auditHtml('<html><body><h1>Hi</h1></body></html>')[0].rule, 'viewport');
+});
+
+test('contrast and tap target sizes are read from the stylesheets, with CSS variables resolved', () => {
+    assert.deepEqual(parseColor('#fff'), [255, 255, 255, 1]);
+    assert.deepEqual(parseColor('rgba(0, 0, 0, 0.5)'), [0, 0, 0, 0.5]);
+    assert.equal(parseColor('linear-gradient(red, blue)'), null);
+    assert.equal(getContrastRatio([0, 0, 0], [255, 255, 255]).toFixed(0), '21');
+
+    const { score, findings, pages } = auditPrototype([
+        {
+            path: 'index.html',
+            content: '<html><head><meta name="viewport" content="width=device-width"><link rel="stylesheet" href="css/site.css"><style>.hint { color: #aaa; }</style></head><body><h1>Hi</h1><a href="#" style="height: 18px">x</a></body></html>'
+        },
+        {
+            path: 'css/site.css',
+            content: `:root { --accent: #4facfe; }
+body { background: #ffffff; }
+.primary { color: white; background: var(--accent); }
+h1 { color: #8a8a8a; font-size: 32px; }
+@media (max-width: 600px) { .icon-btn { width: 16px; height: 16px; } }
+.banner { color: #aaa; background: url(banner.png); }`
+        }
+    ]);
+
+    assert.deepEqual(pages, ['index.html']);
+    assert.deepEqual(findRule(findings, 'color-contrast').examples, [
+        '.primary: 2.42:1, needs 4.5:1',
+        '.hint: 2.32:1, needs 4.5:1'
+    ]);
+    assert.deepEqual(findRule(findings, 'touch-target').examples, [
+        '.icon-btn: height 16px, width 16px',
+        '<a> on line 1: height 18px'
+    ]);
+    assert.equal(score, 100 - 2 * 5 - 2 * 5);
+});
+
+test('every build gets a scored report in its result, its folder and history', async () => {
+    const { status, body } = await upload();
+    assert.equal(status, 202, body.error);
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+
+    const { accessibility } = job.result;
+    // The mock prototype's white-on-blue button is below 4.5:1
+    assert.equal(accessibility.score, 95);
+    assert.deepEqual(accessibility.findings.map(finding => finding.rule), ['color-contrast']);
+    assert.equal(accessibility.fix, null);
+    assert.ok(job.stages.some(stage => stage.stage === 'auditing'));
+
+    const saved = JSON.parse(await fs.readFile(join(job.result.outputDir, 'accessibility.json'), 'utf-8'));
+    assert.equal(saved.score, 95);
+
+    const history = await (await fetch(`${server.baseUrl}/history`)).json();
+    const session = history.sessions.find(entry => entry.sessionId === job.sessionId);
+    assert.equal(session.accessibility.score, 95);
+});
+
+test('the fix pass sends the findings back and keeps the first output unless the score improves', async () => {
+    assert.equal((await upload({ accessibilityFix: 'maybe' })).status, 400);
+
+    const { body } = await upload({ accessibilityFix: 'true' });
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+
+    // The mock answers a follow-up with the same page, so nothing improves
+    const { accessibility, tokens } = job.result;
+    assert.equal(accessibility.fix.applied, false);
+    assert.equal(accessibility.fix.scoreBefore, 95);
+    assert.equal(accessibility.fix.scoreAfter, 95);
+    assert.ok(accessibility.fix.tokens.input > 0);
+    assert.ok(tokens.input > accessibility.fix.tokens.input, 'the fix pass is counted in the build\'s tokens');
+    assert.ok(job.stages.some(stage => stage.stage === 'fixing'));
+
+    const html = await fs.readFile(join(job.result.outputDir, 'index.html'), 'utf-8');
+    assert.doesNotMatch(html, /mock revision/);
+});
@@ -0,0 +1,279 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import { startTestServer, createTestImage } from './helpers.js';
+import { deliverWebhook, verifySignature } from '../lib/webhooks.js';
+
+let server;
+let alice;
+let bob;
+let receiver;
+const received = [];
+// The receiver's answers, in order; 200 once these run out
+const answers = [];
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    // The test receiver is on 127.0.0.1, which webhooks are otherwise refused
+    server = await startTestServer({ AUTH_MODE: 'local', MODEL_PROVIDER: 'mock', WEBHOOK_RETRY_DELAY_MS: '20', WEBHOOK_ALLOW_PRIVATE: 'true' });
+
+    const password = 'correct horse';
+    await server.userStore.create({ username: 'alice', password, canUseServerKey: true });
+    await server.userStore.create({ username: 'bob', password, canUseServerKey: true });
+    alice = await signIn('alice', password);
+    bob = await signIn('bob', password);
+
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(answers.shift() || 200).end();
+        });
+    });
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+});
+
+after(async () => {
+    receiver.close();
+    await server.close();
+});
+
+async function signIn(username, password) {
+    const response = await fetch(`${server.baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+async function request(method, path, { user, token, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) {
+        headers.cookie = user.cookie;
+    }
+    if (token) {
+        headers.authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${server.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function createToken(user, scopes, extra = {}) {
+    const { status, body } = await request('POST', '/api-tokens', { user, body: { name: 'CI', scopes, ...extra } });
+    assert.equal(status, 201, body.error);
+    return body;
+}
+
+async function waitForBuild(statusUrl, token) {
+    const deadline = Date.now() + 10000;
+
+    while (Date.now() < deadline) {
+        const { body } = await request('GET', statusUrl, { token });
+        if (body.job.status === 'succeeded' || body.job.status === 'failed') {
+            return body.job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('Build did not finish');
+}
+
+async function waitFor(check) {
+    const deadline = Date.now() + 5000;
+    while (!await check()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('API tokens are shown once, limited to their scopes and can be revoked', async () => {
+    const { secret, token } = await createToken(alice, ['builds:read']);
+    assert.match(secret, /^wtp_/);
+    assert.equal(token.prefix, secret.slice(0, token.prefix.length));
+
+    const { body } = await request('GET', '/api-tokens', { user: alice });
+    assert.deepEqual(body.tokens.map(entry => entry.id), [token.id]);
+    assert.ok(body.tokens.every(entry => entry.tokenHash === undefined));
+
+    assert.equal((await request('GET', '/api/v1/prototypes')).status, 401);
+    assert.equal((await request('GET', '/api/v1/prototypes', { token: 'wtp_wrong' })).status, 401);
+    assert.equal((await request('GET', '/api/v1/prototypes', { token: secret })).status, 403);
+    // Tokens only work under /api/v1, and cannot make more tokens
+    assert.equal((await request('GET', '/api-tokens', { token: secret })).status, 401);
+
+    assert.equal((await request('POST', '/api-tokens', { user: alice, body: { name: 'x', scopes: ['admin'] } })).status, 400);
+    assert.equal((await request('POST', '/api-tokens', { user: alice, body: { name: 'x', scopes: ['builds:read'], expiresInDays: 0 } })).status, 400);
+    assert.equal((await request('DELETE', `/api-tokens/${token.id}`, { user: bob })).status, 404);
+
+    assert.equal((await request('DELETE', `/api-tokens/${token.id}`, { user: alice })).status, 200);
+    assert.equal((await request('GET', '/api/v1/builds/none', { token: secret })).status, 401);
+});
+
+test('a JSON build is followed through the API and reported to a signed webhook, with a retry', async () => {
+    const { secret } = await createToken(alice, ['builds:write', 'builds:read', 'prototypes:read', 'webhooks:write']);
+    const hook = await request('POST', '/api/v1/webhooks', {
+        token: secret,
+        body: { url: `http://127.0.0.1:${receiver.address().port}/hooks`, events: ['build.succeeded'] }
+    });
+    assert.equal(hook.status, 201, hook.body.error);
+    assert.match(hook.body.secret, /^whsec_/);
+    assert.equal((await request('POST', '/api/v1/webhooks', { token: secret, body: { url: 'ftp://example.com' } })).status, 400);
+
+    answers.push(500);
+    const image = (await createTestImage()).toString('base64');
+    const started = await request('POST', '/api/v1/builds', {
+        token: secret,
+        body: { images: [{ data: `data:image/jpeg;base64,${image}`, caption: 'Home' }], prompt: 'Blue buttons' }
+    });
+    assert.equal(started.status, 202, started.body.error);
+    assert.equal(started.body.statusUrl, `/api/v1/builds/${started.body.jobId}`);
+
+    const job = await waitForBuild(started.body.statusUrl, secret);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.result.images[0].caption, 'Home');
+
+    // The first delivery got a 500, so the same delivery comes again
+    await waitFor(() => received.length === 2);
+    const [first, retry] = received;
+    assert.equal(first.headers['x-webhook-id'], retry.headers['x-webhook-id']);
+    assert.equal(retry.headers['x-webhook-event'], 'build.succeeded');
+    assert.ok(verifySignature(hook.body.secret, {
+        signature: retry.headers['x-webhook-signature'],
+        timestamp: retry.headers['x-webhook-timestamp'],
+        body: retry.body
+    }));
+    assert.ok(!verifySignature('whsec_other', {
+        signature: retry.headers['x-webhook-signature'],
+        timestamp: retry.headers['x-webhook-timestamp'],
+        body: retry.body
+    }));
+
+    const { data } = JSON.parse(retry.body);
+    assert.equal(data.jobId, started.body.jobId);
+    assert.equal(data.prototypeId, started.body.prototypeId);
+    assert.equal(data.version, 1);
+
+    let body;
+    await waitFor(async () => {
+        ({ body } = await request('GET', '/api/v1/webhooks', { token: secret }));
+        return body.webhooks[0].deliveries.length > 0;
+    });
+    assert.deepEqual(body.webhooks[0].deliveries.map(entry => [entry.status, entry.attempts]), [['delivered', 2]]);
+    assert.equal(body.webhooks[0].secret, undefined);
+
+    const ping = await request('POST', `/webhooks/${hook.body.webhook.id}/ping`, { user: alice });
+    assert.equal(ping.body.delivery.status, 'delivered');
+    assert.equal(received[2].headers['x-webhook-event'], 'ping');
+    assert.equal((await request('DELETE', `/webhooks/${hook.body.webhook.id}`, { user: bob })).status, 404);
+    assert.equal((await request('DELETE', `/webhooks/${hook.body.webhook.id}`, { user: alice })).status, 200);
+});
+
+test('webhooks to loopback, private and metadata addresses are refused when added and when sent', async () => {
+    const hook = await request('POST', '/webhooks', { user: bob, body: { url: `http://127.0.0.1:${receiver.address().port}/hooks` } });
+    assert.equal(hook.status, 201, hook.body.error);
+
+    server.CONFIG.WEBHOOK_ALLOW_PRIVATE = false;
+    try {
+        for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:8080/', 'http://[::1]/', 'http://10.0.0.5/', 'http://0x7f000001/', 'http://[::ffff:192.168.0.1]/']) {
+            const { status, body } = await request('POST', '/webhooks', { user: bob, body: { url } });
+            assert.equal(status, 400, url);
+            assert.match(body.error, /private or local address/);
+        }
+
+        // Added while allowed, but checked again before anything is sent
+        const count = received.length;
+        const ping = await request('POST', `/webhooks/${hook.body.webhook.id}/ping`, { user: bob });
+        assert.equal(ping.body.delivery.status, 'failed');
+        assert.match(ping.body.delivery.error, /private or local address/);
+        assert.equal(received.length, count);
+    } finally {
+        server.CONFIG.WEBHOOK_ALLOW_PRIVATE = true;
+    }
+
+    assert.equal((await request('DELETE', `/webhooks/${hook.body.webhook.id}`, { user: bob })).status, 200);
+});
+
+test('a delivery connects to the address its check looked up, keeping the host name', async () => {
+    // The name only resolves through this lookup, so the request can only have
+    // reached the receiver on the address it returned
+    const lookups = [];
+    const lookup = async (host) => {
+        lookups.push(host);
+        return [{ address: '127.0.0.1', family: 4 }];
+    };
+    const url = `http://hooks.example.test:${receiver.address().port}/hooks`;
+    const count = received.length;
+
+    const delivery = await deliverWebhook({ id: 'w1', url, secret: 's' }, 'ping', {}, { retries: 0, allowPrivate: true, lookup });
+    assert.equal(delivery.status, 'delivered', delivery.error);
+    assert.deepEqual(lookups, ['hooks.example.test']);
+    assert.equal(received.length, count + 1);
+    assert.equal(received[count].headers.host, `hooks.example.test:${receiver.address().port}`);
+
+    // Without the allowance the looked-up address is refused and nothing is sent
+    const refused = await deliverWebhook({ id: 'w1', url, secret: 's' }, 'ping', {}, { retries: 0, lookup });
+    assert.match(refused.error, /private or local address \(127\.0\.0\.1\)/);
+    assert.equal(received.length, count + 1);
+});
+
+test('prototypes and their files can be fetched by their owner\'s tokens only', async () => {
+    const { secret } = await createToken(alice, ['prototypes:read']);
+    const { body: list } = await request('GET', '/api/v1/prototypes?limit=5', { token: secret });
+    assert.equal(list.total, 1);
+    const [prototype] = list.prototypes;
+    assert.equal(prototype.latestVersion, 1);
+
+    const { body: files } = await request('GET', prototype.filesUrl, { token: secret });
+    assert.deepEqual(files.files.map(file => file.path), ['index.html']);
+
+    const page = await fetch(`${server.baseUrl}${files.files[0].url}`, { headers: { authorization: `Bearer ${secret}` } });
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-security-policy'), /sandbox/);
+    assert.match(await page.text(), /<html/i);
+
+    assert.equal((await request('GET', `/api/v1/prototypes/${prototype.prototypeId}/files/../users.json`, { token: secret })).status, 404);
+    assert.equal((await request('GET', `/api/v1/prototypes/${prototype.prototypeId}/files?version=9`, { token: secret })).status, 404);
+    assert.equal((await request('GET', '/api/v1/prototypes?limit=500', { token: secret })).status, 400);
+
+    const other = await createToken(bob, ['prototypes:read']);
+    assert.equal((await request('GET', '/api/v1/prototypes', { token: other.secret })).body.total, 0);
+    assert.equal((await request('GET', `/api/v1/prototypes/${prototype.prototypeId}`, { token: other.secret })).status, 404);
+});
+
+test('a failing token and webhook store answers with the API\'s JSON error', async (t) => {
+    const { secret } = await createToken(bob, ['webhooks:write']);
+    const failure = async () => {
+        throw new Error('disk full');
+    };
+    t.mock.method(server.apiStore, 'listWebhooks', failure);
+    t.mock.method(server.apiStore, 'getWebhook', failure);
+    t.mock.method(server.apiStore, 'listTokens', failure);
+
+    for (const [method, path] of [['GET', '/api/v1/webhooks'], ['POST', '/api/v1/webhooks/none/ping']]) {
+        const { status, body } = await request(method, path, { token: secret });
+        assert.equal(status, 500, path);
+        assert.deepEqual(body, { success: false, error: 'Failed to read or save API tokens and webhooks' });
+    }
+    assert.equal((await request('GET', '/api-tokens', { user: bob })).status, 500);
+});
+
+test('the OpenAPI document is public and lists the routes and webhook events', async () => {
+    const { status, body } = await request('GET', '/api/v1/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    assert.ok(body.paths['/builds'].post);
+    assert.deepEqual(Object.keys(body.webhooks), ['build.succeeded', 'build.failed']);
+    assert.equal((await request('GET', '/api/v1/nothing-here', { token: 'wtp_wrong' })).status, 401);
+});
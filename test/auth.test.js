@@ -0,0 +1,222 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+let admin;
+let alice;
+let bob;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ AUTH_MODE: 'local', MODEL_PROVIDER: 'mock' });
+    image = await createTestImage();
+
+    const password = 'correct horse';
+    await server.userStore.create({ username: 'admin', password, role: 'admin', canUseServerKey: true });
+    await server.userStore.create({ username: 'alice', password });
+    await server.userStore.create({ username: 'bob', password });
+
+    admin = await signIn('admin', password);
+    alice = await signIn('alice', password);
+    bob = await signIn('bob', password);
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function signIn(username, password) {
+    const response = await fetch(`${server.baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    assert.equal(response.status, 200);
+    return { cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+async function get(path, user) {
+    const response = await fetch(`${server.baseUrl}${path}`, { headers: user ? { cookie: user.cookie } : {} });
+    return { status: response.status, body: await response.json() };
+}
+
+async function send(method, path, user, body, headers = {}) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', cookie: user.cookie, ...headers },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function build(user) {
+    const form = new FormData();
+    form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+    const response = await fetch(`${server.baseUrl}/upload`, {
+        method: 'POST',
+        body: form,
+        headers: { cookie: user.cookie }
+    });
+    const body = await response.json();
+    assert.equal(response.status, 202, body.error);
+    return { jobId: body.jobId, job: await waitForJob(server.baseUrl, body.jobId, 10000, { cookie: user.cookie }) };
+}
+
+test('signed-out requests get 401 except sign-in and the health check', async () => {
+    assert.equal((await get('/history')).status, 401);
+    assert.equal((await get('/health')).status, 200);
+
+    const me = await get('/auth/me');
+    assert.deepEqual({ authMode: me.body.authMode, user: me.body.user }, { authMode: 'local', user: null });
+});
+
+test('a wrong password is refused and the password hash never leaves the server', async () => {
+    const wrong = await send('POST', '/auth/login', { cookie: '' }, { username: 'alice', password: 'nope nope' });
+    assert.equal(wrong.status, 401);
+
+    const me = await get('/auth/me', alice);
+    assert.equal(me.body.user.username, 'alice');
+    assert.equal(me.body.user.passwordHash, undefined);
+});
+
+test('builds land in the owner\'s workspace and only the owner and admins see them', async () => {
+    const { jobId, job } = await build(alice);
+    assert.equal(job.status, 'succeeded');
+
+    const { prototypeId, demoUrl } = job.result;
+    const workspace = (await server.userStore.findByUsername('alice')).workspace;
+    assert.ok(demoUrl.startsWith(`/demos/${workspace}/${prototypeId}/`));
+    assert.equal((await fetch(`${server.baseUrl}${demoUrl}`)).status, 200);
+
+    assert.equal((await get(`/prototypes/${prototypeId}`, alice)).status, 200);
+    assert.equal((await get(`/prototypes/${prototypeId}`, bob)).status, 404);
+    assert.equal((await get(`/jobs/${jobId}`, bob)).status, 404);
+    assert.equal((await send('DELETE', `/prototypes/${prototypeId}`, bob)).status, 404);
+
+    assert.equal((await get('/history', alice)).body.total, 1);
+    assert.equal((await get('/history', bob)).body.total, 0);
+    assert.equal((await get('/history', admin)).body.total, 0);
+    assert.equal((await get('/history?owner=all', admin)).body.total, 1);
+
+    // Only admins can look at someone else's history
+    const aliceId = (await get('/auth/me', alice)).body.user.id;
+    assert.equal((await get(`/history?owner=${aliceId}`, admin)).body.total, 1);
+    assert.equal((await get(`/history?owner=${aliceId}`, bob)).body.total, 0);
+
+    assert.equal((await get(`/prototypes/${prototypeId}`, admin)).status, 200);
+});
+
+test('the server key is only used for accounts allowed to spend it', async () => {
+    server.CONFIG.PROVIDER = 'anthropic';
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-server';
+
+    try {
+        const form = new FormData();
+        form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+        const response = await fetch(`${server.baseUrl}/upload`, {
+            method: 'POST',
+            body: form,
+            headers: { cookie: bob.cookie }
+        });
+
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Add an Anthropic API key/);
+    } finally {
+        server.CONFIG.PROVIDER = 'mock';
+        process.env.ANTHROPIC_API_KEY = '';
+    }
+});
+
+test('only admins manage users, and admins cannot lock themselves out', async () => {
+    assert.equal((await get('/admin/users', alice)).status, 403);
+
+    const created = await send('POST', '/admin/users', admin, { username: 'Carol', password: 'carol-pass-1', canUseServerKey: true });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user.username, 'carol');
+    assert.equal(created.body.user.canUseServerKey, true);
+
+    const duplicate = await send('POST', '/admin/users', admin, { username: 'carol', password: 'carol-pass-1' });
+    assert.equal(duplicate.status, 409);
+
+    const short = await send('POST', '/admin/users', admin, { username: 'dave', password: 'short' });
+    assert.equal(short.status, 400);
+
+    const adminId = (await get('/auth/me', admin)).body.user.id;
+    assert.equal((await send('PATCH', `/admin/users/${adminId}`, admin, { role: 'member' })).status, 400);
+    assert.equal((await send('DELETE', `/admin/users/${adminId}`, admin)).status, 400);
+
+    const promoted = await send('PATCH', `/admin/users/${created.body.user.id}`, admin, { role: 'admin' });
+    assert.equal(promoted.body.user.role, 'admin');
+    assert.equal((await send('DELETE', `/admin/users/${created.body.user.id}`, admin)).status, 200);
+});
+
+test('only admins change the shared design themes', async () => {
+    assert.equal((await get('/themes', alice)).status, 200);
+    assert.equal((await send('POST', '/themes', alice, { id: 'mine', name: 'Mine', tokens: {} })).status, 403);
+    assert.equal((await send('PUT', '/themes/default', alice, { name: 'Mine', tokens: {} })).status, 403);
+    assert.equal((await send('DELETE', '/themes/default', alice)).status, 403);
+
+    // Admins get past the check to the route itself
+    assert.equal((await send('DELETE', '/themes/no-such-theme', admin)).status, 404);
+});
+
+test('a theme that cannot be saved or deleted answers with a JSON error', async (t) => {
+    // Nothing reaches the disk: both calls fail before the theme files change
+    t.mock.method(fs, 'unlink', async () => {
+        throw Object.assign(new Error('no such file'), { code: 'ENOENT' });
+    });
+    t.mock.method(fs, 'writeFile', async () => {
+        throw Object.assign(new Error('read-only file system'), { code: 'EROFS' });
+    });
+
+    const removed = await send('DELETE', '/themes/wireframe', admin);
+    assert.equal(removed.status, 404);
+    assert.equal(removed.body.error, 'Theme not found');
+
+    const saved = await send('PUT', '/themes/wireframe', admin, { name: 'Wireframe', tokens: {} });
+    assert.equal(saved.status, 500);
+    assert.deepEqual(saved.body, { success: false, error: 'Failed to save theme' });
+});
+
+test('a new password and signing out both end existing sessions', async () => {
+    await server.userStore.create({ username: 'erin', password: 'erin-pass-1' });
+    const first = await signIn('erin', 'erin-pass-1');
+    const second = await signIn('erin', 'erin-pass-1');
+
+    await send('POST', '/auth/logout', first);
+    assert.equal((await get('/history', first)).status, 401);
+    assert.equal((await get('/history', second)).status, 200);
+
+    const erin = await server.userStore.findByUsername('erin');
+    await send('PATCH', `/admin/users/${erin.id}`, admin, { password: 'erin-pass-2' });
+    assert.equal((await get('/history', second)).status, 401);
+});
+
+test('writes from another site are refused', async () => {
+    const response = await send('PATCH', '/prototypes/prototype-x', alice, { title: 'x' }, { origin: 'https://evil.example' });
+    assert.equal(response.status, 403);
+});
+
+test('a failing user store answers with a JSON error instead of hanging', async (t) => {
+    const failure = async () => {
+        throw new Error('disk full');
+    };
+    t.mock.method(server.userStore, 'authenticate', failure);
+    t.mock.method(server.userStore, 'list', failure);
+
+    const login = await fetch(`${server.baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'alice', password: 'correct horse' }),
+        signal: AbortSignal.timeout(5000)
+    });
+    assert.equal(login.status, 500);
+    assert.equal((await login.json()).success, false);
+
+    const users = await get('/admin/users', admin);
+    assert.equal(users.status, 500);
+    assert.equal(users.body.success, false);
+});
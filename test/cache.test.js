@@ -0,0 +1,217 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import http from 'http';
+import { once } from 'events';
+import fs from 'fs/promises';
+import sharp from 'sharp';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+import { buildFingerprint, hammingDistance } from '../lib/fingerprint.js';
+
+let server;
+let image;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ MODEL_PROVIDER: 'mock' });
+    image = await createTestImage();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function upload(fields = {}, photo = image) {
+    const form = new FormData();
+    form.append('whiteboard', new Blob([photo], { type: 'image/jpeg' }), 'board.jpg');
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+async function getJobStage(jobId) {
+    const { job } = await (await fetch(`${server.baseUrl}/jobs/${jobId}`)).json();
+    return job.stage;
+}
+
+test('calculateCost prices prompt cache reads and writes at their own rates', () => {
+    assert.deepEqual(server.calculateCost(1000000, 0, 'claude-opus-4-5', { cacheRead: 1000000, cacheWrite: 1000000 }), {
+        inputCost: '5.000000',
+        outputCost: '0.000000',
+        cacheReadCost: '0.500000',
+        cacheWriteCost: '6.250000',
+        totalCost: '11.750000'
+    });
+
+    const { tokens, costs } = server.calculateTotalCost([
+        { model: 'claude-opus-4-5', tokens: { input: 1000000, output: 0, cacheRead: 2000000 } },
+        { model: 'claude-opus-4-5', tokens: { input: 0, output: 0 } }
+    ]);
+    assert.deepEqual(tokens, { input: 1000000, output: 0, cacheRead: 2000000 });
+    assert.equal(costs.cacheReadCost, '1.000000');
+    assert.equal(costs.totalCost, '6.000000');
+});
+
+test('a build request marks the end of its opening turn for the prompt cache, and its repair rounds resend that turn', async () => {
+    // A stand-in for the Anthropic API that records each request and answers
+    // with text that is not a page, so the build asks for a repair
+    const requests = [];
+    const api = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            const events = [
+                ['message_start', { type: 'message_start', message: { id: 'msg_1', type: 'message', role: 'assistant', model: 'claude-sonnet-4-5', content: [], stop_reason: null, usage: { input_tokens: 10, output_tokens: 0 } } }],
+                ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+                ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Not a page' } }],
+                ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+                ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }],
+                ['message_stop', { type: 'message_stop' }]
+            ];
+            res.writeHead(200, { 'content-type': 'text/event-stream' });
+            res.end(events.map(([name, data]) => `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`).join(''));
+        });
+    });
+    api.listen(0, '127.0.0.1');
+    await once(api, 'listening');
+
+    server.CONFIG.PROVIDER = 'anthropic';
+    process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${api.address().port}`;
+    try {
+        const form = new FormData();
+        form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+        form.append('prompt', 'Blue buttons');
+        form.append('model', 'claude-sonnet-4-5');
+        form.append('force', 'true');
+        // A reviewed spec, so the build goes straight to generating
+        form.append('spec', JSON.stringify({ screens: [{ name: 'Home', image: 1 }] }));
+        const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form, headers: { 'x-anthropic-api-key': 'sk-test' } });
+        const { jobId, error } = await response.json();
+        assert.equal(response.status, 202, error);
+        const job = await waitForJob(server.baseUrl, jobId);
+        // The failed attempt would otherwise show up as similar to the builds below
+        await fetch(`${server.baseUrl}/prototypes/${job.prototypeId}`, { method: 'DELETE' });
+    } finally {
+        server.CONFIG.PROVIDER = 'mock';
+        delete process.env.ANTHROPIC_BASE_URL;
+        api.close();
+    }
+
+    assert.ok(requests.length >= 2, 'the unusable answer is sent back for repair');
+    const [first, repair] = requests;
+    assert.equal(first.system.length, 1);
+    assert.doesNotMatch(JSON.stringify(first.system), /cache_control/);
+
+    // The whiteboard and the request, with the cache breakpoint on the last block
+    const opening = first.messages[0].content;
+    assert.deepEqual(opening.map(block => block.type), ['image', 'text']);
+    assert.deepEqual(opening.at(-1).cache_control, { type: 'ephemeral' });
+    assert.match(opening.at(-1).text, /Blue buttons/);
+    assert.equal(JSON.stringify(opening).match(/cache_control/g).length, 1);
+
+    // The repair round starts with the same system prompt and opening turn, so it reads them from the cache
+    assert.deepEqual(repair.system, first.system);
+    assert.deepEqual(repair.messages[0], first.messages[0]);
+    assert.deepEqual(repair.messages.map(message => message.role), ['user', 'assistant', 'user']);
+});
+
+test('build fingerprints ignore spacing in the prompt and perceptual hashes count differing bits', () => {
+    const request = { images: [{ contentHash: 'abc', caption: 'Home' }], model: 'mock', theme: { id: 'default' } };
+
+    assert.equal(buildFingerprint({ ...request, prompt: ' Blue  buttons\n' }), buildFingerprint({ ...request, prompt: 'Blue buttons' }));
+    assert.notEqual(buildFingerprint({ ...request, prompt: 'Blue buttons' }), buildFingerprint({ ...request, prompt: 'Red buttons' }));
+    assert.notEqual(buildFingerprint({ ...request, prompt: '' }), buildFingerprint({ ...request, prompt: '', theme: { id: 'default', primary: '#000' } }));
+
+    assert.equal(hammingDistance('00ff', '00ff'), 0);
+    assert.equal(hammingDistance('00ff', '01fe'), 2);
+    assert.equal(hammingDistance('00ff', null), Infinity);
+});
+
+test('the same request is answered with the existing prototype unless forced', async () => {
+    const first = await upload({ prompt: 'Blue buttons' });
+    assert.equal(first.status, 202, first.body.error);
+    const job = await waitForJob(server.baseUrl, first.body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.deepEqual(job.similar, []);
+
+    const again = await upload({ prompt: '  Blue buttons ' });
+    assert.equal(again.status, 200, again.body.error);
+    assert.equal(again.body.duplicate, 'built');
+    assert.equal(again.body.prototypeId, job.result.prototypeId);
+    assert.equal(again.body.result.demoUrl, job.result.demoUrl);
+
+    // Nothing is queued, and the uploads are not left behind
+    const uploads = await fs.readdir(server.CONFIG.UPLOADS_DIR);
+    assert.deepEqual(uploads, []);
+
+    const other = await upload({ prompt: 'Blue buttons', accessibilityFix: 'true' });
+    assert.equal(other.status, 202, 'other options make a new build');
+    await waitForJob(server.baseUrl, other.body.jobId);
+
+    const forced = await upload({ prompt: 'Blue buttons', force: 'true' });
+    assert.equal(forced.status, 202);
+    const rebuilt = await waitForJob(server.baseUrl, forced.body.jobId);
+    assert.notEqual(rebuilt.result.prototypeId, job.result.prototypeId);
+    assert.ok(existsSync(rebuilt.result.outputDir));
+});
+
+test('a request made while the same build runs follows that build', async () => {
+    // Slow enough that the first build is still running when the second request comes
+    server.CONFIG.MOCK_DELAY_MS = 100;
+    try {
+        const first = await upload({ prompt: 'Kanban' });
+        const second = await upload({ prompt: 'Kanban' });
+
+        assert.equal(second.status, 202);
+        assert.equal(second.body.duplicate, 'running');
+        assert.equal(second.body.jobId, first.body.jobId);
+        assert.equal((await waitForJob(server.baseUrl, first.body.jobId)).status, 'succeeded');
+    } finally {
+        server.CONFIG.MOCK_DELAY_MS = 0;
+    }
+});
+
+test('a board that only looks like an earlier one is built, with the earlier prototypes listed on its job', async () => {
+    const marked = await sharp(image)
+        .composite([{ input: await sharp({ create: { width: 40, height: 40, channels: 3, background: '#333' } }).jpeg().toBuffer(), left: 700, top: 500 }])
+        .jpeg()
+        .toBuffer();
+
+    // One build at a time, and a slow one, so the next request waits in the queue
+    const { MAX_CONCURRENT_JOBS } = server.CONFIG;
+    server.CONFIG.MAX_CONCURRENT_JOBS = 1;
+    server.CONFIG.MOCK_DELAY_MS = 100;
+    let body;
+    try {
+        const running = await upload({ prompt: 'Green buttons' });
+        while (['queued', 'compressing'].includes(await getJobStage(running.body.jobId))) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        let status;
+        ({ status, body } = await upload({ prompt: 'Blue buttons' }, marked));
+        assert.equal(status, 202, body.error);
+        assert.equal(await getJobStage(body.jobId), 'queued');
+
+        // Whiteboards are compressed by the job, so only the running build's is
+        const uploads = await fs.readdir(server.CONFIG.UPLOADS_DIR);
+        assert.equal(uploads.filter(name => name.startsWith('compressed-')).length, 1);
+        await waitForJob(server.baseUrl, running.body.jobId);
+    } finally {
+        server.CONFIG.MAX_CONCURRENT_JOBS = MAX_CONCURRENT_JOBS;
+        server.CONFIG.MOCK_DELAY_MS = 0;
+    }
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.ok(job.similar.length > 0);
+    assert.ok(job.similar.every(match => match.distance <= 10 && match.previewUrl.includes(match.prototypeId)));
+
+    const session = (await server.historyStore.all()).find(entry => entry.prototypeId === body.prototypeId);
+    assert.match(session.images[0].perceptualHash, /^[0-9a-f]{16}$/);
+    assert.match(session.fingerprint, /^[0-9a-f]{64}$/);
+});
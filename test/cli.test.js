@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { promisify } from 'util';
+import { createTestImage } from './helpers.js';
+
+const CLI = new URL('../bin/wb2proto.js', import.meta.url).pathname;
+
+let root;
+let photos;
+
+before(async () => {
+    root = await fs.mkdtemp(join(os.tmpdir(), 'whiteboard-to-prototype-'));
+    photos = join(root, 'photos');
+    await fs.mkdir(photos);
+    const image = await createTestImage();
+    await fs.writeFile(join(photos, 'home.jpg'), image);
+    await fs.writeFile(join(photos, 'settings.jpg'), image);
+    await fs.writeFile(join(photos, 'notes.txt'), 'not a photo');
+    await fs.writeFile(join(root, 'notes.md'), 'Use a dark header');
+});
+
+after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+async function run(...args) {
+    try {
+        const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+            cwd: root,
+            timeout: 30000,
+            env: { ...process.env, ANTHROPIC_API_KEY: '', DATA_ROOT: join(root, 'data'), MODEL_PROVIDER: 'mock' }
+        });
+        return { code: 0, stdout, stderr };
+    } catch (error) {
+        return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+}
+
+test('a dry run prints the prompt and estimated cost of each photo without building', async () => {
+    const { code, stdout } = await run('build', photos, '--prompt-file', 'notes.md', '--dry-run');
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Use a dark header/);
+    assert.match(stdout, /home\.jpg\s+up to \$\d+\.\d{4}/);
+    assert.match(stdout, /settings\.jpg/);
+    assert.doesNotMatch(stdout, /notes\.txt/);
+    assert.match(stdout, /2 builds with .+: up to \$/);
+
+    const outputs = await fs.readdir(join(root, 'data', '__output__')).catch(() => []);
+    assert.deepEqual(outputs, []);
+});
+
+test('a build turns each photo into a prototype in the shared history and copies it out', async () => {
+    const { code, stdout, stderr } = await run('build', photos, '--prompt', 'Use a dark header', '--out', 'dist', '--concurrency', '2');
+
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /home\.jpg\s+built\s+\S+dist\/home\s+\d+\/100\s+\$\d+\.\d{4}\s+\d+\.\ds/);
+    assert.match(stdout, /2 of 2 built for \$/);
+    assert.doesNotMatch(stdout, /\[(SERVER|BUILD|JOBS|HISTORY)\]/, 'the app log stays out of the summary');
+
+    assert.ok((await fs.stat(join(root, 'dist', 'home', 'index.html'))).isFile());
+    assert.ok((await fs.stat(join(root, 'dist', 'settings', 'index.html'))).isFile());
+
+    const history = (await fs.readFile(join(root, 'data', 'history', 'sessions.jsonl'), 'utf-8'))
+        .trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(history.length, 2);
+    assert.ok(history.every(({ session }) => session.success && session.customPrompt === 'Use a dark header'));
+});
+
+test('bad arguments are reported with a usage exit code', async () => {
+    assert.equal((await run('build')).code, 2);
+    assert.equal((await run('build', photos, '--concurrency', '0')).code, 2);
+    assert.match((await run('build', photos, '--model', 'nope', '--dry-run')).stderr, /Unknown model: nope/);
+    assert.match((await run('publish', photos)).stderr, /Unknown command/);
+});
@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { ConfigError, findModel, loadConfig } from '../lib/config.js';
+
+const providers = ['anthropic', 'mock', 'openai-compatible'];
+let rootDir;
+
+before(async () => {
+    rootDir = await fs.mkdtemp(join(os.tmpdir(), 'whiteboard-config-'));
+});
+
+after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+function load(env = {}) {
+    return loadConfig({ rootDir, env, providers });
+}
+
+test('defaults keep data next to the app and build with Opus', () => {
+    const config = load();
+
+    assert.equal(config.DATA_ROOT, rootDir);
+    assert.equal(config.UPLOADS_DIR, join(rootDir, 'uploads'));
+    assert.equal(config.HISTORY_FILE, join(rootDir, 'history', 'sessions.jsonl'));
+    assert.equal(config.PROVIDER, 'anthropic');
+    assert.equal(config.MODEL, 'claude-opus-4-5-20251101');
+    assert.equal(config.MAX_TOKENS, 16384);
+    assert.equal(config.CONFIG_FILE, null);
+});
+
+test('render.yaml settings move data under DATA_ROOT and resolve model aliases', () => {
+    const config = load({
+        DATA_ROOT: '/var/data/whiteboard-to-prototype',
+        ANTHROPIC_MODEL: 'claude-sonnet-4-5'
+    });
+
+    assert.equal(config.OUTPUT_DIR, '/var/data/whiteboard-to-prototype/__output__');
+    assert.equal(config.HISTORY_FILE, '/var/data/whiteboard-to-prototype/history/sessions.jsonl');
+    assert.equal(config.MODEL, 'claude-sonnet-4-5-20250929');
+});
+
+test('a config file adds models and is overridden by the environment', async () => {
+    const file = join(rootDir, 'custom.json');
+    await fs.writeFile(file, JSON.stringify({
+        maxTokens: 8000,
+        maxImageSize: 2048,
+        model: 'claude-next',
+        models: {
+            'claude-next': { label: 'Claude Next', inputCostPerMillion: 2, outputCostPerMillion: 10 },
+            'claude-haiku-4-5-20251001': { inputCostPerMillion: 0.5 }
+        }
+    }));
+
+    const config = load({ CONFIG_FILE: 'custom.json', MAX_TOKENS: '4096' });
+
+    assert.equal(config.CONFIG_FILE, file);
+    assert.equal(config.MAX_TOKENS, 4096);
+    assert.equal(config.MAX_IMAGE_SIZE, 2048);
+    assert.equal(config.MODEL, 'claude-next');
+    assert.equal(config.MODELS['claude-next'].provider, 'anthropic');
+    assert.equal(findModel(config.MODELS, 'claude-haiku-4-5').inputCostPerMillion, 0.5);
+    assert.equal(findModel(config.MODELS, 'claude-haiku-4-5').outputCostPerMillion, 5);
+});
+
+test('non-Anthropic providers default to their own model', () => {
+    assert.equal(load({ MODEL_PROVIDER: 'mock' }).MODEL, 'mock');
+
+    const config = load({ MODEL_PROVIDER: 'openai-compatible', OPENAI_COMPATIBLE_MODEL: 'qwen2-vl' });
+    assert.equal(config.MODEL, 'qwen2-vl');
+    assert.equal(config.MODELS['qwen2-vl'].inputCostPerMillion, 0);
+});
+
+test('every invalid setting is reported at once', () => {
+    assert.throws(() => load({
+        MAX_TOKENS: 'lots',
+        MAX_IMAGE_SIZE: '10',
+        MODEL_PROVIDER: 'gemini',
+        ANTHROPIC_MODEL: 'claude-unknown'
+    }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.problems.length, 4);
+        assert.match(error.message, /MAX_TOKENS must be a whole number/);
+        assert.match(error.message, /maxImageSize must be a whole number from 64 to 8192/);
+        assert.match(error.message, /provider must be one of/);
+        assert.match(error.message, /model "claude-unknown" has no pricing/);
+        return true;
+    });
+});
+
+test('the preview origin is normalized and must be a bare origin', () => {
+    assert.equal(load({ PREVIEW_ORIGIN: 'https://previews.example.com/' }).PREVIEW_ORIGIN, 'https://previews.example.com');
+    assert.equal(load().PREVIEW_ORIGIN, '');
+    assert.throws(() => load({ PREVIEW_ORIGIN: 'https://example.com/previews' }), /previewOrigin must be an http\(s\) origin/);
+    assert.throws(() => load({ PREVIEW_PORT: '70000' }), /previewPort must be a whole number from 0 to 65535/);
+});
+
+test('a missing config file named by CONFIG_FILE is an error', () => {
+    assert.throws(() => load({ CONFIG_FILE: 'missing.json' }), /missing\.json could not be read/);
+});
+
+test('sign-in settings read booleans and lists from the environment', () => {
+    const config = load({
+        AUTH_MODE: 'trusted-header',
+        AUTH_TRUSTED_HEADER: 'X-Auth-Request-User',
+        AUTH_ADMINS: 'Ana, lee ,',
+        AUTH_SERVER_KEY_FOR_NEW_USERS: 'true'
+    });
+
+    assert.equal(config.AUTH_MODE, 'trusted-header');
+    assert.equal(config.AUTH_TRUSTED_HEADER, 'x-auth-request-user');
+    assert.deepEqual(config.AUTH_ADMINS, ['ana', 'lee']);
+    assert.equal(config.AUTH_SERVER_KEY_FOR_NEW_USERS, true);
+    assert.equal(config.AUTH_SESSION_MS, 7 * 24 * 60 * 60 * 1000);
+    assert.equal(load().AUTH_MODE, 'none');
+
+    assert.throws(() => load({ AUTH_MODE: 'oauth' }), /auth\.mode must be one of none, local, trusted-header/);
+    assert.throws(() => load({ AUTH_ALLOW_SIGNUP: 'yes' }), /AUTH_ALLOW_SIGNUP must be true or false/);
+});
+
+test('budgets take dollar amounts and the rate limit a whole number of builds', () => {
+    const config = load({ BUDGET_DAILY_USD: '2.5', BUDGET_CLIENT_MONTHLY_USD: '10', RATE_LIMIT_BUILDS: '5' });
+
+    assert.deepEqual(config.BUDGETS, { dailyUsd: 2.5, monthlyUsd: 0, clientDailyUsd: 0, clientMonthlyUsd: 10 });
+    assert.equal(config.RATE_LIMIT_BUILDS, 5);
+    assert.equal(config.RATE_LIMIT_WINDOW_MS, 60 * 60 * 1000);
+    assert.throws(() => load({ BUDGET_MONTHLY_USD: '$5' }), /BUDGET_MONTHLY_USD must be a number/);
+});
+
+test('sketch analysis runs by default and can be switched off', () => {
+    assert.equal(load().SKETCH_ANALYSIS, true);
+    assert.equal(load({ SKETCH_ANALYSIS: 'false' }).SKETCH_ANALYSIS, false);
+    assert.throws(() => load({ SKETCH_ANALYSIS: 'sometimes' }), /SKETCH_ANALYSIS must be true or false/);
+});
+
+test('transient model errors are retried three times by default', () => {
+    const config = load();
+    assert.equal(config.MODEL_RETRIES, 3);
+    assert.equal(config.MODEL_RETRY_DELAY_MS, 2000);
+    assert.equal(load({ MODEL_RETRIES: '0' }).MODEL_RETRIES, 0);
+    assert.throws(() => load({ MODEL_RETRIES: '11' }), /modelRetries must be a whole number from 0 to 10/);
+    assert.deepEqual(load({ MOCK_FAILURES: 'overloaded, ok' }).MOCK_FAILURES, ['overloaded', 'ok']);
+});
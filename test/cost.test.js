@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, calculateCost, calculateTotalCost } from '../server.js';
+
+test('calculateCost prices the default model from the pricing table', () => {
+    const pricing = CONFIG.MODELS[CONFIG.MODEL];
+    const costs = calculateCost(1000000, 1000000);
+
+    assert.deepEqual(costs, {
+        inputCost: pricing.inputCostPerMillion.toFixed(6),
+        outputCost: pricing.outputCostPerMillion.toFixed(6),
+        totalCost: (pricing.inputCostPerMillion + pricing.outputCostPerMillion).toFixed(6)
+    });
+});
+
+test('calculateCost looks up pricing per model, including aliases', () => {
+    const costs = calculateCost(2000, 500, 'claude-sonnet-4-5');
+
+    assert.equal(costs.inputCost, '0.006000');
+    assert.equal(costs.outputCost, '0.007500');
+    assert.equal(costs.totalCost, '0.013500');
+    assert.deepEqual(calculateCost(2000, 500, 'claude-sonnet-4-5-20250929'), costs);
+});
+
+test('calculateCost is zero for the mock model', () => {
+    assert.equal(calculateCost(12345, 6789, 'mock').totalCost, '0.000000');
+});
+
+test('calculateCost refuses models without pricing', () => {
+    assert.throws(() => calculateCost(1, 1, 'unknown-model'), /No pricing is configured/);
+});
+
+test('calculateTotalCost adds up tokens per model, analyses included, before pricing them', () => {
+    const total = calculateTotalCost([
+        {
+            model: 'claude-sonnet-4-5',
+            tokens: { input: 1000, output: 500 },
+            analysis: { model: 'claude-sonnet-4-5-20250929', tokens: { input: 1000, output: 0 } }
+        },
+        { model: 'mock', tokens: { input: 400, output: 100 }, react: { error: 'Conversion failed' } },
+        { model: 'retired-model', tokens: { input: 10, output: 10 }, costs: { inputCost: '0.500000', outputCost: '0.250000' } }
+    ]);
+
+    assert.deepEqual(total.tokens, { input: 2410, output: 610 });
+    assert.deepEqual(total.costs, { inputCost: '0.506000', outputCost: '0.257500', totalCost: '0.763500' });
+    assert.equal(total.cost, 0.7635);
+});
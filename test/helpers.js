@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { once } from 'events';
+import { join } from 'path';
+import sharp from 'sharp';
+
+// Imports the app with DATA_ROOT pointing at a fresh temp folder.
+// The app is imported lazily so the environment is set before its config loads.
+export async function startTestServer(env = {}) {
+    const root = await fs.mkdtemp(join(os.tmpdir(), 'whiteboard-to-prototype-'));
+    Object.assign(process.env, {
+        ANTHROPIC_API_KEY: '',
+        DATA_ROOT: root,
+        ...env
+    });
+
+    const server = await import('../server.js');
+    await server.ensureDirectories();
+
+    const listener = server.app.listen(0, '127.0.0.1');
+    await once(listener, 'listening');
+
+    return {
+        ...server,
+        root,
+        baseUrl: `http://127.0.0.1:${listener.address().port}`,
+        async close() {
+            listener.close();
+            await fs.rm(root, { recursive: true, force: true });
+        }
+    };
+}
+
+export function createTestImage(width = 1600, height = 1200) {
+    return sharp({
+        create: {
+            width,
+            height,
+            channels: 3,
+            background: { r: 255, g: 255, b: 255 }
+        }
+    })
+        .jpeg()
+        .toBuffer();
+}
+
+export async function waitForJob(baseUrl, jobId, timeoutMs = 10000, headers = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+        const response = await fetch(`${baseUrl}/jobs/${jobId}`, { headers });
+        const { job } = await response.json();
+
+        if (job.status === 'succeeded' || job.status === 'failed') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
@@ -0,0 +1,189 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { createHistoryStore } from '../lib/history-store.js';
+import { startTestServer } from './helpers.js';
+
+let server;
+let root;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer();
+    root = await fs.mkdtemp(join(os.tmpdir(), 'whiteboard-history-'));
+});
+
+after(async () => {
+    await server.close();
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+function session(id, fields = {}) {
+    return { sessionId: id, prototypeId: `prototype-${id}`, success: true, timestamp: new Date().toISOString(), ...fields };
+}
+
+test('addToHistory keeps every session, newest first', async () => {
+    for (let index = 1; index <= 105; index++) {
+        await server.addToHistory(session(`session-${index}`));
+    }
+
+    const sessions = await server.historyStore.all();
+    assert.equal(sessions.length, 105);
+    assert.equal(sessions[0].sessionId, 'session-105');
+    assert.equal(sessions[104].sessionId, 'session-1');
+});
+
+test('addToHistory links a refinement to its parent', async () => {
+    await server.addToHistory(session('parent'));
+    await server.addToHistory(session('child', { parentSessionId: 'parent' }));
+
+    const parent = await server.historyStore.get('parent');
+    assert.deepEqual(parent.childSessionIds, ['child']);
+});
+
+test('concurrent writes from separate store instances are all kept', async () => {
+    const file = join(root, 'concurrent', 'sessions.jsonl');
+    const first = createHistoryStore({ file });
+    const second = createHistoryStore({ file });
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) => (
+        (index % 2 ? first : second).add(session(`build-${index}`))
+    )));
+    await Promise.all(['a', 'b', 'c'].map(child => first.update('build-0', parent => ({
+        ...parent,
+        childSessionIds: [...(parent.childSessionIds || []), child]
+    }))));
+
+    assert.equal(await second.count(), 20);
+    assert.deepEqual((await second.get('build-0')).childSessionIds, ['a', 'b', 'c']);
+});
+
+test('overlapping reads pick up another instance\'s appends exactly once', async () => {
+    const file = join(root, 'overlapping', 'sessions.jsonl');
+    const reader = createHistoryStore({ file });
+    const writer = createHistoryStore({ file });
+    await reader.add(session('first'));
+
+    await writer.add(session('second'));
+    await Promise.all([reader.all(), reader.count(), reader.get('first')]);
+    // More than was just read, so a doubled offset would land partway through a line
+    for (const id of ['third', 'fourth', 'fifth']) {
+        await writer.add(session(id));
+    }
+
+    assert.deepEqual((await reader.all()).map(entry => entry.sessionId), ['fifth', 'fourth', 'third', 'second', 'first']);
+});
+
+test('the old JSON history file is migrated once, keeping its order', async () => {
+    const dir = join(root, 'legacy');
+    const legacyFile = join(dir, 'whiteboard-history.json');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(legacyFile, JSON.stringify({
+        sessions: [session('newest'), session('older'), session('oldest')]
+    }));
+
+    const store = createHistoryStore({ file: join(dir, 'sessions.jsonl'), legacyFile });
+    const sessions = await store.all();
+
+    assert.deepEqual(sessions.map(entry => entry.sessionId), ['newest', 'older', 'oldest']);
+    assert.ok(await fs.stat(`${legacyFile}.migrated`));
+    await assert.rejects(fs.stat(legacyFile));
+});
+
+test('a corrupt JSON history file stops the migration instead of losing it', async () => {
+    const dir = join(root, 'corrupt');
+    const legacyFile = join(dir, 'whiteboard-history.json');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(legacyFile, '{"sessions": [');
+
+    const store = createHistoryStore({ file: join(dir, 'sessions.jsonl'), legacyFile });
+
+    await assert.rejects(store.open(), /Could not migrate/);
+    assert.equal(await fs.readFile(legacyFile, 'utf-8'), '{"sessions": [');
+});
+
+test('a damaged line is skipped without losing the rest of the history', async () => {
+    const file = join(root, 'damaged', 'sessions.jsonl');
+    const store = createHistoryStore({ file });
+    await store.add(session('before'));
+    await fs.appendFile(file, '{"op":"put","session":{"sessionId":"half');
+
+    await createHistoryStore({ file }).add(session('after'));
+
+    const sessions = await createHistoryStore({ file }).all();
+    assert.deepEqual(sessions.map(entry => entry.sessionId), ['after', 'before']);
+});
+
+test('list filters by date range, model and prompt text, and pages the results', async () => {
+    const store = createHistoryStore({ file: join(root, 'filters', 'sessions.jsonl') });
+    await store.add(session('s1', { timestamp: '2026-01-05T10:00:00.000Z', model: 'claude-opus-4-5-20251101', customPrompt: 'Checkout flow', cost: 0.5 }));
+    await store.add(session('s2', { timestamp: '2026-02-10T10:00:00.000Z', model: 'claude-haiku-4-5-20251001', customPrompt: 'Dashboard', cost: 0.1 }));
+    await store.add(session('s3', { timestamp: '2026-03-15T10:00:00.000Z', model: 'claude-opus-4-5-20251101', instruction: 'Add a checkout button', cost: 0.25 }));
+
+    const byText = await store.list({ text: 'CHECKOUT' });
+    assert.deepEqual(byText.sessions.map(entry => entry.sessionId), ['s3', 's1']);
+    assert.equal(byText.summary.cost, 0.75);
+
+    const byModelAndDate = await store.list({
+        model: 'claude-opus-4-5-20251101',
+        from: new Date('2026-02-01T00:00:00.000Z')
+    });
+    assert.deepEqual(byModelAndDate.sessions.map(entry => entry.sessionId), ['s3']);
+
+    const page = await store.list({ limit: 2, offset: 2 });
+    assert.equal(page.total, 3);
+    assert.deepEqual(page.sessions.map(entry => entry.sessionId), ['s1']);
+});
+
+test('list can page by group and returns every session of a group', async () => {
+    const store = createHistoryStore({ file: join(root, 'groups', 'sessions.jsonl') });
+    await store.add(session('a-v1', { prototypeId: 'a', customPrompt: 'Login' }));
+    await store.add(session('b-v1', { prototypeId: 'b' }));
+    await store.add(session('a-v2', { prototypeId: 'a', instruction: 'Darker header' }));
+
+    const page = await store.list({ text: 'darker', limit: 1, groupBy: entry => entry.prototypeId });
+    assert.equal(page.total, 1);
+    assert.deepEqual(page.sessions.map(entry => entry.sessionId), ['a-v2', 'a-v1']);
+});
+
+test('the retention sweep removes old unpinned prototypes and orphaned output', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const old = new Date(now - 40 * day);
+
+    for (const prototypeId of ['prototype-old', 'prototype-pinned', 'prototype-recent', 'prototype-orphan']) {
+        await fs.mkdir(join(server.CONFIG.OUTPUT_DIR, prototypeId), { recursive: true });
+    }
+    await fs.utimes(join(server.CONFIG.OUTPUT_DIR, 'prototype-orphan'), old, old);
+
+    await server.addToHistory(session('old-v1', { prototypeId: 'prototype-old', timestamp: old.toISOString() }));
+    await server.addToHistory(session('pinned-v1', { prototypeId: 'prototype-pinned', timestamp: old.toISOString(), pinned: true }));
+    await server.addToHistory(session('recent-v1', { prototypeId: 'prototype-recent', timestamp: old.toISOString() }));
+    await server.addToHistory(session('recent-v2', { prototypeId: 'prototype-recent', parentSessionId: 'recent-v1' }));
+
+    server.CONFIG.RETENTION_MS = 30 * day;
+    const swept = await server.runRetentionSweep(now);
+    server.CONFIG.RETENTION_MS = 0;
+
+    assert.deepEqual(swept, { prototypes: ['prototype-old'], orphans: ['prototype-orphan'] });
+    assert.equal(await server.historyStore.get('old-v1'), null);
+    assert.ok(await server.historyStore.get('pinned-v1'));
+    assert.ok(await server.historyStore.get('recent-v1'));
+    assert.deepEqual(
+        (await fs.readdir(server.CONFIG.OUTPUT_DIR)).filter(name => name.startsWith('prototype-')).sort(),
+        ['prototype-pinned', 'prototype-recent']
+    );
+});
+
+test('a refinement inherits the title, tags and pin of the version it edits', async () => {
+    await server.addToHistory(session('tagged-v1', { prototypeId: 'prototype-tagged', title: 'Login', tags: ['auth'], pinned: true }));
+    await server.addToHistory(session('tagged-v2', { prototypeId: 'prototype-tagged', parentSessionId: 'tagged-v1', title: null, tags: [], pinned: false }));
+
+    const refinement = await server.historyStore.get('tagged-v2');
+    assert.deepEqual(
+        { title: refinement.title, tags: refinement.tags, pinned: refinement.pinned },
+        { title: 'Login', tags: ['auth'], pinned: true }
+    );
+});
@@ -0,0 +1,129 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import sharp from 'sharp';
+import { createTestImage } from './helpers.js';
+import { CONFIG, compressImage, createThumbnail } from '../server.js';
+import { enhanceWhiteboard, ENHANCEMENT_DEFAULTS, parseEnhancements } from '../lib/image-enhance.js';
+
+let dir;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    dir = await fs.mkdtemp(join(os.tmpdir(), 'whiteboard-images-'));
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('compressImage scales large images to fit MAX_IMAGE_SIZE as JPEG', async () => {
+    const input = join(dir, 'large.png');
+    await sharp(await createTestImage(3000, 1500)).png().toFile(input);
+
+    const output = join(dir, 'large-compressed.jpg');
+    assert.equal((await compressImage(input, output)).path, output);
+
+    const metadata = await sharp(output).metadata();
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.width, CONFIG.MAX_IMAGE_SIZE);
+    assert.equal(metadata.height, CONFIG.MAX_IMAGE_SIZE / 2);
+});
+
+test('compressImage does not enlarge small images', async () => {
+    const input = join(dir, 'small.jpg');
+    await fs.writeFile(input, await createTestImage(400, 300));
+
+    const output = join(dir, 'small-compressed.jpg');
+    await compressImage(input, output);
+
+    const metadata = await sharp(output).metadata();
+    assert.equal(metadata.width, 400);
+    assert.equal(metadata.height, 300);
+});
+
+test('compressImage rejects files that are not images', async () => {
+    const input = join(dir, 'broken.jpg');
+    await fs.writeFile(input, 'not an image');
+
+    await assert.rejects(compressImage(input, join(dir, 'broken-compressed.jpg')));
+});
+
+// A dim, unevenly lit board with one ink line, in the middle of a dark wall
+function createBoardPhoto(width = 1200, height = 900) {
+    const data = Buffer.alloc(width * height * 3, 50);
+    for (let y = Math.round(height * 0.2); y < Math.round(height * 0.8); y++) {
+        for (let x = Math.round(width * 0.25); x < Math.round(width * 0.75); x++) {
+            const ink = Math.abs(y - height / 2) < 4;
+            data.fill(ink ? 30 : 150 + Math.round(70 * x / width), (y * width + x) * 3, (y * width + x + 1) * 3);
+        }
+    }
+    return sharp(data, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+}
+
+test('compressImage applies the EXIF orientation', async () => {
+    const input = join(dir, 'rotated.jpg');
+    await sharp(await createTestImage(400, 200)).withMetadata({ orientation: 6 }).toFile(input);
+
+    const { path, enhancements } = await compressImage(input, join(dir, 'rotated-compressed.jpg'));
+    const metadata = await sharp(path).metadata();
+    assert.equal(metadata.width, 200);
+    assert.equal(metadata.height, 400);
+    assert.equal(enhancements.orientation, true);
+});
+
+test('the default enhancements crop to the board and whiten its background', async () => {
+    const { buffer, width, height, applied } = await enhanceWhiteboard(await createBoardPhoto(), ENHANCEMENT_DEFAULTS);
+
+    assert.ok(Math.abs(applied.autoCrop.x - 0.25) < 0.02 && Math.abs(applied.autoCrop.width - 0.5) < 0.02);
+    assert.equal(applied.normalize, true);
+    assert.ok(Math.abs(width / height - 600 / 540) < 0.05);
+
+    // The dim left edge and the brighter right edge both come out near white
+    const { data } = await sharp(buffer).greyscale().raw().toBuffer({ resolveWithObject: true });
+    assert.ok(data[Math.round(height * 0.2) * width + 5] > 225);
+    assert.ok(data[Math.round(height * 0.2) * width + width - 5] > 225);
+});
+
+test('four corners are warped to a rectangle and thresholding leaves black and white', async () => {
+    const corners = [[0.25, 0.2], [0.75, 0.2], [0.75, 0.8], [0.25, 0.8]];
+    const { buffer, width, height, applied } = await enhanceWhiteboard(
+        await createBoardPhoto(),
+        parseEnhancements({ corners, threshold: true })
+    );
+
+    assert.equal(applied.perspective, true);
+    assert.equal(applied.autoCrop, false);
+    assert.equal(applied.threshold, true);
+    assert.ok(Math.abs(width - 600) <= 2 && Math.abs(height - 540) <= 2);
+
+    const { data } = await sharp(buffer).greyscale().raw().toBuffer({ resolveWithObject: true });
+    assert.ok(data.every(value => value < 40 || value > 215));
+});
+
+test('enhancement options are checked', () => {
+    assert.deepEqual(parseEnhancements(null), { ...ENHANCEMENT_DEFAULTS, corners: null });
+    assert.equal(parseEnhancements({ normalize: false }).normalize, false);
+    assert.throws(() => parseEnhancements({ threshold: 'yes' }), /threshold must be true or false/);
+    assert.throws(() => parseEnhancements({ corners: [[0, 0], [1, 0], [1, 1]] }), /four \[x, y\] pairs/);
+    assert.throws(() => parseEnhancements({ corners: [[0, 0], [2, 0], [1, 1], [0, 1]] }), /between 0 and 1/);
+});
+
+test('createThumbnail crops to a 200x200 JPEG', async () => {
+    const input = join(dir, 'thumb-source.jpg');
+    await fs.writeFile(input, await createTestImage(1600, 900));
+
+    const output = join(dir, 'thumbnail.jpg');
+    assert.equal(await createThumbnail(input, output), output);
+
+    const metadata = await sharp(output).metadata();
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.width, 200);
+    assert.equal(metadata.height, 200);
+});
+
+test('createThumbnail returns null instead of throwing on failure', async () => {
+    assert.equal(await createThumbnail(join(dir, 'missing.jpg'), join(dir, 'missing-thumb.jpg')), null);
+});
@@ -0,0 +1,150 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { checkReactProject, createReactSkeleton, toPackageName } from '../lib/react-project.js';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+let fixture;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ MODEL_PROVIDER: 'mock' });
+    image = await createTestImage();
+    fixture = JSON.parse(await fs.readFile(new URL('../fixtures/mock/react.json', import.meta.url), 'utf-8')).files;
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function upload(fields = {}) {
+    const form = new FormData();
+    form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+function getZipNames(buffer) {
+    const names = [];
+    for (let offset = buffer.indexOf('PK\x01\x02'); offset !== -1; offset = buffer.indexOf('PK\x01\x02', offset + 46)) {
+        const length = buffer.readUInt16LE(offset + 28);
+        names.push(buffer.subarray(offset + 46, offset + 46 + length).toString('utf-8'));
+    }
+    return names;
+}
+
+test('a React project passes the checks only with its imports resolved and react as the only package', () => {
+    assert.deepEqual(checkReactProject(fixture), []);
+
+    const broken = fixture
+        .filter(file => !file.path.startsWith('src/data/'))
+        .map(file => file.path === 'src/components/Header.jsx'
+            ? { ...file, content: `import clsx from 'clsx';\nimport Logo from './Logo';\n${file.content}` }
+            : file);
+    broken.push({ path: 'src/main.jsx', content: '' });
+
+    const issues = checkReactProject(broken);
+    assert.deepEqual(issues.map(issue => issue.type).sort(), [
+        'missing-file',
+        'reserved-file',
+        'unknown-package',
+        'unresolved-import',
+        'unresolved-import'
+    ]);
+    assert.ok(issues.some(issue => issue.message.includes('./Logo')));
+    assert.ok(issues.some(issue => issue.message.includes('./data/tasks.json')));
+});
+
+test('the skeleton names the package after the title and imports global styles only when present', () => {
+    assert.equal(toPackageName('Team Task Board!'), 'team-task-board');
+    assert.equal(toPackageName('???'), 'prototype');
+
+    const skeleton = createReactSkeleton({ name: 'task-board', title: 'Task <Board>', files: fixture });
+    const byPath = Object.fromEntries(skeleton.map(file => [file.path, file.content]));
+    const packageJson = JSON.parse(byPath['package.json']);
+
+    assert.equal(packageJson.name, 'task-board');
+    assert.equal(packageJson.scripts.dev, 'vite');
+    assert.deepEqual(Object.keys(packageJson.dependencies), ['react', 'react-dom']);
+    assert.match(byPath['index.html'], /<title>Task &lt;Board&gt;<\/title>/);
+    assert.match(byPath['src/main.jsx'], /import '\.\/index\.css';/);
+    assert.match(byPath['README.md'], /src\/components\/TaskList\.jsx/);
+
+    const withoutGlobalCss = createReactSkeleton({
+        name: 'task-board',
+        title: 'Task Board',
+        files: fixture.filter(file => file.path !== 'src/index.css')
+    });
+    assert.doesNotMatch(withoutGlobalCss.find(file => file.path === 'src/main.jsx').content, /index\.css/);
+});
+
+test('a build with the react target also writes a downloadable React project', async () => {
+    const { status, body } = await upload({ target: 'react' });
+    assert.equal(status, 202);
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.deepEqual(job.result.react.components, ['Header', 'TaskList']);
+    assert.equal(job.result.react.validation.valid, true);
+
+    const outputDir = join(server.CONFIG.OUTPUT_DIR, job.result.prototypeId);
+    assert.ok(existsSync(join(outputDir, 'index.html')), 'the HTML prototype stays the preview');
+    for (const file of ['package.json', 'vite.config.js', 'index.html', 'src/main.jsx', 'src/App.jsx', 'src/data/tasks.json']) {
+        assert.ok(existsSync(join(outputDir, 'react', file)), `react/${file} should be written`);
+    }
+
+    const history = await (await fetch(`${server.baseUrl}/history`)).json();
+    assert.deepEqual(history.sessions[0].react.files, job.result.react.files);
+
+    const response = await fetch(`${server.baseUrl}${job.result.reactDownloadUrl}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    const names = getZipNames(Buffer.from(await response.arrayBuffer()));
+    const folder = `${job.result.prototypeId}-v1-react`;
+    assert.ok(names.includes(`${folder}/package.json`));
+    assert.ok(names.includes(`${folder}/src/components/Header.module.css`));
+    assert.ok(!names.some(name => name.includes('whiteboard')));
+});
+
+test('an existing version can be converted to React later', async () => {
+    const { body } = await upload();
+    const build = await waitForJob(server.baseUrl, body.jobId);
+    const { prototypeId } = build.result;
+
+    const before = await fetch(`${server.baseUrl}/prototypes/${prototypeId}/export.zip?target=react`);
+    assert.equal(before.status, 404);
+
+    const rejected = await fetch(`${server.baseUrl}/prototypes/${prototypeId}/convert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ target: 'svelte' })
+    });
+    assert.equal(rejected.status, 400);
+
+    const response = await fetch(`${server.baseUrl}/prototypes/${prototypeId}/convert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ target: 'react', version: 1 })
+    });
+    assert.equal(response.status, 202);
+
+    const job = await waitForJob(server.baseUrl, (await response.json()).jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.result.version, 1);
+    assert.ok(existsSync(join(server.CONFIG.OUTPUT_DIR, prototypeId, 'react', 'src', 'App.jsx')));
+
+    const history = await (await fetch(`${server.baseUrl}/history`)).json();
+    const session = history.sessions.find(entry => entry.prototypeId === prototypeId);
+    assert.ok(session.react.files.includes('package.json'));
+    assert.equal(session.react.keySource, 'none');
+
+    const download = await fetch(`${server.baseUrl}/prototypes/${prototypeId}/export.zip?target=react`);
+    assert.equal(download.status, 200);
+});
@@ -0,0 +1,160 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { classifyError, getRetryDelay, isTransient, ModelOutputError } from '../lib/build-errors.js';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ MODEL_PROVIDER: 'mock', MODEL_RETRY_DELAY_MS: '0' });
+    image = await createTestImage();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function build(failures, fields = {}) {
+    server.CONFIG.MOCK_FAILURES.splice(0, Infinity, ...failures);
+    const form = new FormData();
+    form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+    // Every build here is meant to run, though they all send the same photo
+    form.append('force', 'true');
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form });
+    return waitForJob(server.baseUrl, (await response.json()).jobId);
+}
+
+async function getAttempts(prototypeId) {
+    const history = await (await fetch(`${server.baseUrl}/history`)).json();
+    return history.sessions.filter(session => session.prototypeId === prototypeId);
+}
+
+function retry(prototypeId) {
+    return fetch(`${server.baseUrl}/prototypes/${prototypeId}/retry`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+    });
+}
+
+test('model errors are put in categories and only transient ones are retried, with a doubling delay', () => {
+    assert.equal(classifyError(Object.assign(new Error('401'), { status: 401 })), 'auth');
+    assert.equal(classifyError(Object.assign(new Error('429'), { status: 429 })), 'rate_limit');
+    assert.equal(classifyError(Object.assign(new Error('529'), { status: 529 })), 'overloaded');
+    assert.equal(classifyError(new Error('{"type":"error","error":{"type":"overloaded_error"}}')), 'overloaded');
+    assert.equal(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), 'connection');
+    assert.equal(classifyError(new ModelOutputError('not JSON')), 'invalid_output');
+    assert.equal(classifyError(new Error('disk full')), 'other');
+
+    assert.equal(isTransient('overloaded'), true);
+    assert.equal(isTransient('auth'), false);
+    assert.equal(isTransient('invalid_output'), false);
+
+    assert.deepEqual([1, 2, 3].map(attempt => getRetryDelay(attempt, 1000)), [1000, 2000, 4000]);
+    assert.equal(getRetryDelay(1, 1000, { headers: { 'retry-after': '7' } }), 7000);
+    assert.equal(getRetryDelay(10, 1000), 60000);
+});
+
+test('a build rides out transient errors and reports each retry', async () => {
+    const job = await build(['overloaded', 'rate_limit']);
+
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.deepEqual(job.retries.map(retry => [retry.attempt, retry.category]), [[1, 'overloaded'], [2, 'rate_limit']]);
+});
+
+test('a failed build is recorded in history with its category, spend and inputs', async () => {
+    // The sketch analysis goes through, then the key is rejected
+    const job = await build(['ok', 'auth'], { prompt: 'Make it blue' });
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.errorCategory, 'auth');
+
+    const [attempt] = await getAttempts(job.prototypeId);
+    assert.equal(attempt.status, 'failed');
+    assert.equal(attempt.success, false);
+    assert.equal(attempt.customPrompt, 'Make it blue');
+    assert.deepEqual({ ...attempt.error, message: undefined }, {
+        category: 'auth',
+        message: undefined,
+        status: 401,
+        stage: 'sending',
+        attempts: 1
+    });
+    assert.ok(attempt.tokens.input > 0, 'the analysis tokens are kept');
+
+    const prototypeDir = join(server.CONFIG.OUTPUT_DIR, attempt.prototypeId);
+    assert.ok(existsSync(join(prototypeDir, attempt.request.images[0].input)));
+    assert.ok(existsSync(join(prototypeDir, 'thumbnail.jpg')));
+    assert.match(await fs.readFile(join(prototypeDir, 'partial-output.txt'), 'utf-8'), /Task Board/);
+
+    const versions = await fetch(`${server.baseUrl}/prototypes/${attempt.prototypeId}`);
+    assert.equal(versions.status, 404, 'a failed build has no versions to preview');
+});
+
+test('a build that keeps failing gives up after the configured retries', async () => {
+    const job = await build(['overloaded', 'overloaded', 'overloaded', 'overloaded']);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.errorCategory, 'overloaded');
+    assert.equal(job.retries.length, 3);
+
+    // The first call of a build is the sketch analysis
+    const [attempt] = await getAttempts(job.prototypeId);
+    assert.equal(attempt.error.attempts, 4);
+    assert.equal(attempt.error.stage, 'analyzing');
+});
+
+test('a failed build is retried from its kept inputs into the same prototype', async () => {
+    const { prototypeId } = await build(['timeout', 'timeout', 'timeout', 'timeout'], { captions: '["Home"]' });
+    const [failed] = await getAttempts(prototypeId);
+    assert.equal(failed.error.category, 'timeout');
+
+    const response = await retry(failed.prototypeId);
+    assert.equal(response.status, 202);
+    const job = await waitForJob(server.baseUrl, (await response.json()).jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.result.prototypeId, failed.prototypeId);
+    assert.equal(job.result.images[0].caption, 'Home');
+
+    const attempts = await getAttempts(failed.prototypeId);
+    const built = attempts.find(session => session.success);
+    assert.equal(built.retryOf, failed.sessionId);
+    assert.equal(attempts.length, 2, 'the failed attempt stays on record');
+
+    assert.equal((await retry(failed.prototypeId)).status, 409);
+    assert.equal((await retry('prototype-missing')).status, 404);
+
+    const deleted = await fetch(`${server.baseUrl}/prototypes/${failed.prototypeId}`, { method: 'DELETE' });
+    assert.equal((await deleted.json()).deletedVersions, 2);
+});
+
+test('a retry that cannot copy the kept whiteboards back answers with a JSON error and leaves no copies', async (t) => {
+    const { prototypeId } = await build(['timeout', 'timeout', 'timeout', 'timeout']);
+    const uploads = await fs.readdir(server.CONFIG.UPLOADS_DIR);
+
+    const copyFile = t.mock.method(fs, 'copyFile', async () => {
+        throw Object.assign(new Error('no such file'), { code: 'ENOENT' });
+    });
+    const missing = await retry(prototypeId);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).success, false);
+
+    copyFile.mock.mockImplementation(async () => {
+        throw Object.assign(new Error('i/o error'), { code: 'EIO' });
+    });
+    assert.equal((await retry(prototypeId)).status, 500);
+    assert.deepEqual(await fs.readdir(server.CONFIG.UPLOADS_DIR), uploads);
+
+    copyFile.mock.restore();
+    const response = await retry(prototypeId);
+    assert.equal(response.status, 202);
+    assert.equal((await waitForJob(server.baseUrl, (await response.json()).jobId)).status, 'succeeded');
+});
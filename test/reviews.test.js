@@ -0,0 +1,174 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+import { formatCommentsCsv } from '../lib/reviews.js';
+
+let server;
+let alice;
+let bob;
+let prototypeId;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ AUTH_MODE: 'local', MODEL_PROVIDER: 'mock' });
+
+    const password = 'correct horse';
+    await server.userStore.create({ username: 'alice', password, canUseServerKey: true });
+    await server.userStore.create({ username: 'bob', password });
+    alice = await signIn('alice', password);
+    bob = await signIn('bob', password);
+
+    const form = new FormData();
+    form.append('whiteboard', new Blob([await createTestImage()], { type: 'image/jpeg' }), 'board.jpg');
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form, headers: { cookie: alice.cookie } });
+    const job = await waitForJob(server.baseUrl, (await response.json()).jobId, 10000, { cookie: alice.cookie });
+    assert.equal(job.status, 'succeeded', job.error);
+    prototypeId = job.result.prototypeId;
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function signIn(username, password) {
+    const response = await fetch(`${server.baseUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+async function request(method, path, { user, body } = {}) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(user ? { cookie: user.cookie } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function share(body = {}) {
+    const { status, body: result } = await request('POST', `/prototypes/${prototypeId}/shares`, { user: alice, body });
+    assert.equal(status, 201, result.error);
+    return { ...result, token: new URL(result.url).searchParams.get('token') };
+}
+
+test('a review link opens the prototype and its whiteboard without signing in', async () => {
+    const { token, share: created } = await share({ expiresInDays: 3 });
+    assert.ok(token.length >= 32);
+    assert.equal(created.expired, false);
+
+    const { status, body } = await request('GET', `/shares/${token}`);
+    assert.equal(status, 200, body.error);
+    assert.equal(body.version, 1);
+    assert.deepEqual(body.pages, ['index.html']);
+
+    const page = await fetch(`${server.baseUrl}${body.siteUrl}index.html`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-security-policy'), /sandbox/);
+
+    const thumbnail = await fetch(`${server.baseUrl}${body.images[0].thumbnailUrl}`);
+    assert.equal(thumbnail.headers.get('content-type'), 'image/jpeg');
+    assert.equal((await fetch(`${server.baseUrl}/shares/${token}/images/index.html`)).status, 404);
+
+    // The token is the only key, and only its owner can make one
+    assert.equal((await request('GET', '/shares/not-a-real-token')).status, 404);
+    assert.equal((await request('POST', `/prototypes/${prototypeId}/shares`, { user: bob, body: {} })).status, 404);
+    assert.equal((await request('POST', `/prototypes/${prototypeId}/shares`, { user: alice, body: { expiresInDays: 365 } })).status, 400);
+});
+
+test('expired and revoked links stop working', async () => {
+    const { token, share: created } = await share();
+
+    // Wind the stored expiry back rather than waiting a week
+    const stored = await server.reviewStore.getShare(token);
+    stored.expiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.equal((await request('GET', `/shares/${token}`)).status, 410);
+    assert.equal((await fetch(`${server.baseUrl}/shares/${token}/site/index.html`)).status, 410);
+
+    const { body } = await request('GET', `/prototypes/${prototypeId}/shares`, { user: alice });
+    assert.equal(body.shares.find(entry => entry.id === created.id).expired, true);
+    assert.ok(body.shares.every(entry => entry.token === undefined && entry.tokenHash === undefined));
+
+    const revoked = await share();
+    assert.equal((await request('DELETE', `/prototypes/${prototypeId}/shares/${revoked.share.id}`, { user: alice })).status, 200);
+    assert.equal((await request('GET', `/shares/${revoked.token}`)).status, 404);
+});
+
+test('reviewers leave pinned comments and replies that the owner can export and refine from', async () => {
+    const { token } = await share();
+    const comment = (body) => request('POST', `/shares/${token}/comments`, { body });
+
+    const first = await comment({ author: 'Dana', body: 'Make the button bigger', position: { x: 0.5, y: 0.25 } });
+    assert.equal(first.status, 201, first.body.error);
+    const reply = await comment({ author: 'Lee', body: 'And "green", please', parentId: first.body.comment.id });
+    assert.equal(reply.body.comment.parentId, first.body.comment.id);
+    // Replying to a reply joins the same thread
+    const nested = await comment({ author: 'Dana', body: 'Agreed', parentId: reply.body.comment.id });
+    assert.equal(nested.body.comment.parentId, first.body.comment.id);
+
+    assert.equal((await comment({ author: '', body: 'Anonymous' })).status, 400);
+    assert.equal((await comment({ author: 'Dana', body: 'Off the page', position: { x: 2, y: 0 } })).status, 400);
+    assert.equal((await comment({ author: 'Dana', body: 'Elsewhere', page: 'other.html' })).status, 400);
+
+    const shared = await request('GET', `/shares/${token}`);
+    assert.equal(shared.body.comments.length, 1);
+    assert.deepEqual(shared.body.comments[0].replies.map(entry => entry.author), ['Lee', 'Dana']);
+    assert.deepEqual(shared.body.comments[0].position, { x: 0.5, y: 0.25 });
+
+    const { body } = await request('GET', `/prototypes/${prototypeId}/comments`, { user: alice });
+    assert.equal(body.comments.length, 1);
+    assert.match(body.instruction, /1\. \(v1, index\.html, 50% across, 25% down\) Make the button bigger\n {3}- And "green", please/);
+
+    const csv = await (await fetch(`${server.baseUrl}/prototypes/${prototypeId}/comments/export?format=csv`, { headers: { cookie: alice.cookie } })).text();
+    assert.equal(csv.split('\n')[0], 'id,thread,version,page,x,y,author,comment,createdAt');
+    assert.match(csv, /,Lee,"And ""green"", please",/);
+
+    const markdown = await fetch(`${server.baseUrl}/prototypes/${prototypeId}/comments/export?format=markdown`, { headers: { cookie: alice.cookie } });
+    assert.match(markdown.headers.get('content-disposition'), /comments\.md/);
+    assert.match(await markdown.text(), /## 1\. v1, index\.html, 50% across, 25% down/);
+    assert.equal((await request('GET', `/prototypes/${prototypeId}/comments/export?format=pdf`, { user: alice })).status, 400);
+
+    // The write-up is a ready-made refinement instruction
+    const refine = await request('POST', `/prototypes/${prototypeId}/refine`, { user: alice, body: { instruction: body.instruction } });
+    const job = await waitForJob(server.baseUrl, refine.body.jobId, 10000, { cookie: alice.cookie });
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.result.version, 2);
+
+    // Deleting the thread's first comment takes its replies with it
+    assert.equal((await request('DELETE', `/prototypes/${prototypeId}/comments/${first.body.comment.id}`, { user: alice })).status, 200);
+    assert.deepEqual((await request('GET', `/shares/${token}`)).body.comments, []);
+});
+
+test('comment exports keep text that a spreadsheet would run as a formula as plain text', () => {
+    const csv = formatCommentsCsv([
+        { id: 'c1', version: 1, page: 'index.html', position: { x: 0.5, y: 0 }, author: '@admin', body: '=HYPERLINK("http://evil","x")', createdAt: '2026-01-01' },
+        { id: 'c2', version: 1, page: 'index.html', position: null, author: 'Lee', body: '-1+2', createdAt: '2026-01-01' }
+    ]);
+    const [, first, second] = csv.trim().split('\n');
+
+    assert.equal(first, `c1,c1,1,index.html,0.5,0,"'@admin","'=HYPERLINK(""http://evil"",""x"")",2026-01-01`);
+    assert.equal(second, `c2,c2,1,index.html,,,Lee,"'-1+2",2026-01-01`);
+});
+
+test('a failing review store answers with a JSON error instead of hanging', async (t) => {
+    const { token } = await share();
+    t.mock.method(server.reviewStore, 'listComments', async () => {
+        throw new Error('disk full');
+    });
+
+    const shared = await request('GET', `/shares/${token}`);
+    assert.equal(shared.status, 500);
+    assert.equal(shared.body.success, false);
+    assert.equal((await request('GET', `/prototypes/${prototypeId}/comments`, { user: alice })).status, 500);
+});
+
+test('deleting the prototype removes its links and comments', async () => {
+    const { token } = await share();
+    assert.equal((await request('DELETE', `/prototypes/${prototypeId}`, { user: alice })).status, 200);
+    assert.equal((await request('GET', `/shares/${token}`)).status, 404);
+    const { workspace } = await server.userStore.findByUsername('alice');
+    assert.deepEqual(await server.reviewStore.listShares(prototypeId, workspace), []);
+    assert.deepEqual(await server.reviewStore.listComments(prototypeId, workspace), []);
+});
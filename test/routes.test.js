@@ -0,0 +1,279 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { once } from 'events';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer();
+    image = await createTestImage();
+});
+
+after(async () => {
+    await server.close();
+});
+
+function uploadForm(files = [{ data: image, type: 'image/jpeg', name: 'board.jpg' }], fields = {}) {
+    const form = new FormData();
+    for (const file of files) {
+        form.append('whiteboard', new Blob([file.data], { type: file.type }), file.name);
+    }
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    return form;
+}
+
+async function upload(form, headers = {}) {
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form, headers });
+    return { status: response.status, body: await response.json() };
+}
+
+test('GET /health reports status and provider config', async () => {
+    server.CONFIG.PROVIDER = 'anthropic';
+    const response = await fetch(`${server.baseUrl}/health`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.config.provider, 'anthropic');
+    assert.equal(body.config.providerRequiresApiKey, true);
+    assert.equal(body.config.defaultAnthropicKeyConfigured, false);
+});
+
+test('GET /models lists the models of the active provider with pricing', async () => {
+    server.CONFIG.PROVIDER = 'anthropic';
+    const response = await fetch(`${server.baseUrl}/models`);
+    const body = await response.json();
+
+    assert.equal(body.success, true);
+    assert.equal(body.defaultModel, server.CONFIG.MODEL);
+    assert.ok(body.models.some(model => model.id === 'claude-sonnet-4-5-20250929' && model.inputCostPerMillion === 3));
+    assert.ok(body.models.every(model => model.id !== 'mock'));
+});
+
+test('POST /upload rejects a model the provider does not offer', async () => {
+    server.CONFIG.PROVIDER = 'mock';
+    const { status, body } = await upload(uploadForm(undefined, { model: 'claude-sonnet-4-5' }));
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Unknown model: claude-sonnet-4-5');
+    assert.deepEqual(await fs.readdir(server.CONFIG.UPLOADS_DIR), []);
+});
+
+test('POST /upload without a file is rejected', async () => {
+    const { status, body } = await upload(uploadForm([]));
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'No file uploaded');
+});
+
+test('POST /upload rejects files that are not images', async () => {
+    const { status, body } = await upload(uploadForm([
+        { data: Buffer.from('not an image'), type: 'text/plain', name: 'notes.txt' }
+    ]));
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'Only image files are allowed');
+    assert.deepEqual(await fs.readdir(server.CONFIG.UPLOADS_DIR), []);
+});
+
+test('POST /upload without an API key is rejected and the upload removed', async () => {
+    server.CONFIG.PROVIDER = 'anthropic';
+    const { status, body } = await upload(uploadForm());
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Anthropic API key/);
+    assert.deepEqual(await fs.readdir(server.CONFIG.UPLOADS_DIR), []);
+});
+
+test('GET /history returns an empty page when nothing was built', async () => {
+    const response = await fetch(`${server.baseUrl}/history`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.sessions, []);
+    assert.equal(body.total, 0);
+    assert.equal(body.limit, 20);
+    assert.equal(body.offset, 0);
+    assert.equal(body.summary.sessions, 0);
+});
+
+test('POST /upload builds a prototype with the mock provider and records it in history', async () => {
+    server.CONFIG.PROVIDER = 'mock';
+    server.CONFIG.MODEL = 'mock';
+    const { status, body } = await upload(uploadForm());
+
+    assert.equal(status, 202);
+    assert.equal(body.success, true);
+    assert.ok(body.jobId);
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.result.sessionId, body.sessionId);
+    assert.equal(job.result.validation.valid, true);
+    assert.equal(job.result.cost, 0);
+
+    const outputDir = join(server.CONFIG.OUTPUT_DIR, job.result.prototypeId);
+    for (const file of ['index.html', 'prompt.txt', 'whiteboard.jpg', 'thumbnail.jpg']) {
+        assert.ok(existsSync(join(outputDir, file)), `${file} should be written`);
+    }
+    assert.match(await fs.readFile(join(outputDir, 'index.html'), 'utf-8'), /mock provider/);
+
+    // The uploaded original and its compressed copy are cleaned up
+    assert.deepEqual(await fs.readdir(server.CONFIG.UPLOADS_DIR), []);
+
+    const response = await fetch(`${server.baseUrl}/history`);
+    const history = await response.json();
+    assert.equal(history.success, true);
+    assert.equal(history.total, 1);
+    assert.equal(history.sessions[0].sessionId, body.sessionId);
+    assert.equal(history.sessions[0].provider, 'mock');
+    assert.equal(history.sessions[0].prototypeId, job.result.prototypeId);
+});
+
+test('prototypes are served sandboxed, and only prototypes on the preview server', async () => {
+    const [session] = (await (await fetch(`${server.baseUrl}/history`)).json()).sessions;
+
+    const demo = await fetch(`${server.baseUrl}${session.prototypeUrl}`);
+    assert.equal(demo.status, 200);
+    assert.match(demo.headers.get('content-security-policy'), /^sandbox allow-scripts allow-forms allow-popups allow-modals;/);
+    assert.doesNotMatch(demo.headers.get('content-security-policy'), /allow-same-origin/);
+    assert.equal(demo.headers.get('access-control-allow-origin'), '*');
+
+    const prototype = await (await fetch(`${server.baseUrl}/prototypes/${session.prototypeId}`)).json();
+    assert.equal(prototype.previewOrigin, '');
+
+    const listener = server.previewApp.listen(0, '127.0.0.1');
+    await once(listener, 'listening');
+    try {
+        const previewUrl = `http://127.0.0.1:${listener.address().port}`;
+        const previewDemo = await fetch(`${previewUrl}${session.prototypeUrl}`);
+        assert.equal(previewDemo.status, 200);
+        assert.match(previewDemo.headers.get('content-security-policy'), /^sandbox /);
+        assert.equal((await fetch(`${previewUrl}/history`)).status, 404);
+        assert.equal((await fetch(`${previewUrl}/index.html`)).status, 404);
+    } finally {
+        listener.close();
+    }
+});
+
+test('GET /history filters by model and prompt text', async () => {
+    const byModel = await (await fetch(`${server.baseUrl}/history?model=mock`)).json();
+    assert.equal(byModel.total, 1);
+    assert.deepEqual(byModel.models, ['mock']);
+
+    const byOtherModel = await (await fetch(`${server.baseUrl}/history?model=claude-haiku-4-5`)).json();
+    assert.equal(byOtherModel.total, 0);
+
+    const byText = await (await fetch(`${server.baseUrl}/history?q=nothing+like+this`)).json();
+    assert.equal(byText.total, 0);
+    assert.equal(byText.summary.cost, 0);
+});
+
+test('GET /history rejects bad paging and date parameters', async () => {
+    for (const query of ['limit=0', 'limit=500', 'offset=-1', 'from=yesterday', 'groupBy=theme']) {
+        const response = await fetch(`${server.baseUrl}/history?${query}`);
+        const body = await response.json();
+
+        assert.equal(response.status, 400, query);
+        assert.equal(body.success, false);
+    }
+});
+
+test('PATCH /prototypes/:id sets title, tags and pin on every version', async () => {
+    const [{ prototypeId }] = (await (await fetch(`${server.baseUrl}/history`)).json()).sessions;
+
+    const response = await fetch(`${server.baseUrl}/prototypes/${prototypeId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: '  Checkout  ', tags: ['Mobile', 'mobile', ' flows '], pinned: true })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+        { title: body.title, tags: body.tags, pinned: body.pinned },
+        { title: 'Checkout', tags: ['mobile', 'flows'], pinned: true }
+    );
+
+    const tagged = await (await fetch(`${server.baseUrl}/history?tag=mobile&pinned=true`)).json();
+    assert.equal(tagged.total, 1);
+    assert.deepEqual(tagged.tags, ['flows', 'mobile']);
+
+    const invalid = await fetch(`${server.baseUrl}/prototypes/${prototypeId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pinned: 'yes' })
+    });
+    assert.equal(invalid.status, 400);
+});
+
+test('/prototypes/:id answers with a JSON error when history cannot be read or written', async (t) => {
+    const [{ prototypeId }] = (await (await fetch(`${server.baseUrl}/history`)).json()).sessions;
+    const failure = async () => {
+        throw new Error('disk full');
+    };
+    t.mock.method(server.historyStore, 'all', failure);
+    t.mock.method(server.historyStore, 'updateWhere', failure);
+
+    for (const [method, body] of [['GET'], ['PATCH', { pinned: false }], ['DELETE']]) {
+        const response = await fetch(`${server.baseUrl}/prototypes/${prototypeId}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body && JSON.stringify(body)
+        });
+        assert.equal(response.status, 500, method);
+        assert.equal((await response.json()).success, false);
+    }
+});
+
+test('DELETE /prototypes/:id removes the output directory and history records', async () => {
+    const [{ prototypeId }] = (await (await fetch(`${server.baseUrl}/history`)).json()).sessions;
+
+    const response = await fetch(`${server.baseUrl}/prototypes/${prototypeId}`, { method: 'DELETE' });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.deletedVersions, 1);
+    assert.equal(existsSync(join(server.CONFIG.OUTPUT_DIR, prototypeId)), false);
+    assert.equal((await (await fetch(`${server.baseUrl}/history`)).json()).total, 0);
+
+    const again = await fetch(`${server.baseUrl}/prototypes/${prototypeId}`, { method: 'DELETE' });
+    assert.equal(again.status, 404);
+});
+
+test('POST /whiteboards/preview shows the enhanced image and /upload records what was applied', async () => {
+    const preview = await fetch(`${server.baseUrl}/whiteboards/preview`, {
+        method: 'POST',
+        body: uploadForm(undefined, { enhancements: JSON.stringify({ threshold: true }) })
+    });
+    const body = await preview.json();
+    assert.equal(body.success, true);
+    assert.match(body.image, /^data:image\/jpeg;base64,/);
+    assert.equal(body.enhancements.threshold, true);
+
+    const rejected = await upload(uploadForm(undefined, { enhancements: '[{"corners": [[0, 0]]}]' }));
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /Invalid enhancements/);
+
+    const { body: build } = await upload(uploadForm(undefined, { enhancements: JSON.stringify([{ normalize: false }]) }));
+    const job = await waitForJob(server.baseUrl, build.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.deepEqual(job.result.images[0].enhancements, {
+        orientation: false,
+        perspective: false,
+        autoCrop: false,
+        normalize: false,
+        threshold: false
+    });
+    assert.deepEqual(await fs.readdir(server.CONFIG.UPLOADS_DIR), []);
+});
@@ -0,0 +1,151 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { normalizeSketchSpec, summarizeSketchSpec } from '../lib/sketch-spec.js';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ MODEL_PROVIDER: 'mock' });
+    image = await createTestImage();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function post(path, fields = {}) {
+    const form = new FormData();
+    form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    const response = await fetch(`${server.baseUrl}${path}`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+async function getHistorySession(prototypeId, version = 1) {
+    const history = await (await fetch(`${server.baseUrl}/history`)).json();
+    return history.sessions.find(session => session.prototypeId === prototypeId && session.version === version);
+}
+
+test('a sketch spec is normalized to known fields, fractional bounds and capped lists', () => {
+    const spec = normalizeSketchSpec({
+        screens: [{
+            name: '  Home  ',
+            image: 3,
+            components: [
+                { type: 'button', label: 'Save', bounds: { x: 0.9, y: -1, width: 0.5, height: 0.2 }, color: 'red' },
+                { label: 42, bounds: { x: 'left' } }
+            ]
+        }],
+        interactions: [{ trigger: 'Click Save', action: 'Store the form' }, { screen: 'Home' }],
+        entities: [{ name: 'Note', fields: ['title', '', 7] }, { fields: ['orphan'] }],
+        notes: 'not a list'
+    }, { images: 2 });
+
+    assert.deepEqual(spec.screens[0], {
+        name: 'Home',
+        image: null,
+        purpose: '',
+        components: [
+            { type: 'button', label: 'Save', bounds: { x: 0.9, y: 0, width: 0.1, height: 0.2 }, notes: '' },
+            { type: 'element', label: '42', bounds: null, notes: '' }
+        ]
+    });
+    assert.deepEqual(spec.interactions, [{ screen: '', trigger: 'Click Save', action: 'Store the form' }]);
+    assert.deepEqual(spec.entities, [{ name: 'Note', fields: ['title', '7'] }]);
+    assert.deepEqual(spec.notes, []);
+    assert.deepEqual(summarizeSketchSpec(spec), { screens: 1, components: 2, interactions: 1, entities: 1 });
+
+    assert.throws(() => normalizeSketchSpec([]), /JSON object/);
+    assert.throws(() => normalizeSketchSpec({ screens: [] }), /at least one screen/);
+});
+
+test('a build reads the sketch into a spec first and builds from it', async () => {
+    const { body } = await post('/upload');
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.ok(job.stages.some(stage => stage.stage === 'analyzing'));
+    assert.equal(job.result.spec.screens[0].name, 'Task Board');
+
+    const outputDir = join(server.CONFIG.OUTPUT_DIR, job.result.prototypeId);
+    const stored = JSON.parse(await fs.readFile(join(outputDir, 'spec.json'), 'utf-8'));
+    assert.deepEqual(stored, job.result.spec);
+    assert.match(await fs.readFile(join(outputDir, 'prompt.txt'), 'utf-8'), /SKETCH SPEC[\s\S]*"Add task"/);
+
+    const session = await getHistorySession(job.result.prototypeId);
+    assert.deepEqual(session.spec, job.result.spec);
+    assert.equal(session.analysis.edited, false);
+    assert.ok(session.analysis.tokens.input > 0);
+    assert.equal(session.analysis.keySource, 'none');
+});
+
+test('a reviewed spec from /analyze is built as corrected and its analysis is claimed once', async () => {
+    const analyzed = await post('/analyze');
+    assert.equal(analyzed.status, 202);
+
+    const analysis = await waitForJob(server.baseUrl, analyzed.body.jobId);
+    assert.equal(analysis.status, 'succeeded', analysis.error);
+    assert.equal(analysis.kind, 'analyze');
+    assert.deepEqual(analysis.result.summary, { screens: 1, components: 4, interactions: 2, entities: 1 });
+
+    const rejected = await post('/upload', { spec: '{"screens": []}' });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /Invalid sketch spec/);
+
+    const corrected = structuredClone(analysis.result.spec);
+    corrected.screens[0].components[3].label = 'New task';
+    const { body } = await post('/upload', {
+        spec: JSON.stringify(corrected),
+        analysisJobId: analysis.id
+    });
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.ok(!job.stages.some(stage => stage.stage === 'analyzing'), 'a reviewed spec is not read again');
+    assert.equal(job.result.spec.screens[0].components[3].label, 'New task');
+
+    const session = await getHistorySession(job.result.prototypeId);
+    assert.equal(session.analysis.edited, true);
+    assert.equal(session.analysis.cost, analysis.result.cost);
+
+    const reused = await post('/upload', { analysisJobId: analysis.id });
+    assert.equal(reused.status, 400);
+});
+
+test('a prototype can be regenerated from an edited spec without re-uploading', async () => {
+    const { body } = await post('/upload', { force: 'true' });
+    const build = await waitForJob(server.baseUrl, body.jobId);
+    const { prototypeId, spec } = build.result;
+
+    const edited = { ...spec, notes: ['Use a dark header'] };
+    const response = await fetch(`${server.baseUrl}/prototypes/${prototypeId}/refine`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ spec: edited, version: 1 })
+    });
+    assert.equal(response.status, 202);
+
+    const job = await waitForJob(server.baseUrl, (await response.json()).jobId);
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.result.version, 2);
+    assert.deepEqual(job.result.spec.notes, ['Use a dark header']);
+
+    const versionDir = join(server.CONFIG.OUTPUT_DIR, prototypeId, 'v2');
+    assert.deepEqual(JSON.parse(await fs.readFile(join(versionDir, 'spec.json'), 'utf-8')).notes, ['Use a dark header']);
+
+    const session = await getHistorySession(prototypeId, 2);
+    assert.equal(session.instruction, 'Regenerated from the edited sketch spec');
+    assert.equal(session.analysis, null);
+
+    const invalid = await fetch(`${server.baseUrl}/prototypes/${prototypeId}/refine`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ spec: 'not a spec' })
+    });
+    assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,120 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, summarizeUsage } from '../lib/usage.js';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({
+        MODEL_PROVIDER: 'mock',
+        BUDGET_DAILY_USD: '1',
+        RATE_LIMIT_BUILDS: '3',
+        RATE_LIMIT_WINDOW_MINUTES: '60'
+    });
+    image = await createTestImage();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function upload() {
+    const form = new FormData();
+    form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+    // The same photo each time, built anew rather than answered from history
+    form.append('force', 'true');
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test('usage is summarized per UTC day and per model', () => {
+    const now = Date.parse('2026-03-10T12:00:00.000Z');
+    const usage = summarizeUsage([
+        { timestamp: '2026-03-10T09:00:00.000Z', model: 'opus', cost: 0.5, tokens: { input: 100, output: 50 } },
+        { timestamp: '2026-03-09T23:59:00.000Z', model: 'haiku', cost: 0.1, tokens: { input: 10, output: 5 } },
+        { timestamp: '2026-03-08T10:00:00.000Z', model: 'opus', cost: 0.25 },
+        { timestamp: '2026-02-01T10:00:00.000Z', model: 'opus', cost: 9 }
+    ], { days: 3, now });
+
+    assert.deepEqual(usage.daily.map(day => [day.date, day.builds, day.cost]), [
+        ['2026-03-08', 1, 0.25],
+        ['2026-03-09', 1, 0.1],
+        ['2026-03-10', 1, 0.5]
+    ]);
+    assert.deepEqual(usage.models.map(entry => [entry.model, entry.builds, entry.cost]), [['opus', 2, 0.75], ['haiku', 1, 0.1]]);
+    assert.deepEqual(usage.total, { builds: 3, cost: 0.85 });
+});
+
+test('the rate limiter allows a fixed number of hits per sliding window', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+
+    assert.equal(limiter.take('a', 0).allowed, true);
+    assert.equal(limiter.take('a', 100).allowed, true);
+    assert.deepEqual(limiter.take('a', 200), { allowed: false, remaining: 0, retryAfterMs: 800 });
+    assert.equal(limiter.take('b', 200).allowed, true);
+    assert.equal(limiter.take('a', 1001).allowed, true);
+    assert.equal(createRateLimiter({ limit: 0, windowMs: 1000 }).take('a').allowed, true);
+});
+
+test('a build on the server key that could pass the daily budget is refused with 402', async () => {
+    await server.addToHistory({
+        sessionId: 'spent-today',
+        prototypeId: 'prototype-spent-today',
+        success: true,
+        timestamp: new Date().toISOString(),
+        model: 'claude-opus-4-5-20251101',
+        cost: 0.95,
+        keySource: 'server',
+        clientId: 'ip:somebody-else'
+    });
+
+    server.CONFIG.PROVIDER = 'anthropic';
+    server.CONFIG.MODEL = 'claude-opus-4-5-20251101';
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-server';
+    try {
+        const { status, body } = await upload();
+
+        assert.equal(status, 402);
+        assert.equal(body.code, 'budget_exceeded');
+        assert.equal(body.budget.scope, 'global');
+        assert.equal(body.budget.period, 'day');
+        assert.equal(body.budget.spentUsd, 0.95);
+        assert.ok(body.budget.estimatedUsd > 0.05);
+        assert.match(body.error, /Add your own API key/);
+    } finally {
+        server.CONFIG.PROVIDER = 'mock';
+        server.CONFIG.MODEL = 'mock';
+        process.env.ANTHROPIC_API_KEY = '';
+    }
+});
+
+test('builds past the rate limit get 429 with Retry-After', async () => {
+    // The budget test above used one of the three builds allowed per hour
+    for (let index = 0; index < 2; index++) {
+        const { status, body } = await upload();
+        assert.equal(status, 202);
+        await waitForJob(server.baseUrl, body.jobId);
+    }
+
+    const { status, headers, body } = await upload();
+    assert.equal(status, 429);
+    assert.equal(body.code, 'rate_limited');
+    assert.ok(Number(headers.get('retry-after')) > 0);
+});
+
+test('GET /usage reports spend by model, the budgets and the rate limit', async () => {
+    const response = await fetch(`${server.baseUrl}/usage?days=7`);
+    const body = await response.json();
+
+    assert.equal(body.success, true);
+    assert.equal(body.daily.length, 7);
+    assert.equal(body.total.builds, 3);
+    assert.deepEqual(body.models.map(entry => entry.model), ['claude-opus-4-5-20251101', 'mock']);
+    assert.deepEqual(body.budgets.map(budget => [budget.scope, budget.period, budget.limitUsd, budget.spentUsd]), [['global', 'day', 1, 0.95]]);
+    assert.deepEqual(body.rateLimit, { builds: 3, windowMinutes: 60, remaining: 0 });
+
+    assert.equal((await fetch(`${server.baseUrl}/usage?days=0`)).status, 400);
+});
@@ -0,0 +1,126 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { startTestServer, createTestImage, waitForJob } from './helpers.js';
+
+let server;
+let image;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = await startTestServer({ MODEL_PROVIDER: 'mock' });
+    image = await createTestImage();
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function upload(fields = {}) {
+    const form = new FormData();
+    form.append('whiteboard', new Blob([image], { type: 'image/jpeg' }), 'board.jpg');
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    const response = await fetch(`${server.baseUrl}/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+async function buildVariants(variants) {
+    const { status, body } = await upload({ variants });
+    assert.equal(status, 202, body.error);
+    const jobs = await Promise.all(body.variants.map(variant => waitForJob(server.baseUrl, variant.jobId)));
+    return { ...body, jobs };
+}
+
+async function getGroup(buildGroup) {
+    const response = await fetch(`${server.baseUrl}/groups/${buildGroup}`);
+    return { status: response.status, body: await response.json() };
+}
+
+function star(buildGroup, prototypeId) {
+    return fetch(`${server.baseUrl}/groups/${buildGroup}/star`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prototypeId })
+    });
+}
+
+test('variants must name at least two known directions', async () => {
+    for (const variants of ['dense', 'dense,sideways', '9']) {
+        const { status, body } = await upload({ variants });
+        assert.equal(status, 400, variants);
+        assert.match(body.error, /variant/);
+    }
+});
+
+test('each variant is built into its own prototype in one build group, steered by its direction', async () => {
+    const { buildGroup, compareUrl, variants, jobs } = await buildVariants('minimal,mobile');
+    assert.equal(compareUrl, `/compare.html?group=${buildGroup}`);
+    assert.deepEqual(variants.map(variant => variant.variant.id), ['minimal', 'mobile']);
+    assert.ok(jobs.every(job => job.status === 'succeeded'), jobs.map(job => job.error).join());
+    assert.notEqual(jobs[0].result.prototypeId, jobs[1].result.prototypeId);
+
+    const prompt = await fs.readFile(join(server.CONFIG.OUTPUT_DIR, jobs[1].result.prototypeId, 'prompt.txt'), 'utf-8');
+    assert.match(prompt, /LAYOUT DIRECTION: MOBILE-FIRST/);
+
+    const { body: group } = await getGroup(buildGroup);
+    assert.deepEqual(group.variants.map(variant => [variant.variant.label, variant.status]), [['Minimal', 'succeeded'], ['Mobile-first', 'succeeded']]);
+
+    // The group's total is priced from every variant's tokens, sketch analyses included
+    const history = await (await fetch(`${server.baseUrl}/history`)).json();
+    const sessions = history.sessions.filter(session => session.buildGroup === buildGroup);
+    assert.equal(sessions.length, 2);
+    // Each variant works from its own copy of the photo but records the uploaded name
+    assert.match(sessions[0].originalFilename, /^whiteboard-/);
+    assert.equal(sessions[0].originalFilename, sessions[1].originalFilename);
+    assert.deepEqual(sessions[0].images.map(image => image.originalFilename), sessions[1].images.map(image => image.originalFilename));
+    assert.deepEqual(await fs.readdir(server.CONFIG.UPLOADS_DIR), []);
+    assert.deepEqual(group.tokens, {
+        input: sessions.reduce((sum, session) => sum + session.tokens.input + (session.analysis?.tokens.input || 0), 0),
+        output: sessions.reduce((sum, session) => sum + session.tokens.output + (session.analysis?.tokens.output || 0), 0)
+    });
+    assert.deepEqual(group.costs, server.calculateTotalCost(sessions).costs);
+    assert.equal(group.variants[0].tokens.input + group.variants[1].tokens.input, group.tokens.input);
+});
+
+test('starring a variant marks it as the canonical result, and its refinements keep the star', async () => {
+    const { buildGroup, jobs } = await buildVariants('2');
+    const [dense, minimal] = jobs.map(job => job.result.prototypeId);
+
+    assert.equal((await star(buildGroup, dense)).status, 200);
+
+    const refine = await fetch(`${server.baseUrl}/prototypes/${dense}/refine`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ instruction: 'Add a footer' })
+    });
+    const refinement = await waitForJob(server.baseUrl, (await refine.json()).jobId);
+    assert.equal(refinement.status, 'succeeded', refinement.error);
+
+    let { body: group } = await getGroup(buildGroup);
+    assert.equal(group.starred, dense);
+    assert.equal(group.variants[0].latest.version, 2);
+    assert.equal(group.variants[0].latest.starred, true);
+    assert.match(await fs.readFile(join(server.CONFIG.OUTPUT_DIR, dense, 'prompt.txt'), 'utf-8'), /LAYOUT DIRECTION: DENSE DASHBOARD/);
+
+    assert.equal((await star(buildGroup, minimal)).status, 200);
+    ({ body: group } = await getGroup(buildGroup));
+    assert.deepEqual(group.variants.map(variant => variant.starred), [false, true]);
+
+    assert.equal((await star(buildGroup, 'prototype-elsewhere')).status, 400);
+    assert.equal((await star('group-0000', null)).status, 404);
+    assert.equal((await getGroup('not-a-group')).status, 400);
+});
+
+test('build groups answer with a JSON error when history cannot be read', async (t) => {
+    t.mock.method(server.historyStore, 'all', async () => {
+        throw new Error('disk full');
+    });
+
+    const group = await getGroup('group-1234');
+    assert.equal(group.status, 500);
+    assert.equal(group.body.success, false);
+    assert.equal((await star('group-1234', null)).status, 500);
+});